@@ -0,0 +1,75 @@
+// Vercel Cron Job - Collect Daily Food Price Snapshots
+// Stores prices from Badan Pangan into pangan_price_history for trend charts,
+// then runs spike/anomaly detection and evaluates price watchlists
+
+const { initDatabase } = require('../../config/supabase');
+const {
+  createPriceHistoryTable,
+  createPriceAlertsTable,
+  createWatchlistsTable,
+  createWatchlistNotificationsTable
+} = require('../../utils/dbHelperPg');
+const { collectPriceSnapshots } = require('../../utils/panganCollector');
+const { detectPriceAnomalies } = require('../../utils/priceAnomaly');
+const { evaluateWatchlists } = require('../../utils/watchlistEvaluator');
+
+async function collectPrices() {
+  try {
+    const db = await initDatabase();
+    await createPriceHistoryTable(db);
+    await createPriceAlertsTable(db);
+    await createWatchlistsTable(db);
+    await createWatchlistNotificationsTable(db);
+
+    const { snapshots, ...summary } = await collectPriceSnapshots(db);
+
+    console.log(`Pangan prices saved: ${summary.inserted} inserted, ${summary.updated} updated, ${summary.failed.length} failed targets`);
+
+    // Detect price spikes for the latest snapshot date
+    const latestDate = snapshots.reduce((latest, s) => (s.price_date > latest ? s.price_date : latest), '');
+    const { alerts, ...anomalies } = await detectPriceAnomalies(db, latestDate ? { date: latestDate } : {});
+
+    console.log(`Pangan anomalies: ${anomalies.created} new alerts from ${anomalies.evaluated} series`);
+
+    // Check the new snapshots against user watchlists
+    const watchlists = await evaluateWatchlists(db, { snapshots });
+
+    console.log(`Pangan watchlists: ${watchlists.triggered} triggered, ${watchlists.failed} delivery failures`);
+
+    return {
+      ...summary,
+      anomalies,
+      watchlists,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Pangan cron error:', error.message);
+    throw error;
+  }
+}
+
+// Vercel Serverless Function Handler
+module.exports = async (req, res) => {
+  // Verify cron secret (optional but recommended)
+  const authHeader = req.headers.authorization;
+  const cronSecret = process.env.CRON_SECRET;
+
+  if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await collectPrices();
+
+    res.status(200).json({
+      success: true,
+      message: 'Price snapshots saved successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
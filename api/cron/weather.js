@@ -1,104 +1,54 @@
-// Vercel Cron Job - Fetch & Save Jakarta Weather Every 3 Hours
-// This keeps Supabase database active (prevents 1-week inactivity pause)
+// Vercel Cron Job - Collect BMKG Weather Forecasts for Monitored Locations
+// Reads adm4 codes from weather_locations (managed via /bmkg/locations) and stores
+// parsed hourly forecasts in weather_forecasts, then refreshes daily rollups
+// (weather_daily) and prunes rows past their retention. History left in the legacy
+// weather_logs table is replayed into weather_forecasts once (rows are marked
+// backfilled_at, the table itself is kept). Also keeps Supabase
+// active (prevents 1-week inactivity pause).
 
-const axios = require('axios');
-const { initDatabase, closePool } = require('../../config/supabase');
-
-// Jakarta Pusat ADM4 code
-const JAKARTA_ADM4 = '31.71.01.1001';
+const { initDatabase } = require('../../config/supabase');
+const {
+  createWeatherLocationsTable,
+  createWeatherForecastsTable,
+  createWeatherDailyTable
+} = require('../../utils/dbHelperPg');
+const { collectWeather, backfillWeatherLogs } = require('../../utils/weatherCollector');
+const { rollupWeather, pruneWeather } = require('../../utils/weatherHistory');
 
 async function fetchAndSaveWeather() {
-  let db = null;
-  
   try {
-    // Initialize database
-    db = await initDatabase();
-    
-    // Create weather_logs table if not exists
-    await db.execute(`
-      CREATE TABLE IF NOT EXISTS weather_logs (
-        id SERIAL PRIMARY KEY,
-        adm4_code VARCHAR(20) NOT NULL,
-        location_name VARCHAR(100),
-        weather_data JSONB,
-        temperature DECIMAL(5,2),
-        humidity INTEGER,
-        weather_desc VARCHAR(100),
-        fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create index for faster queries
-    await db.execute(`
-      CREATE INDEX IF NOT EXISTS idx_weather_logs_adm4 ON weather_logs(adm4_code)
-    `);
-    await db.execute(`
-      CREATE INDEX IF NOT EXISTS idx_weather_logs_fetched ON weather_logs(fetched_at DESC)
-    `);
-    
-    // Fetch weather from BMKG
-    const bmkgUrl = `https://api.bmkg.go.id/publik/prakiraan-cuaca?adm4=${JAKARTA_ADM4}`;
-    const response = await axios.get(bmkgUrl, {
-      timeout: 15000,
-      headers: {
-        'User-Agent': 'PanganJawara-WeatherCron/1.0',
-        'Accept': 'application/json'
-      }
-    });
-    
-    const data = response.data;
-    
-    // Extract weather info
-    let locationName = 'Jakarta Pusat';
-    let temperature = null;
-    let humidity = null;
-    let weatherDesc = null;
-    
-    if (data?.data?.[0]) {
-      const lokasi = data.data[0].lokasi;
-      locationName = `${lokasi?.desa || ''}, ${lokasi?.kecamatan || ''}, ${lokasi?.kota || ''}`.trim();
-      
-      // Get current/latest weather
-      const cuaca = data.data[0].cuaca;
-      if (cuaca && cuaca.length > 0 && cuaca[0].length > 0) {
-        const current = cuaca[0][0];
-        temperature = current.t || null;
-        humidity = current.hu || null;
-        weatherDesc = current.weather_desc || null;
-      }
+    const db = await initDatabase();
+    await createWeatherLocationsTable(db);
+    await createWeatherForecastsTable(db);
+    await createWeatherDailyTable(db);
+
+    const summary = await collectWeather(db);
+
+    if (summary.locations === 0) {
+      console.log('Weather cron: no active locations in weather_locations');
+    } else {
+      console.log(`Weather saved: ${summary.collected}/${summary.locations} locations, ${summary.rows} hourly rows, ${summary.failed.length} failed`);
     }
-    
-    // Save to database
-    await db.execute(`
-      INSERT INTO weather_logs (adm4_code, location_name, weather_data, temperature, humidity, weather_desc)
-      VALUES ($1, $2, $3, $4, $5, $6)
-    `, [
-      JAKARTA_ADM4,
-      locationName,
-      JSON.stringify(data),
-      temperature,
-      humidity,
-      weatherDesc
-    ]);
-    
-    // Clean up old logs (keep only last 7 days)
-    await db.execute(`
-      DELETE FROM weather_logs 
-      WHERE fetched_at < NOW() - INTERVAL '7 days'
-    `);
-    
-    console.log(`Weather saved: ${locationName}, Temp: ${temperature}°C, Humidity: ${humidity}%`);
-    
+
+    // After collecting, so legacy logs only fill slots older than the collector's data
+    const backfill = await backfillWeatherLogs(db);
+    if (backfill && backfill.logs > 0) {
+      console.log(`Weather backfill: ${backfill.inserted} hourly rows from ${backfill.logs} weather_logs rows`);
+    }
+
+    // Roll up before pruning so days leaving the raw retention window keep their summary
+    const rollup = await rollupWeather(db);
+    const pruned = await pruneWeather(db);
+
+    console.log(`Weather rollup: ${rollup.inserted} inserted, ${rollup.updated} updated daily rows`);
+
     return {
-      success: true,
-      location: locationName,
-      temperature,
-      humidity,
-      weather: weatherDesc,
+      ...summary,
+      backfill,
+      rollup,
+      pruned,
       timestamp: new Date().toISOString()
     };
-    
   } catch (error) {
     console.error('Weather cron error:', error.message);
     throw error;
@@ -110,19 +60,18 @@ module.exports = async (req, res) => {
   // Verify cron secret (optional but recommended)
   const authHeader = req.headers.authorization;
   const cronSecret = process.env.CRON_SECRET;
-  
+
   if (cronSecret && authHeader !== `Bearer ${cronSecret}`) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
-  
+
   try {
     const result = await fetchAndSaveWeather();
-    
+
     res.status(200).json({
       success: true,
       message: 'Weather data saved successfully',
-      data: result,
-      nextRun: 'in 3 hours'
+      data: result
     });
   } catch (error) {
     res.status(500).json({
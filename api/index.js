@@ -10,7 +10,7 @@ const multer = require('multer');
 dotenv.config();
 
 // Use Supabase config for Vercel
-const { initDatabase, getSupabase, closePool } = require('../config/supabase');
+const { DIALECT, initDatabase, getSupabase, closePool } = require('../config/supabase');
 const {
   createUsersTable,
   createPostsTable,
@@ -21,8 +21,33 @@ const {
   createImagesTable,
   createStatisticsTable,
   createWilayahTable,
-  createApiKeyUsageTable
+  createApiKeyUsageTable,
+  createPriceHistoryTable,
+  createPriceAlertsTable,
+  createPanganRegionMapTable,
+  createWilayahBoundariesTable,
+  createWilayahCentroidsTable,
+  createUpstreamCacheTable,
+  createWatchlistsTable,
+  createWatchlistNotificationsTable,
+  createWatchlistConfirmationsTable,
+  createCommoditiesTable,
+  createWeatherLocationsTable,
+  createWeatherForecastsTable,
+  createWeatherDailyTable,
+  createAdvisoryRulesTable,
+  createRegionCommoditiesTable,
+  createCropProfilesTable,
+  createWilayahVersionsTable,
+  createWilayahHistoryTable,
+  createGeolocationKeysTable,
+  addModerationColumns,
+  createModerationRulesTable,
+  createContentVerdictsTable,
+  createBannedWordsTable
 } = require('../utils/dbHelperPg');
+const { lookupLocation } = require('../utils/geolocation');
+const { attachLocationRegions } = require('../utils/locationRegions');
 
 // Create Express app
 const app = express();
@@ -60,6 +85,29 @@ async function ensureDbInitialized() {
       await createStatisticsTable(dbPool);
       await createWilayahTable(dbPool);
       await createApiKeyUsageTable(dbPool);
+      await createPriceHistoryTable(dbPool);
+      await createPriceAlertsTable(dbPool);
+      await createPanganRegionMapTable(dbPool);
+      await createWilayahBoundariesTable(dbPool);
+      await createWilayahCentroidsTable(dbPool);
+      await createUpstreamCacheTable(dbPool);
+      await createWatchlistsTable(dbPool);
+      await createWatchlistNotificationsTable(dbPool);
+      await createWatchlistConfirmationsTable(dbPool);
+      await createCommoditiesTable(dbPool);
+      await createWeatherLocationsTable(dbPool);
+      await createWeatherForecastsTable(dbPool);
+      await createWeatherDailyTable(dbPool);
+      await createAdvisoryRulesTable(dbPool);
+      await createRegionCommoditiesTable(dbPool);
+      await createCropProfilesTable(dbPool);
+      await createWilayahVersionsTable(dbPool);
+      await createWilayahHistoryTable(dbPool);
+      await createGeolocationKeysTable(dbPool);
+      await addModerationColumns(dbPool);
+      await createModerationRulesTable(dbPool);
+      await createContentVerdictsTable(dbPool);
+      await createBannedWordsTable(dbPool);
       
       isInitialized = true;
       console.log('Database initialized for Vercel');
@@ -95,8 +143,6 @@ app.get('/pajar/health', (req, res) => {
 });
 
 // Location endpoint - IP geolocation
-const geoip = require('geoip-lite');
-
 function normalizeIp(value) {
   if (!value) return '';
   let ip = String(value).trim();
@@ -149,95 +195,14 @@ function getClientIp(req) {
   return publicIp || candidates[0] || '';
 }
 
-function getVercelGeo(req) {
-  const h = req.headers;
-  const latitude = parseFloat(h['x-vercel-ip-latitude']);
-  const longitude = parseFloat(h['x-vercel-ip-longitude']);
-
-  const country = h['x-vercel-ip-country'];
-  const region = h['x-vercel-ip-country-region'];
-  const city = h['x-vercel-ip-city'];
-
-  const hasLatLon = Number.isFinite(latitude) && Number.isFinite(longitude);
-  const hasAnyMeta = Boolean(country || region || city);
-
-  if (!hasLatLon && !hasAnyMeta) return null;
-
-  return {
-    source: 'vercel',
-    latitude: hasLatLon ? latitude : null,
-    longitude: hasLatLon ? longitude : null,
-    country: country || null,
-    region: region || null,
-    city: city || null
-  };
-}
-
 app.get(['/pajar/location', '/location'], async (req, res) => {
   let ip = req.query.ip || getClientIp(req);
   if (ip === '::1' || ip === '127.0.0.1') ip = '160.22.134.39';
 
-  // 1) Prefer Vercel geolocation headers when available
-  const vercelGeo = getVercelGeo(req);
-  if (vercelGeo && vercelGeo.latitude != null && vercelGeo.longitude != null) {
-    return res.json({
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: [vercelGeo.longitude, vercelGeo.latitude]
-      },
-      properties: {
-        ip,
-        source: vercelGeo.source,
-        country: vercelGeo.country,
-        region: vercelGeo.region,
-        city: vercelGeo.city
-      }
-    });
-  }
-
-  // 2) Fallback to geoip-lite database
-  const location = geoip.lookup(ip);
-  if (location) {
-    return res.json({
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: [location.ll[1], location.ll[0]]
-      },
-      properties: {
-        ip,
-        source: 'geoip-lite',
-        country: location.country,
-        region: location.region,
-        city: location.city,
-        timezone: location.timezone
-      }
-    });
-  }
-
-  // 3) If we at least have Vercel metadata, return it (without coordinates)
-  if (vercelGeo) {
-    return res.json({
-      type: 'Feature',
-      geometry: null,
-      properties: {
-        ip,
-        source: vercelGeo.source,
-        country: vercelGeo.country,
-        region: vercelGeo.region,
-        city: vercelGeo.city,
-        error: 'Coordinates not available'
-      }
-    });
-  }
-
-  // 4) Nothing available
-  return res.json({
-    type: 'Feature',
-    geometry: null,
-    properties: { ip, source: null, error: 'Location not found' }
-  });
+  // Header geolokasi Vercel hanya menggambarkan IP peminta, bukan ?ip=
+  const { feature, error, status } = await lookupLocation(lazyDb, ip, { headers: req.query.ip ? null : req.headers });
+  if (error) return res.status(status).json({ error });
+  res.json(await attachLocationRegions(lazyDb, feature));
 });
 
 // Root documentation
@@ -261,6 +226,7 @@ app.get(['/', '/pajar', '/api'], (req, res) => {
       events: `${baseUrl}/events/*`,
       pangan: `${baseUrl}/pangan/*`,
       bmkg: `${baseUrl}/bmkg/*`,
+      agri: `${baseUrl}/agri/*`,
       nekolabs: `${baseUrl}/nekolabs/*`
     },
     
@@ -288,6 +254,9 @@ const createEventRoutes = require('../routes/events');
 const createWilayahRoutes = require('../routes/wilayah');
 const createPanganRoutes = require('../routes/pangan');
 const createBmkgRoutes = require('../routes/bmkg');
+const createAgriRoutes = require('../routes/agri');
+const createLocationRoutes = require('../routes/location');
+const createModerationRoutes = require('../routes/moderation');
 
 // Check if nekolabs routes exist
 let createNekolabsRoutes;
@@ -311,11 +280,13 @@ function mountRoutes(basePath, db) {
   app.use(`${basePath}/stats`, createStatsRoutes(db));
   app.use(`${basePath}/events`, createEventRoutes(db));
   app.use(`${basePath}/wilayah`, createWilayahRoutes(db));
+  app.use(`${basePath}/pangan`, createPanganRoutes(db));
+  app.use(`${basePath}/bmkg`, createBmkgRoutes(db));
+  app.use(`${basePath}/agri`, createAgriRoutes(db));
+  app.use(`${basePath}/location`, createLocationRoutes(db));
+  app.use(`${basePath}/moderation`, createModerationRoutes(db));
   
   // Proxy routes (no db needed)
-  app.use(`${basePath}/pangan`, createPanganRoutes());
-  app.use(`${basePath}/bmkg`, createBmkgRoutes());
-  
   if (createNekolabsRoutes) {
     app.use(`${basePath}/nekolabs`, createNekolabsRoutes);
   }
@@ -324,7 +295,10 @@ function mountRoutes(basePath, db) {
 // Lazy DB wrapper so routes can be mounted immediately.
 // This avoids a Vercel/Express pitfall where dynamically mounting routes during
 // a request appends them after the 404 handler, causing false "Not Found".
+// dialect sama dengan pool dari initDatabase dan sudah tersedia sebelum pool dibuat, karena model
+// memilih sintaks query (RETURNING, upsert) sebelum execute pertama.
 const lazyDb = {
+  dialect: DIALECT,
   async execute(query, params = []) {
     const db = await ensureDbInitialized();
     return db.execute(query, params);
@@ -7,6 +7,9 @@ const { Pool } = require('pg');
 let supabase = null;
 let pgPool = null;
 
+// Dipakai model untuk query yang sintaksnya beda per database (RETURNING, upsert); pool mysql2 tidak punya properti ini
+const DIALECT = 'postgres';
+
 // Initialize Supabase client (for Storage, Auth, etc.)
 function initSupabaseClient() {
   const supabaseUrl = process.env.SUPABASE_URL;
@@ -65,6 +68,8 @@ async function initDatabase() {
 
   // Return wrapper compatible with existing mysql2 code
   const poolWrapper = {
+    dialect: DIALECT,
+
     async execute(query, params = []) {
       try {
         // Convert MySQL ? placeholders to PostgreSQL $1, $2, etc.
@@ -177,6 +182,7 @@ async function closePool() {
 }
 
 module.exports = {
+  DIALECT,
   initDatabase,
   getPool,
   getSupabase,
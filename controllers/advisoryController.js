@@ -0,0 +1,162 @@
+const AdvisoryRule = require('../models/AdvisoryRule');
+const { isValidAdm4, getCachedForecast } = require('../utils/bmkgClient');
+const { parseHourlyForecast } = require('../utils/bmkgParser');
+const {
+  ADVISORY_CATEGORIES,
+  ADVISORY_METRICS,
+  DEFAULT_ADVISORY_RULES,
+  evaluateAdvisories,
+  validateRule,
+  loadRules,
+  invalidateRules
+} = require('../utils/weatherAdvisory');
+
+class AdvisoryController {
+  constructor(db) {
+    this.db = db;
+    this.ruleModel = new AdvisoryRule(db);
+  }
+
+  // Saran budidaya dari prakiraan BMKG satu desa/kelurahan (public)
+  async getAdvisory(req, res) {
+    const adm4 = (req.query.adm4 || '').toString().trim();
+    if (!isValidAdm4(adm4)) {
+      return res.status(400).json({ error: 'adm4 parameter is required (e.g. 31.71.01.1001)' });
+    }
+    const { category } = req.query;
+    if (category && !ADVISORY_CATEGORIES[category]) {
+      return res.status(400).json({ error: `category must be one of: ${Object.keys(ADVISORY_CATEGORIES).join(', ')}` });
+    }
+
+    let forecast;
+    try {
+      forecast = parseHourlyForecast(await getCachedForecast({ adm4 }));
+    } catch (error) {
+      console.error('[BMKG] advisory forecast error:', error.message);
+      return res.status(502).json({ error: error.message || 'Gagal memuat prakiraan cuaca' });
+    }
+    if (forecast.rows.length === 0) {
+      return res.status(404).json({ error: 'Forecast not available for this adm4' });
+    }
+
+    try {
+      const { rules, source } = await loadRules(this.db);
+      const selected = category ? rules.filter(rule => rule.category === category) : rules;
+      const rows = forecast.rows.map(row => ({ ...row, adm4_code: adm4 }));
+      const advisories = evaluateAdvisories(rows, selected);
+
+      res.json({
+        adm4_code: adm4,
+        location: forecast.location,
+        generated_at: new Date().toISOString(),
+        forecast_range: { from: rows[0].forecast_local, to: rows[rows.length - 1].forecast_local },
+        rules_source: source,
+        count: advisories.length,
+        advisories
+      });
+    } catch (error) {
+      console.error('Error generating weather advisory:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Daftar aturan beserta metrik/operator yang tersedia untuk editor admin
+  async getRules(req, res) {
+    try {
+      const total = await this.ruleModel.count();
+      const items = total > 0
+        ? await this.ruleModel.getAll({ category: req.query.category })
+        : DEFAULT_ADVISORY_RULES.filter(rule => !req.query.category || rule.category === req.query.category);
+
+      res.json({
+        items,
+        source: total > 0 ? 'database' : 'default',
+        categories: ADVISORY_CATEGORIES,
+        metrics: ADVISORY_METRICS
+      });
+    } catch (error) {
+      console.error('Error fetching advisory rules:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async createRule(req, res) {
+    try {
+      const { data, error } = validateRule(req.body || {});
+      if (error) return res.status(400).json({ error });
+
+      if (await this.ruleModel.getByCode(data.code)) {
+        return res.status(409).json({ error: 'Rule code already exists' });
+      }
+
+      const rule = await this.ruleModel.create(data);
+      invalidateRules();
+      res.status(201).json({ message: 'Advisory rule created successfully', rule });
+    } catch (error) {
+      console.error('Error creating advisory rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateRule(req, res) {
+    try {
+      const existing = await this.ruleModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Advisory rule not found' });
+      }
+
+      const body = req.body || {};
+      // Ganti scope tanpa conditions baru: kondisi lama harus tetap valid untuk scope baru
+      const { data, error } = validateRule(
+        body.scope !== undefined && body.conditions === undefined ? { ...body, conditions: existing.conditions } : body,
+        { partial: true, scope: existing.scope }
+      );
+      if (error) return res.status(400).json({ error });
+      if (data.code && data.code !== existing.code && await this.ruleModel.getByCode(data.code)) {
+        return res.status(409).json({ error: 'Rule code already exists' });
+      }
+
+      const rule = await this.ruleModel.update(existing.id, data);
+      invalidateRules();
+      res.json({ message: 'Advisory rule updated successfully', rule });
+    } catch (error) {
+      console.error('Error updating advisory rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteRule(req, res) {
+    try {
+      const existing = await this.ruleModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Advisory rule not found' });
+      }
+
+      await this.ruleModel.delete(existing.id);
+      invalidateRules();
+      res.json({ message: 'Advisory rule deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting advisory rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Salin aturan bawaan ke tabel agar bisa diedit; kode yang sudah ada dilewati (admin only)
+  async seedRules(req, res) {
+    try {
+      let created = 0;
+      for (const [index, rule] of DEFAULT_ADVISORY_RULES.entries()) {
+        if (await this.ruleModel.getByCode(rule.code)) continue;
+        await this.ruleModel.create({ ...rule, sort_order: index + 1 });
+        created++;
+      }
+      invalidateRules();
+      res.json({ message: 'Advisory rules seeded', created, skipped: DEFAULT_ADVISORY_RULES.length - created });
+    } catch (error) {
+      console.error('Error seeding advisory rules:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = AdvisoryController;
@@ -0,0 +1,174 @@
+const CropProfile = require('../models/CropProfile');
+const WeatherDaily = require('../models/WeatherDaily');
+const { resolveForecastTarget, loadResolvedForecast } = require('../utils/forecastResolver');
+const { todayKey } = require('../utils/weatherHistory');
+const { shiftDateKey } = require('../utils/priceAnalytics');
+const {
+  DEFAULT_CROP_PROFILES,
+  buildPlantingCalendar,
+  validateCropProfile,
+  loadCropProfiles,
+  invalidateCropProfiles
+} = require('../utils/plantingCalendar');
+
+const MAX_WEEKS = 12;
+// Hari prakiraan dengan slot terlalu sedikit (mis. sisa malam hari ini) tidak mewakili satu hari penuh
+const MIN_FORECAST_SLOTS = 4;
+
+class AgriController {
+  constructor(db) {
+    this.db = db;
+    this.cropModel = new CropProfile(db);
+    this.dailyModel = new WeatherDaily(db);
+  }
+
+  // Skor minggu tanam untuk satu tanaman di satu wilayah (public)
+  async getPlantingCalendar(req, res) {
+    const kode = (req.query.kode || '').toString().trim();
+    const crop = (req.query.crop || '').toString().trim().toLowerCase();
+    if (!kode || !crop) {
+      return res.status(400).json({ error: 'kode and crop parameters are required' });
+    }
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks, 10) || 6, 1), MAX_WEEKS);
+
+    try {
+      const { profiles, source } = await loadCropProfiles(this.db);
+      const profile = profiles.find(item => item.code === crop);
+      if (!profile) {
+        return res.status(404).json({ error: 'Crop profile not found', available: profiles.map(item => item.code) });
+      }
+
+      const resolution = await resolveForecastTarget(this.db, { kode });
+      if (resolution.error) return res.status(resolution.status).json({ error: resolution.error });
+
+      const today = todayKey();
+      let forecastDays = [];
+      let forecastError = null;
+      try {
+        const forecast = await loadResolvedForecast(this.db, resolution, { format: 'normalized' });
+        forecastDays = forecast.daily
+          .filter(day => day.date >= today && day.slots >= MIN_FORECAST_SLOTS)
+          .map(day => ({ date: day.date, rain_total: day.rain_total_mm, temp_mean: day.temp_mean_c }));
+      } catch (error) {
+        // BMKG tidak tersedia: kalender tetap dihitung dari riwayat
+        console.error('[AGRI] planting calendar forecast error:', error.message);
+        forecastError = error.message;
+      }
+
+      const historyDays = await this.dailyModel.getRegionAverages(
+        resolution.target.kode,
+        shiftDateKey(today, { years: -1 }),
+        shiftDateKey(today, { days: -1 })
+      );
+      const calendar = buildPlantingCalendar(profile, { forecastDays, historyDays }, { today, weeks });
+
+      res.json({
+        kode: resolution.target.kode,
+        wilayah: {
+          nama: resolution.target.nama,
+          level: resolution.target.level,
+          breadcrumb: resolution.breadcrumb
+        },
+        crop: profile,
+        profiles_source: source,
+        generated_at: new Date().toISOString(),
+        data: {
+          forecast_days: forecastDays.length,
+          forecast_error: forecastError,
+          history_days: historyDays.length,
+          history_locations: historyDays.reduce((max, day) => Math.max(max, day.locations), 0)
+        },
+        ...calendar
+      });
+    } catch (error) {
+      console.error('Error building planting calendar:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async getCrops(req, res) {
+    try {
+      const total = await this.cropModel.count();
+      const items = total > 0 ? await this.cropModel.getAll() : DEFAULT_CROP_PROFILES;
+      res.json({ items, count: items.length, source: total > 0 ? 'database' : 'default' });
+    } catch (error) {
+      console.error('Error fetching crop profiles:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async createCrop(req, res) {
+    try {
+      const { data, error } = validateCropProfile(req.body || {});
+      if (error) return res.status(400).json({ error });
+
+      if (await this.cropModel.getByCode(data.code)) {
+        return res.status(409).json({ error: 'Crop code already exists' });
+      }
+
+      const crop = await this.cropModel.create(data);
+      invalidateCropProfiles();
+      res.status(201).json({ message: 'Crop profile created successfully', crop });
+    } catch (error) {
+      console.error('Error creating crop profile:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateCrop(req, res) {
+    try {
+      const existing = await this.cropModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Crop profile not found' });
+      }
+
+      const { data, error } = validateCropProfile(req.body || {}, { partial: true, existing });
+      if (error) return res.status(400).json({ error });
+      if (data.code && data.code !== existing.code && await this.cropModel.getByCode(data.code)) {
+        return res.status(409).json({ error: 'Crop code already exists' });
+      }
+
+      const crop = await this.cropModel.update(existing.id, data);
+      invalidateCropProfiles();
+      res.json({ message: 'Crop profile updated successfully', crop });
+    } catch (error) {
+      console.error('Error updating crop profile:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteCrop(req, res) {
+    try {
+      const existing = await this.cropModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Crop profile not found' });
+      }
+
+      await this.cropModel.delete(existing.id);
+      invalidateCropProfiles();
+      res.json({ message: 'Crop profile deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting crop profile:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Salin profil bawaan ke tabel agar bisa diedit; kode yang sudah ada dilewati (admin only)
+  async seedCrops(req, res) {
+    try {
+      let created = 0;
+      for (const [index, profile] of DEFAULT_CROP_PROFILES.entries()) {
+        if (await this.cropModel.getByCode(profile.code)) continue;
+        await this.cropModel.create({ ...profile, sort_order: index + 1 });
+        created++;
+      }
+      invalidateCropProfiles();
+      res.json({ message: 'Crop profiles seeded', created, skipped: DEFAULT_CROP_PROFILES.length - created });
+    } catch (error) {
+      console.error('Error seeding crop profiles:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = AgriController;
@@ -1,7 +1,7 @@
 const Article = require('../models/Article');
 const Statistics = require('../models/Statistics');
 const { saveImageRecords, getImagesByEntity } = require('../utils/upload');
-const geoip = require('geoip-lite');
+const { getClientInfo } = require('../utils/clientInfo');
 
 class ArticleController {
   constructor(db) {
@@ -11,38 +11,7 @@ class ArticleController {
 
   // Helper untuk mendapatkan IP dan lokasi dengan fingerprinting yang lebih akurat
   getClientInfo(req) {
-    const xff = (req.headers['x-forwarded-for'] || '')
-      .split(',')
-      .map(s => s.trim())
-      .filter(Boolean);
-    
-    let ip = xff.length ? xff[0] : req.connection?.remoteAddress?.replace('::ffff:', '') || req.ip;
-    if (ip === '::1' || ip === '127.0.0.1') ip = '114.124.188.1'; // fallback for localhost
-    
-    const location = geoip.lookup(ip);
-    
-    // Generate more unique fingerprint
-    const userAgent = req.headers['user-agent'] || 'unknown';
-    const acceptLanguage = req.headers['accept-language'] || '';
-    const acceptEncoding = req.headers['accept-encoding'] || '';
-    const accept = req.headers['accept'] || '';
-    const xForwardedFor = req.headers['x-forwarded-for'] || '';
-    const referer = req.headers['referer'] || '';
-    
-    // Create unique fingerprint combining multiple factors
-    const crypto = require('crypto');
-    const fingerprintData = `${ip}|${userAgent}|${acceptLanguage}|${acceptEncoding}|${accept}|${xForwardedFor}|${referer}`;
-    const fingerprint = crypto.createHash('md5').update(fingerprintData).digest('hex');
-    
-    return {
-      ip,
-      country: location?.country || null,
-      city: location?.city || null,
-      userAgent,
-      fingerprint,
-      acceptLanguage,
-      acceptEncoding
-    };
+    return getClientInfo(req);
   }
 
   // Membuat article baru (admin only)
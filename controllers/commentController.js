@@ -1,10 +1,15 @@
 const Comment = require('../models/Comment');
+const Post = require('../models/Post');
 const Statistics = require('../models/Statistics');
 const { saveImageRecords } = require('../utils/upload');
+const { moderateSubmission } = require('../utils/moderation');
+const { saveVerdict } = require('../utils/contentFilter');
+const { getClientInfo } = require('../utils/clientInfo');
 
 class CommentController {
   constructor(db) {
     this.commentModel = new Comment(db);
+    this.postModel = new Post(db);
     this.statisticsModel = new Statistics(db);
   }
 
@@ -21,7 +26,31 @@ class CommentController {
         });
       }
       
-      const commentId = await this.commentModel.create({ post_id, author, content });
+      // Hanya post yang sudah disetujui yang bisa dikomentari
+      const post = await this.postModel.getById(post_id);
+      if (!post) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      const clientInfo = getClientInfo(req);
+      const moderation = await moderateSubmission(req.db, {
+        type: 'comment',
+        author,
+        content,
+        imageCount: req.files ? req.files.length : 0
+      }, clientInfo);
+      if (moderation.throttle) {
+        res.set('Retry-After', String(moderation.throttle.retryAfter));
+        return res.status(429).json({ error: 'Too many submissions, please try again later' });
+      }
+      const commentId = await this.commentModel.create({
+        post_id,
+        author,
+        content,
+        moderation_status: moderation.status,
+        moderation_reason: moderation.reason
+      });
+      await saveVerdict(req.db, moderation.verdict, { type: 'comment', contentId: commentId, author, clientInfo });
 
       // Handle image uploads if present
       let images = [];
@@ -30,8 +59,9 @@ class CommentController {
       }
 
       res.status(201).json({ 
-        message: 'Comment created successfully', 
+        message: moderation.status === 'approved' ? 'Comment created successfully' : 'Comment submitted for review', 
         commentId,
+        moderation_status: moderation.status,
         images: images.length
       });
     } catch (error) {
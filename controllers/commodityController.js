@@ -0,0 +1,165 @@
+const Commodity = require('../models/Commodity');
+const {
+  COMMODITY_CATEGORIES,
+  DEFAULT_COMMODITIES,
+  slugify,
+  normalizeUnit,
+  invalidateCatalog
+} = require('../utils/commodityCatalog');
+
+class CommodityController {
+  constructor(db) {
+    this.commodityModel = new Commodity(db);
+  }
+
+  // Helper: validasi dan normalisasi body create/update
+  parseBody(body, { partial = false } = {}) {
+    const data = {};
+    if (body.name_id !== undefined || !partial) {
+      const nameId = (body.name_id || '').toString().trim();
+      if (!nameId) return { error: 'name_id is required' };
+      data.name_id = nameId;
+    }
+    if (body.slug !== undefined || !partial) {
+      data.slug = slugify(body.slug || data.name_id);
+      if (!data.slug) return { error: 'slug is invalid' };
+    }
+    if (body.category !== undefined || !partial) {
+      data.category = body.category || 'lainnya';
+      if (!COMMODITY_CATEGORIES[data.category]) {
+        return { error: `category must be one of: ${Object.keys(COMMODITY_CATEGORIES).join(', ')}` };
+      }
+    }
+    if (body.unit !== undefined || !partial) {
+      data.unit = normalizeUnit(body.unit || 'kg');
+    }
+    if (body.aliases !== undefined) {
+      if (!Array.isArray(body.aliases) || body.aliases.some(a => typeof a !== 'string')) {
+        return { error: 'aliases must be an array of strings' };
+      }
+      data.aliases = body.aliases.map(a => a.trim()).filter(Boolean);
+    }
+    if (body.name_en !== undefined) data.name_en = body.name_en || null;
+    if (body.upstream_id !== undefined) data.upstream_id = body.upstream_id ? String(body.upstream_id) : null;
+    if (body.sort_order !== undefined) data.sort_order = parseInt(body.sort_order, 10) || 0;
+    if (body.is_active !== undefined) data.is_active = Boolean(body.is_active);
+    return { data };
+  }
+
+  // Daftar komoditas untuk filter UI (public)
+  async getCommodities(req, res) {
+    try {
+      const { category } = req.query;
+      if (category && !COMMODITY_CATEGORIES[category]) {
+        return res.status(400).json({ error: `category must be one of: ${Object.keys(COMMODITY_CATEGORIES).join(', ')}` });
+      }
+
+      const items = await this.commodityModel.getAll({
+        category,
+        search: (req.query.q || '').trim() || undefined,
+        activeOnly: req.query.include_inactive !== 'true'
+      });
+      const categories = Object.entries(COMMODITY_CATEGORIES).map(([key, label]) => ({
+        key,
+        label,
+        count: items.filter(item => item.category === key).length
+      }));
+
+      res.json({ items, categories, count: items.length });
+    } catch (error) {
+      console.error('Error fetching commodities:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async getCommodity(req, res) {
+    try {
+      const { idOrSlug } = req.params;
+      const commodity = /^\d+$/.test(idOrSlug)
+        ? await this.commodityModel.getById(idOrSlug)
+        : await this.commodityModel.getBySlug(idOrSlug);
+      if (!commodity) {
+        return res.status(404).json({ error: 'Commodity not found' });
+      }
+      res.json(commodity);
+    } catch (error) {
+      console.error('Error fetching commodity:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async createCommodity(req, res) {
+    try {
+      const { data, error } = this.parseBody(req.body || {});
+      if (error) return res.status(400).json({ error });
+
+      if (await this.commodityModel.getBySlug(data.slug)) {
+        return res.status(409).json({ error: 'Commodity slug already exists' });
+      }
+
+      const commodity = await this.commodityModel.create(data);
+      invalidateCatalog();
+      res.status(201).json({ message: 'Commodity created successfully', commodity });
+    } catch (error) {
+      console.error('Error creating commodity:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateCommodity(req, res) {
+    try {
+      const existing = await this.commodityModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Commodity not found' });
+      }
+
+      const { data, error } = this.parseBody(req.body || {}, { partial: true });
+      if (error) return res.status(400).json({ error });
+      if (data.slug && data.slug !== existing.slug && await this.commodityModel.getBySlug(data.slug)) {
+        return res.status(409).json({ error: 'Commodity slug already exists' });
+      }
+
+      const commodity = await this.commodityModel.update(existing.id, data);
+      invalidateCatalog();
+      res.json({ message: 'Commodity updated successfully', commodity });
+    } catch (error) {
+      console.error('Error updating commodity:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteCommodity(req, res) {
+    try {
+      const existing = await this.commodityModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Commodity not found' });
+      }
+
+      await this.commodityModel.delete(existing.id);
+      invalidateCatalog();
+      res.json({ message: 'Commodity deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting commodity:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Isi katalog dengan daftar bawaan; slug yang sudah ada dilewati (admin only)
+  async seedCommodities(req, res) {
+    try {
+      let created = 0;
+      for (const [index, entry] of DEFAULT_COMMODITIES.entries()) {
+        if (await this.commodityModel.getBySlug(entry.slug)) continue;
+        await this.commodityModel.create({ ...entry, sort_order: index + 1 });
+        created++;
+      }
+      invalidateCatalog();
+      res.json({ message: 'Commodity catalog seeded', created, skipped: DEFAULT_COMMODITIES.length - created });
+    } catch (error) {
+      console.error('Error seeding commodities:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = CommodityController;
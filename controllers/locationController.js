@@ -0,0 +1,138 @@
+const GeolocationKey = require('../models/GeolocationKey');
+const {
+  keyId,
+  maskApiKey,
+  getProviderStatus,
+  invalidateApiKeys,
+  clearLocationCache
+} = require('../utils/geolocation');
+
+// Provider yang memakai API key (provider lain tidak perlu key)
+const KEYED_PROVIDERS = ['ipgeolocation'];
+
+function validateKey(body, { partial = false } = {}) {
+  const data = {};
+  if (!partial || body.provider !== undefined) {
+    if (!KEYED_PROVIDERS.includes(body.provider)) {
+      return { error: `provider must be one of: ${KEYED_PROVIDERS.join(', ')}` };
+    }
+    data.provider = body.provider;
+  }
+  if (!partial || body.api_key !== undefined) {
+    const apiKey = typeof body.api_key === 'string' ? body.api_key.trim() : '';
+    if (!apiKey || apiKey.length > 255) return { error: 'api_key is required (max 255 characters)' };
+    data.api_key = apiKey;
+  }
+  if (body.label !== undefined) {
+    if (body.label !== null && (typeof body.label !== 'string' || body.label.length > 100)) {
+      return { error: 'label must be a string (max 100 characters)' };
+    }
+    data.label = body.label || null;
+  }
+  if (body.daily_limit !== undefined) {
+    const limit = body.daily_limit === null ? null : Number(body.daily_limit);
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+      return { error: 'daily_limit must be a non-negative integer or null' };
+    }
+    data.daily_limit = limit;
+  }
+  if (body.is_active !== undefined) data.is_active = Boolean(body.is_active);
+  return { data };
+}
+
+// Nilai key tidak pernah dikirim balik; cukup id (sama dengan api_key di api_key_usage) dan versi tersamar
+function toPublicKey(row) {
+  const { api_key: apiKey, ...rest } = row;
+  return { ...rest, key_id: keyId(row.provider, apiKey), masked_key: maskApiKey(apiKey) };
+}
+
+class LocationController {
+  constructor(db) {
+    this.db = db;
+    this.keyModel = new GeolocationKey(db);
+  }
+
+  async getProviders(req, res) {
+    try {
+      res.json(await getProviderStatus(this.db));
+    } catch (error) {
+      console.error('Error fetching geolocation providers:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async getKeys(req, res) {
+    try {
+      const items = (await this.keyModel.getAll({ provider: req.query.provider || null })).map(toPublicKey);
+      res.json({ items, count: items.length });
+    } catch (error) {
+      console.error('Error fetching geolocation keys:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async createKey(req, res) {
+    try {
+      const { data, error } = validateKey(req.body || {});
+      if (error) return res.status(400).json({ error });
+
+      if (await this.keyModel.findByKey(data.provider, data.api_key)) {
+        return res.status(409).json({ error: 'API key already exists' });
+      }
+
+      const key = await this.keyModel.create(data);
+      invalidateApiKeys();
+      res.status(201).json({ message: 'API key created successfully', key: toPublicKey(key) });
+    } catch (error) {
+      console.error('Error creating geolocation key:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateKey(req, res) {
+    try {
+      const existing = await this.keyModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      const { data, error } = validateKey(req.body || {}, { partial: true });
+      if (error) return res.status(400).json({ error });
+      const provider = data.provider || existing.provider;
+      const apiKey = data.api_key || existing.api_key;
+      const duplicate = await this.keyModel.findByKey(provider, apiKey);
+      if (duplicate && duplicate.id !== existing.id) {
+        return res.status(409).json({ error: 'API key already exists' });
+      }
+
+      const key = await this.keyModel.update(existing.id, data);
+      invalidateApiKeys();
+      res.json({ message: 'API key updated successfully', key: toPublicKey(key) });
+    } catch (error) {
+      console.error('Error updating geolocation key:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteKey(req, res) {
+    try {
+      const existing = await this.keyModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+
+      await this.keyModel.delete(existing.id);
+      invalidateApiKeys();
+      res.json({ message: 'API key deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting geolocation key:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async clearCache(req, res) {
+    res.json({ message: 'Location cache cleared', cleared: clearLocationCache() });
+  }
+}
+
+module.exports = LocationController;
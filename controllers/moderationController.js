@@ -0,0 +1,366 @@
+const ModerationRule = require('../models/ModerationRule');
+const ModerationQueue = require('../models/ModerationQueue');
+const ContentVerdict = require('../models/ContentVerdict');
+const BannedWord = require('../models/BannedWord');
+const {
+  MODERATION_STATUSES,
+  CONTENT_TYPES,
+  RULE_ACTIONS,
+  MODERATION_METRICS,
+  DEFAULT_MODERATION_RULES,
+  DEFAULT_STATUS,
+  validateRule,
+  invalidateRules
+} = require('../utils/moderation');
+const {
+  WORD_CATEGORIES,
+  DEFAULT_BANNED_WORDS,
+  HOLD_SCORE,
+  REJECT_SCORE,
+  getFilterChain,
+  validateBannedWord,
+  invalidateBannedWords
+} = require('../utils/contentFilter');
+
+const MAX_BULK_ITEMS = 100;
+
+// items: [{ type: 'post' | 'comment', id }] -> { post: [id...], comment: [id...] }
+function validateItems(items) {
+  if (!Array.isArray(items) || items.length === 0 || items.length > MAX_BULK_ITEMS) {
+    return { error: `items must be an array of 1-${MAX_BULK_ITEMS} { type, id } objects` };
+  }
+  const grouped = Object.fromEntries(CONTENT_TYPES.map(type => [type, []]));
+  for (const item of items) {
+    const id = Number(item?.id);
+    if (!CONTENT_TYPES.includes(item?.type) || !Number.isInteger(id) || id <= 0) {
+      return { error: `each item needs type (${CONTENT_TYPES.join(' or ')}) and a positive integer id` };
+    }
+    if (!grouped[item.type].includes(id)) grouped[item.type].push(id);
+  }
+  return { data: grouped };
+}
+
+class ModerationController {
+  constructor(db) {
+    this.db = db;
+    this.queueModel = new ModerationQueue(db);
+    this.ruleModel = new ModerationRule(db);
+    this.verdictModel = new ContentVerdict(db);
+    this.wordModel = new BannedWord(db);
+  }
+
+  // Antrian moderasi (default: pending + flagged), terlama lebih dulu
+  async getQueue(req, res) {
+    try {
+      const { type } = req.query;
+      if (type && !CONTENT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${CONTENT_TYPES.join(', ')}` });
+      }
+      const statuses = (req.query.status || 'pending,flagged').split(',').map(s => s.trim()).filter(Boolean);
+      const invalid = statuses.find(status => !MODERATION_STATUSES.includes(status));
+      if (invalid || statuses.length === 0) {
+        return res.status(400).json({ error: `status must be a comma separated list of: ${MODERATION_STATUSES.join(', ')}` });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const offset = (page - 1) * limit;
+      const types = type ? [type] : CONTENT_TYPES;
+
+      const [items, counts] = await Promise.all([
+        this.queueModel.getItems({ types, statuses, limit, offset }),
+        this.queueModel.countByStatus()
+      ]);
+      // Verdict filter konten terakhir: skor dan alasan per filter
+      for (const item of items) {
+        item.filter_verdict = await this.verdictModel.getLatestFor(item.type, item.id);
+      }
+
+      const totalItems = types.reduce(
+        (sum, t) => sum + statuses.reduce((subtotal, status) => subtotal + (counts[t][status] || 0), 0),
+        0
+      );
+      const totalPages = Math.ceil(totalItems / limit);
+
+      res.json({
+        items,
+        counts,
+        pagination: {
+          currentPage: page,
+          limit,
+          totalItems,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching moderation queue:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async approveItems(req, res) {
+    return this.decide(req, res, 'approved');
+  }
+
+  async rejectItems(req, res) {
+    return this.decide(req, res, 'rejected');
+  }
+
+  // Keputusan massal; alasan wajib untuk penolakan
+  async decide(req, res, status) {
+    try {
+      const { items, reason } = req.body || {};
+      const { data: grouped, error } = validateItems(items);
+      if (error) return res.status(400).json({ error });
+
+      const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+      if (status === 'rejected' && !trimmedReason) {
+        return res.status(400).json({ error: 'reason is required when rejecting' });
+      }
+      if (trimmedReason.length > 500) {
+        return res.status(400).json({ error: 'reason must be at most 500 characters' });
+      }
+
+      const updated = [];
+      const notFound = [];
+      for (const [type, ids] of Object.entries(grouped)) {
+        const found = await this.queueModel.setStatus(type, ids, {
+          status,
+          reason: trimmedReason || null,
+          moderatedBy: req.user?.username || null
+        });
+        for (const id of ids) {
+          (found.includes(id) ? updated : notFound).push({ type, id });
+        }
+      }
+
+      res.json({
+        message: `${updated.length} item(s) ${status}`,
+        moderation_status: status,
+        updated,
+        not_found: notFound
+      });
+    } catch (error) {
+      console.error(`Error updating moderation status (${status}):`, error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Riwayat verdict filter konten, termasuk kiriman yang ditolak karena batas kiriman (decision throttled)
+  async getVerdicts(req, res) {
+    try {
+      const { type, id, fingerprint, decision } = req.query;
+      if (type && !CONTENT_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${CONTENT_TYPES.join(', ')}` });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = parseInt(req.query.offset) || 0;
+
+      const items = await this.verdictModel.getAll({
+        contentType: type,
+        contentId: id ? parseInt(id, 10) : null,
+        fingerprint,
+        decision,
+        limit,
+        offset
+      });
+      res.json({
+        items,
+        filters: getFilterChain(),
+        thresholds: { flagged: HOLD_SCORE, rejected: REJECT_SCORE },
+        pagination: { limit, offset, count: items.length }
+      });
+    } catch (error) {
+      console.error('Error fetching content filter verdicts:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Daftar kata terlarang filter konten
+  async getBannedWords(req, res) {
+    try {
+      const { category } = req.query;
+      const total = await this.wordModel.count();
+      const items = total > 0
+        ? await this.wordModel.getAll({ category })
+        : DEFAULT_BANNED_WORDS.filter(word => !category || word.category === category);
+
+      res.json({ items, source: total > 0 ? 'database' : 'default', categories: WORD_CATEGORIES });
+    } catch (error) {
+      console.error('Error fetching banned words:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async createBannedWord(req, res) {
+    try {
+      const { data, error } = validateBannedWord(req.body || {});
+      if (error) return res.status(400).json({ error });
+
+      if (await this.wordModel.getByWord(data.word)) {
+        return res.status(409).json({ error: 'Banned word already exists' });
+      }
+
+      const word = await this.wordModel.create(data);
+      invalidateBannedWords();
+      res.status(201).json({ message: 'Banned word created successfully', word });
+    } catch (error) {
+      console.error('Error creating banned word:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateBannedWord(req, res) {
+    try {
+      const existing = await this.wordModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Banned word not found' });
+      }
+
+      const { data, error } = validateBannedWord(req.body || {}, { partial: true });
+      if (error) return res.status(400).json({ error });
+      if (data.word && data.word !== existing.word && await this.wordModel.getByWord(data.word)) {
+        return res.status(409).json({ error: 'Banned word already exists' });
+      }
+
+      const word = await this.wordModel.update(existing.id, data);
+      invalidateBannedWords();
+      res.json({ message: 'Banned word updated successfully', word });
+    } catch (error) {
+      console.error('Error updating banned word:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteBannedWord(req, res) {
+    try {
+      const existing = await this.wordModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Banned word not found' });
+      }
+
+      await this.wordModel.delete(existing.id);
+      invalidateBannedWords();
+      res.json({ message: 'Banned word deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting banned word:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Salin daftar bawaan ke tabel agar bisa diedit; kata yang sudah ada dilewati
+  async seedBannedWords(req, res) {
+    try {
+      let created = 0;
+      for (const word of DEFAULT_BANNED_WORDS) {
+        if (await this.wordModel.getByWord(word.word)) continue;
+        await this.wordModel.create(word);
+        created++;
+      }
+      invalidateBannedWords();
+      res.json({ message: 'Banned words seeded', created, skipped: DEFAULT_BANNED_WORDS.length - created });
+    } catch (error) {
+      console.error('Error seeding banned words:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Daftar aturan beserta metrik/aksi yang tersedia untuk editor admin
+  async getRules(req, res) {
+    try {
+      const { content_type: contentType } = req.query;
+      const total = await this.ruleModel.count();
+      const items = total > 0
+        ? await this.ruleModel.getAll({ contentType })
+        : DEFAULT_MODERATION_RULES.filter(rule => !contentType || [contentType, 'all'].includes(rule.content_type));
+
+      res.json({
+        items,
+        source: total > 0 ? 'database' : 'default',
+        default_status: DEFAULT_STATUS,
+        actions: RULE_ACTIONS,
+        metrics: MODERATION_METRICS
+      });
+    } catch (error) {
+      console.error('Error fetching moderation rules:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async createRule(req, res) {
+    try {
+      const { data, error } = validateRule(req.body || {});
+      if (error) return res.status(400).json({ error });
+
+      if (await this.ruleModel.getByCode(data.code)) {
+        return res.status(409).json({ error: 'Rule code already exists' });
+      }
+
+      const rule = await this.ruleModel.create(data);
+      invalidateRules();
+      res.status(201).json({ message: 'Moderation rule created successfully', rule });
+    } catch (error) {
+      console.error('Error creating moderation rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateRule(req, res) {
+    try {
+      const existing = await this.ruleModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Moderation rule not found' });
+      }
+
+      const { data, error } = validateRule(req.body || {}, { partial: true });
+      if (error) return res.status(400).json({ error });
+      if (data.code && data.code !== existing.code && await this.ruleModel.getByCode(data.code)) {
+        return res.status(409).json({ error: 'Rule code already exists' });
+      }
+
+      const rule = await this.ruleModel.update(existing.id, data);
+      invalidateRules();
+      res.json({ message: 'Moderation rule updated successfully', rule });
+    } catch (error) {
+      console.error('Error updating moderation rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteRule(req, res) {
+    try {
+      const existing = await this.ruleModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Moderation rule not found' });
+      }
+
+      await this.ruleModel.delete(existing.id);
+      invalidateRules();
+      res.json({ message: 'Moderation rule deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting moderation rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Salin aturan bawaan ke tabel agar bisa diedit; kode yang sudah ada dilewati
+  async seedRules(req, res) {
+    try {
+      let created = 0;
+      for (const [index, rule] of DEFAULT_MODERATION_RULES.entries()) {
+        if (await this.ruleModel.getByCode(rule.code)) continue;
+        await this.ruleModel.create({ ...rule, sort_order: index + 1 });
+        created++;
+      }
+      invalidateRules();
+      res.json({ message: 'Moderation rules seeded', created, skipped: DEFAULT_MODERATION_RULES.length - created });
+    } catch (error) {
+      console.error('Error seeding moderation rules:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = ModerationController;
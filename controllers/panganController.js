@@ -0,0 +1,630 @@
+const PriceHistory = require('../models/PriceHistory');
+const PriceAlert = require('../models/PriceAlert');
+const PanganRegion = require('../models/PanganRegion');
+const WilayahBoundary = require('../models/WilayahBoundary');
+const Wilayah = require('../models/Wilayah');
+const { collectPriceSnapshots } = require('../utils/panganCollector');
+const { detectPriceAnomalies } = require('../utils/priceAnomaly');
+const { evaluateWatchlists } = require('../utils/watchlistEvaluator');
+const { syncRegionMappings } = require('../utils/panganRegions');
+const { forecastSeries, FORECAST_MIN_OBSERVATIONS } = require('../utils/priceForecast');
+const { EXPORT_FORMATS, resolveExportOptions, createExportWriter } = require('../utils/priceExport');
+const {
+  FANOUT_CONCURRENCY,
+  DEFAULT_LEVEL_HARGA_ID,
+  getCachedPrices,
+  mapWithConcurrency,
+  findCommodity,
+  normalizePriceItem,
+  toWibDateKey
+} = require('../utils/panganClient');
+const {
+  COMPARISON_PERIODS,
+  shiftDateKey,
+  resolveThresholds,
+  computeChange,
+  summarizeDisparity,
+  seriesKey
+} = require('../utils/priceAnalytics');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ALERT_SEVERITIES = ['low', 'medium', 'high'];
+const ALERT_STATUSES = ['open', 'acknowledged'];
+const REGION_LEVELS = ['provinsi', 'kabkota'];
+const FORECAST_DAYS = { min: 7, max: 30, default: 7 };
+// Panjang riwayat yang dipakai untuk melatih model forecast
+const FORECAST_HISTORY_DAYS = parseInt(process.env.PANGAN_FORECAST_HISTORY_DAYS, 10) || 180;
+const EXPORT_SOURCES = ['history', 'live'];
+const EXPORT_BATCH_SIZE = 1000;
+const EXPORT_MAX_ROWS = parseInt(process.env.PANGAN_EXPORT_MAX_ROWS, 10) || 100000;
+// Toleransi hari kosong (mis. hari libur) saat mencari harga pembanding
+const REFERENCE_TOLERANCE_DAYS = parseInt(process.env.PANGAN_REFERENCE_TOLERANCE_DAYS, 10) || 3;
+
+class PanganController {
+  constructor(db) {
+    this.db = db;
+    this.priceModel = new PriceHistory(db);
+    this.alertModel = new PriceAlert(db);
+    this.regionModel = new PanganRegion(db);
+    this.boundaryModel = new WilayahBoundary(db);
+    this.wilayahModel = new Wilayah(db);
+  }
+
+  // Helper: ubah query string menjadi filter model riwayat harga
+  parseHistoryFilters(query) {
+    const filters = {};
+    const commodity = (query.commodity || query.commodity_id || '').toString().trim();
+    if (commodity) {
+      if (/^\d+$/.test(commodity)) filters.commodity_id = commodity;
+      else filters.commodity_name = commodity;
+    }
+    if (query.province_id !== undefined) filters.province_id = query.province_id;
+    if (query.city_id !== undefined) filters.city_id = query.city_id;
+    if (query.region_level) filters.region_level = query.region_level;
+    if (query.level_harga_id) filters.level_harga_id = query.level_harga_id;
+
+    const to = query.to || toWibDateKey();
+    const from = query.from || toWibDateKey(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return { error: 'from and to must use YYYY-MM-DD format' };
+    }
+    if (from > to) {
+      return { error: 'from must be earlier than or equal to to' };
+    }
+    filters.from = from;
+    filters.to = to;
+
+    return { filters };
+  }
+
+  // Helper: region (kode wilayah) -> ID provinsi/kota Badan Pangan lewat pangan_region_map.
+  // Tanpa region, pakai province_id/city_id dari query apa adanya.
+  async resolveRegion(query) {
+    if (!query.region) {
+      return { province_id: query.province_id, city_id: query.city_id, name: null };
+    }
+    const mapping = await this.regionModel.findByWilayahKode(query.region);
+    if (!mapping) return null;
+    return { province_id: mapping.pangan_province_id, city_id: mapping.pangan_city_id, name: mapping.pangan_name };
+  }
+
+  // Riwayat harga (public) untuk grafik tren dashboard
+  async getHistory(req, res) {
+    try {
+      const { filters, error } = this.parseHistoryFilters(req.query);
+      if (error) return res.status(400).json({ error });
+
+      const limit = Math.min(5000, Math.max(1, parseInt(req.query.limit, 10) || 1000));
+      const items = await this.priceModel.getHistory(filters, limit);
+
+      res.json({
+        items,
+        filters,
+        count: items.length,
+        limit
+      });
+    } catch (error) {
+      console.error('Error fetching price history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Perubahan harga harian/mingguan/bulanan/tahunan per komoditas dan wilayah (public)
+  async getChanges(req, res) {
+    try {
+      const { filters, error } = this.parseHistoryFilters(req.query);
+      if (error) return res.status(400).json({ error });
+      delete filters.from;
+      delete filters.to;
+
+      if (req.query.date && !DATE_PATTERN.test(req.query.date)) {
+        return res.status(400).json({ error: 'date must use YYYY-MM-DD format' });
+      }
+      const thresholds = resolveThresholds(req.query);
+      const date = req.query.date || await this.priceModel.getLatestDate(filters);
+      if (!date) {
+        return res.json({ date: null, thresholds, count: 0, items: [] });
+      }
+
+      const current = await this.priceModel.getLatestPerSeries({ ...filters, from: date, to: date });
+
+      const references = {};
+      for (const [period, offset] of Object.entries(COMPARISON_PERIODS)) {
+        const referenceDate = shiftDateKey(date, offset);
+        references[period] = await this.priceModel.getLatestPerSeries({
+          ...filters,
+          from: shiftDateKey(referenceDate, { days: -REFERENCE_TOLERANCE_DAYS }),
+          to: referenceDate
+        });
+      }
+
+      const items = [];
+      for (const [key, row] of current) {
+        const changes = {};
+        for (const period of Object.keys(COMPARISON_PERIODS)) {
+          changes[period] = computeChange(row.price, references[period].get(key), thresholds);
+        }
+        items.push({
+          ...row,
+          status: changes.day.status || 'stabil',
+          changes
+        });
+      }
+
+      res.json({
+        date,
+        thresholds,
+        count: items.length,
+        items
+      });
+    } catch (error) {
+      console.error('Error computing price changes:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Daftar alert lonjakan harga (public) dengan filter severity dan wilayah
+  async getAlerts(req, res) {
+    try {
+      const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+      const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+      const offset = (page - 1) * limit;
+
+      const severity = (req.query.severity || '')
+        .split(',')
+        .map(s => s.trim().toLowerCase())
+        .filter(Boolean);
+      if (severity.some(s => !ALERT_SEVERITIES.includes(s))) {
+        return res.status(400).json({ error: `severity must be one of: ${ALERT_SEVERITIES.join(', ')}` });
+      }
+      if (req.query.status && !ALERT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${ALERT_STATUSES.join(', ')}` });
+      }
+      for (const key of ['from', 'to']) {
+        if (req.query[key] && !DATE_PATTERN.test(req.query[key])) {
+          return res.status(400).json({ error: `${key} must use YYYY-MM-DD format` });
+        }
+      }
+
+      const filters = {
+        severity,
+        status: req.query.status,
+        commodity_id: req.query.commodity_id || req.query.commodity,
+        province_id: req.query.province_id,
+        city_id: req.query.city_id,
+        from: req.query.from,
+        to: req.query.to
+      };
+
+      const [alerts, totalCount] = await Promise.all([
+        this.alertModel.getAll(filters, limit, offset),
+        this.alertModel.getTotalCount(filters)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+      const hasNext = page < totalPages;
+      const hasPrev = page > 1;
+
+      res.json({
+        alerts,
+        pagination: {
+          currentPage: page,
+          limit,
+          totalItems: totalCount,
+          totalPages,
+          hasNext,
+          hasPrev,
+          nextPage: hasNext ? page + 1 : null,
+          prevPage: hasPrev ? page - 1 : null
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching price alerts:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Tandai alert sudah ditindaklanjuti (admin only)
+  async acknowledgeAlert(req, res) {
+    try {
+      const { id } = req.params;
+      const alert = await this.alertModel.getById(id);
+      if (!alert) {
+        return res.status(404).json({ error: 'Alert not found' });
+      }
+
+      const note = req.body?.note || null;
+      const updated = await this.alertModel.acknowledge(id, req.user.username, note);
+
+      res.json({
+        message: 'Alert acknowledged successfully',
+        alert: updated
+      });
+    } catch (error) {
+      console.error('Error acknowledging price alert:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Jalankan deteksi anomali secara manual (admin only)
+  async detectAlerts(req, res) {
+    try {
+      const date = req.body?.date;
+      if (date && !DATE_PATTERN.test(date)) {
+        return res.status(400).json({ error: 'date must use YYYY-MM-DD format' });
+      }
+
+      const { alerts, ...summary } = await detectPriceAnomalies(this.db, date ? { date } : {});
+      res.json({
+        message: 'Anomaly detection completed',
+        ...summary,
+        alerts
+      });
+    } catch (error) {
+      console.error('Error detecting price anomalies:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Jalankan collector secara manual (admin only) untuk deployment tanpa cron
+  async collectHistory(req, res) {
+    try {
+      const { levels, province_ids, include_cities } = req.body || {};
+      const summary = await collectPriceSnapshots(this.db, {
+        levels,
+        provinceIds: province_ids,
+        includeCities: include_cities
+      });
+      const { snapshots, ...result } = summary;
+      const watchlists = await evaluateWatchlists(this.db, { snapshots });
+
+      res.json({
+        message: 'Price snapshots collected',
+        ...result,
+        watchlists
+      });
+    } catch (error) {
+      console.error('Error collecting price snapshots:', error);
+      res.status(502).json({ error: error.message || 'Gagal mengumpulkan data harga pangan' });
+    }
+  }
+
+  // Ramalan harga 7-30 hari ke depan dari riwayat tersimpan (public)
+  async getForecast(req, res) {
+    try {
+      const commodity = (req.query.commodity || '').toString().trim();
+      if (!commodity) {
+        return res.status(400).json({ error: 'commodity is required' });
+      }
+      const days = req.query.days === undefined ? FORECAST_DAYS.default : Number(req.query.days);
+      if (!Number.isInteger(days) || days < FORECAST_DAYS.min || days > FORECAST_DAYS.max) {
+        return res.status(400).json({ error: `days must be an integer between ${FORECAST_DAYS.min} and ${FORECAST_DAYS.max}` });
+      }
+
+      // Tanpa region/province_id = harga nasional
+      const region = await this.resolveRegion(req.query);
+      if (!region) {
+        return res.status(404).json({ error: 'Region is not mapped to a Badan Pangan region' });
+      }
+
+      const to = toWibDateKey();
+      const filters = {
+        province_id: region.province_id || '',
+        city_id: region.city_id || '',
+        level_harga_id: req.query.level_harga_id || DEFAULT_LEVEL_HARGA_ID,
+        from: shiftDateKey(to, { days: -FORECAST_HISTORY_DAYS }),
+        to
+      };
+      if (/^\d+$/.test(commodity)) filters.commodity_id = commodity;
+      else filters.commodity_name = commodity;
+
+      const rows = await this.priceModel.getHistory(filters, FORECAST_HISTORY_DAYS * 5);
+
+      // Nama komoditas bisa cocok ke beberapa deret; pakai deret dengan data terbanyak
+      const seriesMap = new Map();
+      for (const row of rows) {
+        const key = seriesKey(row);
+        if (!seriesMap.has(key)) seriesMap.set(key, []);
+        seriesMap.get(key).push(row);
+      }
+      const series = [...seriesMap.values()].sort((a, b) => b.length - a.length)[0] || [];
+
+      const result = forecastSeries(series, days);
+      if (!result) {
+        return res.status(422).json({
+          error: `Not enough price history to forecast (need at least ${FORECAST_MIN_OBSERVATIONS} days)`,
+          observations: series.length
+        });
+      }
+
+      const latest = series[series.length - 1];
+      res.json({
+        commodity: { id: latest.commodity_id, name: latest.commodity_name, unit: latest.unit || null },
+        region: {
+          kode: req.query.region || null,
+          name: region.name || latest.region_name,
+          province_id: latest.province_id,
+          city_id: latest.city_id,
+          level_harga_id: latest.level_harga_id
+        },
+        days,
+        ...result
+      });
+    } catch (error) {
+      console.error('Error forecasting price:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Unduh data harga (riwayat atau live) sebagai csv/xlsx/json, ditulis bertahap ke response
+  async exportPrices(req, res) {
+    const format = req.query.format || 'csv';
+    const source = req.query.source || 'history';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    if (!EXPORT_SOURCES.includes(source)) {
+      return res.status(400).json({ error: `source must be one of: ${EXPORT_SOURCES.join(', ')}` });
+    }
+
+    try {
+      const region = await this.resolveRegion(req.query);
+      if (!region) {
+        return res.status(404).json({ error: 'Region is not mapped to a Badan Pangan region' });
+      }
+      const { filters, error } = this.parseHistoryFilters({
+        ...req.query,
+        province_id: region.province_id,
+        city_id: region.city_id
+      });
+      if (error) return res.status(400).json({ error });
+
+      // Data live diambil lebih dulu supaya error upstream masih bisa dikirim sebagai JSON
+      const liveRows = source === 'live' ? await this.fetchLiveRows(filters, region) : null;
+
+      const filename = `harga-pangan-${source}-${source === 'live' ? toWibDateKey() : `${filters.from}_${filters.to}`}.${EXPORT_FORMATS[format].extension}`;
+      res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      const writer = createExportWriter(format, res, resolveExportOptions(req.query));
+      await writer.start();
+      if (liveRows) {
+        for (const row of liveRows) await writer.write(row);
+      } else {
+        for (let offset = 0; offset < EXPORT_MAX_ROWS; offset += EXPORT_BATCH_SIZE) {
+          // Koneksi sudah putus: hentikan LIMIT/OFFSET berikutnya
+          if (res.destroyed) break;
+          const batchSize = Math.min(EXPORT_BATCH_SIZE, EXPORT_MAX_ROWS - offset);
+          const rows = await this.priceModel.getHistory(filters, batchSize, offset);
+          for (const row of rows) await writer.write(row);
+          if (rows.length < batchSize) break;
+        }
+      }
+      if (!res.destroyed) await writer.end();
+    } catch (error) {
+      if (error.code === 'EXPORT_ABORTED') {
+        console.warn('Price export aborted: client closed the connection');
+        return;
+      }
+      console.error('Error exporting prices:', error);
+      if (!res.headersSent) {
+        return res.status(error.response ? 502 : 500).json({ error: error.response ? 'Gagal memuat data harga pangan' : 'Internal server error' });
+      }
+      res.destroy(error);
+    }
+  }
+
+  // Helper: harga live dari upstream dalam bentuk baris snapshot, difilter komoditas
+  async fetchLiveRows(filters, region) {
+    const levelHargaId = filters.level_harga_id || DEFAULT_LEVEL_HARGA_ID;
+    const params = { level_harga_id: levelHargaId };
+    if (filters.province_id) params.province_id = filters.province_id;
+    if (filters.city_id) params.city_id = filters.city_id;
+
+    const items = await getCachedPrices(params);
+    const context = {
+      ...params,
+      region_name: region.name,
+      region_level: params.city_id ? 'kabkota' : params.province_id ? 'provinsi' : 'nasional'
+    };
+    const term = (filters.commodity_name || '').toLowerCase();
+    return items
+      .map(item => normalizePriceItem(item, context))
+      .filter(Boolean)
+      .filter(row => !filters.commodity_id || row.commodity_id === filters.commodity_id)
+      .filter(row => !term || row.commodity_name.toLowerCase().includes(term));
+  }
+
+  // Daftar pemetaan ID Badan Pangan <-> kode wilayah
+  async getRegions(req, res) {
+    try {
+      const { level } = req.query;
+      if (level && !REGION_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of: ${REGION_LEVELS.join(', ')}` });
+      }
+
+      const items = await this.regionModel.getAll({
+        level,
+        pangan_province_id: req.query.province_id
+      });
+      res.json({ items, count: items.length });
+    } catch (error) {
+      console.error('Error fetching region mappings:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Cocokkan otomatis nama wilayah Badan Pangan dengan tabel wilayah (admin only)
+  async syncRegions(req, res) {
+    try {
+      const { include_cities, overwrite_manual } = req.body || {};
+      const report = await syncRegionMappings(this.db, {
+        includeCities: include_cities,
+        overwriteManual: overwrite_manual
+      });
+
+      res.json({
+        message: 'Region mapping synchronized',
+        ...report
+      });
+    } catch (error) {
+      console.error('Error synchronizing region mappings:', error);
+      res.status(502).json({ error: error.message || 'Gagal sinkronisasi pemetaan wilayah' });
+    }
+  }
+
+  // Simpan pemetaan manual, mis. untuk wilayah yang gagal dicocokkan otomatis (admin only)
+  async saveRegion(req, res) {
+    try {
+      const { pangan_province_id, pangan_city_id, pangan_name, wilayah_kode } = req.body || {};
+      if (!pangan_province_id || !wilayah_kode) {
+        return res.status(400).json({ error: 'pangan_province_id and wilayah_kode are required' });
+      }
+      if (typeof wilayah_kode !== 'string') {
+        return res.status(400).json({ error: 'wilayah_kode must be a string' });
+      }
+
+      const wilayah = await this.wilayahModel.getByKode(wilayah_kode);
+      if (!wilayah) {
+        return res.status(400).json({ error: 'wilayah_kode not found in wilayah table' });
+      }
+
+      const level = wilayah_kode.includes('.') ? 'kabkota' : 'provinsi';
+      if (wilayah_kode.split('.').length > 2 || Boolean(pangan_city_id) !== (level === 'kabkota')) {
+        return res.status(400).json({
+          error: 'Province mappings need a province kode; city mappings need pangan_city_id and a kab/kota kode'
+        });
+      }
+
+      await this.regionModel.upsert({
+        level,
+        pangan_province_id,
+        pangan_city_id,
+        pangan_name: pangan_name || wilayah.nama,
+        wilayah_kode,
+        match_method: 'manual'
+      }, { overwriteManual: true });
+
+      res.json({
+        message: 'Region mapping saved successfully',
+        mapping: await this.regionModel.findByPanganId(pangan_province_id, pangan_city_id)
+      });
+    } catch (error) {
+      console.error('Error saving region mapping:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteRegion(req, res) {
+    try {
+      const mapping = await this.regionModel.getById(req.params.id);
+      if (!mapping) {
+        return res.status(404).json({ error: 'Region mapping not found' });
+      }
+
+      await this.regionModel.delete(req.params.id);
+      res.json({ message: 'Region mapping deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting region mapping:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Harga satu komoditas per wilayah sebagai GeoJSON FeatureCollection untuk peta choropleth
+  async getGeojson(req, res) {
+    const commodity = (req.query.commodity || '').toString().trim();
+    if (!commodity) {
+      return res.status(400).json({ error: 'commodity is required' });
+    }
+    const level = req.query.level || 'provinsi';
+    if (!REGION_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${REGION_LEVELS.join(', ')}` });
+    }
+    const levelHargaId = String(req.query.level_harga_id || DEFAULT_LEVEL_HARGA_ID);
+    const includeGeometry = req.query.geometry !== 'false';
+
+    try {
+      // province: kode wilayah provinsi, province_id: ID provinsi Badan Pangan
+      const regions = await this.regionModel.getAll({
+        level,
+        pangan_province_id: req.query.province_id,
+        wilayah_prefix: req.query.province
+      });
+      if (regions.length === 0) {
+        return res.status(404).json({ error: 'No region mapping found. Run POST /pangan/regions/sync first' });
+      }
+
+      const failed = [];
+      const prices = await mapWithConcurrency(regions, FANOUT_CONCURRENCY, async (region) => {
+        const params = { level_harga_id: levelHargaId, province_id: region.pangan_province_id };
+        if (region.pangan_city_id) params.city_id = region.pangan_city_id;
+        try {
+          const items = await getCachedPrices(params);
+          return findCommodity(items, commodity, {
+            ...params,
+            region_name: region.wilayah_nama || region.pangan_name,
+            region_level: level
+          });
+        } catch (error) {
+          failed.push({ kode: region.wilayah_kode, error: error.message });
+          return null;
+        }
+      });
+
+      if (failed.length === regions.length) {
+        return res.status(502).json({ error: 'Gagal memuat data harga pangan', failed });
+      }
+
+      const geometries = includeGeometry
+        ? await this.boundaryModel.getGeometries(regions.map(r => r.wilayah_kode))
+        : new Map();
+      const features = regions.map((region, index) => {
+        const price = prices[index];
+        return {
+          type: 'Feature',
+          id: region.wilayah_kode,
+          geometry: geometries.get(region.wilayah_kode) || null,
+          properties: {
+            kode: region.wilayah_kode,
+            nama: region.wilayah_nama || region.pangan_name,
+            level,
+            pangan_province_id: region.pangan_province_id,
+            pangan_city_id: region.pangan_city_id || null,
+            commodity_id: price ? price.commodity_id : null,
+            commodity_name: price ? price.commodity_name : null,
+            price: price ? price.price : null,
+            unit: price ? price.unit : null,
+            price_date: price ? price.price_date : null
+          }
+        };
+      });
+
+      const priced = prices.filter(Boolean);
+      const disparity = summarizeDisparity(priced.map(p => p.price));
+
+      res.json({
+        type: 'FeatureCollection',
+        metadata: {
+          commodity: priced[0]
+            ? { id: priced[0].commodity_id, name: priced[0].commodity_name, unit: priced[0].unit }
+            : { query: commodity },
+          level,
+          level_harga_id: levelHargaId,
+          regions: regions.length,
+          with_price: priced.length,
+          missing_geometry: includeGeometry ? features.filter(f => !f.geometry).length : null,
+          price_range: disparity
+            ? { min: Math.min(...priced.map(p => p.price)), max: Math.max(...priced.map(p => p.price)), average: disparity.average }
+            : null,
+          failed
+        },
+        features
+      });
+    } catch (error) {
+      console.error('Error building price geojson:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = PanganController;
@@ -1,6 +1,9 @@
 const Post = require('../models/Post');
 const Statistics = require('../models/Statistics');
 const { saveImageRecords } = require('../utils/upload');
+const { moderateSubmission } = require('../utils/moderation');
+const { saveVerdict } = require('../utils/contentFilter');
+const { getClientInfo } = require('../utils/clientInfo');
 const geoip = require('geoip-lite');
 
 class PostController {
@@ -40,7 +43,28 @@ class PostController {
         });
       }
       
-      const postId = await this.postModel.create({ title, content, author });
+      // Filter konten + aturan auto-moderasi; selain approved tidak tampil di listing publik.
+      // Fingerprint sama dengan like/share artikel, dipakai untuk batas kiriman
+      const clientInfo = getClientInfo(req);
+      const moderation = await moderateSubmission(req.db, {
+        type: 'post',
+        author,
+        title,
+        content,
+        imageCount: req.files ? req.files.length : 0
+      }, clientInfo);
+      if (moderation.throttle) {
+        res.set('Retry-After', String(moderation.throttle.retryAfter));
+        return res.status(429).json({ error: 'Too many submissions, please try again later' });
+      }
+      const postId = await this.postModel.create({
+        title,
+        content,
+        author,
+        moderation_status: moderation.status,
+        moderation_reason: moderation.reason
+      });
+      await saveVerdict(req.db, moderation.verdict, { type: 'post', contentId: postId, author, clientInfo });
 
       // Handle image uploads if present
       let images = [];
@@ -49,8 +73,9 @@ class PostController {
       }
 
       res.status(201).json({ 
-        message: 'Post created successfully', 
+        message: moderation.status === 'approved' ? 'Post created successfully' : 'Post submitted for review', 
         postId,
+        moderation_status: moderation.status,
         imagesUploaded: images.length,
         images: images.map(img => ({
           id: img.id,
@@ -394,7 +419,7 @@ class PostController {
       // Get trending posts and total count
       const [posts, totalCount] = await Promise.all([
         this.postModel.getTrending(limit, offset),
-        this.postModel.getTotalCount() // For trending we use total count since all posts are eligible
+        this.postModel.getTotalCount() // For trending we use total count since all approved posts are eligible
       ]);
       
       const totalPages = Math.ceil(totalCount / limit);
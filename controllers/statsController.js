@@ -225,9 +225,9 @@ class StatsController {
         const [popularPosts] = await this.db.execute(`
           SELECT p.id, p.title, p.author, p.view_count, p.like_count, p.shared_count, p.created_at,
             (SELECT COUNT(*) FROM images WHERE entity_type = 'post' AND entity_id = p.id) as image_count,
-            (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count
+            (SELECT COUNT(*) FROM comments WHERE post_id = p.id AND moderation_status = 'approved') as comment_count
           FROM posts p
-          WHERE p.view_count > 0
+          WHERE p.view_count > 0 AND p.moderation_status = 'approved'
           ORDER BY p.view_count DESC 
           LIMIT ?
         `, [limit]);
@@ -0,0 +1,154 @@
+const RegionCommodity = require('../models/RegionCommodity');
+const Commodity = require('../models/Commodity');
+const Wilayah = require('../models/Wilayah');
+const { DEFAULT_COMMODITIES } = require('../utils/commodityCatalog');
+const {
+  WARNING_TYPES,
+  WARNING_SEVERITIES,
+  DEFAULT_REGION_COMMODITIES,
+  regionCovers,
+  summarizeSupplyRisk,
+  loadRegionCommodities,
+  scanWarnings,
+  invalidateWarnings
+} = require('../utils/weatherWarnings');
+
+// Kode wilayah level provinsi (31), kab/kota (31.71), kecamatan (31.71.01) atau desa (31.71.01.1001)
+const REGION_CODE_PATTERN = /^\d{2}(\.\d{2}(\.\d{2}(\.\d{4})?)?)?$/;
+
+class WarningController {
+  constructor(db) {
+    this.db = db;
+    this.mappingModel = new RegionCommodity(db);
+    this.commodityModel = new Commodity(db);
+    this.wilayahModel = new Wilayah(db);
+  }
+
+  // Peringatan cuaca ekstrem lokasi pemantauan + komoditas berisiko pasokan (public)
+  async getWarnings(req, res) {
+    const { type, severity, region, commodity } = req.query;
+    if (type && !WARNING_TYPES[type]) {
+      return res.status(400).json({ error: `type must be one of: ${Object.keys(WARNING_TYPES).join(', ')}` });
+    }
+    if (severity && !WARNING_SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `severity must be one of: ${WARNING_SEVERITIES.join(', ')}` });
+    }
+    if (region && !REGION_CODE_PATTERN.test(region)) {
+      return res.status(400).json({ error: 'region must be a wilayah code like 35 or 35.07' });
+    }
+
+    try {
+      const result = await scanWarnings(this.db, { refresh: req.query.refresh === 'true' });
+      const warnings = result.warnings.filter(warning => (!type || warning.type === type)
+        && (!severity || warning.severity === severity)
+        && (!region || regionCovers(region, warning.adm4_code))
+        && (!commodity || warning.commodities.some(item => item.slug === commodity)));
+
+      res.json({
+        ...result,
+        count: warnings.length,
+        warnings,
+        supply_risk: summarizeSupplyRisk(warnings),
+        types: WARNING_TYPES
+      });
+    } catch (error) {
+      console.error('Error generating weather warnings:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Pemetaan wilayah -> komoditas yang sedang dipakai
+  async getRegionCommodities(req, res) {
+    try {
+      const { entries, source } = await loadRegionCommodities(this.db, { refresh: true });
+      const items = entries.filter(entry => (!req.query.region || entry.region_code === req.query.region)
+        && (!req.query.commodity || entry.commodity_slug === req.query.commodity));
+      res.json({ items, count: items.length, source });
+    } catch (error) {
+      console.error('Error fetching region commodities:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Tambah pemetaan satu wilayah ke satu (commodity_slug) atau beberapa komoditas (commodity_slugs) (admin only)
+  async addRegionCommodity(req, res) {
+    try {
+      const { region_code, commodity_slug, commodity_slugs, notes } = req.body || {};
+      const regionCode = String(region_code || '').trim();
+      if (!REGION_CODE_PATTERN.test(regionCode)) {
+        return res.status(400).json({ error: 'region_code must be a wilayah code like 35 or 35.07' });
+      }
+      const slugs = [...new Set((Array.isArray(commodity_slugs) ? commodity_slugs : [commodity_slug])
+        .filter(Boolean).map(slug => String(slug).trim()))];
+      if (slugs.length === 0) {
+        return res.status(400).json({ error: 'commodity_slug or commodity_slugs is required' });
+      }
+      if (!await this.wilayahModel.getByKode(regionCode)) {
+        return res.status(400).json({ error: 'region_code not found in wilayah table' });
+      }
+
+      const unknown = [];
+      for (const slug of slugs) {
+        const known = DEFAULT_COMMODITIES.some(item => item.slug === slug) || await this.commodityModel.getBySlug(slug);
+        if (!known) unknown.push(slug);
+      }
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: 'Unknown commodity slug', unknown });
+      }
+
+      const created = [];
+      const skipped = [];
+      for (const slug of slugs) {
+        if (await this.mappingModel.getByPair(regionCode, slug)) {
+          skipped.push(slug);
+          continue;
+        }
+        created.push(await this.mappingModel.create({ region_code: regionCode, commodity_slug: slug, notes }));
+      }
+      if (slugs.length === 1 && created.length === 0) {
+        return res.status(409).json({ error: 'Region commodity mapping already exists' });
+      }
+
+      invalidateWarnings();
+      res.status(created.length > 0 ? 201 : 200).json({ message: 'Region commodities saved', created, skipped });
+    } catch (error) {
+      console.error('Error adding region commodity:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteRegionCommodity(req, res) {
+    try {
+      const existing = await this.mappingModel.getById(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Region commodity mapping not found' });
+      }
+
+      await this.mappingModel.delete(existing.id);
+      invalidateWarnings();
+      res.json({ message: 'Region commodity mapping deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting region commodity:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Salin pemetaan bawaan ke tabel agar bisa diedit; pasangan yang sudah ada dilewati (admin only)
+  async seedRegionCommodities(req, res) {
+    try {
+      let created = 0;
+      for (const entry of DEFAULT_REGION_COMMODITIES) {
+        if (await this.mappingModel.getByPair(entry.region_code, entry.commodity_slug)) continue;
+        await this.mappingModel.create(entry);
+        created++;
+      }
+      invalidateWarnings();
+      res.json({ message: 'Region commodities seeded', created, skipped: DEFAULT_REGION_COMMODITIES.length - created });
+    } catch (error) {
+      console.error('Error seeding region commodities:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = WarningController;
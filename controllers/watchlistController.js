@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Watchlist = require('../models/Watchlist');
+const WatchlistNotification = require('../models/WatchlistNotification');
+const WatchlistConfirmation = require('../models/WatchlistConfirmation');
+const PanganRegion = require('../models/PanganRegion');
+const { listChannels, getChannel } = require('../utils/notificationChannels');
+const { evaluateWatchlists } = require('../utils/watchlistEvaluator');
+const { DEFAULT_LEVEL_HARGA_ID } = require('../utils/panganClient');
+
+const DIRECTIONS = ['below', 'above'];
+const MAX_WATCHLISTS_PER_OWNER = parseInt(process.env.WATCHLIST_MAX_PER_OWNER, 10) || 20;
+const CONFIRMATION_RESEND_SECONDS = 60;
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+class WatchlistController {
+  constructor(db) {
+    this.db = db;
+    this.watchlistModel = new Watchlist(db);
+    this.notificationModel = new WatchlistNotification(db);
+    this.confirmationModel = new WatchlistConfirmation(db);
+    this.regionModel = new PanganRegion(db);
+  }
+
+  // Helper: pemilik watchlist = admin yang login, atau client anonim lewat header X-Client-Token.
+  // Token client hanya disimpan dalam bentuk hash.
+  resolveOwner(req) {
+    if (req.user && (req.user.role === 'admin' || req.user.role === 'superadmin')) {
+      return { owner_type: 'admin', owner_key: req.user.username };
+    }
+    const token = req.get('X-Client-Token');
+    if (token && token.length >= 16 && token.length <= 200) {
+      return { owner_type: 'client', owner_key: crypto.createHash('sha256').update(token).digest('hex') };
+    }
+    return null;
+  }
+
+  async findOwned(req, res) {
+    const owner = this.resolveOwner(req);
+    if (!owner) {
+      res.status(401).json({ error: 'X-Client-Token header or admin token required' });
+      return null;
+    }
+    const watchlist = await this.watchlistModel.getById(req.params.id);
+    if (!watchlist || watchlist.owner_type !== owner.owner_type || watchlist.owner_key !== owner.owner_key) {
+      res.status(404).json({ error: 'Watchlist not found' });
+      return null;
+    }
+    return watchlist;
+  }
+
+  // Helper: validasi direction/threshold/channel/target (untuk create dan update).
+  // Kanal yang mengirim keluar (webhook, email) hanya untuk admin; client anonim hanya feed.
+  async validateRule(body, owner, current = {}) {
+    const direction = body.direction ?? current.direction;
+    if (!DIRECTIONS.includes(direction)) {
+      return { error: `direction must be one of: ${DIRECTIONS.join(', ')}` };
+    }
+    const threshold = body.threshold !== undefined ? Number(body.threshold) : current.threshold;
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      return { error: 'threshold must be a positive number' };
+    }
+    const channelName = body.channel ?? current.channel ?? 'feed';
+    const channel = getChannel(channelName);
+    if (!channel) {
+      return { error: `channel must be one of: ${listChannels().join(', ')}` };
+    }
+    if (channel.requiresAccount && owner.owner_type !== 'admin') {
+      return { error: `channel ${channelName} requires an admin account; anonymous watchlists can only use feed` };
+    }
+    const target = body.target !== undefined ? body.target : current.target;
+    const targetError = await channel.validateTarget(target);
+    if (targetError) return { error: targetError };
+
+    return { rule: { direction, threshold, channel: channelName, target: channelName === 'feed' ? null : target } };
+  }
+
+  async getWatchlists(req, res) {
+    try {
+      const owner = this.resolveOwner(req);
+      if (!owner) {
+        return res.status(401).json({ error: 'X-Client-Token header or admin token required' });
+      }
+      const items = await this.watchlistModel.getByOwner(owner.owner_type, owner.owner_key);
+      res.json({ items, count: items.length, channels: listChannels() });
+    } catch (error) {
+      console.error('Error fetching watchlists:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Buat watchlist; client tanpa token akan diberi token baru di response
+  async createWatchlist(req, res) {
+    try {
+      const body = req.body || {};
+      let owner = this.resolveOwner(req);
+      let clientToken = null;
+      if (!owner) {
+        clientToken = uuidv4();
+        owner = { owner_type: 'client', owner_key: crypto.createHash('sha256').update(clientToken).digest('hex') };
+      }
+
+      const commodity = (body.commodity || '').toString().trim();
+      if (!commodity) {
+        return res.status(400).json({ error: 'commodity is required' });
+      }
+      const { rule, error } = await this.validateRule(body, owner);
+      if (error) return res.status(400).json({ error });
+
+      // region: kode wilayah (lewat pangan_region_map); tanpa region = harga nasional
+      let province_id = body.province_id ? String(body.province_id) : '';
+      let city_id = body.city_id ? String(body.city_id) : '';
+      if (body.region) {
+        const mapping = await this.regionModel.findByWilayahKode(body.region);
+        if (!mapping) {
+          return res.status(400).json({ error: 'region is not mapped to a Badan Pangan region' });
+        }
+        province_id = mapping.pangan_province_id;
+        city_id = mapping.pangan_city_id;
+      }
+
+      const total = await this.watchlistModel.countByOwner(owner.owner_type, owner.owner_key);
+      if (total >= MAX_WATCHLISTS_PER_OWNER) {
+        return res.status(429).json({ error: `Maximum of ${MAX_WATCHLISTS_PER_OWNER} watchlists reached` });
+      }
+
+      const watchlist = await this.watchlistModel.create({
+        ...owner,
+        ...rule,
+        commodity_id: /^\d+$/.test(commodity) ? commodity : null,
+        commodity_name: /^\d+$/.test(commodity) ? null : commodity,
+        region_kode: body.region || null,
+        province_id,
+        city_id,
+        level_harga_id: String(body.level_harga_id || DEFAULT_LEVEL_HARGA_ID)
+      });
+      const confirmation = await this.requestConfirmation(watchlist);
+
+      res.status(201).json({
+        message: 'Watchlist created successfully',
+        watchlist,
+        ...(confirmation ? { confirmation } : {}),
+        ...(clientToken ? { client_token: clientToken } : {})
+      });
+    } catch (error) {
+      console.error('Error creating watchlist:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async getWatchlist(req, res) {
+    try {
+      const watchlist = await this.findOwned(req, res);
+      if (!watchlist) return;
+      res.json(watchlist);
+    } catch (error) {
+      console.error('Error fetching watchlist:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateWatchlist(req, res) {
+    try {
+      const watchlist = await this.findOwned(req, res);
+      if (!watchlist) return;
+
+      const body = req.body || {};
+      const { rule, error } = await this.validateRule(body, watchlist, watchlist);
+      if (error) return res.status(400).json({ error });
+
+      const updated = await this.watchlistModel.update(watchlist.id, {
+        ...rule,
+        is_active: body.is_active !== undefined ? Boolean(body.is_active) : undefined
+      });
+      const confirmation = await this.requestConfirmation(updated);
+      res.json({
+        message: 'Watchlist updated successfully',
+        watchlist: updated,
+        ...(confirmation ? { confirmation } : {})
+      });
+    } catch (error) {
+      console.error('Error updating watchlist:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Helper: kirim kode konfirmasi bila target kanal belum pernah dikonfirmasi pemiliknya.
+  // Return null (kanal tanpa konfirmasi), 'confirmed', 'pending' atau 'send_failed'.
+  async requestConfirmation(watchlist, { resend = false } = {}) {
+    const channel = getChannel(watchlist.channel);
+    if (!channel || !channel.sendConfirmation) return null;
+
+    const key = [watchlist.owner_type, watchlist.owner_key, watchlist.channel, watchlist.target];
+    const existing = await this.confirmationModel.get(...key);
+    if (existing && existing.confirmed_at) return 'confirmed';
+    // Kode yang masih berlaku tidak dikirim ulang di setiap update
+    if (existing && !resend && existing.code_hash && new Date(existing.expires_at) > new Date()) return 'pending';
+
+    const code = crypto.randomBytes(5).toString('hex');
+    await this.confirmationModel.issueCode(...key, hashCode(code));
+    try {
+      await channel.sendConfirmation(watchlist.target, code);
+      return 'pending';
+    } catch (error) {
+      console.error(`Watchlist ${watchlist.id} confirmation via ${watchlist.channel} failed:`, error.message);
+      return 'send_failed';
+    }
+  }
+
+  // Konfirmasi target dengan kode yang dikirim ke target tersebut
+  async confirmTarget(req, res) {
+    try {
+      const watchlist = await this.findOwned(req, res);
+      if (!watchlist) return;
+
+      const channel = getChannel(watchlist.channel);
+      if (!channel || !channel.sendConfirmation) {
+        return res.status(400).json({ error: `channel ${watchlist.channel} does not need confirmation` });
+      }
+      const code = (req.body?.code || '').toString();
+      if (!code) {
+        return res.status(400).json({ error: 'code is required' });
+      }
+
+      const confirmed = await this.confirmationModel.confirm(
+        watchlist.owner_type, watchlist.owner_key, watchlist.channel, watchlist.target, hashCode(code)
+      );
+      if (!confirmed) {
+        return res.status(400).json({ error: 'Invalid or expired confirmation code' });
+      }
+      res.json({ message: 'Watchlist target confirmed', confirmation: 'confirmed' });
+    } catch (error) {
+      console.error('Error confirming watchlist target:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async resendConfirmation(req, res) {
+    try {
+      const watchlist = await this.findOwned(req, res);
+      if (!watchlist) return;
+
+      const channel = getChannel(watchlist.channel);
+      if (!channel || !channel.sendConfirmation) {
+        return res.status(400).json({ error: `channel ${watchlist.channel} does not need confirmation` });
+      }
+      const key = [watchlist.owner_type, watchlist.owner_key, watchlist.channel, watchlist.target];
+      if (await this.confirmationModel.isConfirmed(...key)) {
+        return res.json({ message: 'Watchlist target already confirmed', confirmation: 'confirmed' });
+      }
+      if (await this.confirmationModel.issuedWithin(...key, CONFIRMATION_RESEND_SECONDS)) {
+        res.set('Retry-After', String(CONFIRMATION_RESEND_SECONDS));
+        return res.status(429).json({ error: 'Confirmation code was sent recently, please try again later' });
+      }
+
+      const confirmation = await this.requestConfirmation(watchlist, { resend: true });
+      res.json({ message: 'Confirmation code sent', confirmation });
+    } catch (error) {
+      console.error('Error resending watchlist confirmation:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteWatchlist(req, res) {
+    try {
+      const watchlist = await this.findOwned(req, res);
+      if (!watchlist) return;
+
+      await this.watchlistModel.delete(watchlist.id);
+      res.json({ message: 'Watchlist deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting watchlist:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Feed notifikasi in-app milik pemilik token
+  async getNotifications(req, res) {
+    try {
+      const owner = this.resolveOwner(req);
+      if (!owner) {
+        return res.status(401).json({ error: 'X-Client-Token header or admin token required' });
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const offset = (page - 1) * limit;
+      const filters = { unread: req.query.unread === 'true', watchlist_id: req.query.watchlist_id };
+
+      const [items, totalItems] = await Promise.all([
+        this.notificationModel.getByOwner(owner.owner_type, owner.owner_key, filters, limit, offset),
+        this.notificationModel.getTotalCount(owner.owner_type, owner.owner_key, filters)
+      ]);
+      const totalPages = Math.ceil(totalItems / limit);
+
+      res.json({
+        items,
+        pagination: {
+          currentPage: page,
+          limit,
+          totalItems,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+          nextPage: page < totalPages ? page + 1 : null,
+          prevPage: page > 1 ? page - 1 : null
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching watchlist notifications:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async markNotificationRead(req, res) {
+    try {
+      const owner = this.resolveOwner(req);
+      if (!owner) {
+        return res.status(401).json({ error: 'X-Client-Token header or admin token required' });
+      }
+      const notification = await this.notificationModel.getById(req.params.id);
+      if (!notification || notification.owner_type !== owner.owner_type || notification.owner_key !== owner.owner_key) {
+        return res.status(404).json({ error: 'Notification not found' });
+      }
+
+      const updated = await this.notificationModel.markRead(notification.id);
+      res.json({ message: 'Notification marked as read', notification: updated });
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Jalankan evaluator secara manual (admin only)
+  async evaluate(req, res) {
+    try {
+      const date = req.body?.date;
+      if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'date must use YYYY-MM-DD format' });
+      }
+      const summary = await evaluateWatchlists(this.db, date ? { date } : {});
+      res.json({ message: 'Watchlists evaluated', ...summary });
+    } catch (error) {
+      console.error('Error evaluating watchlists:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+module.exports = WatchlistController;
@@ -0,0 +1,228 @@
+const WeatherLocation = require('../models/WeatherLocation');
+const WeatherForecast = require('../models/WeatherForecast');
+const WeatherDaily = require('../models/WeatherDaily');
+const Wilayah = require('../models/Wilayah');
+const { isValidAdm4 } = require('../utils/bmkgClient');
+const { collectWeather } = require('../utils/weatherCollector');
+const { invalidateWarnings } = require('../utils/weatherWarnings');
+const { todayKey, aggregateDaily, rollupWeather, pruneWeather } = require('../utils/weatherHistory');
+const { shiftDateKey } = require('../utils/priceAnalytics');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class WeatherController {
+  constructor(db) {
+    this.db = db;
+    this.locationModel = new WeatherLocation(db);
+    this.forecastModel = new WeatherForecast(db);
+    this.dailyModel = new WeatherDaily(db);
+    this.wilayahModel = new Wilayah(db);
+  }
+
+  // Helper: rentang tanggal from/to (YYYY-MM-DD), default 7 hari terakhir
+  parseDateRange(query) {
+    const to = query.to || todayKey();
+    const from = query.from || shiftDateKey(to, { days: -6 });
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return { error: 'from and to must use YYYY-MM-DD format' };
+    }
+    if (from > to) {
+      return { error: 'from must be earlier than or equal to to' };
+    }
+    return { from, to };
+  }
+
+  // Riwayat cuaca per jam + ringkasan harian satu lokasi (public)
+  async getHistory(req, res) {
+    try {
+      const adm4 = (req.query.adm4 || '').toString().trim();
+      if (!isValidAdm4(adm4)) {
+        return res.status(400).json({ error: 'adm4 parameter is required (e.g. 31.71.01.1001)' });
+      }
+      const { from, to, error } = this.parseDateRange(req.query);
+      if (error) return res.status(400).json({ error });
+
+      const rangeStart = `${from} 00:00:00`;
+      const rangeEnd = `${shiftDateKey(to, { days: 1 })} 00:00:00`;
+      const rows = await this.forecastModel.getRange(adm4, rangeStart, rangeEnd);
+
+      // Hari yang masih punya data per jam dihitung langsung; sisanya dari rollup tersimpan
+      const computed = new Map(aggregateDaily(rows).map(day => [day.weather_date, { ...day, source: 'hourly' }]));
+      const stored = await this.dailyModel.getRange(adm4, from, to);
+      for (const day of stored) {
+        if (!computed.has(day.weather_date)) {
+          const { id, created_at, updated_at, ...summary } = day;
+          computed.set(day.weather_date, { ...summary, source: 'rollup' });
+        }
+      }
+      const daily = [...computed.values()].sort((a, b) => a.weather_date.localeCompare(b.weather_date));
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 500, 2000);
+      const hourly = req.query.include_hourly === 'false' ? [] : rows.slice(0, limit);
+
+      res.json({
+        adm4_code: adm4,
+        from,
+        to,
+        daily,
+        hourly,
+        count: { daily: daily.length, hourly: rows.length },
+        limit
+      });
+    } catch (error) {
+      console.error('Error fetching weather history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Hitung ulang rollup harian (mis. backfill) lalu pangkas data sesuai retensi (admin only)
+  async rollup(req, res) {
+    try {
+      const body = req.body || {};
+      if ((body.from && !DATE_PATTERN.test(body.from)) || (body.to && !DATE_PATTERN.test(body.to))) {
+        return res.status(400).json({ error: 'from and to must use YYYY-MM-DD format' });
+      }
+      if (body.adm4 && !isValidAdm4(body.adm4)) {
+        return res.status(400).json({ error: 'adm4 must be a village code like 31.71.01.1001' });
+      }
+
+      const summary = await rollupWeather(this.db, {
+        from: body.from,
+        to: body.to,
+        adm4Codes: body.adm4 ? [body.adm4] : undefined
+      });
+      const pruned = body.prune === false ? null : await pruneWeather(this.db);
+
+      res.json({
+        message: 'Weather daily rollup completed',
+        ...summary,
+        pruned
+      });
+    } catch (error) {
+      console.error('Error rolling up weather history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Daftar lokasi pemantauan cuaca beserta status pengambilan terakhir
+  async getLocations(req, res) {
+    try {
+      const items = await this.locationModel.getAll({ activeOnly: req.query.active === 'true' });
+      res.json({ items, count: items.length });
+    } catch (error) {
+      console.error('Error fetching weather locations:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Tambah satu (adm4_code) atau beberapa lokasi (adm4_codes); kode harus ada di tabel wilayah (admin only)
+  async addLocation(req, res) {
+    try {
+      const { adm4_code, adm4_codes, notes, is_active } = req.body || {};
+      const codes = Array.isArray(adm4_codes) ? adm4_codes : [adm4_code];
+      const normalized = [...new Set(codes.filter(Boolean).map(code => String(code).trim()))];
+      if (normalized.length === 0) {
+        return res.status(400).json({ error: 'adm4_code or adm4_codes is required' });
+      }
+
+      const invalid = normalized.filter(code => !isValidAdm4(code));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'adm4 code must be a village code like 31.71.01.1001', invalid });
+      }
+
+      const created = [];
+      const skipped = [];
+      const notFound = [];
+      for (const code of normalized) {
+        const wilayah = await this.wilayahModel.getByKode(code);
+        if (!wilayah) {
+          notFound.push(code);
+          continue;
+        }
+        if (await this.locationModel.getByCode(code)) {
+          skipped.push(code);
+          continue;
+        }
+        created.push(await this.locationModel.create({
+          adm4_code: code,
+          name: wilayah.nama,
+          notes,
+          is_active: is_active === undefined ? true : Boolean(is_active)
+        }));
+      }
+
+      // Satu kode yang tidak valid atau sudah terdaftar dilaporkan sebagai error
+      if (normalized.length === 1 && created.length === 0) {
+        return notFound.length > 0
+          ? res.status(400).json({ error: 'adm4_code not found in wilayah table' })
+          : res.status(409).json({ error: 'Location is already monitored' });
+      }
+
+      res.status(created.length > 0 ? 201 : 200).json({
+        message: 'Weather locations saved',
+        created,
+        skipped,
+        not_found: notFound
+      });
+    } catch (error) {
+      console.error('Error adding weather location:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async updateLocation(req, res) {
+    try {
+      const location = await this.locationModel.getById(req.params.id);
+      if (!location) {
+        return res.status(404).json({ error: 'Weather location not found' });
+      }
+
+      const { notes, is_active } = req.body || {};
+      const updated = await this.locationModel.update(req.params.id, {
+        notes: notes === undefined ? undefined : (notes || null),
+        is_active: is_active === undefined ? undefined : Boolean(is_active)
+      });
+
+      res.json({ message: 'Weather location updated successfully', location: updated });
+    } catch (error) {
+      console.error('Error updating weather location:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async deleteLocation(req, res) {
+    try {
+      const location = await this.locationModel.getById(req.params.id);
+      if (!location) {
+        return res.status(404).json({ error: 'Weather location not found' });
+      }
+
+      await this.locationModel.delete(req.params.id);
+      res.json({ message: 'Weather location deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting weather location:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Jalankan koleksi cuaca secara manual (admin only)
+  async collect(req, res) {
+    try {
+      const { limit } = req.body || {};
+      const summary = await collectWeather(this.db, {
+        limit: limit ? parseInt(limit, 10) || undefined : undefined
+      });
+      invalidateWarnings();
+
+      res.json({
+        message: 'Weather forecasts collected',
+        ...summary
+      });
+    } catch (error) {
+      console.error('Error collecting weather forecasts:', error);
+      res.status(502).json({ error: error.message || 'Gagal mengumpulkan prakiraan cuaca' });
+    }
+  }
+}
+
+module.exports = WeatherController;
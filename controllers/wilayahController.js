@@ -1,8 +1,19 @@
 const Wilayah = require('../models/Wilayah');
+const WilayahVersion = require('../models/WilayahVersion');
+const { searchWilayah } = require('../utils/wilayahSearch');
+const { importWilayah, getVersionChanges } = require('../utils/importWilayah');
+const { REVERSE_MAX_KM, reverseGeocode } = require('../utils/reverseGeocoder');
+const { isValidCoordinate } = require('../utils/geoUtils');
+
+// Kedalaman maksimum tree; tanpa root dibatasi sampai kecamatan (~7 ribu node)
+const MAX_TREE_DEPTH = 3;
+const MAX_NATIONAL_DEPTH = 2;
 
 class WilayahController {
   constructor(db) {
+    this.db = db;
     this.model = new Wilayah(db);
+    this.versionModel = new WilayahVersion(db);
   }
 
   async getProvinsi(req, res) {
@@ -61,21 +72,242 @@ class WilayahController {
   async getByKode(req, res) {
     try {
       const { kode } = req.params;
+      // ?version= membaca nama kode pada versi dataset lama
+      if (req.query.version) {
+        const version = await this.versionModel.getByVersion(String(req.query.version));
+        if (!version) return res.status(404).json({ error: 'Version not found' });
+        const row = await this.versionModel.getKodeAt(kode, version.id);
+        if (!row) return res.status(404).json({ error: 'Kode not found in this version' });
+        return res.json({ ...row, version: version.version });
+      }
+
       const row = await this.model.getByKode(kode);
-      if (!row) return res.status(404).json({ error: 'Kode not found' });
-      res.json(row);
+      if (row) return res.json(row);
+
+      // Kode yang sudah dihapus tetap bisa dibaca dari riwayat (data lama masih merujuk kode ini)
+      const history = await this.versionModel.getKodeHistory(kode);
+      const last = history[history.length - 1];
+      if (!last) return res.status(404).json({ error: 'Kode not found' });
+      res.json({ kode, nama: last.nama, retired: true, retired_in: last.valid_to });
     } catch (e) {
       console.error('getByKode error', e);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 
+  // Rantai induk lengkap provinsi -> kode beserta label siap tampil
+  async getBreadcrumb(req, res) {
+    try {
+      const { kode } = req.params;
+      const items = await this.model.getBreadcrumb(kode);
+      const self = items[items.length - 1];
+      if (!self || self.kode !== kode) return res.status(404).json({ error: 'Kode not found' });
+      res.json({
+        kode,
+        nama: self.nama,
+        level: self.level,
+        label: Wilayah.breadcrumbLabel(items),
+        items: items.map(item => ({ ...item, display_name: Wilayah.displayName(item) }))
+      });
+    } catch (e) {
+      console.error('getBreadcrumb error', e);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Turunan bersarang dari root (kosong = semua provinsi) sedalam depth level, dengan jumlah per level
+  async getTree(req, res) {
+    try {
+      const root = (req.query.root || '').trim() || null;
+      let rootNode = null;
+      if (root) {
+        const row = await this.model.getByKode(root);
+        if (!row) return res.status(404).json({ error: 'Kode not found' });
+        const breadcrumb = await this.model.getBreadcrumb(row.kode);
+        rootNode = { ...row, level: Wilayah.levelOf(row.kode), label: Wilayah.breadcrumbLabel(breadcrumb) };
+      }
+
+      const rootIndex = root ? Wilayah.LEVELS.indexOf(rootNode.level) : -1;
+      const maxDepth = root ? Wilayah.LEVELS.length - 1 - rootIndex : MAX_NATIONAL_DEPTH;
+      const depth = Math.min(Math.max(parseInt(req.query.depth || '1', 10) || 1, 1), Math.min(maxDepth, MAX_TREE_DEPTH));
+      if (maxDepth === 0) {
+        return res.json({ root: rootNode, depth: 0, counts: {}, items: [] });
+      }
+      const deepestIndex = rootIndex + depth;
+
+      const rows = await this.model.getDescendants(root, deepestIndex);
+      const countsByLevel = [];
+      for (let index = rootIndex + 1; index < deepestIndex + 1; index++) {
+        countsByLevel[index] = await this.model.countDescendants(root, index);
+      }
+      const totals = await this.model.countDescendants(root);
+
+      const nodes = new Map();
+      const items = [];
+      for (const row of rows) {
+        const index = row.kode.split('.').length - 1;
+        const node = {
+          kode: row.kode,
+          nama: row.nama,
+          level: Wilayah.LEVELS[index],
+          counts: countsByLevel[index]?.get(row.kode) || {}
+        };
+        if (index < deepestIndex) node.children = [];
+        nodes.set(row.kode, node);
+
+        const parent = nodes.get(row.kode.split('.').slice(0, -1).join('.'));
+        if (parent && parent.children) {
+          parent.children.push(node);
+        } else if (index === rootIndex + 1) {
+          items.push(node);
+        }
+      }
+
+      res.json({
+        root: rootNode,
+        depth,
+        counts: totals.get(root || '') || {},
+        items
+      });
+    } catch (e) {
+      console.error('getTree error', e);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Koordinat GPS -> desa/kelurahan beserta breadcrumb (indeks centroid/batas lokal)
+  async reverse(req, res) {
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lon = parseFloat(req.query.lon);
+      if (!isValidCoordinate(lat, lon)) {
+        return res.status(400).json({ error: 'lat and lon must be valid decimal coordinates' });
+      }
+
+      const result = await reverseGeocode(this.db, lat, lon);
+      if (!result) {
+        return res.status(404).json({ error: `No village found within ${REVERSE_MAX_KM} km of this coordinate` });
+      }
+
+      const breadcrumb = await this.model.getBreadcrumb(result.kode);
+      const self = breadcrumb.find(item => item.kode === result.kode);
+      const alternatives = [];
+      for (const item of result.alternatives) {
+        const row = await this.model.getByKode(item.kode);
+        alternatives.push({ kode: item.kode, nama: row ? row.nama : null, distance_km: item.distance_km });
+      }
+
+      res.json({
+        lat,
+        lon,
+        kode: result.kode,
+        nama: self ? self.nama : null,
+        level: 'kelurahan',
+        method: result.method,
+        distance_km: result.distance_km,
+        boundary: result.boundary,
+        label: Wilayah.breadcrumbLabel(breadcrumb),
+        breadcrumb,
+        alternatives
+      });
+    } catch (e) {
+      console.error('reverse geocode error', e);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Semua nama yang pernah dipakai kode lintas versi dataset
+  async getKodeHistory(req, res) {
+    try {
+      const { kode } = req.params;
+      const items = await this.versionModel.getKodeHistory(kode);
+      const current = await this.model.getByKode(kode);
+      if (items.length === 0 && !current) return res.status(404).json({ error: 'Kode not found' });
+      res.json({ kode, current, retired: !current, items });
+    } catch (e) {
+      console.error('getKodeHistory error', e);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  async getVersions(req, res) {
+    try {
+      const items = await this.versionModel.getAll();
+      res.json({ items, current: items[0] ? items[0].version : null });
+    } catch (e) {
+      console.error('getVersions error', e);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Laporan diff satu versi (added/renamed/removed), opsional ?type=
+  async getVersionChanges(req, res) {
+    try {
+      const version = await this.versionModel.getByVersion(req.params.version);
+      if (!version) return res.status(404).json({ error: 'Version not found' });
+
+      const type = req.query.type;
+      if (type && !['added', 'renamed', 'removed'].includes(type)) {
+        return res.status(400).json({ error: 'Invalid type. Use added, renamed or removed' });
+      }
+      const diff = await getVersionChanges(this.db, version);
+      res.json({ version, ...(type ? { [type]: diff[type] } : diff) });
+    } catch (e) {
+      console.error('getVersionChanges error', e);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // Impor dataset (body text/csv atau SQL, atau JSON { content }); opsi lewat query atau body JSON
+  async importDataset(req, res) {
+    try {
+      const body = typeof req.body === 'string' ? { content: req.body } : (req.body || {});
+      const options = { ...body, ...req.query };
+      if (!body.content || typeof body.content !== 'string') {
+        return res.status(400).json({ error: 'Dataset content is required (text/csv or SQL body, or JSON { content })' });
+      }
+      const flag = value => value === true || value === 'true' || value === '1';
+
+      const result = await importWilayah(this.db, body.content, {
+        version: options.version,
+        format: options.format,
+        source: options.source || 'admin upload',
+        notes: options.notes,
+        importedBy: req.user?.username,
+        dryRun: flag(options.dry_run),
+        skipInvalid: flag(options.skip_invalid),
+        force: flag(options.force)
+      });
+      if (result.error) {
+        const { status, ...payload } = result;
+        return res.status(status).json(payload);
+      }
+      res.status(result.dry_run ? 200 : 201).json(result);
+    } catch (e) {
+      console.error('importDataset error', e);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
   async search(req, res) {
     try {
       const q = (req.query.q || '').trim();
       if (!q) return res.status(400).json({ error: 'Query q is required' });
-      const limit = Math.min(parseInt(req.query.limit || '20', 10), 100);
-      const data = await this.model.search(q, limit);
+      const limit = Math.min(parseInt(req.query.limit || '20', 10) || 20, 100);
+
+      let levels = null;
+      if (req.query.level) {
+        levels = String(req.query.level).split(',').map(level => level.trim()).filter(Boolean);
+        if (levels.some(level => !Wilayah.LEVELS.includes(level))) {
+          return res.status(400).json({ error: `Invalid level. Use one or more of: ${Wilayah.LEVELS.join(', ')}` });
+        }
+      }
+      const parent = (req.query.parent || '').trim() || null;
+      if (parent && !/^\d{2}(\.\d{2}){0,2}$/.test(parent)) {
+        return res.status(400).json({ error: 'Invalid parent. Expected a wilayah code like 32 or 32.17' });
+      }
+
+      const data = await searchWilayah(this.db, q, { levels, parent, limit });
       res.json({ items: data });
     } catch (e) {
       console.error('search wilayah error', e);
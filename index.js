@@ -1,7 +1,6 @@
 const express = require('express');
 const dotenv = require('dotenv');
 const cors = require('cors');
-const geoip = require('geoip-lite');
 const { initDatabase, getPool, closePool } = require('./config/database');
 const EnvironmentConfig = require('./utils/environmentConfig');
 const {
@@ -15,13 +14,37 @@ const {
   createStatisticsTable,
   createWilayahTable,
   createApiKeyUsageTable,
-  incrementApiKeyUsage,
-  pickAvailableApiKey
+  createPriceHistoryTable,
+  createPriceAlertsTable,
+  createPanganRegionMapTable,
+  createWilayahBoundariesTable,
+  createWilayahCentroidsTable,
+  createUpstreamCacheTable,
+  createWatchlistsTable,
+  createWatchlistNotificationsTable,
+  createWatchlistConfirmationsTable,
+  createCommoditiesTable,
+  createWeatherLocationsTable,
+  createWeatherForecastsTable,
+  createWeatherDailyTable,
+  createAdvisoryRulesTable,
+  createRegionCommoditiesTable,
+  createCropProfilesTable,
+  createWilayahVersionsTable,
+  createWilayahHistoryTable,
+  createGeolocationKeysTable,
+  addModerationColumns,
+  createModerationRulesTable,
+  createContentVerdictsTable,
+  createBannedWordsTable
 } = require('./utils/dbHelper');
-const axios = require('axios');
 // Load environment variables
 dotenv.config();
 
+// Modul yang membaca konfigurasi env saat dimuat harus di-require setelah dotenv.config()
+const { lookupLocation } = require('./utils/geolocation');
+const { attachLocationRegions } = require('./utils/locationRegions');
+
 // Initialize environment configuration
 const envConfig = new EnvironmentConfig();
 
@@ -103,7 +126,10 @@ app.get(basePath === '' ? '/' : basePath, (req, res) => {
           routes: {
             [`GET ${baseUrl}/`]: "This documentation",
             [`GET ${baseUrl}/health`]: "Health check & server status",
-            [`GET ${baseUrl}/location`]: "IP geolocation service (query: ?ip=x.x.x.x)"
+            [`GET ${baseUrl}/location`]: "IP geolocation service (query: ?ip=x.x.x.x); Indonesian IPs include wilayah province/kab-kota codes and Badan Pangan province/city IDs",
+            [`GET ${baseUrl}/location/providers`]: "Geolocation provider chain, configuration and today's quota usage per key (admin only)",
+            [`GET ${baseUrl}/location/keys`]: "Geolocation API keys managed in the database, masked (POST/PUT/DELETE; admin only)",
+            [`DELETE ${baseUrl}/location/cache`]: "Clear the per-IP geolocation cache (admin only)"
           }
         },
 
@@ -144,7 +170,7 @@ app.get(basePath === '' ? '/' : basePath, (req, res) => {
           baseRoute: `${baseUrl}/posts`,
           routes: {
             [`GET ${baseUrl}/posts`]: {
-              description: "Get all posts",
+              description: "Get all approved posts",
               auth: "public",
               response: "Array of posts with image counts and view stats"
             },
@@ -154,9 +180,10 @@ app.get(basePath === '' ? '/' : basePath, (req, res) => {
               response: "Post details with associated images"
             },
             [`POST ${baseUrl}/posts`]: {
-              description: "Create new post with images",
+              description: "Create new post with images; the content filter pipeline and auto-moderation rules decide whether it is approved or held for review",
               auth: "public",
               contentType: "multipart/form-data",
+              response: "postId and moderation_status (429 with Retry-After when the submission limit is exceeded)",
               body: {
                 title: "Post title (required)",
                 content: "Post content (required)",
@@ -186,14 +213,15 @@ app.get(basePath === '' ? '/' : basePath, (req, res) => {
           baseRoute: `${baseUrl}`,
           routes: {
             [`GET ${baseUrl}/posts/:post_id/comments`]: {
-              description: "Get all comments for a specific post",
+              description: "Get approved comments for a specific post",
               auth: "public",
               response: "Array of comments with image counts"
             },
             [`POST ${baseUrl}/posts/:post_id/comments`]: {
-              description: "Create new comment with images",
+              description: "Create new comment with images on an approved post; the content filter pipeline and auto-moderation rules decide whether it is approved or held for review",
               auth: "public",
               contentType: "multipart/form-data",
+              response: "commentId and moderation_status (429 with Retry-After when the submission limit is exceeded)",
               body: {
                 author: "Commenter name (required)",
                 content: "Comment content (required)",
@@ -217,6 +245,41 @@ app.get(basePath === '' ? '/' : basePath, (req, res) => {
           }
         },
 
+        moderation: {
+          description: "Moderation queue for public posts and comments (pending/approved/rejected/flagged)",
+          baseRoute: `${baseUrl}/moderation`,
+          routes: {
+            [`GET ${baseUrl}/moderation/queue`]: {
+              description: "Posts and comments awaiting review, oldest first, with per-status counts and the latest content filter verdict",
+              auth: "admin_only",
+              query: "?type=post|comment&status=pending,flagged&page=1&limit=20"
+            },
+            [`POST ${baseUrl}/moderation/approve`]: {
+              description: "Bulk approve posts/comments",
+              auth: "admin_only",
+              body: { items: "[{ type: 'post' | 'comment', id }] (max 100)", reason: "Optional note" }
+            },
+            [`POST ${baseUrl}/moderation/reject`]: {
+              description: "Bulk reject posts/comments",
+              auth: "admin_only",
+              body: { items: "[{ type: 'post' | 'comment', id }] (max 100)", reason: "Rejection reason (required)" }
+            },
+            [`GET ${baseUrl}/moderation/rules`]: {
+              description: "Auto-moderation rules (POST, PUT/DELETE /rules/:id, POST /rules/seed to copy the defaults)",
+              auth: "admin_only"
+            },
+            [`GET ${baseUrl}/moderation/verdicts`]: {
+              description: "Content filter verdicts with total score and per-filter scores/reasons, including throttled submissions",
+              auth: "admin_only",
+              query: "?type=post|comment&id=12&fingerprint=...&decision=approved|flagged|rejected|throttled&limit=50&offset=0"
+            },
+            [`GET ${baseUrl}/moderation/banned-words`]: {
+              description: "Banned word list for the content filter (POST, PUT/DELETE /banned-words/:id, POST /banned-words/seed to copy the defaults)",
+              auth: "admin_only"
+            }
+          }
+        },
+
         articles: {
           description: "CMS article management system (admin-only creation)",
           baseRoute: `${baseUrl}/articles`,
@@ -479,7 +542,13 @@ app.get(basePath === '' ? '/' : basePath, (req, res) => {
             [`GET ${baseUrl}/wilayah/provinsi/:provCode/kabkota/:kabCode/kecamatan`]: "Daftar kecamatan",
             [`GET ${baseUrl}/wilayah/provinsi/:provCode/kabkota/:kabCode/kecamatan/:kecCode/kelurahan`]: "Daftar kelurahan/desa",
             [`GET ${baseUrl}/wilayah/kode/:kode`]: "Cari by kode lengkap (contoh: 11.02.05.1001)",
-            [`GET ${baseUrl}/wilayah/search?q=term`]: "Cari wilayah by nama/kode"
+            [`GET ${baseUrl}/wilayah/kode/:kode/breadcrumb`]: "Rantai induk + label (Desa X, Kec. Y, Kab. Z, Prov. W)",
+            [`GET ${baseUrl}/wilayah/tree?root=&depth=`]: "Pohon turunan wilayah dengan jumlah per level",
+            [`GET ${baseUrl}/wilayah/search?q=term&level=&parent=`]: "Cari wilayah berperingkat (alias, salah ketik) + breadcrumb",
+            [`GET ${baseUrl}/wilayah/reverse?lat=&lon=`]: "Koordinat -> desa/kelurahan + breadcrumb (data lokal)",
+            [`GET ${baseUrl}/wilayah/kode/:kode/history`]: "Riwayat nama kode lintas versi dataset",
+            [`GET ${baseUrl}/wilayah/versions`]: "Versi dataset wilayah + diff per versi",
+            [`POST ${baseUrl}/wilayah/import`]: "Impor dataset CSV/SQL sebagai versi baru (admin)"
           }
         }
       },
@@ -1358,149 +1427,15 @@ function getClientIp(req) {
   return req.connection?.remoteAddress?.replace('::ffff:', '') || req.ip;
 }
 
-function createGeoJSON(ip, location) {
-  if (!location) {
-    return {
-      type: 'Feature',
-      geometry: { type: 'Point', coordinates: [0, 0] },
-      properties: {
-        ip,
-        country: null,
-        region: null,
-        city: null,
-        timezone: null,
-        provider: 'geoip-lite',
-        meta: { queried_at: new Date().toISOString() }
-      }
-    };
-  }
-
-  return {
-    type: 'Feature',
-    geometry: {
-      type: 'Point',
-      coordinates: [location.ll[1], location.ll[0]] // [lon, lat]
-    },
-    properties: {
-      ip,
-      network: `${location.range[0]}-${location.range[1]}`,
-      country: {
-        code: location.country,
-        name: location.country === 'ID' ? 'Indonesia' : null
-      },
-      region: location.region,
-      city: location.city,
-      location: {
-        latitude: location.ll[0],
-        longitude: location.ll[1],
-        metro_code: location.metro,
-        accuracy_radius_km: location.area || null
-      },
-      timezone: 'Asia/Jakarta',
-      provider: 'geoip-lite',
-      meta: {
-        queried_at: new Date().toISOString(),
-        confidence: 0.7
-      }
-    }
-  };
-}
-
 // Location endpoint - environment aware
 app.get(`${basePath}/location`, async (req, res) => {
   let ip = req.query.ip || getClientIp(req);
-  const API_KEYS = [
-    '49ed45276f7040f683bf65da1ffa2883',
-    '0ccea66debe2461886d48d1f1fdba675',
-    '8c184e8b521c4accaac762b835a7ee85',
-    '1c08f7e0f7c244e49e22d7ef82951ad7',
-    '9b2f1c14a0c64a45885b0c17d12ae7e9',
-    '45f0c0eea19d4287b5ed2ff08dc6bb11',
-    '652ac3f6cbf041a5adce47b9fd8afd36',
-    'cf9a462ce9174b81a654fe94e9e9162e'
-  ];
   if (ip === '::1' || ip === '127.0.0.1') ip = '160.22.134.39';
 
-  // Pilih key yang masih di bawah limit 1000
-  let selectedKey = null;
-  try {
-    selectedKey = await pickAvailableApiKey(dbPool, API_KEYS, 1000);
-  } catch (err) {
-    console.error('pickAvailableApiKey error:', err.message);
-  }
-
-  if (!selectedKey) {
-    // Semua key habis kuota -> fallback offline
-    const location = geoip.lookup(ip);
-    return res.status(429).json({
-      error: 'Daily quota exhausted for all API keys',
-      fallback: createGeoJSON(ip, location)
-    });
-  }
-
-  try {
-    const resp = await axios.get(`https://api.ipgeolocation.io/v2/ipgeo?apiKey=${selectedKey}&ip=${ip}`);
-    // increment usage jika berhasil
-    try { await incrementApiKeyUsage(dbPool, selectedKey); } catch (incErr) { console.error('incrementApiKeyUsage error:', incErr.message); }
-    const data = resp.data;
-    const geojson = {
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: [parseFloat(data.location.longitude), parseFloat(data.location.latitude)]
-      },
-      properties: {
-        ip: data.ip,
-        country: {
-          code: data.location.country_code2,
-          code3: data.location.country_code3,
-          name: data.location.country_name,
-          official_name: data.location.country_name_official,
-          capital: data.location.country_capital,
-          flag: data.location.country_flag,
-          emoji: data.location.country_emoji,
-          is_eu: data.location.is_eu
-        },
-        region: {
-          state_prov: data.location.state_prov,
-          state_code: data.location.state_code,
-          district: data.location.district,
-          city: data.location.city,
-          zipcode: data.location.zipcode
-        },
-        location: {
-          latitude: parseFloat(data.location.latitude),
-          longitude: parseFloat(data.location.longitude),
-          continent_code: data.location.continent_code,
-          continent_name: data.location.continent_name,
-          geoname_id: data.location.geoname_id
-        },
-        metadata: {
-          calling_code: data.country_metadata.calling_code,
-          tld: data.country_metadata.tld,
-          languages: data.country_metadata.languages
-        },
-        currency: {
-          code: data.currency.code,
-          name: data.currency.name,
-          symbol: data.currency.symbol
-        },
-        provider: 'ipgeolocation.io',
-        meta: {
-          queried_at: new Date().toISOString(),
-          api_version: 'v2',
-          api_key_used: selectedKey
-        }
-      }
-    };
-    res.json(geojson);
-  } catch (e) {
-    console.error('ipgeolocation.io API error:', e.message);
-    const location = geoip.lookup(ip);
-    const geojson = createGeoJSON(ip, location);
-    geojson.properties.meta.api_key_used = selectedKey;
-    res.json(geojson);
-  }
+  // Header geolokasi platform (Vercel) hanya menggambarkan IP peminta, bukan ?ip=
+  const { feature, error, status } = await lookupLocation(dbPool, ip, { headers: req.query.ip ? null : req.headers });
+  if (error) return res.status(status).json({ error });
+  res.json(await attachLocationRegions(dbPool, feature));
 });
 
 // Route aliases: always serve at /pajar/ for backward compatibility
@@ -1806,6 +1741,29 @@ if (basePath === '') {
     try { await createApiKeyUsageTable(dbPool); } catch (e) { console.error('createApiKeyUsageTable failed:', e.message); }
     try { await createVideosTable(dbPool); } catch (e) { console.error('createVideosTable failed:', e.message); }
     try { await createEventsTable(dbPool); } catch (e) { console.error('createEventsTable failed:', e.message); }
+    try { await createPriceHistoryTable(dbPool); } catch (e) { console.error('createPriceHistoryTable failed:', e.message); }
+    try { await createPriceAlertsTable(dbPool); } catch (e) { console.error('createPriceAlertsTable failed:', e.message); }
+    try { await createPanganRegionMapTable(dbPool); } catch (e) { console.error('createPanganRegionMapTable failed:', e.message); }
+    try { await createWilayahBoundariesTable(dbPool); } catch (e) { console.error('createWilayahBoundariesTable failed:', e.message); }
+    try { await createWilayahCentroidsTable(dbPool); } catch (e) { console.error('createWilayahCentroidsTable failed:', e.message); }
+    try { await createUpstreamCacheTable(dbPool); } catch (e) { console.error('createUpstreamCacheTable failed:', e.message); }
+    try { await createWatchlistsTable(dbPool); } catch (e) { console.error('createWatchlistsTable failed:', e.message); }
+    try { await createWatchlistNotificationsTable(dbPool); } catch (e) { console.error('createWatchlistNotificationsTable failed:', e.message); }
+    try { await createWatchlistConfirmationsTable(dbPool); } catch (e) { console.error('createWatchlistConfirmationsTable failed:', e.message); }
+    try { await createCommoditiesTable(dbPool); } catch (e) { console.error('createCommoditiesTable failed:', e.message); }
+    try { await createWeatherLocationsTable(dbPool); } catch (e) { console.error('createWeatherLocationsTable failed:', e.message); }
+    try { await createWeatherForecastsTable(dbPool); } catch (e) { console.error('createWeatherForecastsTable failed:', e.message); }
+    try { await createWeatherDailyTable(dbPool); } catch (e) { console.error('createWeatherDailyTable failed:', e.message); }
+    try { await createAdvisoryRulesTable(dbPool); } catch (e) { console.error('createAdvisoryRulesTable failed:', e.message); }
+    try { await createRegionCommoditiesTable(dbPool); } catch (e) { console.error('createRegionCommoditiesTable failed:', e.message); }
+    try { await createCropProfilesTable(dbPool); } catch (e) { console.error('createCropProfilesTable failed:', e.message); }
+    try { await createWilayahVersionsTable(dbPool); } catch (e) { console.error('createWilayahVersionsTable failed:', e.message); }
+    try { await createWilayahHistoryTable(dbPool); } catch (e) { console.error('createWilayahHistoryTable failed:', e.message); }
+    try { await createGeolocationKeysTable(dbPool); } catch (e) { console.error('createGeolocationKeysTable failed:', e.message); }
+    try { await addModerationColumns(dbPool); } catch (e) { console.error('addModerationColumns failed:', e.message); }
+    try { await createModerationRulesTable(dbPool); } catch (e) { console.error('createModerationRulesTable failed:', e.message); }
+    try { await createContentVerdictsTable(dbPool); } catch (e) { console.error('createContentVerdictsTable failed:', e.message); }
+    try { await createBannedWordsTable(dbPool); } catch (e) { console.error('createBannedWordsTable failed:', e.message); }
 
     // Import dan inject routes sekarang - environment aware
     const createPostRoutes = require('./routes/posts');
@@ -1821,6 +1779,9 @@ if (basePath === '') {
     const createWilayahRoutes = require('./routes/wilayah');
     const createPanganRoutes = require('./routes/pangan');
     const createBmkgRoutes = require('./routes/bmkg');
+    const createAgriRoutes = require('./routes/agri');
+    const createLocationRoutes = require('./routes/location');
+    const createModerationRoutes = require('./routes/moderation');
     const nekolabsRoutes = require('./routes/nekolabs');
 
     app.use(`${basePath}/posts`, createPostRoutes(dbPool));
@@ -1834,8 +1795,11 @@ if (basePath === '') {
     app.use(`${basePath}/stats`, createStatsRoutes(dbPool));
     app.use(`${basePath}/events`, createEventRoutes(dbPool));
     app.use(`${basePath}/wilayah`, createWilayahRoutes(dbPool));
-    app.use(`${basePath}/pangan`, createPanganRoutes());
-    app.use(`${basePath}/bmkg`, createBmkgRoutes());
+    app.use(`${basePath}/pangan`, createPanganRoutes(dbPool));
+    app.use(`${basePath}/bmkg`, createBmkgRoutes(dbPool));
+    app.use(`${basePath}/agri`, createAgriRoutes(dbPool));
+    app.use(`${basePath}/location`, createLocationRoutes(dbPool));
+    app.use(`${basePath}/moderation`, createModerationRoutes(dbPool));
     app.use(`${basePath}/nekolabs`, nekolabsRoutes);
 
     // Add route aliases for backward compatibility when basePath is empty
@@ -1852,8 +1816,11 @@ if (basePath === '') {
       app.use('/pajar/stats', createStatsRoutes(dbPool));
       app.use('/pajar/events', createEventRoutes(dbPool));
       app.use('/pajar/wilayah', createWilayahRoutes(dbPool));
-      app.use('/pajar/pangan', createPanganRoutes());
-      app.use('/pajar/bmkg', createBmkgRoutes());
+      app.use('/pajar/pangan', createPanganRoutes(dbPool));
+      app.use('/pajar/bmkg', createBmkgRoutes(dbPool));
+      app.use('/pajar/agri', createAgriRoutes(dbPool));
+      app.use('/pajar/location', createLocationRoutes(dbPool));
+      app.use('/pajar/moderation', createModerationRoutes(dbPool));
       app.use('/pajar/nekolabs', nekolabsRoutes);
 
       console.log('✅ Backward compatibility routes mounted at /pajar/* for subdirectory deployment');
@@ -0,0 +1,94 @@
+class AdvisoryRule {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    let conditions = [];
+    try {
+      conditions = JSON.parse(row.conditions || '[]');
+    } catch (error) {
+      conditions = [];
+    }
+    return {
+      ...row,
+      conditions,
+      sort_order: Number(row.sort_order || 0),
+      is_active: Boolean(row.is_active)
+    };
+  }
+
+  async getAll({ category, activeOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+    if (activeOnly) {
+      conditions.push('is_active = ?');
+      params.push(true);
+    }
+
+    const [rows] = await this.db.execute(
+      `SELECT * FROM weather_advisory_rules
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY sort_order ASC, code ASC`,
+      params
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async count() {
+    const [rows] = await this.db.execute('SELECT COUNT(*) AS total FROM weather_advisory_rules');
+    return Number(rows[0]?.total || 0);
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM weather_advisory_rules WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async getByCode(code) {
+    const [rows] = await this.db.execute('SELECT * FROM weather_advisory_rules WHERE code = ?', [code]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async create(data) {
+    await this.db.execute(
+      `INSERT INTO weather_advisory_rules
+        (code, category, scope, severity, title, message, conditions, sort_order, is_active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        data.code, data.category, data.scope, data.severity, data.title, data.message,
+        JSON.stringify(data.conditions), data.sort_order || 0, data.is_active !== false
+      ]
+    );
+    return this.getByCode(data.code);
+  }
+
+  async update(id, data) {
+    const fields = ['code', 'category', 'scope', 'severity', 'title', 'message', 'conditions', 'sort_order', 'is_active'];
+    const updates = [];
+    const params = [];
+    for (const field of fields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(field === 'conditions' ? JSON.stringify(data[field]) : data[field]);
+      }
+    }
+    if (updates.length === 0) return this.getById(id);
+
+    await this.db.execute(
+      `UPDATE weather_advisory_rules SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...params, id]
+    );
+    return this.getById(id);
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM weather_advisory_rules WHERE id = ?', [id]);
+  }
+}
+
+module.exports = AdvisoryRule;
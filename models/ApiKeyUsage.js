@@ -0,0 +1,38 @@
+// Pemakaian harian per key di api_key_usage; increment memakai upsert atomik sesuai database
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+class ApiKeyUsage {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Map key -> jumlah pemakaian hari ini
+  async getUsages(keys) {
+    if (!keys || keys.length === 0) return {};
+    const [rows] = await this.db.execute(
+      `SELECT api_key, usage_count FROM api_key_usage
+       WHERE usage_date = ? AND api_key IN (${keys.map(() => '?').join(', ')})`,
+      [today(), ...keys]
+    );
+    const usages = {};
+    for (const row of rows) usages[row.api_key] = Number(row.usage_count);
+    return usages;
+  }
+
+  async increment(key) {
+    const upsert = this.db.dialect === 'postgres'
+      ? `ON CONFLICT (api_key, usage_date)
+         DO UPDATE SET usage_count = api_key_usage.usage_count + 1, last_used_at = NOW()`
+      : 'ON DUPLICATE KEY UPDATE usage_count = usage_count + 1, last_used_at = NOW()';
+    await this.db.execute(
+      `INSERT INTO api_key_usage (api_key, usage_date, usage_count, last_used_at)
+       VALUES (?, ?, 1, NOW())
+       ${upsert}`,
+      [key, today()]
+    );
+  }
+}
+
+module.exports = ApiKeyUsage;
@@ -0,0 +1,83 @@
+class BannedWord {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    return {
+      ...row,
+      weight: Number(row.weight),
+      is_active: Boolean(row.is_active)
+    };
+  }
+
+  async getAll({ category, activeOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+    if (category) {
+      conditions.push('category = ?');
+      params.push(category);
+    }
+    if (activeOnly) {
+      conditions.push('is_active = ?');
+      params.push(true);
+    }
+
+    const [rows] = await this.db.execute(
+      `SELECT * FROM content_filter_words
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY category ASC, word ASC`,
+      params
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async count() {
+    const [rows] = await this.db.execute('SELECT COUNT(*) AS total FROM content_filter_words');
+    return Number(rows[0]?.total || 0);
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM content_filter_words WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async getByWord(word) {
+    const [rows] = await this.db.execute('SELECT * FROM content_filter_words WHERE word = ?', [word]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async create(data) {
+    await this.db.execute(
+      `INSERT INTO content_filter_words (word, category, weight, is_active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, NOW(), NOW())`,
+      [data.word, data.category, data.weight, data.is_active !== false]
+    );
+    return this.getByWord(data.word);
+  }
+
+  async update(id, data) {
+    const fields = ['word', 'category', 'weight', 'is_active'];
+    const updates = [];
+    const params = [];
+    for (const field of fields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(data[field]);
+      }
+    }
+    if (updates.length === 0) return this.getById(id);
+
+    await this.db.execute(
+      `UPDATE content_filter_words SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...params, id]
+    );
+    return this.getById(id);
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM content_filter_words WHERE id = ?', [id]);
+  }
+}
+
+module.exports = BannedWord;
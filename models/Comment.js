@@ -9,22 +9,25 @@ class Comment {
     return this.ImagePathUtils.toPublicUrl(filenameOrPath);
   }
 
-  // Membuat komentar baru
+  // Membuat komentar baru (status moderasi ditentukan controller)
   async create(commentData) {
-    const { post_id, author, content } = commentData;
-    const query = 'INSERT INTO comments (post_id, author, content, created_at) VALUES (?, ?, ?, NOW())';
-    const [result] = await this.db.execute(query, [post_id, author, content]);
+    const { post_id, author, content, moderation_status = 'approved', moderation_reason = null } = commentData;
+    const query = `
+      INSERT INTO comments (post_id, author, content, moderation_status, moderation_reason, created_at)
+      VALUES (?, ?, ?, ?, ?, NOW())
+    `;
+    const [result] = await this.db.execute(query, [post_id, author, content, moderation_status, moderation_reason]);
     return result.insertId;
   }
 
-  // Mendapatkan semua komentar untuk sebuah post (dengan gambar)
+  // Mendapatkan komentar yang sudah disetujui untuk sebuah post (dengan gambar)
   async getByPostId(post_id) {
     const query = `
       SELECT c.*, 
         c.like_count,
         (SELECT COUNT(*) FROM images WHERE entity_type = 'comment' AND entity_id = c.id) as image_count
       FROM comments c 
-      WHERE post_id = ? 
+      WHERE post_id = ? AND c.moderation_status = 'approved'
       ORDER BY created_at ASC
     `;
     const [rows] = await this.db.execute(query, [post_id]);
@@ -63,9 +66,9 @@ class Comment {
     return rows;
   }
 
-  // Mendapatkan komentar berdasarkan ID (dengan gambar)
+  // Mendapatkan komentar yang sudah disetujui berdasarkan ID (dengan gambar)
   async getById(id) {
-    const commentQuery = 'SELECT * FROM comments WHERE id = ?';
+    const commentQuery = "SELECT * FROM comments WHERE id = ? AND moderation_status = 'approved'";
     const [commentRows] = await this.db.execute(commentQuery, [id]);
     
     if (commentRows.length === 0) return null;
@@ -0,0 +1,94 @@
+class Commodity {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    let aliases = [];
+    try {
+      aliases = row.aliases ? JSON.parse(row.aliases) : [];
+    } catch (error) {
+      aliases = String(row.aliases).split(',').map(a => a.trim()).filter(Boolean);
+    }
+    return {
+      ...row,
+      aliases,
+      sort_order: Number(row.sort_order || 0),
+      is_active: Boolean(row.is_active)
+    };
+  }
+
+  async getAll(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.category) {
+      conditions.push('category = ?');
+      params.push(filters.category);
+    }
+    if (filters.activeOnly) {
+      conditions.push('is_active = ?');
+      params.push(true);
+    }
+    if (filters.search) {
+      conditions.push('(LOWER(name_id) LIKE ? OR LOWER(name_en) LIKE ? OR slug LIKE ? OR LOWER(aliases) LIKE ?)');
+      const like = `%${filters.search.toLowerCase()}%`;
+      params.push(like, like, like, like);
+    }
+
+    const [rows] = await this.db.execute(
+      `SELECT * FROM pangan_commodities
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY sort_order ASC, name_id ASC`,
+      params
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM pangan_commodities WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async getBySlug(slug) {
+    const [rows] = await this.db.execute('SELECT * FROM pangan_commodities WHERE slug = ?', [slug]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async create(data) {
+    await this.db.execute(
+      `INSERT INTO pangan_commodities
+        (slug, upstream_id, name_id, name_en, category, unit, aliases, sort_order, is_active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        data.slug, data.upstream_id || null, data.name_id, data.name_en || null, data.category, data.unit,
+        JSON.stringify(data.aliases || []), data.sort_order || 0, data.is_active !== false
+      ]
+    );
+    return this.getBySlug(data.slug);
+  }
+
+  async update(id, data) {
+    const fields = ['slug', 'upstream_id', 'name_id', 'name_en', 'category', 'unit', 'aliases', 'sort_order', 'is_active'];
+    const updates = [];
+    const params = [];
+    for (const field of fields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(field === 'aliases' ? JSON.stringify(data[field]) : data[field]);
+      }
+    }
+    if (updates.length === 0) return this.getById(id);
+
+    await this.db.execute(
+      `UPDATE pangan_commodities SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...params, id]
+    );
+    return this.getById(id);
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM pangan_commodities WHERE id = ?', [id]);
+  }
+}
+
+module.exports = Commodity;
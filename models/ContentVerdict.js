@@ -0,0 +1,112 @@
+// Verdict pipeline filter konten; content_id NULL untuk kiriman yang ditolak sebelum tersimpan (throttled)
+class ContentVerdict {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    let results = [];
+    try {
+      results = JSON.parse(row.results || '[]');
+    } catch (error) {
+      results = [];
+    }
+    return {
+      ...row,
+      content_id: row.content_id === null ? null : Number(row.content_id),
+      score: Number(row.score),
+      results
+    };
+  }
+
+  async create(data) {
+    const [result] = await this.db.execute(
+      `INSERT INTO content_filter_verdicts
+        (content_type, content_id, author, fingerprint, ip, content_hash, score, decision, results, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        data.content_type, data.content_id || null, data.author || null, data.fingerprint, data.ip || null,
+        data.content_hash, data.score, data.decision, JSON.stringify(data.results || [])
+      ]
+    );
+    return result.insertId;
+  }
+
+  async getAll({ contentType, contentId, fingerprint, decision, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (contentType) {
+      conditions.push('content_type = ?');
+      params.push(contentType);
+    }
+    if (contentId) {
+      conditions.push('content_id = ?');
+      params.push(contentId);
+    }
+    if (fingerprint) {
+      conditions.push('fingerprint = ?');
+      params.push(fingerprint);
+    }
+    if (decision) {
+      conditions.push('decision = ?');
+      params.push(decision);
+    }
+
+    const [rows] = await this.db.execute(
+      `SELECT * FROM content_filter_verdicts
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  // Verdict terbaru untuk satu post/komentar
+  async getLatestFor(contentType, contentId) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM content_filter_verdicts
+       WHERE content_type = ? AND content_id = ?
+       ORDER BY id DESC LIMIT 1`,
+      [contentType, contentId]
+    );
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  // Jendela waktu dihitung dengan jam database (created_at diisi NOW()); sintaks INTERVAL ini sama di MySQL dan PostgreSQL
+  windowClause(seconds) {
+    return `created_at >= NOW() - INTERVAL '${Math.max(1, parseInt(seconds, 10) || 1)}' SECOND`;
+  }
+
+  // Kiriman (yang tidak di-throttle) dari satu fingerprint dalam beberapa detik terakhir
+  async countRecentByFingerprint(fingerprint, seconds) {
+    const [rows] = await this.db.execute(
+      `SELECT COUNT(*) AS total FROM content_filter_verdicts
+       WHERE fingerprint = ? AND ${this.windowClause(seconds)} AND decision <> 'throttled'`,
+      [fingerprint]
+    );
+    return Number(rows[0]?.total || 0);
+  }
+
+  // Kiriman (yang tidak di-throttle) dari satu IP dalam beberapa detik terakhir
+  async countRecentByIp(ip, seconds) {
+    const [rows] = await this.db.execute(
+      `SELECT COUNT(*) AS total FROM content_filter_verdicts
+       WHERE ip = ? AND ${this.windowClause(seconds)} AND decision <> 'throttled'`,
+      [ip]
+    );
+    return Number(rows[0]?.total || 0);
+  }
+
+  // Kiriman dengan isi yang sama dalam beberapa detik terakhir
+  async countRecentByHash(contentHash, seconds) {
+    const [rows] = await this.db.execute(
+      `SELECT COUNT(*) AS total FROM content_filter_verdicts
+       WHERE content_hash = ? AND ${this.windowClause(seconds)} AND decision <> 'throttled'`,
+      [contentHash]
+    );
+    return Number(rows[0]?.total || 0);
+  }
+}
+
+module.exports = ContentVerdict;
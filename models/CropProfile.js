@@ -0,0 +1,86 @@
+const FIELDS = [
+  'code', 'name', 'season_days', 'establishment_days', 'rain_week_min_mm', 'rain_week_max_mm',
+  'max_daily_rain_mm', 'temp_min_c', 'temp_max_c', 'notes', 'sort_order', 'is_active'
+];
+const NUMERIC_COLUMNS = [
+  'season_days', 'establishment_days', 'rain_week_min_mm', 'rain_week_max_mm',
+  'max_daily_rain_mm', 'temp_min_c', 'temp_max_c', 'sort_order'
+];
+
+class CropProfile {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    const normalized = { ...row, is_active: Boolean(row.is_active) };
+    for (const column of NUMERIC_COLUMNS) {
+      if (normalized[column] !== null && normalized[column] !== undefined) {
+        normalized[column] = Number(normalized[column]);
+      }
+    }
+    return normalized;
+  }
+
+  async getAll({ activeOnly = false } = {}) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM crop_profiles
+       ${activeOnly ? 'WHERE is_active = ?' : ''}
+       ORDER BY sort_order ASC, code ASC`,
+      activeOnly ? [true] : []
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async count() {
+    const [rows] = await this.db.execute('SELECT COUNT(*) AS total FROM crop_profiles');
+    return Number(rows[0]?.total || 0);
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM crop_profiles WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async getByCode(code) {
+    const [rows] = await this.db.execute('SELECT * FROM crop_profiles WHERE code = ?', [code]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async create(data) {
+    await this.db.execute(
+      `INSERT INTO crop_profiles (${FIELDS.join(', ')}, created_at, updated_at)
+       VALUES (${FIELDS.map(() => '?').join(', ')}, NOW(), NOW())`,
+      [
+        data.code, data.name, data.season_days, data.establishment_days || 30, data.rain_week_min_mm,
+        data.rain_week_max_mm, data.max_daily_rain_mm ?? null, data.temp_min_c, data.temp_max_c,
+        data.notes || null, data.sort_order || 0, data.is_active !== false
+      ]
+    );
+    return this.getByCode(data.code);
+  }
+
+  async update(id, data) {
+    const updates = [];
+    const params = [];
+    for (const field of FIELDS) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(data[field]);
+      }
+    }
+    if (updates.length === 0) return this.getById(id);
+
+    await this.db.execute(
+      `UPDATE crop_profiles SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...params, id]
+    );
+    return this.getById(id);
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM crop_profiles WHERE id = ?', [id]);
+  }
+}
+
+module.exports = CropProfile;
@@ -0,0 +1,82 @@
+const FIELDS = ['provider', 'label', 'api_key', 'daily_limit', 'is_active'];
+
+class GeolocationKey {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    return {
+      ...row,
+      id: Number(row.id),
+      daily_limit: row.daily_limit === null || row.daily_limit === undefined ? null : Number(row.daily_limit),
+      is_active: Boolean(row.is_active)
+    };
+  }
+
+  async getAll({ provider = null, activeOnly = false } = {}) {
+    const conditions = [];
+    const params = [];
+    if (provider) {
+      conditions.push('provider = ?');
+      params.push(provider);
+    }
+    if (activeOnly) {
+      conditions.push('is_active = ?');
+      params.push(true);
+    }
+    const [rows] = await this.db.execute(
+      `SELECT * FROM geolocation_keys
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY provider ASC, id ASC`,
+      params
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM geolocation_keys WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async findByKey(provider, apiKey) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM geolocation_keys WHERE provider = ? AND api_key = ?',
+      [provider, apiKey]
+    );
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async create(data) {
+    await this.db.execute(
+      `INSERT INTO geolocation_keys (${FIELDS.join(', ')}, created_at, updated_at)
+       VALUES (${FIELDS.map(() => '?').join(', ')}, NOW(), NOW())`,
+      [data.provider, data.label || null, data.api_key, data.daily_limit ?? null, data.is_active !== false]
+    );
+    return this.findByKey(data.provider, data.api_key);
+  }
+
+  async update(id, data) {
+    const updates = [];
+    const params = [];
+    for (const field of FIELDS) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(data[field]);
+      }
+    }
+    if (updates.length === 0) return this.getById(id);
+
+    await this.db.execute(
+      `UPDATE geolocation_keys SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...params, id]
+    );
+    return this.getById(id);
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM geolocation_keys WHERE id = ?', [id]);
+  }
+}
+
+module.exports = GeolocationKey;
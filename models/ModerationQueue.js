@@ -0,0 +1,106 @@
+const ImagePathUtils = require('../utils/imagePathUtils');
+
+// Antrian moderasi lintas posts dan comments; nama tabel hanya dari peta ini, tidak dari input
+const TABLES = { post: 'posts', comment: 'comments' };
+
+class ModerationQueue {
+  constructor(db) {
+    this.db = db;
+  }
+
+  placeholders(values) {
+    return values.map(() => '?').join(', ');
+  }
+
+  // Post dan komentar berstatus tertentu, terlama lebih dulu; komentar disertai judul post-nya
+  async getItems({ types = Object.keys(TABLES), statuses, limit = 20, offset = 0 }) {
+    const parts = [];
+    const params = [];
+    if (types.includes('post')) {
+      parts.push(`
+        SELECT 'post' AS type, p.id, NULL AS post_id, p.title, NULL AS post_title, p.author, p.content,
+          p.moderation_status, p.moderation_reason, p.moderated_by, p.moderated_at, p.created_at
+        FROM posts p
+        WHERE p.moderation_status IN (${this.placeholders(statuses)})
+      `);
+      params.push(...statuses);
+    }
+    if (types.includes('comment')) {
+      parts.push(`
+        SELECT 'comment' AS type, c.id, c.post_id, NULL AS title, p.title AS post_title, c.author, c.content,
+          c.moderation_status, c.moderation_reason, c.moderated_by, c.moderated_at, c.created_at
+        FROM comments c
+        LEFT JOIN posts p ON c.post_id = p.id
+        WHERE c.moderation_status IN (${this.placeholders(statuses)})
+      `);
+      params.push(...statuses);
+    }
+
+    const [rows] = await this.db.execute(
+      `SELECT * FROM (${parts.join(' UNION ALL ')}) queue
+       ORDER BY created_at ASC, id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    for (const item of rows) {
+      const [imageRows] = await this.db.execute(
+        'SELECT * FROM images WHERE entity_type = ? AND entity_id = ? ORDER BY created_at ASC',
+        [item.type, item.id]
+      );
+      item.images = imageRows.map(img => ({ ...img, path: ImagePathUtils.toPublicUrl(img.path) }));
+    }
+    return rows;
+  }
+
+  // { post: { pending: n, ... }, comment: { ... } }
+  async countByStatus() {
+    const counts = {};
+    for (const [type, table] of Object.entries(TABLES)) {
+      const [rows] = await this.db.execute(
+        `SELECT moderation_status, COUNT(*) AS total FROM ${table} GROUP BY moderation_status`
+      );
+      counts[type] = {};
+      for (const row of rows) counts[type][row.moderation_status] = Number(row.total);
+    }
+    return counts;
+  }
+
+  // Jumlah konten seorang penulis per status (post + komentar), untuk aturan berbasis riwayat penulis
+  async getAuthorStats(author) {
+    const stats = {};
+    for (const table of Object.values(TABLES)) {
+      const [rows] = await this.db.execute(
+        `SELECT moderation_status, COUNT(*) AS total FROM ${table} WHERE author = ? GROUP BY moderation_status`,
+        [author]
+      );
+      for (const row of rows) {
+        stats[row.moderation_status] = (stats[row.moderation_status] || 0) + Number(row.total);
+      }
+    }
+    return stats;
+  }
+
+  // Ubah status sekaligus; mengembalikan id yang benar-benar ada
+  async setStatus(type, ids, { status, reason = null, moderatedBy = null }) {
+    const table = TABLES[type];
+    if (!table || ids.length === 0) return [];
+
+    const [rows] = await this.db.execute(
+      `SELECT id FROM ${table} WHERE id IN (${this.placeholders(ids)})`,
+      ids
+    );
+    const found = rows.map(row => Number(row.id));
+    if (found.length === 0) return [];
+
+    await this.db.execute(
+      `UPDATE ${table}
+       SET moderation_status = ?, moderation_reason = ?, moderated_by = ?, moderated_at = NOW()
+       WHERE id IN (${this.placeholders(found)})`,
+      [status, reason, moderatedBy, ...found]
+    );
+    return found;
+  }
+}
+
+module.exports = ModerationQueue;
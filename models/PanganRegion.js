@@ -0,0 +1,85 @@
+class PanganRegion {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getAll(filters = {}) {
+    const conditions = [];
+    const params = [];
+    if (filters.level) {
+      conditions.push('m.level = ?');
+      params.push(filters.level);
+    }
+    if (filters.pangan_province_id) {
+      conditions.push('m.pangan_province_id = ?');
+      params.push(String(filters.pangan_province_id));
+    }
+    if (filters.wilayah_prefix) {
+      conditions.push('(m.wilayah_kode = ? OR m.wilayah_kode LIKE ?)');
+      params.push(filters.wilayah_prefix, `${filters.wilayah_prefix}.%`);
+    }
+
+    const [rows] = await this.db.execute(
+      `SELECT m.*, w.nama AS wilayah_nama
+       FROM pangan_region_map m
+       LEFT JOIN wilayah w ON w.kode = m.wilayah_kode
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY m.wilayah_kode`,
+      params
+    );
+    return rows;
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM pangan_region_map WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  async findByPanganId(provinceId, cityId = '') {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM pangan_region_map WHERE pangan_province_id = ? AND pangan_city_id = ?',
+      [String(provinceId), cityId ? String(cityId) : '']
+    );
+    return rows[0] || null;
+  }
+
+  async findByWilayahKode(kode) {
+    const [rows] = await this.db.execute('SELECT * FROM pangan_region_map WHERE wilayah_kode = ?', [kode]);
+    return rows[0] || null;
+  }
+
+  // Simpan pemetaan; pemetaan manual tidak ditimpa hasil auto-match kecuali overwriteManual
+  async upsert(mapping, { overwriteManual = false } = {}) {
+    const provinceId = String(mapping.pangan_province_id);
+    const cityId = mapping.pangan_city_id ? String(mapping.pangan_city_id) : '';
+    const method = mapping.match_method || 'auto';
+    const existing = await this.findByPanganId(provinceId, cityId);
+
+    if (existing) {
+      if (existing.match_method === 'manual' && method === 'auto' && !overwriteManual) {
+        return 'skipped';
+      }
+      await this.db.execute(
+        `UPDATE pangan_region_map
+         SET level = ?, pangan_name = ?, wilayah_kode = ?, match_method = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [mapping.level, mapping.pangan_name || existing.pangan_name, mapping.wilayah_kode, method, existing.id]
+      );
+      return 'updated';
+    }
+
+    await this.db.execute(
+      `INSERT INTO pangan_region_map
+        (level, pangan_province_id, pangan_city_id, pangan_name, wilayah_kode, match_method, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [mapping.level, provinceId, cityId, mapping.pangan_name || null, mapping.wilayah_kode, method]
+    );
+    return 'inserted';
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM pangan_region_map WHERE id = ?', [id]);
+  }
+}
+
+module.exports = PanganRegion;
@@ -10,15 +10,18 @@ class Post {
     return ImagePathUtils.toPublicUrl(path);
   }
 
-  // Membuat post baru
+  // Membuat post baru (status moderasi ditentukan controller)
   async create(postData) {
-    const { title, content, author } = postData;
-    const query = 'INSERT INTO posts (title, content, author, created_at) VALUES (?, ?, ?, NOW())';
-    const [result] = await this.db.execute(query, [title, content, author]);
+    const { title, content, author, moderation_status = 'approved', moderation_reason = null } = postData;
+    const query = `
+      INSERT INTO posts (title, content, author, moderation_status, moderation_reason, created_at)
+      VALUES (?, ?, ?, ?, ?, NOW())
+    `;
+    const [result] = await this.db.execute(query, [title, content, author, moderation_status, moderation_reason]);
     return result.insertId;
   }
 
-  // Mendapatkan semua post (dengan gambar dan view count)
+  // Mendapatkan semua post yang sudah disetujui (dengan gambar dan view count)
   async getAll(limit = 10, offset = 0) {
     const query = `
       SELECT p.*, 
@@ -26,8 +29,9 @@ class Post {
         p.like_count,
         p.shared_count,
         (SELECT COUNT(*) FROM images WHERE entity_type = 'post' AND entity_id = p.id) as image_count,
-        (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count
+        (SELECT COUNT(*) FROM comments WHERE post_id = p.id AND moderation_status = 'approved') as comment_count
       FROM posts p 
+      WHERE p.moderation_status = 'approved'
       ORDER BY created_at DESC
       LIMIT ? OFFSET ?
     `;
@@ -48,13 +52,13 @@ class Post {
     return rows;
   }
 
-  // Mendapatkan post berdasarkan ID (dengan gambar)
+  // Mendapatkan post yang sudah disetujui berdasarkan ID (dengan gambar)
   async getById(id) {
     const postQuery = `
       SELECT p.*, 
-        (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count
+        (SELECT COUNT(*) FROM comments WHERE post_id = p.id AND moderation_status = 'approved') as comment_count
       FROM posts p 
-      WHERE p.id = ?
+      WHERE p.id = ? AND p.moderation_status = 'approved'
     `;
     const [postRows] = await this.db.execute(postQuery, [id]);
     
@@ -184,7 +188,7 @@ class Post {
 
   // Get total count of posts (for pagination)
   async getTotalCount() {
-    const query = 'SELECT COUNT(*) as total FROM posts';
+    const query = "SELECT COUNT(*) as total FROM posts WHERE moderation_status = 'approved'";
     const [rows] = await this.db.execute(query);
     return rows[0].total;
   }
@@ -197,9 +201,9 @@ class Post {
         p.like_count,
         p.shared_count,
         (SELECT COUNT(*) FROM images WHERE entity_type = 'post' AND entity_id = p.id) as image_count,
-        (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count
+        (SELECT COUNT(*) FROM comments WHERE post_id = p.id AND moderation_status = 'approved') as comment_count
       FROM posts p
-      WHERE (title LIKE ? OR content LIKE ? OR author LIKE ?)
+      WHERE moderation_status = 'approved' AND (title LIKE ? OR content LIKE ? OR author LIKE ?)
       ORDER BY created_at DESC
       LIMIT ? OFFSET ?
     `;
@@ -225,7 +229,7 @@ class Post {
   async getSearchTotalCount(searchTerm) {
     const query = `
       SELECT COUNT(*) as total FROM posts 
-      WHERE (title LIKE ? OR content LIKE ? OR author LIKE ?)
+      WHERE moderation_status = 'approved' AND (title LIKE ? OR content LIKE ? OR author LIKE ?)
     `;
     const searchPattern = `%${searchTerm}%`;
     const [rows] = await this.db.execute(query, [searchPattern, searchPattern, searchPattern]);
@@ -240,9 +244,10 @@ class Post {
         p.like_count,
         p.shared_count,
         (SELECT COUNT(*) FROM images WHERE entity_type = 'post' AND entity_id = p.id) as image_count,
-        (SELECT COUNT(*) FROM comments WHERE post_id = p.id) as comment_count,
+        (SELECT COUNT(*) FROM comments WHERE post_id = p.id AND moderation_status = 'approved') as comment_count,
         ((p.view_count * 1) + (p.like_count * 3) + (p.shared_count * 5)) as popularity_score
       FROM posts p
+      WHERE p.moderation_status = 'approved'
       ORDER BY popularity_score DESC, created_at DESC
       LIMIT ? OFFSET ?
     `;
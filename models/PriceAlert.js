@@ -0,0 +1,118 @@
+class PriceAlert {
+  constructor(db) {
+    this.db = db;
+  }
+
+  formatDate(value) {
+    if (!(value instanceof Date)) return value ? String(value).slice(0, 10) : value;
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  normalizeRow(row) {
+    const numeric = ['price', 'previous_price', 'baseline', 'score', 'change_pct', 'deviation_pct'];
+    const normalized = { ...row, price_date: this.formatDate(row.price_date) };
+    for (const field of numeric) {
+      if (normalized[field] !== null && normalized[field] !== undefined) normalized[field] = Number(normalized[field]);
+    }
+    return normalized;
+  }
+
+  // Simpan alert baru; satu alert per deret per tanggal (return false jika sudah ada)
+  async create(alert) {
+    const [existing] = await this.db.execute(
+      `SELECT id FROM pangan_price_alerts
+       WHERE commodity_id = ? AND province_id = ? AND city_id = ? AND level_harga_id = ? AND price_date = ?`,
+      [alert.commodity_id, alert.province_id, alert.city_id, alert.level_harga_id, alert.price_date]
+    );
+    if (existing.length > 0) return false;
+
+    await this.db.execute(
+      `INSERT INTO pangan_price_alerts
+        (commodity_id, commodity_name, province_id, city_id, region_name, level_harga_id, price_date,
+         price, previous_price, baseline, score, change_pct, deviation_pct, direction, method, severity,
+         status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', NOW())`,
+      [
+        alert.commodity_id, alert.commodity_name, alert.province_id, alert.city_id, alert.region_name,
+        alert.level_harga_id, alert.price_date, alert.price, alert.previous_price, alert.baseline,
+        alert.score, alert.change_pct, alert.deviation_pct, alert.direction, alert.method, alert.severity
+      ]
+    );
+    return true;
+  }
+
+  buildWhere(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.severity && filters.severity.length > 0) {
+      conditions.push(`severity IN (${filters.severity.map(() => '?').join(', ')})`);
+      params.push(...filters.severity);
+    }
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.commodity_id) {
+      conditions.push('commodity_id = ?');
+      params.push(String(filters.commodity_id));
+    }
+    if (filters.province_id !== undefined) {
+      conditions.push('province_id = ?');
+      params.push(String(filters.province_id));
+    }
+    if (filters.city_id !== undefined) {
+      conditions.push('city_id = ?');
+      params.push(String(filters.city_id));
+    }
+    if (filters.from) {
+      conditions.push('price_date >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('price_date <= ?');
+      params.push(filters.to);
+    }
+
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  async getAll(filters = {}, limit = 50, offset = 0) {
+    const { clause, params } = this.buildWhere(filters);
+    const [rows] = await this.db.execute(
+      `SELECT * FROM pangan_price_alerts ${clause}
+       ORDER BY price_date DESC, created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async getTotalCount(filters = {}) {
+    const { clause, params } = this.buildWhere(filters);
+    const [rows] = await this.db.execute(`SELECT COUNT(*) as total FROM pangan_price_alerts ${clause}`, params);
+    return Number(rows[0].total);
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM pangan_price_alerts WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async acknowledge(id, username, note = null) {
+    await this.db.execute(
+      `UPDATE pangan_price_alerts
+       SET status = 'acknowledged', acknowledged_by = ?, acknowledged_at = NOW(), acknowledgement_note = ?
+       WHERE id = ?`,
+      [username, note, id]
+    );
+    return this.getById(id);
+  }
+}
+
+module.exports = PriceAlert;
@@ -0,0 +1,153 @@
+const { seriesKey } = require('../utils/priceAnalytics');
+
+class PriceHistory {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Driver mysql2/pg mengembalikan kolom DATE sebagai Date lokal; seragamkan ke YYYY-MM-DD
+  formatDate(value) {
+    if (!(value instanceof Date)) return value ? String(value).slice(0, 10) : value;
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  normalizeRow(row) {
+    return {
+      ...row,
+      price_date: this.formatDate(row.price_date),
+      price: row.price !== null && row.price !== undefined ? Number(row.price) : null
+    };
+  }
+
+  // Simpan satu snapshot; jika sudah ada untuk hari yang sama, harga diperbarui
+  async upsert(snapshot) {
+    const keyParams = [
+      snapshot.commodity_id,
+      snapshot.province_id,
+      snapshot.city_id,
+      snapshot.level_harga_id,
+      snapshot.price_date
+    ];
+    const [existing] = await this.db.execute(
+      `SELECT id FROM pangan_price_history
+       WHERE commodity_id = ? AND province_id = ? AND city_id = ? AND level_harga_id = ? AND price_date = ?`,
+      keyParams
+    );
+
+    if (existing.length > 0) {
+      await this.db.execute(
+        `UPDATE pangan_price_history
+         SET commodity_name = ?, region_name = ?, region_level = ?, price = ?, unit = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [snapshot.commodity_name, snapshot.region_name, snapshot.region_level, snapshot.price, snapshot.unit, existing[0].id]
+      );
+      return 'updated';
+    }
+
+    await this.db.execute(
+      `INSERT INTO pangan_price_history
+        (commodity_id, commodity_name, province_id, city_id, region_name, region_level,
+         level_harga_id, price_date, price, unit, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        snapshot.commodity_id, snapshot.commodity_name, snapshot.province_id, snapshot.city_id,
+        snapshot.region_name, snapshot.region_level, snapshot.level_harga_id, snapshot.price_date,
+        snapshot.price, snapshot.unit
+      ]
+    );
+    return 'inserted';
+  }
+
+  // Bangun klausa WHERE dari filter yang dipakai bersama oleh query riwayat
+  buildWhere(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.commodity_id) {
+      conditions.push('commodity_id = ?');
+      params.push(String(filters.commodity_id));
+    }
+    if (filters.commodity_name) {
+      conditions.push('LOWER(commodity_name) LIKE ?');
+      params.push(`%${String(filters.commodity_name).toLowerCase()}%`);
+    }
+    if (filters.province_id !== undefined) {
+      conditions.push('province_id = ?');
+      params.push(String(filters.province_id));
+    }
+    if (filters.city_id !== undefined) {
+      conditions.push('city_id = ?');
+      params.push(String(filters.city_id));
+    }
+    if (filters.region_level) {
+      conditions.push('region_level = ?');
+      params.push(filters.region_level);
+    }
+    if (filters.level_harga_id) {
+      conditions.push('level_harga_id = ?');
+      params.push(String(filters.level_harga_id));
+    }
+    if (filters.from) {
+      conditions.push('price_date >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('price_date <= ?');
+      params.push(filters.to);
+    }
+
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Riwayat harga untuk grafik tren, urut berdasarkan tanggal.
+  // Urutan diakhiri id agar total; export membaca per batch dengan LIMIT/OFFSET
+  async getHistory(filters = {}, limit = 1000, offset = 0) {
+    const { clause, params } = this.buildWhere(filters);
+    const [rows] = await this.db.execute(
+      `SELECT commodity_id, commodity_name, province_id, city_id, region_name, region_level,
+              level_harga_id, price_date, price, unit
+       FROM pangan_price_history
+       ${clause}
+       ORDER BY price_date ASC, commodity_id ASC, province_id ASC, city_id ASC, level_harga_id ASC, id ASC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async getLatestDate(filters = {}) {
+    const { clause, params } = this.buildWhere(filters);
+    const [rows] = await this.db.execute(
+      `SELECT MAX(price_date) as latest FROM pangan_price_history ${clause}`,
+      params
+    );
+    return rows[0]?.latest ? this.formatDate(rows[0].latest) : null;
+  }
+
+  // Harga terakhir per deret (komoditas x wilayah x level) dalam rentang filters.from..filters.to
+  async getLatestPerSeries(filters = {}) {
+    const { clause, params } = this.buildWhere(filters);
+    const [rows] = await this.db.execute(
+      `SELECT commodity_id, commodity_name, province_id, city_id, region_name, region_level,
+              level_harga_id, price_date, price, unit
+       FROM pangan_price_history
+       ${clause}
+       ORDER BY price_date DESC`,
+      params
+    );
+
+    const latest = new Map();
+    for (const row of rows) {
+      const key = seriesKey(row);
+      if (!latest.has(key)) latest.set(key, this.normalizeRow(row));
+    }
+    return latest;
+  }
+}
+
+module.exports = PriceHistory;
@@ -0,0 +1,59 @@
+class RegionCommodity {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async getAll({ regionCode, commodity } = {}) {
+    const conditions = [];
+    const params = [];
+    if (regionCode) {
+      conditions.push('region_code = ?');
+      params.push(regionCode);
+    }
+    if (commodity) {
+      conditions.push('commodity_slug = ?');
+      params.push(commodity);
+    }
+
+    const [rows] = await this.db.execute(
+      `SELECT * FROM weather_region_commodities
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY region_code ASC, commodity_slug ASC`,
+      params
+    );
+    return rows;
+  }
+
+  async count() {
+    const [rows] = await this.db.execute('SELECT COUNT(*) AS total FROM weather_region_commodities');
+    return Number(rows[0]?.total || 0);
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM weather_region_commodities WHERE id = ?', [id]);
+    return rows[0] || null;
+  }
+
+  async getByPair(regionCode, commoditySlug) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM weather_region_commodities WHERE region_code = ? AND commodity_slug = ?',
+      [regionCode, commoditySlug]
+    );
+    return rows[0] || null;
+  }
+
+  async create(data) {
+    await this.db.execute(
+      `INSERT INTO weather_region_commodities (region_code, commodity_slug, notes, created_at, updated_at)
+       VALUES (?, ?, ?, NOW(), NOW())`,
+      [data.region_code, data.commodity_slug, data.notes || null]
+    );
+    return this.getByPair(data.region_code, data.commodity_slug);
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM weather_region_commodities WHERE id = ?', [id]);
+  }
+}
+
+module.exports = RegionCommodity;
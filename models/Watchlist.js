@@ -0,0 +1,93 @@
+class Watchlist {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    return {
+      ...row,
+      threshold: Number(row.threshold),
+      is_active: Boolean(row.is_active)
+    };
+  }
+
+  // id baris baru: insertId di MySQL, RETURNING id di PostgreSQL
+  async create(data) {
+    const returning = this.db.dialect === 'postgres' ? ' RETURNING id' : '';
+    const [result] = await this.db.execute(
+      `INSERT INTO pangan_watchlists
+        (owner_type, owner_key, commodity_id, commodity_name, region_kode, province_id, city_id, level_harga_id,
+         direction, threshold, channel, target, is_active, last_state, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'clear', NOW(), NOW())${returning}`,
+      [
+        data.owner_type, data.owner_key, data.commodity_id || null, data.commodity_name || null,
+        data.region_kode || null, data.province_id || '', data.city_id || '', data.level_harga_id,
+        data.direction, data.threshold, data.channel, data.target || null, data.is_active !== false
+      ]
+    );
+    const id = returning ? result[0]?.id : result.insertId;
+    // Tanpa id berarti dialect pool salah terdeteksi; jangan diam-diam membaca getById(undefined)
+    if (!id) throw new Error('Watchlist insert did not return an id');
+    return this.getById(id);
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM pangan_watchlists WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async getByOwner(ownerType, ownerKey) {
+    const [rows] = await this.db.execute(
+      'SELECT * FROM pangan_watchlists WHERE owner_type = ? AND owner_key = ? ORDER BY created_at DESC',
+      [ownerType, ownerKey]
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async countByOwner(ownerType, ownerKey) {
+    const [rows] = await this.db.execute(
+      'SELECT COUNT(*) as total FROM pangan_watchlists WHERE owner_type = ? AND owner_key = ?',
+      [ownerType, ownerKey]
+    );
+    return Number(rows[0].total);
+  }
+
+  async getActive() {
+    const [rows] = await this.db.execute('SELECT * FROM pangan_watchlists WHERE is_active = ?', [true]);
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  // Hanya field yang boleh diubah pemilik; kondisi baru di-reset ke 'clear'
+  async update(id, data) {
+    const fields = ['direction', 'threshold', 'channel', 'target', 'is_active'];
+    const updates = [];
+    const params = [];
+    for (const field of fields) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(data[field]);
+      }
+    }
+    if (updates.length === 0) return this.getById(id);
+
+    await this.db.execute(
+      `UPDATE pangan_watchlists SET ${updates.join(', ')}, last_state = 'clear', updated_at = NOW() WHERE id = ?`,
+      [...params, id]
+    );
+    return this.getById(id);
+  }
+
+  async markEvaluated(id, state, priceDate) {
+    await this.db.execute(
+      'UPDATE pangan_watchlists SET last_state = ?, last_evaluated_date = ? WHERE id = ?',
+      [state, priceDate, id]
+    );
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM pangan_watchlist_notifications WHERE watchlist_id = ?', [id]);
+    await this.db.execute('DELETE FROM pangan_watchlists WHERE id = ?', [id]);
+  }
+}
+
+module.exports = Watchlist;
@@ -0,0 +1,72 @@
+// Konfirmasi target kanal watchlist (mis. alamat email) per pemilik. Kode hanya disimpan dalam bentuk hash.
+class WatchlistConfirmation {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async get(ownerType, ownerKey, channel, target) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM pangan_watchlist_confirmations
+       WHERE owner_type = ? AND owner_key = ? AND channel = ? AND target = ?`,
+      [ownerType, ownerKey, channel, target]
+    );
+    return rows[0] || null;
+  }
+
+  async isConfirmed(ownerType, ownerKey, channel, target) {
+    const confirmation = await this.get(ownerType, ownerKey, channel, target);
+    return Boolean(confirmation && confirmation.confirmed_at);
+  }
+
+  // Kode baru berlaku 24 jam; kode lama otomatis tidak berlaku
+  async issueCode(ownerType, ownerKey, channel, target, codeHash) {
+    const existing = await this.get(ownerType, ownerKey, channel, target);
+    if (existing) {
+      await this.db.execute(
+        `UPDATE pangan_watchlist_confirmations
+         SET code_hash = ?, expires_at = NOW() + INTERVAL '24' HOUR, updated_at = NOW()
+         WHERE id = ?`,
+        [codeHash, existing.id]
+      );
+      return;
+    }
+    await this.db.execute(
+      `INSERT INTO pangan_watchlist_confirmations
+        (owner_type, owner_key, channel, target, code_hash, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, NOW() + INTERVAL '24' HOUR, NOW(), NOW())`,
+      [ownerType, ownerKey, channel, target, codeHash]
+    );
+  }
+
+  // Kode terakhir dikirim kurang dari `seconds` detik lalu
+  async issuedWithin(ownerType, ownerKey, channel, target, seconds) {
+    const [rows] = await this.db.execute(
+      `SELECT id FROM pangan_watchlist_confirmations
+       WHERE owner_type = ? AND owner_key = ? AND channel = ? AND target = ?
+         AND updated_at >= NOW() - INTERVAL '${Math.floor(seconds)}' SECOND`,
+      [ownerType, ownerKey, channel, target]
+    );
+    return rows.length > 0;
+  }
+
+  // true bila kode cocok dan belum kedaluwarsa
+  async confirm(ownerType, ownerKey, channel, target, codeHash) {
+    const [rows] = await this.db.execute(
+      `SELECT id FROM pangan_watchlist_confirmations
+       WHERE owner_type = ? AND owner_key = ? AND channel = ? AND target = ?
+         AND code_hash = ? AND expires_at >= NOW()`,
+      [ownerType, ownerKey, channel, target, codeHash]
+    );
+    if (rows.length === 0) return false;
+
+    await this.db.execute(
+      `UPDATE pangan_watchlist_confirmations
+       SET confirmed_at = NOW(), code_hash = NULL, expires_at = NULL, updated_at = NOW()
+       WHERE id = ?`,
+      [rows[0].id]
+    );
+    return true;
+  }
+}
+
+module.exports = WatchlistConfirmation;
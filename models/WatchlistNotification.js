@@ -0,0 +1,103 @@
+class WatchlistNotification {
+  constructor(db) {
+    this.db = db;
+  }
+
+  formatDate(value) {
+    if (!(value instanceof Date)) return value ? String(value).slice(0, 10) : value;
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  normalizeRow(row) {
+    return {
+      ...row,
+      price_date: this.formatDate(row.price_date),
+      price: Number(row.price),
+      threshold: Number(row.threshold)
+    };
+  }
+
+  // Satu notifikasi per watchlist per tanggal harga; return null jika sudah ada
+  async create(notification) {
+    const [existing] = await this.db.execute(
+      'SELECT id FROM pangan_watchlist_notifications WHERE watchlist_id = ? AND price_date = ?',
+      [notification.watchlist_id, notification.price_date]
+    );
+    if (existing.length > 0) return null;
+
+    await this.db.execute(
+      `INSERT INTO pangan_watchlist_notifications
+        (watchlist_id, owner_type, owner_key, channel, commodity_id, commodity_name, region_name,
+         price_date, price, threshold, direction, message, status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+      [
+        notification.watchlist_id, notification.owner_type, notification.owner_key, notification.channel,
+        notification.commodity_id, notification.commodity_name, notification.region_name || null,
+        notification.price_date, notification.price, notification.threshold, notification.direction,
+        notification.message
+      ]
+    );
+
+    const [rows] = await this.db.execute(
+      'SELECT * FROM pangan_watchlist_notifications WHERE watchlist_id = ? AND price_date = ?',
+      [notification.watchlist_id, notification.price_date]
+    );
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async markSent(id) {
+    await this.db.execute(
+      "UPDATE pangan_watchlist_notifications SET status = 'sent', error = NULL, sent_at = NOW() WHERE id = ?",
+      [id]
+    );
+  }
+
+  async markFailed(id, error) {
+    await this.db.execute(
+      "UPDATE pangan_watchlist_notifications SET status = 'failed', error = ? WHERE id = ?",
+      [String(error).slice(0, 1000), id]
+    );
+  }
+
+  buildOwnerWhere(ownerType, ownerKey, filters = {}) {
+    const conditions = ['owner_type = ?', 'owner_key = ?'];
+    const params = [ownerType, ownerKey];
+    if (filters.unread) conditions.push('read_at IS NULL');
+    if (filters.watchlist_id) {
+      conditions.push('watchlist_id = ?');
+      params.push(filters.watchlist_id);
+    }
+    return { clause: `WHERE ${conditions.join(' AND ')}`, params };
+  }
+
+  async getByOwner(ownerType, ownerKey, filters = {}, limit = 20, offset = 0) {
+    const { clause, params } = this.buildOwnerWhere(ownerType, ownerKey, filters);
+    const [rows] = await this.db.execute(
+      `SELECT * FROM pangan_watchlist_notifications ${clause}
+       ORDER BY created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async getTotalCount(ownerType, ownerKey, filters = {}) {
+    const { clause, params } = this.buildOwnerWhere(ownerType, ownerKey, filters);
+    const [rows] = await this.db.execute(`SELECT COUNT(*) as total FROM pangan_watchlist_notifications ${clause}`, params);
+    return Number(rows[0].total);
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM pangan_watchlist_notifications WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async markRead(id) {
+    await this.db.execute('UPDATE pangan_watchlist_notifications SET read_at = NOW() WHERE id = ? AND read_at IS NULL', [id]);
+    return this.getById(id);
+  }
+}
+
+module.exports = WatchlistNotification;
@@ -0,0 +1,95 @@
+const NUMERIC_COLUMNS = [
+  'temp_min', 'temp_max', 'temp_mean', 'humidity_mean', 'rain_total', 'rain_hours', 'dominant_weather_code', 'sample_count'
+];
+
+class WeatherDaily {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Driver mysql2/pg mengembalikan kolom DATE sebagai Date lokal; seragamkan ke YYYY-MM-DD
+  formatDate(value) {
+    if (!(value instanceof Date)) return value ? String(value).slice(0, 10) : value;
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  normalizeRow(row) {
+    const normalized = { ...row, weather_date: this.formatDate(row.weather_date) };
+    for (const column of NUMERIC_COLUMNS) {
+      if (normalized[column] !== null && normalized[column] !== undefined) {
+        normalized[column] = Number(normalized[column]);
+      }
+    }
+    return normalized;
+  }
+
+  // Simpan ringkasan satu hari; jika sudah ada (prakiraan direvisi) nilainya diperbarui
+  async upsert(summary) {
+    const values = [
+      summary.temp_min, summary.temp_max, summary.temp_mean, summary.humidity_mean, summary.rain_total,
+      summary.rain_hours, summary.dominant_weather_code, summary.dominant_weather_desc, summary.sample_count
+    ];
+    const [existing] = await this.db.execute(
+      'SELECT id FROM weather_daily WHERE adm4_code = ? AND weather_date = ?',
+      [summary.adm4_code, summary.weather_date]
+    );
+
+    if (existing.length > 0) {
+      await this.db.execute(
+        `UPDATE weather_daily
+         SET temp_min = ?, temp_max = ?, temp_mean = ?, humidity_mean = ?, rain_total = ?,
+             rain_hours = ?, dominant_weather_code = ?, dominant_weather_desc = ?, sample_count = ?, updated_at = NOW()
+         WHERE id = ?`,
+        [...values, existing[0].id]
+      );
+      return 'updated';
+    }
+
+    await this.db.execute(
+      `INSERT INTO weather_daily
+        (adm4_code, weather_date, temp_min, temp_max, temp_mean, humidity_mean, rain_total,
+         rain_hours, dominant_weather_code, dominant_weather_desc, sample_count, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [summary.adm4_code, summary.weather_date, ...values]
+    );
+    return 'inserted';
+  }
+
+  async getRange(adm4Code, from, to) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM weather_daily
+       WHERE adm4_code = ? AND weather_date >= ? AND weather_date <= ?
+       ORDER BY weather_date ASC`,
+      [adm4Code, from, to]
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  // Rata-rata harian semua lokasi pemantauan di bawah satu kode wilayah (level apa pun)
+  async getRegionAverages(regionCode, from, to) {
+    const [rows] = await this.db.execute(
+      `SELECT weather_date, AVG(rain_total) AS rain_total, AVG(temp_mean) AS temp_mean,
+              MAX(temp_max) AS temp_max, COUNT(*) AS locations
+       FROM weather_daily
+       WHERE (adm4_code = ? OR adm4_code LIKE ?) AND weather_date >= ? AND weather_date <= ?
+       GROUP BY weather_date
+       ORDER BY weather_date ASC`,
+      [regionCode, `${regionCode}.%`, from, to]
+    );
+    return rows.map(row => ({
+      date: this.formatDate(row.weather_date),
+      rain_total: row.rain_total === null ? null : Number(row.rain_total),
+      temp_mean: row.temp_mean === null ? null : Number(row.temp_mean),
+      temp_max: row.temp_max === null ? null : Number(row.temp_max),
+      locations: Number(row.locations)
+    }));
+  }
+
+  async deleteBefore(date) {
+    await this.db.execute('DELETE FROM weather_daily WHERE weather_date < ?', [date]);
+  }
+}
+
+module.exports = WeatherDaily;
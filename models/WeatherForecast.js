@@ -0,0 +1,114 @@
+const FORECAST_COLUMNS = [
+  'forecast_utc', 'forecast_local', 'temperature', 'humidity', 'rainfall', 'wind_speed',
+  'wind_direction', 'wind_direction_deg', 'cloud_cover', 'weather_code', 'weather_desc', 'analysis_date'
+];
+// Baris per INSERT agar jumlah parameter tetap wajar saat backfill
+const INSERT_CHUNK_SIZE = 200;
+const NUMERIC_COLUMNS = ['temperature', 'humidity', 'rainfall', 'wind_speed', 'wind_direction_deg', 'cloud_cover', 'weather_code'];
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+class WeatherForecast {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Driver mysql2/pg mengembalikan DATETIME sebagai Date lokal; seragamkan ke "YYYY-MM-DD HH:mm:ss"
+  formatDateTime(value) {
+    if (!(value instanceof Date)) return value ? String(value).replace('T', ' ').slice(0, 19) : value;
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+      `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+  }
+
+  normalizeRow(row) {
+    const normalized = {
+      ...row,
+      forecast_utc: this.formatDateTime(row.forecast_utc),
+      forecast_local: this.formatDateTime(row.forecast_local),
+      analysis_date: this.formatDateTime(row.analysis_date),
+      fetched_at: this.formatDateTime(row.fetched_at)
+    };
+    for (const column of NUMERIC_COLUMNS) {
+      if (normalized[column] !== null && normalized[column] !== undefined) {
+        normalized[column] = Number(normalized[column]);
+      }
+    }
+    return normalized;
+  }
+
+  // Simpan prakiraan terbaru satu lokasi. Slot mulai jam pertama prakiraan baru diganti
+  // (BMKG merevisi prakiraan tiap rilis), slot sebelumnya tetap sebagai riwayat.
+  async replaceForLocation(adm4Code, rows) {
+    if (rows.length === 0) return 0;
+
+    await this.db.execute(
+      'DELETE FROM weather_forecasts WHERE adm4_code = ? AND forecast_utc >= ?',
+      [adm4Code, rows[0].forecast_utc]
+    );
+    return this.insertRows(adm4Code, rows);
+  }
+
+  // Sisipkan baris tanpa menghapus slot yang ada (dipakai juga untuk backfill dari weather_logs)
+  async insertRows(adm4Code, rows) {
+    for (let start = 0; start < rows.length; start += INSERT_CHUNK_SIZE) {
+      const chunk = rows.slice(start, start + INSERT_CHUNK_SIZE);
+      const placeholders = chunk.map(() => `(?, ${FORECAST_COLUMNS.map(() => '?').join(', ')}, NOW())`).join(', ');
+      const params = chunk.flatMap(row => [adm4Code, ...FORECAST_COLUMNS.map(column => row[column] ?? null)]);
+      await this.db.execute(
+        `INSERT INTO weather_forecasts (adm4_code, ${FORECAST_COLUMNS.join(', ')}, fetched_at)
+         VALUES ${placeholders}`,
+        params
+      );
+    }
+    return rows.length;
+  }
+
+  // Slot UTC paling awal yang tersimpan untuk satu lokasi ("YYYY-MM-DD HH:mm:ss"), null bila belum ada
+  async getEarliestUtc(adm4Code) {
+    const [rows] = await this.db.execute(
+      'SELECT MIN(forecast_utc) AS earliest FROM weather_forecasts WHERE adm4_code = ?',
+      [adm4Code]
+    );
+    return rows[0]?.earliest ? this.formatDateTime(rows[0].earliest) : null;
+  }
+
+  // Rentang waktu lokal [from, to) berformat "YYYY-MM-DD HH:mm:ss"
+  async getRange(adm4Code, from, to, { limit, offset = 0 } = {}) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM weather_forecasts
+       WHERE adm4_code = ? AND forecast_local >= ? AND forecast_local < ?
+       ORDER BY forecast_local ASC
+       ${limit ? 'LIMIT ? OFFSET ?' : ''}`,
+      limit ? [adm4Code, from, to, limit, offset] : [adm4Code, from, to]
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async countRange(adm4Code, from, to) {
+    const [rows] = await this.db.execute(
+      `SELECT COUNT(*) AS total FROM weather_forecasts
+       WHERE adm4_code = ? AND forecast_local >= ? AND forecast_local < ?`,
+      [adm4Code, from, to]
+    );
+    return Number(rows[0]?.total || 0);
+  }
+
+  // Kode adm4 yang punya data per jam dalam rentang waktu lokal [from, to)
+  async getCodesInRange(from, to) {
+    const [rows] = await this.db.execute(
+      `SELECT DISTINCT adm4_code FROM weather_forecasts
+       WHERE forecast_local >= ? AND forecast_local < ?
+       ORDER BY adm4_code`,
+      [from, to]
+    );
+    return rows.map(row => row.adm4_code);
+  }
+
+  async deleteBefore(cutoffUtc) {
+    await this.db.execute('DELETE FROM weather_forecasts WHERE forecast_utc < ?', [cutoffUtc]);
+  }
+}
+
+module.exports = WeatherForecast;
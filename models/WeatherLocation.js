@@ -0,0 +1,84 @@
+class WeatherLocation {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    return { ...row, is_active: Boolean(row.is_active) };
+  }
+
+  async getAll({ activeOnly = false } = {}) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM weather_locations
+       ${activeOnly ? 'WHERE is_active = ?' : ''}
+       ORDER BY adm4_code ASC`,
+      activeOnly ? [true] : []
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  // Lokasi aktif yang paling lama belum diambil didahulukan, supaya cron bergiliran bila dibatasi
+  async getDueForCollection(limit) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM weather_locations
+       WHERE is_active = ?
+       ORDER BY CASE WHEN last_fetched_at IS NULL THEN 0 ELSE 1 END, last_fetched_at ASC, id ASC
+       LIMIT ?`,
+      [true, limit]
+    );
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async getById(id) {
+    const [rows] = await this.db.execute('SELECT * FROM weather_locations WHERE id = ?', [id]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async getByCode(adm4Code) {
+    const [rows] = await this.db.execute('SELECT * FROM weather_locations WHERE adm4_code = ?', [adm4Code]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async create(data) {
+    await this.db.execute(
+      `INSERT INTO weather_locations (adm4_code, name, notes, is_active, created_at, updated_at)
+       VALUES (?, ?, ?, ?, NOW(), NOW())`,
+      [data.adm4_code, data.name || null, data.notes || null, data.is_active !== false]
+    );
+    return this.getByCode(data.adm4_code);
+  }
+
+  async update(id, data) {
+    const updates = [];
+    const params = [];
+    for (const field of ['notes', 'is_active']) {
+      if (data[field] !== undefined) {
+        updates.push(`${field} = ?`);
+        params.push(data[field]);
+      }
+    }
+    if (updates.length === 0) return this.getById(id);
+
+    await this.db.execute(
+      `UPDATE weather_locations SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...params, id]
+    );
+    return this.getById(id);
+  }
+
+  // Catat hasil pengambilan terakhir (status: ok | failed)
+  async markFetched(id, status, errorMessage = null) {
+    await this.db.execute(
+      `UPDATE weather_locations
+       SET last_fetched_at = NOW(), last_status = ?, last_error = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [status, errorMessage ? String(errorMessage).slice(0, 255) : null, id]
+    );
+  }
+
+  async delete(id) {
+    await this.db.execute('DELETE FROM weather_locations WHERE id = ?', [id]);
+  }
+}
+
+module.exports = WeatherLocation;
@@ -0,0 +1,52 @@
+// Tabel lama weather_logs (hanya Postgres, ditulis cron Vercel sebelum weather_forecasts ada).
+// Tabel dibiarkan utuh; baris yang sudah dipindahkan ke weather_forecasts ditandai backfilled_at.
+class WeatherLog {
+  constructor(db) {
+    this.db = db;
+  }
+
+  async exists() {
+    if (this.db.dialect !== 'postgres') return false;
+    const [rows] = await this.db.execute(
+      `SELECT 1 FROM information_schema.tables
+       WHERE table_schema = current_schema() AND table_name = 'weather_logs'`
+    );
+    return rows.length > 0;
+  }
+
+  async ensureBackfillColumn() {
+    await this.db.execute('ALTER TABLE weather_logs ADD COLUMN IF NOT EXISTS backfilled_at TIMESTAMP');
+  }
+
+  // Log yang belum dipindahkan, terurut waktu ambil (tanpa payload agar ringan)
+  async getPending() {
+    const [rows] = await this.db.execute(
+      `SELECT id, adm4_code FROM weather_logs
+       WHERE backfilled_at IS NULL AND weather_data IS NOT NULL
+       ORDER BY fetched_at, id`
+    );
+    return rows;
+  }
+
+  async getPayloads(ids) {
+    if (ids.length === 0) return [];
+    const [rows] = await this.db.execute(
+      `SELECT id, weather_data FROM weather_logs WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY fetched_at, id`,
+      ids
+    );
+    return rows.map(row => ({
+      id: row.id,
+      weather_data: typeof row.weather_data === 'string' ? JSON.parse(row.weather_data) : row.weather_data
+    }));
+  }
+
+  async markBackfilled(ids) {
+    if (ids.length === 0) return;
+    await this.db.execute(
+      `UPDATE weather_logs SET backfilled_at = NOW() WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+  }
+}
+
+module.exports = WeatherLog;
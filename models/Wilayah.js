@@ -1,8 +1,40 @@
+// Level wilayah menurut jumlah segmen kode: 11 / 11.01 / 11.01.01 / 11.01.01.2001
+const WILAYAH_LEVELS = ['provinsi', 'kabkota', 'kecamatan', 'kelurahan'];
+// Panjang kode per level, dipakai untuk mengelompokkan turunan per induk
+const KODE_LENGTHS = [2, 5, 8, 13];
+// Jumlah baris per INSERT/DELETE saat impor dataset
+const WRITE_CHUNK_SIZE = 500;
+
 class Wilayah {
   constructor(db) {
     this.db = db;
   }
 
+  static levelOf(kode) {
+    return WILAYAH_LEVELS[String(kode).split('.').length - 1] || null;
+  }
+
+  // Nama dengan awalan level, mis. "Kec. Bakongan"; segmen desa berawalan 1 = kelurahan, 2 = desa
+  static displayName({ kode, nama }) {
+    const level = Wilayah.levelOf(kode);
+    if (level === 'provinsi') return /^prov(insi)?\b/i.test(nama) ? nama : `Prov. ${nama}`;
+    if (level === 'kabkota') return /^(kab(upaten)?|kota)\b/i.test(nama) ? nama : `Kab. ${nama}`;
+    if (level === 'kecamatan') return /^kec(amatan)?\b/i.test(nama) ? nama : `Kec. ${nama}`;
+    if (/^(desa|kel(urahan)?)\b/i.test(nama)) return nama;
+    return kode.split('.')[3].startsWith('1') ? `Kel. ${nama}` : `Desa ${nama}`;
+  }
+
+  // "Desa X, Kec. Y, Kab. Z, Prov. W" dari breadcrumb (urut provinsi -> desa)
+  static breadcrumbLabel(items) {
+    return [...items].reverse().map(item => Wilayah.displayName(item)).join(', ');
+  }
+
+  // Kode induk dari provinsi sampai kode itu sendiri, mis. 11.01.01 -> [11, 11.01, 11.01.01]
+  static ancestorCodes(kode) {
+    const segments = String(kode).split('.');
+    return segments.map((_, index) => segments.slice(0, index + 1).join('.'));
+  }
+
   // Helper: count dots in kode
   dotCountExpr() {
     // PostgreSQL-compatible; counts '.' characters in kode
@@ -63,6 +95,102 @@ class Wilayah {
     return rows[0] || null;
   }
 
+  // Seluruh wilayah (kode + nama) untuk indeks pencarian in-memory
+  async getAllNames() {
+    const [rows] = await this.db.execute('SELECT kode, nama FROM wilayah ORDER BY kode');
+    return rows;
+  }
+
+  async insertMany(rows) {
+    for (let i = 0; i < rows.length; i += WRITE_CHUNK_SIZE) {
+      const part = rows.slice(i, i + WRITE_CHUNK_SIZE);
+      await this.db.execute(
+        `INSERT INTO wilayah (kode, nama, created_at) VALUES ${part.map(() => '(?, ?, NOW())').join(', ')}`,
+        part.flatMap(row => [row.kode, row.nama])
+      );
+    }
+  }
+
+  async rename(kode, nama) {
+    await this.db.execute('UPDATE wilayah SET nama = ? WHERE kode = ?', [nama, kode]);
+  }
+
+  async deleteMany(codes) {
+    for (let i = 0; i < codes.length; i += WRITE_CHUNK_SIZE) {
+      const part = codes.slice(i, i + WRITE_CHUNK_SIZE);
+      await this.db.execute(`DELETE FROM wilayah WHERE kode IN (${part.map(() => '?').join(', ')})`, part);
+    }
+  }
+
+  // Breadcrumb provinsi -> ... -> kode; wilayah induk yang tidak ada di tabel dilewati
+  async getBreadcrumb(kode) {
+    const codes = Wilayah.ancestorCodes(kode);
+    const [rows] = await this.db.execute(
+      `SELECT kode, nama FROM wilayah WHERE kode IN (${codes.map(() => '?').join(', ')})`,
+      codes
+    );
+    return rows
+      .map(row => ({ kode: row.kode, nama: row.nama, level: Wilayah.levelOf(row.kode) }))
+      .sort((a, b) => a.kode.length - b.kode.length);
+  }
+
+  // Semua desa/kelurahan di bawah kode kecamatan atau kab/kota
+  async getVillages(prefix) {
+    const [rows] = await this.db.execute(
+      `SELECT kode, nama
+       FROM wilayah
+       WHERE kode LIKE ?
+         AND ${this.dotCountExpr()} = 3
+       ORDER BY kode`,
+      [`${prefix}.%`]
+    );
+    return rows;
+  }
+
+  // Turunan root (tanpa root: seluruh Indonesia) sampai jumlah titik maxDots, terurut kode
+  async getDescendants(root, maxDots) {
+    const conditions = [`${this.dotCountExpr()} <= ?`];
+    const params = [maxDots];
+    if (root) {
+      conditions.unshift('kode LIKE ?');
+      params.unshift(`${root}.%`);
+    }
+    const [rows] = await this.db.execute(
+      `SELECT kode, nama FROM wilayah WHERE ${conditions.join(' AND ')} ORDER BY kode`,
+      params
+    );
+    return rows;
+  }
+
+  // Jumlah turunan per level, dikelompokkan per induk di levelIndex (null = total untuk root)
+  // Hasil: Map kode induk -> { kabkota: n, kecamatan: n, ... }
+  async countDescendants(root, levelIndex = null) {
+    const dots = this.dotCountExpr();
+    const parentExpr = levelIndex === null ? "''" : `SUBSTR(kode, 1, ${KODE_LENGTHS[levelIndex]})`;
+    const minDots = levelIndex === null ? (root ? root.split('.').length : 0) : levelIndex + 1;
+    const conditions = [`${dots} >= ?`];
+    const params = [minDots];
+    if (root) {
+      conditions.unshift('kode LIKE ?');
+      params.unshift(`${root}.%`);
+    }
+
+    const [rows] = await this.db.execute(
+      `SELECT ${parentExpr} AS parent, ${dots} AS dots, COUNT(*) AS total
+       FROM wilayah
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY ${parentExpr}, ${dots}`,
+      params
+    );
+    const counts = new Map();
+    for (const row of rows) {
+      const parent = levelIndex === null ? root || '' : row.parent;
+      if (!counts.has(parent)) counts.set(parent, {});
+      counts.get(parent)[WILAYAH_LEVELS[Number(row.dots)]] = Number(row.total);
+    }
+    return counts;
+  }
+
   async search(term, limit = 20) {
     const like = `%${term}%`;
     const [rows] = await this.db.execute(
@@ -75,4 +203,6 @@ class Wilayah {
   }
 }
 
+Wilayah.LEVELS = WILAYAH_LEVELS;
+
 module.exports = Wilayah;
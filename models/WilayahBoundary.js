@@ -0,0 +1,56 @@
+class WilayahBoundary {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // geometry: objek GeoJSON geometry (Polygon/MultiPolygon), disimpan sebagai teks JSON
+  async upsert({ kode, level, geometry, source = null }) {
+    const serialized = typeof geometry === 'string' ? geometry : JSON.stringify(geometry);
+    const [existing] = await this.db.execute('SELECT kode FROM wilayah_boundaries WHERE kode = ?', [kode]);
+
+    if (existing.length > 0) {
+      await this.db.execute(
+        'UPDATE wilayah_boundaries SET level = ?, geometry = ?, source = ?, updated_at = NOW() WHERE kode = ?',
+        [level, serialized, source, kode]
+      );
+      return 'updated';
+    }
+
+    await this.db.execute(
+      'INSERT INTO wilayah_boundaries (kode, level, geometry, source, updated_at) VALUES (?, ?, ?, ?, NOW())',
+      [kode, level, serialized, source]
+    );
+    return 'inserted';
+  }
+
+  // Halaman batas wilayah urut kode (keyset) agar seluruh tabel bisa dipindai tanpa memuat semua geometri sekaligus
+  async getPage(afterKode = '', limit = 200) {
+    const [rows] = await this.db.execute(
+      `SELECT kode, level, geometry FROM wilayah_boundaries WHERE kode > ? ORDER BY kode LIMIT ${Number(limit)}`,
+      [afterKode]
+    );
+    return rows;
+  }
+
+  // Map kode -> geometry untuk daftar kode
+  async getGeometries(kodes) {
+    const result = new Map();
+    if (!kodes || kodes.length === 0) return result;
+
+    const placeholders = kodes.map(() => '?').join(', ');
+    const [rows] = await this.db.execute(
+      `SELECT kode, geometry FROM wilayah_boundaries WHERE kode IN (${placeholders})`,
+      kodes
+    );
+    for (const row of rows) {
+      try {
+        result.set(row.kode, typeof row.geometry === 'string' ? JSON.parse(row.geometry) : row.geometry);
+      } catch (error) {
+        console.error(`Invalid boundary geometry for ${row.kode}:`, error.message);
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = WilayahBoundary;
@@ -0,0 +1,70 @@
+const { haversineKm } = require('../utils/geoUtils');
+
+const KM_PER_DEGREE = 111.32;
+
+class WilayahCentroid {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    return { ...row, lat: Number(row.lat), lon: Number(row.lon) };
+  }
+
+  // overwrite=false: hanya isi bila belum ada (mis. koordinat dari respons BMKG tidak menimpa hasil impor)
+  async upsert({ kode, level, lat, lon, source = null }, { overwrite = true } = {}) {
+    const [existing] = await this.db.execute('SELECT kode FROM wilayah_centroids WHERE kode = ?', [kode]);
+
+    if (existing.length > 0) {
+      if (!overwrite) return 'skipped';
+      await this.db.execute(
+        'UPDATE wilayah_centroids SET level = ?, lat = ?, lon = ?, source = ?, updated_at = NOW() WHERE kode = ?',
+        [level, lat, lon, source, kode]
+      );
+      return 'updated';
+    }
+
+    await this.db.execute(
+      'INSERT INTO wilayah_centroids (kode, level, lat, lon, source, updated_at) VALUES (?, ?, ?, ?, ?, NOW())',
+      [kode, level, lat, lon, source]
+    );
+    return 'inserted';
+  }
+
+  async getByKode(kode) {
+    const [rows] = await this.db.execute('SELECT * FROM wilayah_centroids WHERE kode = ?', [kode]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  // Semua centroid (untuk indeks spasial in-memory reverse geocoding)
+  async getAll() {
+    const [rows] = await this.db.execute('SELECT kode, level, lat, lon FROM wilayah_centroids');
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  // Centroid terdekat dari satu titik: kotak pencarian diperlebar bertahap sampai maxDistanceKm
+  async getNearest(lat, lon, { level = 'kelurahan', maxDistanceKm = 50, limit = 1 } = {}) {
+    const radii = [5, 20, maxDistanceKm].filter(radius => radius <= maxDistanceKm);
+    for (const radius of radii) {
+      const dLat = radius / KM_PER_DEGREE;
+      const dLon = radius / (KM_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+      const [rows] = await this.db.execute(
+        `SELECT * FROM wilayah_centroids
+         WHERE level = ? AND lat BETWEEN ? AND ? AND lon BETWEEN ? AND ?`,
+        [level, lat - dLat, lat + dLat, lon - dLon, lon + dLon]
+      );
+
+      const candidates = rows
+        .map(row => {
+          const normalized = this.normalizeRow(row);
+          return { ...normalized, distance_km: haversineKm(lat, lon, normalized.lat, normalized.lon) };
+        })
+        .filter(row => row.distance_km <= radius)
+        .sort((a, b) => a.distance_km - b.distance_km);
+      if (candidates.length > 0) return candidates.slice(0, limit);
+    }
+    return [];
+  }
+}
+
+module.exports = WilayahCentroid;
@@ -0,0 +1,116 @@
+// Versi dataset wilayah dan riwayat nama per kode (wilayah_versions + wilayah_history)
+const INSERT_CHUNK_SIZE = 500;
+const NUMERIC_COLUMNS = ['id', 'total_codes', 'added', 'renamed', 'removed'];
+
+function chunk(items, size = INSERT_CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+class WilayahVersion {
+  constructor(db) {
+    this.db = db;
+  }
+
+  normalizeRow(row) {
+    const normalized = { ...row };
+    for (const column of NUMERIC_COLUMNS) {
+      if (normalized[column] !== null && normalized[column] !== undefined) {
+        normalized[column] = Number(normalized[column]);
+      }
+    }
+    return normalized;
+  }
+
+  async getAll() {
+    const [rows] = await this.db.execute('SELECT * FROM wilayah_versions ORDER BY id DESC');
+    return rows.map(row => this.normalizeRow(row));
+  }
+
+  async getByVersion(version) {
+    const [rows] = await this.db.execute('SELECT * FROM wilayah_versions WHERE version = ?', [version]);
+    return rows[0] ? this.normalizeRow(rows[0]) : null;
+  }
+
+  async count() {
+    const [rows] = await this.db.execute('SELECT COUNT(*) AS total FROM wilayah_versions');
+    return Number(rows[0]?.total || 0);
+  }
+
+  async create(data) {
+    await this.db.execute(
+      `INSERT INTO wilayah_versions
+        (version, source, notes, total_codes, added, renamed, removed, imported_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [
+        data.version, data.source || null, data.notes || null, data.total_codes || 0,
+        data.added || 0, data.renamed || 0, data.removed || 0, data.imported_by || null
+      ]
+    );
+    return this.getByVersion(data.version);
+  }
+
+  // Buka baris riwayat baru (nama berlaku mulai versionId)
+  async openHistory(rows, versionId) {
+    for (const part of chunk(rows)) {
+      await this.db.execute(
+        `INSERT INTO wilayah_history (kode, nama, valid_from, valid_to)
+         VALUES ${part.map(() => '(?, ?, ?, NULL)').join(', ')}`,
+        part.flatMap(row => [row.kode, row.nama, versionId])
+      );
+    }
+  }
+
+  // Tutup baris riwayat yang masih berlaku untuk kode-kode ini (tidak berlaku lagi mulai versionId)
+  async closeHistory(codes, versionId) {
+    for (const part of chunk(codes)) {
+      await this.db.execute(
+        `UPDATE wilayah_history SET valid_to = ?
+         WHERE valid_to IS NULL AND kode IN (${part.map(() => '?').join(', ')})`,
+        [versionId, ...part]
+      );
+    }
+  }
+
+  // Nama kode pada versi tertentu (termasuk kode yang sudah dihapus pada versi berikutnya)
+  async getKodeAt(kode, versionId) {
+    const [rows] = await this.db.execute(
+      `SELECT kode, nama FROM wilayah_history
+       WHERE kode = ? AND valid_from <= ? AND (valid_to IS NULL OR valid_to > ?)`,
+      [kode, versionId, versionId]
+    );
+    return rows[0] || null;
+  }
+
+  // Semua nama yang pernah dipakai kode, dengan versi awal/akhir berlakunya
+  async getKodeHistory(kode) {
+    const [rows] = await this.db.execute(
+      `SELECT h.kode, h.nama, vf.version AS valid_from, vt.version AS valid_to
+       FROM wilayah_history h
+       JOIN wilayah_versions vf ON vf.id = h.valid_from
+       LEFT JOIN wilayah_versions vt ON vt.id = h.valid_to
+       WHERE h.kode = ?
+       ORDER BY h.valid_from ASC`,
+      [kode]
+    );
+    return rows;
+  }
+
+  // Baris riwayat yang dibuka atau ditutup oleh versi ini (bahan laporan diff)
+  async getChangedRows(versionId) {
+    const [rows] = await this.db.execute(
+      `SELECT kode, nama, valid_from, valid_to FROM wilayah_history
+       WHERE valid_from = ? OR valid_to = ?
+       ORDER BY kode ASC`,
+      [versionId, versionId]
+    );
+    return rows.map(row => ({
+      ...row,
+      valid_from: Number(row.valid_from),
+      valid_to: row.valid_to === null ? null : Number(row.valid_to)
+    }));
+  }
+}
+
+module.exports = WilayahVersion;
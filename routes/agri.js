@@ -0,0 +1,22 @@
+const express = require('express');
+const AgriController = require('../controllers/agriController');
+const { authenticateToken, requireAdmin } = require('../utils/auth');
+
+function createAgriRoutes(dbPool) {
+  const router = express.Router();
+  const agriController = new AgriController(dbPool);
+
+  // Kalender tanam per wilayah (kode kab/kota, kecamatan atau desa) dan tanaman
+  router.get('/planting-calendar', agriController.getPlantingCalendar.bind(agriController));
+
+  // Profil tanaman (lama musim, kebutuhan hujan dan suhu); perubahan oleh admin
+  router.get('/crops', agriController.getCrops.bind(agriController));
+  router.post('/crops', authenticateToken, requireAdmin, agriController.createCrop.bind(agriController));
+  router.post('/crops/seed', authenticateToken, requireAdmin, agriController.seedCrops.bind(agriController));
+  router.put('/crops/:id', authenticateToken, requireAdmin, agriController.updateCrop.bind(agriController));
+  router.delete('/crops/:id', authenticateToken, requireAdmin, agriController.deleteCrop.bind(agriController));
+
+  return router;
+}
+
+module.exports = createAgriRoutes;
@@ -1,65 +1,79 @@
 const express = require('express');
-const axios = require('axios');
+const WeatherController = require('../controllers/weatherController');
+const AdvisoryController = require('../controllers/advisoryController');
+const WarningController = require('../controllers/warningController');
+const { authenticateToken, requireAdmin } = require('../utils/auth');
+const { resolveForecastTarget, loadResolvedForecast } = require('../utils/forecastResolver');
 
-const API_BASE = 'https://api.bmkg.go.id/publik';
-const DEFAULT_HEADERS = {
-  Accept: 'application/json',
-  'User-Agent': 'Mozilla/5.0 (compatible; PanganJawaraBot/1.0)'
-};
-const REQUEST_TIMEOUT = parseInt(process.env.BMKG_API_TIMEOUT_MS, 10) || 15000;
-const CACHE_TTL = parseInt(process.env.BMKG_CACHE_TTL_MS, 10) || 5 * 60 * 1000; // 5 minutes
+const FORECAST_FORMATS = ['raw', 'normalized'];
 
-const forecastCache = new Map();
-
-function isCacheValid(entry) {
-  return entry && entry.expiresAt > Date.now();
-}
-
-function createCacheKey(params) {
-  const normalized = Object.keys(params)
-    .sort()
-    .reduce((acc, key) => {
-      acc[key] = params[key];
-      return acc;
-    }, {});
-  return JSON.stringify(normalized);
-}
-
-function createBmkgRoutes() {
+function createBmkgRoutes(dbPool) {
   const router = express.Router();
+  const weatherController = new WeatherController(dbPool);
+  const advisoryController = new AdvisoryController(dbPool);
+  const warningController = new WarningController(dbPool);
 
+  // Lokasi: adm4 (kode desa), kode (kecamatan/kab-kota, digabung dari beberapa desa), q (nama) atau lat+lon.
+  // format=raw (respons BMKG apa adanya, hanya satu desa) atau normalized (skema bmkgParser)
   router.get('/prakiraan-cuaca', async (req, res) => {
-    const { adm4 } = req.query;
-    if (!adm4) {
-      return res.status(400).json({ error: 'adm4 parameter is required' });
-    }
-
-    const cacheKey = createCacheKey(req.query);
-    const cached = forecastCache.get(cacheKey);
-    if (isCacheValid(cached)) {
-      return res.json(cached.data);
+    const { format, q, kode, lat, lon, ...params } = req.query;
+    if (format && !FORECAST_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${FORECAST_FORMATS.join(', ')}` });
     }
 
+    let resolution;
     try {
-      const response = await axios.get(`${API_BASE}/prakiraan-cuaca`, {
-        params: req.query,
-        headers: DEFAULT_HEADERS,
-        timeout: REQUEST_TIMEOUT
-      });
+      resolution = await resolveForecastTarget(dbPool, req.query);
+    } catch (error) {
+      console.error('Error resolving forecast location:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    if (resolution.error) {
+      return res.status(resolution.status).json({ error: resolution.error });
+    }
 
-      const payload = response.data;
-      forecastCache.set(cacheKey, {
-        data: payload,
-        expiresAt: Date.now() + CACHE_TTL
-      });
+    const single = resolution.adm4Codes.length === 1;
+    if (format === 'raw' && !single) {
+      return res.status(400).json({ error: 'format=raw is only available for a single village; use format=normalized' });
+    }
 
-      res.json(payload);
+    try {
+      res.json(await loadResolvedForecast(dbPool, resolution, {
+        format: format || (single ? 'raw' : 'normalized'),
+        params
+      }));
     } catch (error) {
       console.error('[BMKG] prakiraan-cuaca error:', error.message);
       res.status(502).json({ error: error.message || 'Gagal memuat prakiraan cuaca' });
     }
   });
 
+  // Saran budidaya dari prakiraan; aturan bisa diubah admin
+  router.get('/advisory', advisoryController.getAdvisory.bind(advisoryController));
+  router.get('/advisory/rules', advisoryController.getRules.bind(advisoryController));
+  router.post('/advisory/rules', authenticateToken, requireAdmin, advisoryController.createRule.bind(advisoryController));
+  router.post('/advisory/rules/seed', authenticateToken, requireAdmin, advisoryController.seedRules.bind(advisoryController));
+  router.put('/advisory/rules/:id', authenticateToken, requireAdmin, advisoryController.updateRule.bind(advisoryController));
+  router.delete('/advisory/rules/:id', authenticateToken, requireAdmin, advisoryController.deleteRule.bind(advisoryController));
+
+  // Peringatan dini cuaca ekstrem + komoditas berisiko pasokan (pemetaan wilayah -> komoditas diatur admin)
+  router.get('/warnings', warningController.getWarnings.bind(warningController));
+  router.get('/warnings/region-commodities', warningController.getRegionCommodities.bind(warningController));
+  router.post('/warnings/region-commodities', authenticateToken, requireAdmin, warningController.addRegionCommodity.bind(warningController));
+  router.post('/warnings/region-commodities/seed', authenticateToken, requireAdmin, warningController.seedRegionCommodities.bind(warningController));
+  router.delete('/warnings/region-commodities/:id', authenticateToken, requireAdmin, warningController.deleteRegionCommodity.bind(warningController));
+
+  // Riwayat cuaca tersimpan (per jam + ringkasan harian)
+  router.get('/history', weatherController.getHistory.bind(weatherController));
+  router.post('/history/rollup', authenticateToken, requireAdmin, weatherController.rollup.bind(weatherController));
+
+  // Lokasi pemantauan cuaca untuk cron (kode adm4 divalidasi ke tabel wilayah)
+  router.get('/locations', weatherController.getLocations.bind(weatherController));
+  router.post('/locations', authenticateToken, requireAdmin, weatherController.addLocation.bind(weatherController));
+  router.put('/locations/:id', authenticateToken, requireAdmin, weatherController.updateLocation.bind(weatherController));
+  router.delete('/locations/:id', authenticateToken, requireAdmin, weatherController.deleteLocation.bind(weatherController));
+  router.post('/collect', authenticateToken, requireAdmin, weatherController.collect.bind(weatherController));
+
   return router;
 }
 
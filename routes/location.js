@@ -0,0 +1,24 @@
+const express = require('express');
+const LocationController = require('../controllers/locationController');
+const { authenticateToken, requireAdmin } = require('../utils/auth');
+
+// Pengelolaan provider geolokasi (admin); lookup GET /location sendiri ada di index.js / api/index.js
+function createLocationRoutes(dbPool) {
+  const router = express.Router();
+  const locationController = new LocationController(dbPool);
+
+  // Urutan rantai provider, status konfigurasi, pemakaian kuota hari ini per key
+  router.get('/providers', authenticateToken, requireAdmin, locationController.getProviders.bind(locationController));
+
+  // API key provider di tabel (melengkapi key dari environment)
+  router.get('/keys', authenticateToken, requireAdmin, locationController.getKeys.bind(locationController));
+  router.post('/keys', authenticateToken, requireAdmin, locationController.createKey.bind(locationController));
+  router.put('/keys/:id', authenticateToken, requireAdmin, locationController.updateKey.bind(locationController));
+  router.delete('/keys/:id', authenticateToken, requireAdmin, locationController.deleteKey.bind(locationController));
+
+  router.delete('/cache', authenticateToken, requireAdmin, locationController.clearCache.bind(locationController));
+
+  return router;
+}
+
+module.exports = createLocationRoutes;
@@ -0,0 +1,37 @@
+const express = require('express');
+const ModerationController = require('../controllers/moderationController');
+const { authenticateToken, requireAdmin } = require('../utils/auth');
+
+// Moderasi post dan komentar publik (admin only)
+function createModerationRoutes(dbPool) {
+  const router = express.Router();
+  const moderationController = new ModerationController(dbPool);
+
+  router.use(authenticateToken, requireAdmin);
+
+  // Antrian dan keputusan massal: body { items: [{ type, id }], reason }
+  router.get('/queue', moderationController.getQueue.bind(moderationController));
+  router.post('/approve', moderationController.approveItems.bind(moderationController));
+  router.post('/reject', moderationController.rejectItems.bind(moderationController));
+
+  // Verdict pipeline filter konten (skor dan alasan per filter)
+  router.get('/verdicts', moderationController.getVerdicts.bind(moderationController));
+
+  // Kata terlarang filter konten
+  router.get('/banned-words', moderationController.getBannedWords.bind(moderationController));
+  router.post('/banned-words', moderationController.createBannedWord.bind(moderationController));
+  router.post('/banned-words/seed', moderationController.seedBannedWords.bind(moderationController));
+  router.put('/banned-words/:id', moderationController.updateBannedWord.bind(moderationController));
+  router.delete('/banned-words/:id', moderationController.deleteBannedWord.bind(moderationController));
+
+  // Aturan auto-moderasi
+  router.get('/rules', moderationController.getRules.bind(moderationController));
+  router.post('/rules', moderationController.createRule.bind(moderationController));
+  router.post('/rules/seed', moderationController.seedRules.bind(moderationController));
+  router.put('/rules/:id', moderationController.updateRule.bind(moderationController));
+  router.delete('/rules/:id', moderationController.deleteRule.bind(moderationController));
+
+  return router;
+}
+
+module.exports = createModerationRoutes;
@@ -1,34 +1,29 @@
 const express = require('express');
-const axios = require('axios');
-
-const API_BASE = 'https://api-panelhargav2.badanpangan.go.id/api';
-const DEFAULT_HEADERS = {
-  'Accept': 'application/json, text/plain, */*',
-  'Accept-Language': 'id-ID,id;q=0.9,en-US;q=0.8,en;q=0.7',
-  'Cache-Control': 'no-cache',
-  'Pragma': 'no-cache',
-  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
-  'Sec-Ch-Ua': '"Chromium";v="121", "Not A(Brand";v="99", "Google Chrome";v="121"',
-  'Sec-Ch-Ua-Mobile': '?0',
-  'Sec-Ch-Ua-Platform': '"Windows"',
-  'Sec-Fetch-Dest': 'empty',
-  'Sec-Fetch-Mode': 'cors',
-  'Sec-Fetch-Site': 'same-origin',
-  'Origin': process.env.PANGAN_ORIGIN || 'https://panelharga.badanpangan.go.id',
-  'Referer': process.env.PANGAN_REFERER || 'https://panelharga.badanpangan.go.id/'
-};
-
-const REQUEST_TIMEOUT = parseInt(process.env.PANGAN_API_TIMEOUT_MS, 10) || 15000;
-const DEFAULT_CACHE_TTL = parseInt(process.env.PANGAN_CACHE_TTL_MS, 10) || 5 * 60 * 1000; // 5 minutes
-const PRICE_CACHE_TTL = parseInt(process.env.PANGAN_PRICE_CACHE_TTL_MS, 10) || 60 * 1000; // 1 minute
-
-const cache = {
-  provinces: { data: null, expiresAt: 0 },
-  cities: new Map(),
-  prices: new Map()
-};
+const PanganController = require('../controllers/panganController');
+const WatchlistController = require('../controllers/watchlistController');
+const CommodityController = require('../controllers/commodityController');
+const { authenticateToken, optionalAuth, requireAdmin } = require('../utils/auth');
+const {
+  FANOUT_CONCURRENCY,
+  DEFAULT_LEVEL_HARGA_ID,
+  configurePersistentCache,
+  loadProvinces,
+  loadCities,
+  loadPrices,
+  getCachedProvinces,
+  getCachedPrices,
+  mapWithConcurrency,
+  getUpstreamStatus,
+  findCommodity
+} = require('../utils/panganClient');
+const { summarizeDisparity } = require('../utils/priceAnalytics');
+const { loadCatalog, enrichPriceItems } = require('../utils/commodityCatalog');
 
 function handleProxyError(res, error, fallbackMessage) {
+  if (error?.code === 'CIRCUIT_OPEN') {
+    res.set('Retry-After', String(error.retryAfter || 30));
+    return res.status(503).json({ error: fallbackMessage, detail: error.message, status: 503 });
+  }
   const status = error?.response?.status || 502;
   const payload = error?.response?.data;
   if (payload) {
@@ -41,40 +36,24 @@ function handleProxyError(res, error, fallbackMessage) {
   return res.status(status).json({ error: fallbackMessage, status });
 }
 
-function isCacheValid(entry) {
-  return entry && entry.expiresAt > Date.now();
-}
-
-function setCache(entry, data, ttl = DEFAULT_CACHE_TTL) {
-  entry.data = data;
-  entry.expiresAt = Date.now() + ttl;
-}
-
-function createKeyFromParams(params) {
-  return JSON.stringify(Object.keys(params).sort().reduce((acc, key) => {
-    acc[key] = params[key];
-    return acc;
-  }, {}));
+// Header status cache: X-Cache (HIT/MISS/STALE/STALE-IF-ERROR) dan umur data dalam detik
+function setCacheHeaders(res, entry) {
+  res.set('X-Cache', entry.status);
+  res.set('Age', String(Math.max(0, Math.floor((Date.now() - entry.fetchedAt) / 1000))));
 }
 
-function createPanganRoutes() {
+function createPanganRoutes(dbPool) {
   const router = express.Router();
+  const panganController = new PanganController(dbPool);
+  const watchlistController = new WatchlistController(dbPool);
+  const commodityController = new CommodityController(dbPool);
+  configurePersistentCache(dbPool);
 
   router.get('/provinces', async (req, res) => {
     try {
-      if (isCacheValid(cache.provinces)) {
-        return res.json(cache.provinces.data);
-      }
-
-      const response = await axios.get(`${API_BASE}/provinces`, {
-        params: { search: req.query.search || '' },
-        headers: DEFAULT_HEADERS,
-        timeout: REQUEST_TIMEOUT
-      });
-
-      const data = response.data?.data || [];
-      setCache(cache.provinces, data);
-      res.json(data);
+      const entry = await loadProvinces(req.query.search || '');
+      setCacheHeaders(res, entry);
+      res.json(entry.data);
     } catch (error) {
       handleProxyError(res, error, 'Gagal memuat provinsi');
     }
@@ -87,23 +66,9 @@ function createPanganRoutes() {
     }
 
     try {
-      const cached = cache.cities.get(provinceId);
-      if (isCacheValid(cached)) {
-        return res.json(cached.data);
-      }
-
-      const response = await axios.get(`${API_BASE}/cities`, {
-        params: { province_id: provinceId },
-        headers: DEFAULT_HEADERS,
-        timeout: REQUEST_TIMEOUT
-      });
-
-      const payload = response.data?.data?.data || [];
-      cache.cities.set(provinceId, {
-        data: payload,
-        expiresAt: Date.now() + DEFAULT_CACHE_TTL
-      });
-      res.json(payload);
+      const entry = await loadCities(provinceId);
+      setCacheHeaders(res, entry);
+      res.json(entry.data);
     } catch (error) {
       handleProxyError(res, error, 'Gagal memuat kab/kota');
     }
@@ -115,37 +80,145 @@ function createPanganRoutes() {
       return res.status(400).json({ error: 'level_harga_id is required' });
     }
 
+    // enrich=false mengembalikan data mentah upstream tanpa field `catalog`
+    const { enrich, ...query } = req.query;
     const params = new URLSearchParams();
-    Object.entries(req.query).forEach(([key, value]) => {
+    Object.entries(query).forEach(([key, value]) => {
       if (value !== undefined && value !== null && value !== '') {
         params.append(key, value);
       }
     });
 
-    const cacheKey = createKeyFromParams(Object.fromEntries(params));
-    const cached = cache.prices.get(cacheKey);
-    if (isCacheValid(cached)) {
-      return res.json(cached.data);
+    try {
+      const entry = await loadPrices(Object.fromEntries(params));
+      setCacheHeaders(res, entry);
+      if (enrich === 'false') {
+        return res.json(entry.data);
+      }
+
+      let catalog = [];
+      try {
+        catalog = await loadCatalog(dbPool);
+      } catch (catalogError) {
+        console.error('[Pangan] commodity catalog unavailable:', catalogError.message);
+      }
+      res.json(enrichPriceItems(entry.data, catalog));
+    } catch (error) {
+      handleProxyError(res, error, 'Gagal memuat data harga pangan');
+    }
+  });
+
+  // Perbandingan harga satu komoditas di seluruh provinsi, diurutkan dari yang termahal
+  router.get('/compare', async (req, res) => {
+    const commodity = (req.query.commodity || '').toString().trim();
+    if (!commodity) {
+      return res.status(400).json({ error: 'commodity is required' });
     }
+    const levelHargaId = req.query.level_harga_id || DEFAULT_LEVEL_HARGA_ID;
 
     try {
-      const response = await axios.get(`${API_BASE}/front/harga-pangan-informasi`, {
-        params,
-        headers: DEFAULT_HEADERS,
-        timeout: REQUEST_TIMEOUT
+      const provinces = await getCachedProvinces();
+      const failed = [];
+
+      const results = await mapWithConcurrency(provinces, FANOUT_CONCURRENCY, async (province) => {
+        const context = {
+          province_id: String(province.id),
+          region_name: province.nama || province.name || null,
+          region_level: 'provinsi',
+          level_harga_id: levelHargaId
+        };
+        try {
+          const items = await getCachedPrices({ level_harga_id: levelHargaId, province_id: context.province_id });
+          return findCommodity(items, commodity, context);
+        } catch (error) {
+          failed.push({ province_id: context.province_id, province_name: context.region_name, error: error.message });
+          return null;
+        }
       });
 
-      const data = response.data?.data || [];
-      cache.prices.set(cacheKey, {
-        data,
-        expiresAt: Date.now() + PRICE_CACHE_TTL
+      const regions = results
+        .filter(Boolean)
+        .sort((a, b) => b.price - a.price)
+        .map((item, index) => ({
+          rank: index + 1,
+          province_id: item.province_id,
+          province_name: item.region_name,
+          price: item.price,
+          unit: item.unit,
+          price_date: item.price_date
+        }));
+
+      if (regions.length === 0) {
+        return res.status(404).json({ error: 'Commodity not found in any province', commodity, failed });
+      }
+
+      const reference = results.find(Boolean);
+      const disparity = summarizeDisparity(regions.map(r => r.price));
+
+      res.json({
+        commodity: {
+          id: reference.commodity_id,
+          name: reference.commodity_name,
+          unit: reference.unit
+        },
+        level_harga_id: String(levelHargaId),
+        provinces_compared: regions.length,
+        national_average: disparity.average,
+        max: regions[0],
+        min: regions[regions.length - 1],
+        disparity,
+        regions,
+        failed
       });
-      res.json(data);
     } catch (error) {
-      handleProxyError(res, error, 'Gagal memuat data harga pangan');
+      handleProxyError(res, error, 'Gagal membandingkan harga antarwilayah');
     }
   });
 
+  // Katalog komoditas (nama baku, kategori, satuan); perubahan hanya untuk admin
+  router.get('/commodities', commodityController.getCommodities.bind(commodityController));
+  router.post('/commodities', authenticateToken, requireAdmin, commodityController.createCommodity.bind(commodityController));
+  router.post('/commodities/seed', authenticateToken, requireAdmin, commodityController.seedCommodities.bind(commodityController));
+  router.get('/commodities/:idOrSlug', commodityController.getCommodity.bind(commodityController));
+  router.put('/commodities/:id', authenticateToken, requireAdmin, commodityController.updateCommodity.bind(commodityController));
+  router.delete('/commodities/:id', authenticateToken, requireAdmin, commodityController.deleteCommodity.bind(commodityController));
+
+  // Status circuit breaker dan cache upstream Badan Pangan
+  router.get('/upstream/status', (req, res) => {
+    res.json(getUpstreamStatus());
+  });
+
+  // Peta harga (GeoJSON) dan pemetaan ID Badan Pangan <-> kode wilayah
+  router.get('/geojson', panganController.getGeojson.bind(panganController));
+  router.get('/regions', panganController.getRegions.bind(panganController));
+  router.post('/regions/sync', authenticateToken, requireAdmin, panganController.syncRegions.bind(panganController));
+  router.put('/regions', authenticateToken, requireAdmin, panganController.saveRegion.bind(panganController));
+  router.delete('/regions/:id', authenticateToken, requireAdmin, panganController.deleteRegion.bind(panganController));
+
+  // Riwayat harga tersimpan (snapshot harian dari collector)
+  router.get('/history', panganController.getHistory.bind(panganController));
+  router.get('/analytics/changes', panganController.getChanges.bind(panganController));
+  router.get('/forecast', panganController.getForecast.bind(panganController));
+  router.get('/export', panganController.exportPrices.bind(panganController));
+  router.post('/history/collect', authenticateToken, requireAdmin, panganController.collectHistory.bind(panganController));
+
+  // Alert lonjakan/anomali harga
+  router.get('/alerts', panganController.getAlerts.bind(panganController));
+  router.post('/alerts/detect', authenticateToken, requireAdmin, panganController.detectAlerts.bind(panganController));
+  router.put('/alerts/:id/acknowledge', authenticateToken, requireAdmin, panganController.acknowledgeAlert.bind(panganController));
+
+  // Watchlist harga (client anonim via X-Client-Token, atau admin) dan feed notifikasi
+  router.get('/watchlists', optionalAuth, watchlistController.getWatchlists.bind(watchlistController));
+  router.post('/watchlists', optionalAuth, watchlistController.createWatchlist.bind(watchlistController));
+  router.post('/watchlists/evaluate', authenticateToken, requireAdmin, watchlistController.evaluate.bind(watchlistController));
+  router.get('/watchlists/notifications', optionalAuth, watchlistController.getNotifications.bind(watchlistController));
+  router.put('/watchlists/notifications/:id/read', optionalAuth, watchlistController.markNotificationRead.bind(watchlistController));
+  router.get('/watchlists/:id', optionalAuth, watchlistController.getWatchlist.bind(watchlistController));
+  router.put('/watchlists/:id', optionalAuth, watchlistController.updateWatchlist.bind(watchlistController));
+  router.post('/watchlists/:id/confirm', optionalAuth, watchlistController.confirmTarget.bind(watchlistController));
+  router.post('/watchlists/:id/confirm/resend', optionalAuth, watchlistController.resendConfirmation.bind(watchlistController));
+  router.delete('/watchlists/:id', optionalAuth, watchlistController.deleteWatchlist.bind(watchlistController));
+
   return router;
 }
 
@@ -1,5 +1,9 @@
 const express = require('express');
 const WilayahController = require('../controllers/wilayahController');
+const { authenticateToken, requireAdmin } = require('../utils/auth');
+
+// Dataset lengkap (~80 ribu baris) jauh melebihi batas default express.json
+const datasetParser = express.text({ type: ['text/*', 'application/sql'], limit: '20mb' });
 
 module.exports = function createWilayahRoutes(dbPool) {
   const router = express.Router();
@@ -19,7 +23,16 @@ module.exports = function createWilayahRoutes(dbPool) {
 
   // Direct lookup and search
   router.get('/kode/:kode', controller.getByKode.bind(controller));
+  router.get('/kode/:kode/breadcrumb', controller.getBreadcrumb.bind(controller));
+  router.get('/tree', controller.getTree.bind(controller));
   router.get('/search', controller.search.bind(controller));
+  router.get('/kode/:kode/history', controller.getKodeHistory.bind(controller));
+  router.get('/reverse', controller.reverse.bind(controller));
+
+  // Versi dataset Kemendagri: impor CSV/SQL oleh admin, diff per versi
+  router.get('/versions', controller.getVersions.bind(controller));
+  router.get('/versions/:version/changes', controller.getVersionChanges.bind(controller));
+  router.post('/import', authenticateToken, requireAdmin, datasetParser, controller.importDataset.bind(controller));
 
   return router;
 };
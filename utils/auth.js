@@ -44,6 +44,21 @@ function authenticateToken(req, res, next) {
   }
 }
 
+// Middleware untuk autentikasi opsional: set req.user jika token valid, lanjut tanpa error jika tidak ada
+function optionalAuth(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (token) {
+    try {
+      req.user = verifyToken(token);
+    } catch (error) {
+      req.user = null;
+    }
+  }
+  next();
+}
+
 // Middleware untuk admin only (admin atau superadmin)
 function requireAdmin(req, res, next) {
   if (!req.user || (req.user.role !== 'admin' && req.user.role !== 'superadmin')) {
@@ -66,6 +81,7 @@ module.exports = {
   hashPassword,
   comparePassword,
   authenticateToken,
+  optionalAuth,
   requireAdmin,
   requireSuperAdmin
 };
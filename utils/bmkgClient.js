@@ -0,0 +1,58 @@
+// Client untuk API publik prakiraan cuaca BMKG
+// Dipakai bersama oleh routes/bmkg.js dan collector cuaca (cron)
+const axios = require('axios');
+
+const API_BASE = 'https://api.bmkg.go.id/publik';
+const DEFAULT_HEADERS = {
+  Accept: 'application/json',
+  'User-Agent': 'Mozilla/5.0 (compatible; PanganJawaraBot/1.0)'
+};
+const REQUEST_TIMEOUT = parseInt(process.env.BMKG_API_TIMEOUT_MS, 10) || 15000;
+const CACHE_TTL = parseInt(process.env.BMKG_CACHE_TTL_MS, 10) || 5 * 60 * 1000; // 5 minutes
+
+const forecastCache = new Map();
+
+// Kode adm4 (desa/kelurahan) berformat 2.2.2.4 digit, contoh 31.71.01.1001
+const ADM4_PATTERN = /^\d{2}\.\d{2}\.\d{2}\.\d{4}$/;
+
+function isValidAdm4(code) {
+  return ADM4_PATTERN.test(String(code || '').trim());
+}
+
+async function fetchForecast(params) {
+  const response = await axios.get(`${API_BASE}/prakiraan-cuaca`, {
+    params,
+    headers: DEFAULT_HEADERS,
+    timeout: REQUEST_TIMEOUT
+  });
+  return response.data;
+}
+
+function createCacheKey(params) {
+  return JSON.stringify(Object.keys(params).sort().reduce((acc, key) => {
+    acc[key] = params[key];
+    return acc;
+  }, {}));
+}
+
+// Versi ber-cache dari fetchForecast, dipakai proxy prakiraan-cuaca dan advisory
+async function getCachedForecast(params) {
+  const cacheKey = createCacheKey(params);
+  const cached = forecastCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.data;
+  }
+
+  const payload = await fetchForecast(params);
+  forecastCache.set(cacheKey, { data: payload, expiresAt: Date.now() + CACHE_TTL });
+  return payload;
+}
+
+module.exports = {
+  API_BASE,
+  DEFAULT_HEADERS,
+  REQUEST_TIMEOUT,
+  isValidAdm4,
+  fetchForecast,
+  getCachedForecast
+};
@@ -0,0 +1,278 @@
+// Parser respons prakiraan cuaca BMKG (data[0].cuaca[][]) menjadi baris per slot waktu
+// dan skema ternormalisasi untuk klien (GET /bmkg/prakiraan-cuaca?format=normalized)
+const { aggregateDaily } = require('./weatherHistory');
+const { round, mean } = require('./priceAnalytics');
+
+const SCHEMA_VERSION = 1;
+const WIB_OFFSET_HOURS = 7;
+
+// Kunci ikon per kode cuaca BMKG; kode cerah/berawan mendapat akhiran -malam di malam hari
+const WEATHER_ICONS = {
+  0: 'cerah',
+  1: 'cerah-berawan',
+  2: 'cerah-berawan',
+  3: 'berawan',
+  4: 'berawan-tebal',
+  5: 'udara-kabur',
+  10: 'asap',
+  45: 'kabut',
+  60: 'hujan-ringan',
+  61: 'hujan-sedang',
+  63: 'hujan-lebat',
+  80: 'hujan-lokal',
+  95: 'hujan-petir',
+  97: 'hujan-petir'
+};
+const NIGHT_VARIANT_CODES = [0, 1, 2, 3];
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function toInteger(value) {
+  const parsed = toNumber(value);
+  return parsed === null ? null : Math.round(parsed);
+}
+
+// BMKG mengirim "2024-10-03 00:00:00" atau ISO "2024-10-03T00:00:00Z"; simpan sebagai "YYYY-MM-DD HH:mm:ss"
+function toSqlDateTime(value) {
+  if (!value) return null;
+  const match = String(value).match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2})?/);
+  return match ? `${match[1]} ${match[2]}${match[3] || ':00'}` : null;
+}
+
+function toEpoch(sqlDateTime) {
+  return Date.parse(`${sqlDateTime.replace(' ', 'T')}Z`);
+}
+
+function formatOffset(hours) {
+  const sign = hours < 0 ? '-' : '+';
+  const abs = Math.abs(hours);
+  const h = String(Math.floor(abs)).padStart(2, '0');
+  const m = String(Math.round((abs % 1) * 60)).padStart(2, '0');
+  return `${sign}${h}:${m}`;
+}
+
+// ISO 8601 dengan offset, mis. "2024-10-03T07:00:00+07:00"
+function toIsoWithOffset(utcSqlDateTime, offsetHours) {
+  const shifted = new Date(toEpoch(utcSqlDateTime) + offsetHours * 3600000).toISOString().slice(0, 19);
+  return `${shifted}${formatOffset(offsetHours)}`;
+}
+
+function iconKey(weatherCode, localHour) {
+  const base = WEATHER_ICONS[weatherCode];
+  if (!base) return null;
+  const isNight = localHour < 6 || localHour >= 18;
+  return isNight && NIGHT_VARIANT_CODES.includes(weatherCode) ? `${base}-malam` : base;
+}
+
+// Ubah respons mentah BMKG menjadi info lokasi dan baris prakiraan per slot waktu.
+// cuaca berbentuk array per hari berisi array per slot waktu (umumnya 3 jam)
+function parseHourlyForecast(payload) {
+  const entry = payload?.data?.[0];
+  const lokasi = entry?.lokasi || payload?.lokasi || {};
+  const location = {
+    adm4_code: lokasi.adm4 || null,
+    adm3_code: lokasi.adm3 || null,
+    adm2_code: lokasi.adm2 || null,
+    adm1_code: lokasi.adm1 || null,
+    desa: lokasi.desa || null,
+    kecamatan: lokasi.kecamatan || null,
+    kotkab: lokasi.kotkab || lokasi.kota || null,
+    provinsi: lokasi.provinsi || null,
+    lat: toNumber(lokasi.lat),
+    lon: toNumber(lokasi.lon),
+    timezone: lokasi.timezone || null
+  };
+
+  const slots = (entry?.cuaca || []).flat().filter(slot => slot && typeof slot === 'object');
+  const seen = new Set();
+  const rows = [];
+  for (const slot of slots) {
+    const forecastUtc = toSqlDateTime(slot.utc_datetime || slot.datetime);
+    const forecastLocal = toSqlDateTime(slot.local_datetime);
+    if (!forecastUtc || !forecastLocal || seen.has(forecastUtc)) continue;
+    seen.add(forecastUtc);
+
+    rows.push({
+      forecast_utc: forecastUtc,
+      forecast_local: forecastLocal,
+      temperature: toNumber(slot.t),
+      humidity: toInteger(slot.hu),
+      rainfall: toNumber(slot.tp),
+      wind_speed: toNumber(slot.ws),
+      wind_direction: slot.wd || null,
+      wind_direction_deg: toInteger(slot.wd_deg),
+      wind_to: slot.wd_to || null,
+      cloud_cover: toInteger(slot.tcc),
+      visibility: toInteger(slot.vs),
+      visibility_text: slot.vs_text || null,
+      weather_code: toInteger(slot.weather),
+      weather_desc: slot.weather_desc || null,
+      weather_desc_en: slot.weather_desc_en || null,
+      image: slot.image || null,
+      analysis_date: toSqlDateTime(slot.analysis_date)
+    });
+  }
+
+  rows.sort((a, b) => a.forecast_utc.localeCompare(b.forecast_utc));
+  return { location, rows };
+}
+
+// Nilai terbanyak; seri dimenangkan kode cuaca yang lebih berat (angka lebih besar)
+function modeOf(values) {
+  const counts = new Map();
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || (b[0] > a[0] ? 1 : -1))[0]?.[0] ?? null;
+}
+
+function meanOf(values, digits = 1) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? round(mean(present), digits) : null;
+}
+
+/**
+ * Gabungkan baris prakiraan beberapa desa (hasil parseHourlyForecast) per slot waktu UTC:
+ * angka dirata-rata, arah angin dan kondisi cuaca memakai nilai terbanyak.
+ * @param {object[][]} rowSets - baris per desa
+ * @returns {object[]} baris gabungan dengan bentuk yang sama, terurut waktu
+ */
+function mergeForecastRows(rowSets) {
+  const slots = new Map();
+  for (const rows of rowSets) {
+    for (const row of rows) {
+      if (!slots.has(row.forecast_utc)) slots.set(row.forecast_utc, []);
+      slots.get(row.forecast_utc).push(row);
+    }
+  }
+
+  return [...slots.entries()]
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([forecastUtc, rows]) => {
+      const weatherCode = modeOf(rows.map(row => row.weather_code));
+      const windDirection = modeOf(rows.map(row => row.wind_direction));
+      const weatherRow = rows.find(row => row.weather_code === weatherCode) || rows[0];
+      const windRow = rows.find(row => row.wind_direction === windDirection) || rows[0];
+      const humidity = meanOf(rows.map(row => row.humidity), 0);
+      const cloudCover = meanOf(rows.map(row => row.cloud_cover), 0);
+      const visibility = meanOf(rows.map(row => row.visibility), 0);
+      return {
+        forecast_utc: forecastUtc,
+        forecast_local: rows[0].forecast_local,
+        temperature: meanOf(rows.map(row => row.temperature)),
+        humidity,
+        rainfall: meanOf(rows.map(row => row.rainfall)),
+        wind_speed: meanOf(rows.map(row => row.wind_speed)),
+        wind_direction: windDirection,
+        wind_direction_deg: windRow.wind_direction_deg,
+        wind_to: windRow.wind_to,
+        cloud_cover: cloudCover,
+        visibility,
+        visibility_text: null,
+        weather_code: weatherCode,
+        weather_desc: weatherRow.weather_desc,
+        weather_desc_en: weatherRow.weather_desc_en,
+        image: weatherRow.image,
+        analysis_date: rows.map(row => row.analysis_date).filter(Boolean).sort().pop() || null
+      };
+    });
+}
+
+/**
+ * Skema ternormalisasi prakiraan BMKG (schema_version 1):
+ * - location: kode adm1-adm4, nama desa/kecamatan/kotkab/provinsi, lat, lon, timezone, utc_offset
+ * - hourly[]: time_local (ISO, offset lokasi), time_wib (ISO +07:00), time_utc (ISO Z),
+ *   temperature_c, humidity_pct, rainfall_mm, cloud_cover_pct, wind_speed_kmh, wind_direction,
+ *   wind_direction_deg, wind_to, visibility_m, visibility_text, weather_code, weather_desc,
+ *   weather_desc_en, icon (kunci ikon, lihat WEATHER_ICONS), icon_url (gambar BMKG), is_day
+ * - daily[]: date (tanggal lokal), temp_min_c, temp_max_c, temp_mean_c, humidity_mean_pct,
+ *   rain_total_mm, rain_hours, wind_max_kmh, weather_code, weather_desc, icon, slots
+ * - analysis_date: waktu analisis model BMKG (ISO, UTC)
+ * Field yang tidak dikirim BMKG bernilai null, bukan dihilangkan.
+ * @param {object} location - info lokasi (lihat parseHourlyForecast)
+ * @param {object[]} rows - baris per slot waktu (parseHourlyForecast atau mergeForecastRows)
+ * @returns {object} prakiraan ternormalisasi
+ */
+function normalizeRows(location, rows) {
+  // Offset lokasi dihitung dari selisih waktu lokal dan UTC (WIB +7, WITA +8, WIT +9)
+  const offsetHours = rows.length > 0
+    ? (toEpoch(rows[0].forecast_local) - toEpoch(rows[0].forecast_utc)) / 3600000
+    : WIB_OFFSET_HOURS;
+
+  const hourly = rows.map(row => {
+    const localHour = parseInt(row.forecast_local.slice(11, 13), 10);
+    return {
+      time_local: toIsoWithOffset(row.forecast_utc, offsetHours),
+      time_wib: toIsoWithOffset(row.forecast_utc, WIB_OFFSET_HOURS),
+      time_utc: `${row.forecast_utc.replace(' ', 'T')}Z`,
+      temperature_c: row.temperature,
+      humidity_pct: row.humidity,
+      rainfall_mm: row.rainfall,
+      cloud_cover_pct: row.cloud_cover,
+      wind_speed_kmh: row.wind_speed,
+      wind_direction: row.wind_direction,
+      wind_direction_deg: row.wind_direction_deg,
+      wind_to: row.wind_to,
+      visibility_m: row.visibility,
+      visibility_text: row.visibility_text,
+      weather_code: row.weather_code,
+      weather_desc: row.weather_desc,
+      weather_desc_en: row.weather_desc_en,
+      icon: iconKey(row.weather_code, localHour),
+      icon_url: row.image,
+      is_day: localHour >= 6 && localHour < 18
+    };
+  });
+
+  // analysis_date BMKG dalam UTC
+  const analysisDate = rows.find(row => row.analysis_date)?.analysis_date;
+  const daily = aggregateDaily(rows.map(row => ({ ...row, adm4_code: location.adm4_code }))).map(day => {
+    const winds = rows
+      .filter(row => row.forecast_local.startsWith(day.weather_date) && row.wind_speed !== null)
+      .map(row => row.wind_speed);
+    return {
+      date: day.weather_date,
+      temp_min_c: day.temp_min,
+      temp_max_c: day.temp_max,
+      temp_mean_c: day.temp_mean,
+      humidity_mean_pct: day.humidity_mean,
+      rain_total_mm: day.rain_total,
+      rain_hours: day.rain_hours,
+      wind_max_kmh: winds.length ? Math.max(...winds) : null,
+      weather_code: day.dominant_weather_code,
+      weather_desc: day.dominant_weather_desc,
+      icon: iconKey(day.dominant_weather_code, 12),
+      slots: day.sample_count
+    };
+  });
+
+  return {
+    schema_version: SCHEMA_VERSION,
+    source: 'BMKG',
+    analysis_date: analysisDate ? `${analysisDate.replace(' ', 'T')}Z` : null,
+    location: { ...location, utc_offset: formatOffset(offsetHours) },
+    hourly,
+    daily
+  };
+}
+
+// Respons mentah /publik/prakiraan-cuaca -> skema ternormalisasi
+function normalizeForecast(payload) {
+  const { location, rows } = parseHourlyForecast(payload);
+  return normalizeRows(location, rows);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  WEATHER_ICONS,
+  iconKey,
+  parseHourlyForecast,
+  mergeForecastRows,
+  normalizeRows,
+  normalizeForecast
+};
@@ -0,0 +1,63 @@
+// Circuit breaker sederhana untuk layanan upstream.
+// closed -> open setelah `threshold` kegagalan beruntun; setelah `cooldownMs` masuk half-open
+// dan satu request percobaan menentukan apakah kembali closed atau open lagi.
+class CircuitBreaker {
+  constructor({ name = 'upstream', threshold = 5, cooldownMs = 30000 } = {}) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldownMs = cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  // Detik sampai breaker boleh dicoba lagi (untuk header Retry-After)
+  get retryAfterSeconds() {
+    if (this.openedAt === null) return 0;
+    return Math.max(0, Math.ceil((this.openedAt + this.cooldownMs - Date.now()) / 1000));
+  }
+
+  canRequest() {
+    const state = this.state;
+    if (state === 'closed') return true;
+    if (state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      console.log(`[CircuitBreaker] ${this.name} closed`);
+    }
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.trialInFlight || (this.openedAt === null && this.failures >= this.threshold)) {
+      console.warn(`[CircuitBreaker] ${this.name} opened after ${this.failures} failures`);
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      retry_after_seconds: this.retryAfterSeconds
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
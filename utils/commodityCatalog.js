@@ -0,0 +1,138 @@
+// Katalog komoditas lokal untuk menormalkan nama, kategori dan satuan dari upstream Badan Pangan
+const Commodity = require('../models/Commodity');
+
+const COMMODITY_CATEGORIES = {
+  beras: 'Beras',
+  bahan_pokok: 'Bahan Pokok',
+  protein_hewani: 'Protein Hewani',
+  sayuran: 'Sayuran',
+  bumbu: 'Bumbu',
+  lainnya: 'Lainnya'
+};
+
+// Satuan baku dan variasi penulisan dari upstream
+const UNIT_ALIASES = {
+  kg: ['kg', 'kilogram', 'rp/kg', 'rp./kg'],
+  liter: ['liter', 'ltr', 'l', 'lt', 'rp/liter', 'rp/lt'],
+  butir: ['butir', 'btr', 'rp/butir'],
+  ekor: ['ekor', 'rp/ekor'],
+  gram: ['gram', 'gr', 'g'],
+  ikat: ['ikat', 'rp/ikat']
+};
+
+const CATALOG_CACHE_TTL = 5 * 60 * 1000;
+let catalogCache = { entries: null, expiresAt: 0 };
+
+// Katalog awal (komoditas panel harga Badan Pangan), dipakai POST /pangan/commodities/seed
+const DEFAULT_COMMODITIES = [
+  { slug: 'beras-premium', name_id: 'Beras Premium', name_en: 'Premium Rice', category: 'beras', unit: 'kg' },
+  { slug: 'beras-medium', name_id: 'Beras Medium', name_en: 'Medium Rice', category: 'beras', unit: 'kg' },
+  { slug: 'beras-sphp', name_id: 'Beras SPHP', name_en: 'SPHP Rice', category: 'beras', unit: 'kg', aliases: ['Beras Stabilisasi Pasokan dan Harga Pangan'] },
+  { slug: 'jagung-peternak', name_id: 'Jagung Tk Peternak', name_en: 'Feed Corn (Farmer Level)', category: 'bahan_pokok', unit: 'kg', aliases: ['Jagung Pipilan Kering'] },
+  { slug: 'kedelai-impor', name_id: 'Kedelai Biji Kering (Impor)', name_en: 'Imported Dried Soybean', category: 'bahan_pokok', unit: 'kg', aliases: ['Kedelai Impor'] },
+  { slug: 'bawang-merah', name_id: 'Bawang Merah', name_en: 'Shallot', category: 'bumbu', unit: 'kg' },
+  { slug: 'bawang-putih', name_id: 'Bawang Putih Bonggol', name_en: 'Garlic', category: 'bumbu', unit: 'kg', aliases: ['Bawang Putih'] },
+  { slug: 'cabai-merah-keriting', name_id: 'Cabai Merah Keriting', name_en: 'Curly Red Chili', category: 'bumbu', unit: 'kg', aliases: ['Cabe Merah Keriting'] },
+  { slug: 'cabai-merah-besar', name_id: 'Cabai Merah Besar', name_en: 'Large Red Chili', category: 'bumbu', unit: 'kg', aliases: ['Cabe Merah Besar'] },
+  { slug: 'cabai-rawit-merah', name_id: 'Cabai Rawit Merah', name_en: "Red Bird's Eye Chili", category: 'bumbu', unit: 'kg', aliases: ['Cabe Rawit Merah'] },
+  { slug: 'daging-sapi', name_id: 'Daging Sapi Murni', name_en: 'Beef', category: 'protein_hewani', unit: 'kg', aliases: ['Daging Sapi'] },
+  { slug: 'daging-ayam-ras', name_id: 'Daging Ayam Ras', name_en: 'Broiler Chicken Meat', category: 'protein_hewani', unit: 'kg', aliases: ['Daging Ayam'] },
+  { slug: 'telur-ayam-ras', name_id: 'Telur Ayam Ras', name_en: 'Chicken Egg', category: 'protein_hewani', unit: 'kg', aliases: ['Telur Ayam'] },
+  { slug: 'ikan-kembung', name_id: 'Ikan Kembung', name_en: 'Indian Mackerel', category: 'protein_hewani', unit: 'kg' },
+  { slug: 'ikan-tongkol', name_id: 'Ikan Tongkol', name_en: 'Mackerel Tuna', category: 'protein_hewani', unit: 'kg' },
+  { slug: 'ikan-bandeng', name_id: 'Ikan Bandeng', name_en: 'Milkfish', category: 'protein_hewani', unit: 'kg' },
+  { slug: 'gula-konsumsi', name_id: 'Gula Konsumsi', name_en: 'Granulated Sugar', category: 'bahan_pokok', unit: 'kg', aliases: ['Gula Pasir'] },
+  { slug: 'minyakita', name_id: 'Minyakita', name_en: 'Minyakita Cooking Oil', category: 'bahan_pokok', unit: 'liter', aliases: ['Minyak Goreng Minyakita'] },
+  { slug: 'minyak-goreng-kemasan', name_id: 'Minyak Goreng Kemasan Sederhana', name_en: 'Packaged Cooking Oil', category: 'bahan_pokok', unit: 'liter', aliases: ['Minyak Goreng Kemasan'] },
+  { slug: 'minyak-goreng-curah', name_id: 'Minyak Goreng Curah', name_en: 'Bulk Cooking Oil', category: 'bahan_pokok', unit: 'liter' },
+  { slug: 'tepung-terigu-curah', name_id: 'Tepung Terigu (Curah)', name_en: 'Bulk Wheat Flour', category: 'bahan_pokok', unit: 'kg', aliases: ['Tepung Terigu Curah'] },
+  { slug: 'tepung-terigu-kemasan', name_id: 'Tepung Terigu Kemasan (Non Curah)', name_en: 'Packaged Wheat Flour', category: 'bahan_pokok', unit: 'kg', aliases: ['Tepung Terigu Kemasan'] },
+  { slug: 'garam-konsumsi', name_id: 'Garam Konsumsi', name_en: 'Table Salt', category: 'bumbu', unit: 'kg', aliases: ['Garam Halus'] }
+];
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Samakan nama untuk pencocokan: huruf kecil, tanpa tanda baca, "cabe" -> "cabai"
+function normalizeCommodityName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\bcabe\b/g, 'cabai')
+    .trim();
+}
+
+function normalizeUnit(value) {
+  if (!value) return null;
+  const raw = String(value).toLowerCase().replace(/\s+/g, '');
+  for (const [unit, aliases] of Object.entries(UNIT_ALIASES)) {
+    if (aliases.includes(raw)) return unit;
+  }
+  return raw.replace(/^rp\.?\/?/, '') || null;
+}
+
+async function loadCatalog(db, { refresh = false } = {}) {
+  if (!refresh && catalogCache.entries && catalogCache.expiresAt > Date.now()) {
+    return catalogCache.entries;
+  }
+  const entries = await new Commodity(db).getAll({ activeOnly: true });
+  catalogCache = { entries, expiresAt: Date.now() + CATALOG_CACHE_TTL };
+  return entries;
+}
+
+function invalidateCatalog() {
+  catalogCache = { entries: null, expiresAt: 0 };
+}
+
+// Cocokkan item upstream dengan katalog: upstream_id, lalu nama baku/slug/alias
+function matchCatalogEntry(catalog, commodityId, commodityName) {
+  if (commodityId !== undefined && commodityId !== null) {
+    const byId = catalog.find(entry => entry.upstream_id && entry.upstream_id === String(commodityId));
+    if (byId) return byId;
+  }
+  const name = normalizeCommodityName(commodityName);
+  if (!name) return null;
+  return catalog.find(entry => normalizeCommodityName(entry.name_id) === name
+    || normalizeCommodityName(entry.slug) === name
+    || entry.aliases.some(alias => normalizeCommodityName(alias) === name)) || null;
+}
+
+// Tambahkan field `catalog` (nama baku, kategori, satuan) ke item mentah upstream
+function enrichPriceItems(items, catalog) {
+  if (!Array.isArray(items)) return items;
+  return items.map(item => {
+    if (!item || typeof item !== 'object') return item;
+    const rawName = item.name ?? item.commodity_name ?? item.komoditas ?? item.nama;
+    const entry = matchCatalogEntry(catalog, item.commodity_id ?? item.komoditas_id ?? item.id, rawName);
+    const unit = entry ? entry.unit : normalizeUnit(item.satuan ?? item.unit);
+    return {
+      ...item,
+      catalog: entry
+        ? {
+          slug: entry.slug,
+          name_id: entry.name_id,
+          name_en: entry.name_en,
+          category: entry.category,
+          category_label: COMMODITY_CATEGORIES[entry.category] || entry.category,
+          unit
+        }
+        : { slug: slugify(rawName), name_id: rawName || null, name_en: null, category: 'lainnya', category_label: COMMODITY_CATEGORIES.lainnya, unit }
+    };
+  });
+}
+
+module.exports = {
+  COMMODITY_CATEGORIES,
+  DEFAULT_COMMODITIES,
+  slugify,
+  normalizeCommodityName,
+  normalizeUnit,
+  loadCatalog,
+  invalidateCatalog,
+  matchCatalogEntry,
+  enrichPriceItems
+};
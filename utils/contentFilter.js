@@ -0,0 +1,355 @@
+// Pipeline filter spam/penyalahgunaan untuk post dan komentar publik.
+// Filter dijalankan berurutan sesuai CONTENT_FILTERS; filter baru cukup didaftarkan lewat registerFilter:
+//   registerFilter('nama', { check(submission, context) -> Promise<{ score, reasons, details, throttle }> })
+// Skor tiap filter 0-1 digabung (1 - Π(1 - skor)); skor gabungan menentukan status moderasi dan verdict
+// disimpan di content_filter_verdicts agar moderator bisa melihat alasannya.
+const crypto = require('crypto');
+const axios = require('axios');
+const BannedWord = require('../models/BannedWord');
+const ContentVerdict = require('../models/ContentVerdict');
+
+const HOLD_SCORE = parseFloat(process.env.CONTENT_FILTER_HOLD_SCORE) || 0.5;
+const REJECT_SCORE = parseFloat(process.env.CONTENT_FILTER_REJECT_SCORE) || 0.9;
+const MAX_PER_MINUTE = parseInt(process.env.CONTENT_FILTER_MAX_PER_MINUTE, 10) || 3;
+const MAX_PER_HOUR = parseInt(process.env.CONTENT_FILTER_MAX_PER_HOUR, 10) || 20;
+const DUPLICATE_WINDOW_HOURS = parseInt(process.env.CONTENT_FILTER_DUPLICATE_WINDOW_HOURS, 10) || 72;
+// Isi yang lebih pendek (mis. "terima kasih") wajar berulang, tidak dicek duplikatnya
+const DUPLICATE_MIN_LENGTH = 20;
+const AI_URL = process.env.CONTENT_FILTER_AI_URL || '';
+const AI_TOKEN = process.env.CONTENT_FILTER_AI_TOKEN || '';
+const AI_TIMEOUT = parseInt(process.env.CONTENT_FILTER_AI_TIMEOUT_MS, 10) || 5000;
+
+const WORD_CATEGORIES = ['kasar', 'cabul', 'judi', 'penipuan', 'lainnya'];
+const WORDS_CACHE_TTL = 5 * 60 * 1000;
+let wordsCache = { words: null, source: null, expiresAt: 0 };
+
+// Daftar bawaan; dipakai bila tabel kosong dan sebagai isi POST /moderation/banned-words/seed.
+// Bentuk singkatan/slang ditulis terpisah karena tidak bisa diturunkan dari kata dasarnya.
+const DEFAULT_BANNED_WORDS = [
+  ...['anjing', 'anjg', 'ajg', 'bangsat', 'bgst', 'goblok', 'goblog', 'tolol', 'kampret', 'jancok', 'jancuk', 'asu', 'bajingan', 'keparat']
+    .map(word => ({ word, category: 'kasar', weight: 0.35 })),
+  ...['kontol', 'kntl', 'memek', 'ngentot', 'ngentod', 'bokep', 'open bo', 'vcs', 'sange']
+    .map(word => ({ word, category: 'cabul', weight: 0.6 })),
+  ...['judol', 'judi online', 'slot gacor', 'gacor', 'maxwin', 'togel', 'situs slot', 'deposit pulsa', 'link alternatif']
+    .map(word => ({ word, category: 'judi', weight: 0.6 })),
+  ...['pinjol', 'pinjaman online', 'cair tanpa jaminan', 'tanpa bi checking', 'dijamin profit']
+    .map(word => ({ word, category: 'penipuan', weight: 0.5 }))
+];
+
+// Akhiran yang sering menempel di kata kasar/slang ("anjingnya", "bangsatlah", "goblokin")
+const WORD_SUFFIXES = ['', 'nya', 'lah', 'kah', 'mu', 'lu', 'an', 'in'];
+const LEET_MAP = { 4: 'a', '@': 'a', 3: 'e', 1: 'i', '!': 'i', 0: 'o', 5: 's', $: 's', 7: 't', 8: 'b' };
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|id|xyz|top|site|online|link|ly|me|io|vip|club|cc)(?:\/\S*)?/gi;
+const SHORTENERS = ['bit.ly', 's.id', 'tinyurl.com', 't.ly', 'cutt.ly', 'shorturl.at', 'linktr.ee', 'rebrand.ly'];
+// Nomor seluler Indonesia (+62/62/0 8xx) boleh diselingi spasi, titik atau strip, dan tautan wa.me
+const PHONE_PATTERN = /(?:\+?62|\b0)[\s.-]?8[1-9](?:[\s.-]?\d){6,10}\b|wa\.me\/\d+/gi;
+
+const filters = new Map();
+const FILTER_NAMES_FROM_ENV = String(process.env.CONTENT_FILTERS || '')
+  .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+function registerFilter(name, filter) {
+  filters.set(name, filter);
+}
+
+// Urutan dari CONTENT_FILTERS (nama yang tidak terdaftar diabaikan); kosong = semua filter terdaftar
+function getFilterChain() {
+  const chain = FILTER_NAMES_FROM_ENV.filter((name, index) => filters.has(name) && FILTER_NAMES_FROM_ENV.indexOf(name) === index);
+  return chain.length > 0 ? chain : [...filters.keys()];
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Bentuk teks untuk pencocokan kata: huruf kecil tanpa diakritik, angka/simbol leetspeak jadi huruf,
+// huruf yang dieja terpisah ("a n j i n g", "a.n.j.i.n.g") digabung dan huruf berulang diringkas ("anjiiing")
+function normalizeForMatching(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[4@31!05$78]/g, ch => LEET_MAP[ch])
+    .replace(/\b(?:[a-z][\s._*-]+){2,}[a-z]\b/g, match => match.replace(/[^a-z]/g, ''))
+    .replace(/[^a-z]+/g, ' ')
+    .replace(/([a-z])\1+/g, '$1')
+    .trim();
+}
+
+// Hash isi untuk deteksi duplikat: huruf kecil, hanya huruf/angka, spasi diringkas
+function normalizeForHash(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function contentHash(normalized) {
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function combineScores(scores) {
+  return round(1 - scores.reduce((remaining, score) => remaining * (1 - Math.min(Math.max(score, 0), 1)), 1));
+}
+
+function scoreToStatus(score) {
+  if (score >= REJECT_SCORE) return 'rejected';
+  if (score >= HOLD_SCORE) return 'flagged';
+  return 'approved';
+}
+
+// Kata terlarang dari DB (cache 5 menit); tabel kosong = daftar bawaan
+async function loadBannedWords(db, { refresh = false } = {}) {
+  if (!refresh && wordsCache.words && wordsCache.expiresAt > Date.now()) {
+    return { words: wordsCache.words, source: wordsCache.source };
+  }
+  const model = new BannedWord(db);
+  const useDefaults = (await model.count()) === 0;
+  const rows = useDefaults ? DEFAULT_BANNED_WORDS : await model.getAll({ activeOnly: true });
+  const words = rows
+    .map(row => ({ word: row.word, category: row.category, weight: Number(row.weight), normalized: normalizeForMatching(row.word) }))
+    .filter(row => row.normalized);
+  wordsCache = { words, source: useDefaults ? 'default' : 'database', expiresAt: Date.now() + WORDS_CACHE_TTL };
+  return { words, source: wordsCache.source };
+}
+
+function invalidateBannedWords() {
+  wordsCache = { words: null, source: null, expiresAt: 0 };
+}
+
+registerFilter('banned_words', {
+  async check(submission, { db, matchText }) {
+    const { words } = await loadBannedWords(db);
+    const tokens = matchText.split(' ').filter(Boolean);
+    const padded = ` ${matchText} `;
+    const hits = words.filter(({ normalized }) => (normalized.includes(' ')
+      ? padded.includes(` ${normalized} `)
+      : tokens.some(token => token.startsWith(normalized) && WORD_SUFFIXES.includes(token.slice(normalized.length)))));
+
+    return {
+      score: combineScores(hits.map(hit => hit.weight)),
+      reasons: hits.length ? [`Mengandung kata terlarang (${[...new Set(hits.map(hit => hit.category))].join(', ')})`] : [],
+      details: { matches: hits.map(({ word, category, weight }) => ({ word, category, weight })) }
+    };
+  }
+});
+
+registerFilter('links', {
+  async check(submission, { text, wordCount }) {
+    const links = text.match(URL_PATTERN) || [];
+    const shorteners = links.filter(link => SHORTENERS.some(domain => link.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').startsWith(`${domain}/`)));
+    const density = wordCount ? round(links.length / wordCount) : 0;
+
+    let score = 0.2 * Math.max(0, links.length - 1) + 0.3 * shorteners.length;
+    if (links.length >= 2 && density >= 0.1) score += 0.3;
+    const reasons = [];
+    if (links.length >= 2) reasons.push(`Berisi ${links.length} tautan`);
+    if (shorteners.length) reasons.push('Memakai pemendek tautan');
+
+    return { score: Math.min(round(score), 1), reasons, details: { links: links.length, shorteners: shorteners.length, density } };
+  }
+});
+
+registerFilter('phones', {
+  async check(submission, { text, wordCount }) {
+    const phones = text.match(PHONE_PATTERN) || [];
+    let score = 0.25 * phones.length;
+    // Nomor di teks pendek lebih mirip iklan daripada diskusi
+    if (phones.length && wordCount < 25) score += 0.15;
+
+    return {
+      score: Math.min(round(score), 1),
+      reasons: phones.length ? [`Berisi ${phones.length} nomor telepon/WhatsApp`] : [],
+      details: { phones: phones.length }
+    };
+  }
+});
+
+registerFilter('duplicate', {
+  async check(submission, { db, hashText, hash }) {
+    if (hashText.length < DUPLICATE_MIN_LENGTH) {
+      return { score: 0, reasons: [], details: { skipped: 'too_short' } };
+    }
+    const count = await new ContentVerdict(db).countRecentByHash(hash, DUPLICATE_WINDOW_HOURS * 3600);
+    return {
+      score: count > 0 ? Math.min(round(0.5 + 0.15 * (count - 1)), 1) : 0,
+      reasons: count > 0 ? [`Isi sama dengan ${count} kiriman dalam ${DUPLICATE_WINDOW_HOURS} jam terakhir`] : [],
+      details: { previous: count, window_hours: DUPLICATE_WINDOW_HOURS }
+    };
+  }
+});
+
+// Batas kiriman per fingerprint dan per IP (getClientInfo di utils/clientInfo); melewati salah satunya = kiriman
+// ditolak 429. Fingerprint saja tidak cukup karena header penyusunnya bisa diganti client di tiap request.
+registerFilter('velocity', {
+  async check(submission, { db, clientInfo }) {
+    const verdictModel = new ContentVerdict(db);
+    const countRecent = async seconds => {
+      const [byFingerprint, byIp] = await Promise.all([
+        verdictModel.countRecentByFingerprint(clientInfo.fingerprint, seconds),
+        clientInfo.ip ? verdictModel.countRecentByIp(clientInfo.ip, seconds) : 0
+      ]);
+      return Math.max(byFingerprint, byIp);
+    };
+
+    const lastMinute = await countRecent(60);
+    if (lastMinute >= MAX_PER_MINUTE) {
+      return {
+        score: 1,
+        reasons: [`Lebih dari ${MAX_PER_MINUTE} kiriman per menit`],
+        details: { last_minute: lastMinute },
+        throttle: { retryAfter: 60 }
+      };
+    }
+    const lastHour = await countRecent(3600);
+    if (lastHour >= MAX_PER_HOUR) {
+      return {
+        score: 1,
+        reasons: [`Lebih dari ${MAX_PER_HOUR} kiriman per jam`],
+        details: { last_minute: lastMinute, last_hour: lastHour },
+        throttle: { retryAfter: 3600 }
+      };
+    }
+    return { score: 0, reasons: [], details: { last_minute: lastMinute, last_hour: lastHour } };
+  }
+});
+
+// Hook klasifikasi AI opsional: POST { type, title, content, author } ke CONTENT_FILTER_AI_URL,
+// respons { score: 0-1, label, reasons: [] }. Gagal/timeout tidak menahan kiriman.
+registerFilter('ai_classifier', {
+  async check(submission) {
+    if (!AI_URL) {
+      return { score: 0, reasons: [], details: { skipped: 'not_configured' } };
+    }
+    try {
+      const response = await axios.post(AI_URL, {
+        type: submission.type,
+        title: submission.title || null,
+        content: submission.content,
+        author: submission.author
+      }, {
+        timeout: AI_TIMEOUT,
+        headers: AI_TOKEN ? { Authorization: `Bearer ${AI_TOKEN}` } : {}
+      });
+      const score = Number(response.data?.score);
+      if (!Number.isFinite(score)) {
+        return { score: 0, reasons: [], details: { error: 'invalid_response' } };
+      }
+      const reasons = Array.isArray(response.data.reasons) ? response.data.reasons.map(String).slice(0, 5) : [];
+      return {
+        score: Math.min(Math.max(round(score), 0), 1),
+        reasons: reasons.length ? reasons : (score >= HOLD_SCORE ? ['Ditandai classifier AI'] : []),
+        details: { label: response.data.label || null }
+      };
+    } catch (error) {
+      console.error('Content filter AI classifier error:', error.message);
+      return { score: 0, reasons: [], details: { error: error.code || 'request_failed' } };
+    }
+  }
+});
+
+/**
+ * Jalankan pipeline filter untuk satu kiriman.
+ * @param {object} db
+ * @param {object} submission - { type: 'post' | 'comment', author, title, content }
+ * @param {object} clientInfo - hasil getClientInfo (utils/clientInfo), minimal { fingerprint, ip }
+ * @returns {Promise<object>} verdict: score gabungan, status moderasi, alasan, hasil per filter,
+ *   dan throttle ({ retryAfter }) bila batas kiriman terlampaui
+ */
+async function runContentFilters(db, submission, clientInfo) {
+  const text = `${submission.title || ''}\n${submission.content || ''}`.trim();
+  const hashText = normalizeForHash(text);
+  const context = {
+    db,
+    clientInfo,
+    text,
+    matchText: normalizeForMatching(text),
+    hashText,
+    hash: contentHash(hashText),
+    wordCount: hashText ? hashText.split(' ').length : 0
+  };
+
+  const results = [];
+  let throttle = null;
+  for (const name of getFilterChain()) {
+    try {
+      const result = await filters.get(name).check(submission, context);
+      results.push({ filter: name, score: result.score || 0, reasons: result.reasons || [], details: result.details || null });
+      if (result.throttle) {
+        throttle = result.throttle;
+        break;
+      }
+    } catch (error) {
+      console.error(`Content filter ${name} failed:`, error.message);
+      results.push({ filter: name, score: 0, reasons: [], details: { error: 'filter_failed' } });
+    }
+  }
+
+  const score = throttle ? 1 : combineScores(results.map(result => result.score));
+  const status = scoreToStatus(score);
+  const reasons = results.flatMap(result => result.reasons);
+  return {
+    score,
+    status,
+    decision: throttle ? 'throttled' : status,
+    reason: status === 'approved' ? null : reasons.join('; ').slice(0, 500) || null,
+    results,
+    throttle,
+    content_hash: context.hash
+  };
+}
+
+// Simpan verdict; contentId null untuk kiriman yang tidak jadi disimpan
+async function saveVerdict(db, verdict, { type, contentId = null, author, clientInfo }) {
+  return new ContentVerdict(db).create({
+    content_type: type,
+    content_id: contentId,
+    author,
+    fingerprint: clientInfo.fingerprint,
+    ip: clientInfo.ip,
+    content_hash: verdict.content_hash,
+    score: verdict.score,
+    decision: verdict.decision,
+    results: verdict.results
+  });
+}
+
+// Validasi body kata terlarang (create/update)
+function validateBannedWord(body, { partial = false } = {}) {
+  const data = {};
+  if (body.word !== undefined || !partial) {
+    const word = (body.word || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!word || word.length > 100 || !normalizeForMatching(word)) {
+      return { error: 'word is required (max 100 characters, must contain letters)' };
+    }
+    data.word = word;
+  }
+  if (body.category !== undefined || !partial) {
+    data.category = body.category || 'lainnya';
+    if (!WORD_CATEGORIES.includes(data.category)) {
+      return { error: `category must be one of: ${WORD_CATEGORIES.join(', ')}` };
+    }
+  }
+  if (body.weight !== undefined || !partial) {
+    const weight = body.weight === undefined ? 0.5 : Number(body.weight);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 1) {
+      return { error: 'weight must be a number between 0 (exclusive) and 1' };
+    }
+    data.weight = weight;
+  }
+  if (body.is_active !== undefined) data.is_active = Boolean(body.is_active);
+  return { data };
+}
+
+module.exports = {
+  WORD_CATEGORIES,
+  DEFAULT_BANNED_WORDS,
+  HOLD_SCORE,
+  REJECT_SCORE,
+  registerFilter,
+  getFilterChain,
+  normalizeForMatching,
+  runContentFilters,
+  saveVerdict,
+  validateBannedWord,
+  loadBannedWords,
+  invalidateBannedWords
+};
@@ -291,32 +291,634 @@ async function createApiKeyUsageTable(db) {
   }
 }
 
-// Ambil usage saat ini untuk daftar key (kembalikan map)
-async function getApiKeyUsages(db, apiKeys) {
-  if (!apiKeys || apiKeys.length === 0) return {};
-  const today = new Date().toISOString().slice(0,10);
-  const placeholders = apiKeys.map(() => '?').join(',');
-  const [rows] = await db.execute(`SELECT api_key, usage_count FROM api_key_usage WHERE usage_date = ? AND api_key IN (${placeholders})`, [today, ...apiKeys]);
-  const map = {};
-  for (const r of rows) map[r.api_key] = r.usage_count;
-  return map;
-}
-
-// Increment usage untuk key tertentu (atomic upsert)
-async function incrementApiKeyUsage(db, apiKey) {
-  const today = new Date().toISOString().slice(0,10);
-  await db.execute(`INSERT INTO api_key_usage (api_key, usage_date, usage_count, last_used_at) VALUES (?, ?, 1, NOW())
-    ON DUPLICATE KEY UPDATE usage_count = usage_count + 1, last_used_at = NOW()` , [apiKey, today]);
-}
-
-// Pilih key yang masih tersedia (< limit). Strategi: ambil usage, sort ascending, pilih pertama yg < limit.
-async function pickAvailableApiKey(db, apiKeys, dailyLimit = 1000) {
-  const usageMap = await getApiKeyUsages(db, apiKeys);
-  // isi default 0
-  const candidates = apiKeys.map(k => ({ key: k, count: usageMap[k] || 0 }));
-  candidates.sort((a,b) => a.count - b.count);
-  const available = candidates.find(c => c.count < dailyLimit);
-  return available ? available.key : null;
+// Tabel riwayat harga pangan (snapshot harian dari panel harga Badan Pangan)
+async function createPriceHistoryTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_price_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      commodity_id VARCHAR(20) NOT NULL,
+      commodity_name VARCHAR(150) NOT NULL,
+      province_id VARCHAR(20) NOT NULL DEFAULT '',
+      city_id VARCHAR(20) NOT NULL DEFAULT '',
+      region_name VARCHAR(150),
+      region_level VARCHAR(10) NOT NULL DEFAULT 'nasional',
+      level_harga_id VARCHAR(10) NOT NULL,
+      price_date DATE NOT NULL,
+      price DECIMAL(14,2) NOT NULL,
+      unit VARCHAR(30),
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME,
+      UNIQUE KEY uniq_price_snapshot (commodity_id, province_id, city_id, level_harga_id, price_date),
+      INDEX idx_price_commodity_date (commodity_id, price_date),
+      INDEX idx_price_region (province_id, city_id),
+      INDEX idx_price_date (price_date)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('pangan_price_history table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_price_history table:', error);
+  }
+}
+
+// Tabel alert anomali/lonjakan harga pangan
+async function createPriceAlertsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_price_alerts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      commodity_id VARCHAR(20) NOT NULL,
+      commodity_name VARCHAR(150) NOT NULL,
+      province_id VARCHAR(20) NOT NULL DEFAULT '',
+      city_id VARCHAR(20) NOT NULL DEFAULT '',
+      region_name VARCHAR(150),
+      level_harga_id VARCHAR(10) NOT NULL,
+      price_date DATE NOT NULL,
+      price DECIMAL(14,2) NOT NULL,
+      previous_price DECIMAL(14,2),
+      baseline DECIMAL(14,2),
+      score DECIMAL(8,2),
+      change_pct DECIMAL(8,2),
+      deviation_pct DECIMAL(8,2),
+      direction ENUM('naik', 'turun') NOT NULL,
+      method VARCHAR(10) NOT NULL,
+      severity ENUM('low', 'medium', 'high') NOT NULL,
+      status ENUM('open', 'acknowledged') DEFAULT 'open',
+      acknowledged_by VARCHAR(50),
+      acknowledged_at DATETIME,
+      acknowledgement_note TEXT,
+      created_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_price_alert (commodity_id, province_id, city_id, level_harga_id, price_date),
+      INDEX idx_alert_severity (severity),
+      INDEX idx_alert_status (status),
+      INDEX idx_alert_date (price_date)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('pangan_price_alerts table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_price_alerts table:', error);
+  }
+}
+
+// Pemetaan ID provinsi/kota Badan Pangan ke kode wilayah (Kemendagri)
+async function createPanganRegionMapTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_region_map (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      level ENUM('provinsi', 'kabkota') NOT NULL,
+      pangan_province_id VARCHAR(20) NOT NULL,
+      pangan_city_id VARCHAR(20) NOT NULL DEFAULT '',
+      pangan_name VARCHAR(150),
+      wilayah_kode VARCHAR(13) NOT NULL,
+      match_method ENUM('auto', 'manual') DEFAULT 'auto',
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_pangan_region (pangan_province_id, pangan_city_id),
+      INDEX idx_region_map_kode (wilayah_kode)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('pangan_region_map table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_region_map table:', error);
+  }
+}
+
+// Geometri batas wilayah (GeoJSON geometry), diimpor dari file lokal
+async function createWilayahBoundariesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS wilayah_boundaries (
+      kode VARCHAR(13) PRIMARY KEY,
+      level ENUM('provinsi', 'kabkota', 'kecamatan', 'kelurahan') NOT NULL,
+      geometry LONGTEXT NOT NULL,
+      source VARCHAR(255),
+      updated_at DATETIME NOT NULL,
+      INDEX idx_boundary_level (level)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('wilayah_boundaries table created or already exists');
+  } catch (error) {
+    console.error('Error creating wilayah_boundaries table:', error);
+  }
+}
+
+// Titik pusat wilayah (lat/lon) untuk pencarian desa terdekat; dari impor batas/CSV atau respons BMKG
+async function createWilayahCentroidsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS wilayah_centroids (
+      kode VARCHAR(13) PRIMARY KEY,
+      level ENUM('provinsi', 'kabkota', 'kecamatan', 'kelurahan') NOT NULL,
+      lat DECIMAL(10,7) NOT NULL,
+      lon DECIMAL(10,7) NOT NULL,
+      source VARCHAR(255),
+      updated_at DATETIME NOT NULL,
+      INDEX idx_centroid_level_lat (level, lat)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('wilayah_centroids table created or already exists');
+  } catch (error) {
+    console.error('Error creating wilayah_centroids table:', error);
+  }
+}
+
+// Cache persisten respons Badan Pangan (PANGAN_CACHE_STORE=db)
+async function createUpstreamCacheTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_upstream_cache (
+      key_hash CHAR(40) PRIMARY KEY,
+      cache_key TEXT NOT NULL,
+      payload LONGTEXT NOT NULL,
+      fetched_at BIGINT NOT NULL,
+      updated_at DATETIME NOT NULL
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('pangan_upstream_cache table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_upstream_cache table:', error);
+  }
+}
+
+// Watchlist harga milik client anonim (token) atau admin
+async function createWatchlistsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_watchlists (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      owner_type ENUM('client', 'admin') NOT NULL,
+      owner_key VARCHAR(100) NOT NULL,
+      commodity_id VARCHAR(20),
+      commodity_name VARCHAR(150),
+      region_kode VARCHAR(13),
+      province_id VARCHAR(20) NOT NULL DEFAULT '',
+      city_id VARCHAR(20) NOT NULL DEFAULT '',
+      level_harga_id VARCHAR(10) NOT NULL,
+      direction ENUM('below', 'above') NOT NULL,
+      threshold DECIMAL(14,2) NOT NULL,
+      channel VARCHAR(20) NOT NULL DEFAULT 'feed',
+      target VARCHAR(255),
+      is_active BOOLEAN DEFAULT TRUE,
+      last_state ENUM('clear', 'triggered') DEFAULT 'clear',
+      last_evaluated_date DATE,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      INDEX idx_watchlist_owner (owner_type, owner_key),
+      INDEX idx_watchlist_active (is_active)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('pangan_watchlists table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_watchlists table:', error);
+  }
+}
+
+// Notifikasi yang dipicu watchlist beserta status pengirimannya
+async function createWatchlistNotificationsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_watchlist_notifications (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      watchlist_id INT NOT NULL,
+      owner_type ENUM('client', 'admin') NOT NULL,
+      owner_key VARCHAR(100) NOT NULL,
+      channel VARCHAR(20) NOT NULL,
+      commodity_id VARCHAR(20) NOT NULL,
+      commodity_name VARCHAR(150) NOT NULL,
+      region_name VARCHAR(150),
+      price_date DATE NOT NULL,
+      price DECIMAL(14,2) NOT NULL,
+      threshold DECIMAL(14,2) NOT NULL,
+      direction ENUM('below', 'above') NOT NULL,
+      message TEXT NOT NULL,
+      status ENUM('pending', 'sent', 'failed') DEFAULT 'pending',
+      error TEXT,
+      sent_at DATETIME,
+      read_at DATETIME,
+      created_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_watchlist_notification (watchlist_id, price_date),
+      INDEX idx_notification_owner (owner_type, owner_key),
+      FOREIGN KEY (watchlist_id) REFERENCES pangan_watchlists(id) ON DELETE CASCADE
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('pangan_watchlist_notifications table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_watchlist_notifications table:', error);
+  }
+}
+
+// Konfirmasi target kanal (email) per pemilik; notifikasi baru dikirim setelah kode dikonfirmasi
+async function createWatchlistConfirmationsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_watchlist_confirmations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      owner_type ENUM('client', 'admin') NOT NULL,
+      owner_key VARCHAR(100) NOT NULL,
+      channel VARCHAR(20) NOT NULL,
+      target VARCHAR(255) NOT NULL,
+      code_hash CHAR(64),
+      expires_at DATETIME,
+      confirmed_at DATETIME,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_watchlist_confirmation (owner_type, owner_key, channel, target)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('pangan_watchlist_confirmations table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_watchlist_confirmations table:', error);
+  }
+}
+
+// Katalog komoditas: nama baku, kategori, satuan dan alias nama dari upstream
+async function createCommoditiesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_commodities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      slug VARCHAR(100) NOT NULL UNIQUE,
+      upstream_id VARCHAR(20),
+      name_id VARCHAR(150) NOT NULL,
+      name_en VARCHAR(150),
+      category VARCHAR(30) NOT NULL DEFAULT 'lainnya',
+      unit VARCHAR(20) NOT NULL DEFAULT 'kg',
+      aliases TEXT,
+      sort_order INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      INDEX idx_commodity_category (category),
+      INDEX idx_commodity_upstream (upstream_id)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('pangan_commodities table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_commodities table:', error);
+  }
+}
+
+// Lokasi yang dulu di-hardcode di cron cuaca
+const DEFAULT_WEATHER_LOCATION = ['31.71.01.1001', 'Jakarta Pusat', 'Lokasi default dari cron cuaca lama'];
+
+// Daftar lokasi (kode adm4 desa/kelurahan) yang cuacanya dikumpulkan cron
+async function createWeatherLocationsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_locations (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      adm4_code VARCHAR(20) NOT NULL UNIQUE,
+      name VARCHAR(255),
+      notes VARCHAR(255),
+      is_active BOOLEAN DEFAULT TRUE,
+      last_fetched_at DATETIME,
+      last_status VARCHAR(20),
+      last_error VARCHAR(255),
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      INDEX idx_weather_location_active (is_active)
+    )
+  `;
+  try {
+    const [tableRows] = await db.execute(`
+      SELECT COUNT(*) as count
+      FROM information_schema.tables
+      WHERE table_schema = DATABASE()
+      AND table_name = 'weather_locations'
+    `);
+    await db.execute(query);
+    // Tabel baru: isi lokasi default cron lama (Jakarta Pusat) agar koleksi tidak kosong
+    if (tableRows[0].count === 0) {
+      await db.execute(`
+        INSERT IGNORE INTO weather_locations (adm4_code, name, notes, is_active, created_at, updated_at)
+        VALUES (?, ?, ?, TRUE, NOW(), NOW())
+      `, DEFAULT_WEATHER_LOCATION);
+    }
+    console.log('weather_locations table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_locations table:', error);
+  }
+}
+
+// Prakiraan cuaca per jam hasil parsing respons BMKG (satu baris per lokasi x jam)
+async function createWeatherForecastsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_forecasts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      adm4_code VARCHAR(20) NOT NULL,
+      forecast_utc DATETIME NOT NULL,
+      forecast_local DATETIME NOT NULL,
+      temperature DECIMAL(5,2),
+      humidity INT,
+      rainfall DECIMAL(6,2),
+      wind_speed DECIMAL(6,2),
+      wind_direction VARCHAR(5),
+      wind_direction_deg INT,
+      cloud_cover INT,
+      weather_code INT,
+      weather_desc VARCHAR(100),
+      analysis_date DATETIME,
+      fetched_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_weather_forecast (adm4_code, forecast_utc),
+      INDEX idx_weather_forecast_time (forecast_utc)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('weather_forecasts table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_forecasts table:', error);
+  }
+}
+
+// Ringkasan cuaca harian per lokasi; tetap disimpan setelah baris per jam dipangkas
+async function createWeatherDailyTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_daily (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      adm4_code VARCHAR(20) NOT NULL,
+      weather_date DATE NOT NULL,
+      temp_min DECIMAL(5,2),
+      temp_max DECIMAL(5,2),
+      temp_mean DECIMAL(5,2),
+      humidity_mean DECIMAL(5,2),
+      rain_total DECIMAL(7,2),
+      rain_hours DECIMAL(5,2),
+      dominant_weather_code INT,
+      dominant_weather_desc VARCHAR(100),
+      sample_count INT NOT NULL DEFAULT 0,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_weather_daily (adm4_code, weather_date),
+      INDEX idx_weather_daily_date (weather_date)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('weather_daily table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_daily table:', error);
+  }
+}
+
+// Aturan saran budidaya berbasis prakiraan cuaca (dapat diubah admin)
+async function createAdvisoryRulesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_advisory_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(60) NOT NULL UNIQUE,
+      category VARCHAR(30) NOT NULL,
+      scope VARCHAR(10) NOT NULL DEFAULT 'day',
+      severity VARCHAR(10) NOT NULL DEFAULT 'info',
+      title VARCHAR(150) NOT NULL,
+      message TEXT NOT NULL,
+      conditions TEXT NOT NULL,
+      sort_order INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      INDEX idx_advisory_rule_category (category)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('weather_advisory_rules table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_advisory_rules table:', error);
+  }
+}
+
+// Pemetaan wilayah (kode level apa pun) -> komoditas sentra produksi untuk peringatan cuaca
+async function createRegionCommoditiesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_region_commodities (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      region_code VARCHAR(20) NOT NULL,
+      commodity_slug VARCHAR(100) NOT NULL,
+      notes VARCHAR(255) NULL,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_region_commodity (region_code, commodity_slug),
+      INDEX idx_region_commodity_slug (commodity_slug)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('weather_region_commodities table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_region_commodities table:', error);
+  }
+}
+
+// Profil tanaman untuk kalender tanam: lama musim, kebutuhan hujan dan suhu
+async function createCropProfilesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS crop_profiles (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(40) NOT NULL UNIQUE,
+      name VARCHAR(100) NOT NULL,
+      season_days INT NOT NULL,
+      establishment_days INT NOT NULL DEFAULT 30,
+      rain_week_min_mm DECIMAL(6,1) NOT NULL,
+      rain_week_max_mm DECIMAL(6,1) NOT NULL,
+      max_daily_rain_mm DECIMAL(6,1) NULL,
+      temp_min_c DECIMAL(4,1) NOT NULL,
+      temp_max_c DECIMAL(4,1) NOT NULL,
+      notes TEXT NULL,
+      sort_order INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('crop_profiles table created or already exists');
+  } catch (error) {
+    console.error('Error creating crop_profiles table:', error);
+  }
+}
+
+// Rilis dataset wilayah yang pernah diimpor, beserta ringkasan diff terhadap rilis sebelumnya
+async function createWilayahVersionsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS wilayah_versions (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      version VARCHAR(50) NOT NULL UNIQUE,
+      source VARCHAR(255) NULL,
+      notes TEXT NULL,
+      total_codes INT NOT NULL DEFAULT 0,
+      added INT NOT NULL DEFAULT 0,
+      renamed INT NOT NULL DEFAULT 0,
+      removed INT NOT NULL DEFAULT 0,
+      imported_by VARCHAR(100) NULL,
+      created_at DATETIME NOT NULL
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('wilayah_versions table created or already exists');
+  } catch (error) {
+    console.error('Error creating wilayah_versions table:', error);
+  }
+}
+
+// Riwayat nama per kode: berlaku sejak versi valid_from sampai sebelum valid_to (NULL = masih berlaku)
+async function createWilayahHistoryTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS wilayah_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      kode VARCHAR(13) NOT NULL,
+      nama VARCHAR(100) NOT NULL,
+      valid_from INT NOT NULL,
+      valid_to INT NULL,
+      INDEX idx_wilayah_history_kode (kode),
+      INDEX idx_wilayah_history_from (valid_from),
+      INDEX idx_wilayah_history_to (valid_to)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('wilayah_history table created or already exists');
+  } catch (error) {
+    console.error('Error creating wilayah_history table:', error);
+  }
+}
+
+// API key provider geolokasi yang dikelola admin (melengkapi key dari environment)
+async function createGeolocationKeysTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS geolocation_keys (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      provider VARCHAR(30) NOT NULL,
+      label VARCHAR(100) NULL,
+      api_key VARCHAR(255) NOT NULL,
+      daily_limit INT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      UNIQUE KEY uniq_geolocation_key (provider, api_key)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('geolocation_keys table created or already exists');
+  } catch (error) {
+    console.error('Error creating geolocation_keys table:', error);
+  }
+}
+
+// Kolom status moderasi untuk posts dan comments; konten lama dianggap sudah disetujui
+async function addModerationColumns(db) {
+  for (const table of ['posts', 'comments']) {
+    try {
+      const [columnRows] = await db.execute(`
+        SELECT COUNT(*) as count
+        FROM information_schema.columns
+        WHERE table_schema = DATABASE()
+        AND table_name = ?
+        AND column_name = 'moderation_status'
+      `, [table]);
+
+      if (columnRows[0].count === 0) {
+        await db.execute(`
+          ALTER TABLE ${table}
+            ADD COLUMN moderation_status VARCHAR(20) NOT NULL DEFAULT 'approved',
+            ADD COLUMN moderation_reason VARCHAR(500) NULL,
+            ADD COLUMN moderated_by VARCHAR(100) NULL,
+            ADD COLUMN moderated_at DATETIME NULL,
+            ADD INDEX idx_${table}_moderation (moderation_status, created_at)
+        `);
+      }
+      console.log(`${table} moderation columns created or already exist`);
+    } catch (error) {
+      console.error(`Error adding moderation columns to ${table}:`, error);
+    }
+  }
+}
+
+// Aturan auto-moderasi post dan komentar publik (dapat diubah admin)
+async function createModerationRulesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS moderation_rules (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      code VARCHAR(60) NOT NULL UNIQUE,
+      content_type VARCHAR(10) NOT NULL DEFAULT 'all',
+      action VARCHAR(10) NOT NULL DEFAULT 'pending',
+      reason VARCHAR(255) NOT NULL,
+      conditions TEXT NOT NULL,
+      sort_order INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('moderation_rules table created or already exists');
+  } catch (error) {
+    console.error('Error creating moderation_rules table:', error);
+  }
+}
+
+// Hasil pipeline filter konten per kiriman (skor per filter), juga dasar deteksi duplikat dan batas kiriman
+async function createContentVerdictsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS content_filter_verdicts (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      content_type VARCHAR(10) NOT NULL,
+      content_id INT NULL,
+      author VARCHAR(100) NULL,
+      fingerprint VARCHAR(64) NOT NULL,
+      ip VARCHAR(45) NULL,
+      content_hash CHAR(64) NOT NULL,
+      score DECIMAL(4,3) NOT NULL DEFAULT 0,
+      decision VARCHAR(20) NOT NULL,
+      results TEXT NOT NULL,
+      created_at DATETIME NOT NULL,
+      INDEX idx_verdict_content (content_type, content_id),
+      INDEX idx_verdict_fingerprint (fingerprint, created_at),
+      INDEX idx_verdict_ip (ip, created_at),
+      INDEX idx_verdict_hash (content_hash, created_at)
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('content_filter_verdicts table created or already exists');
+  } catch (error) {
+    console.error('Error creating content_filter_verdicts table:', error);
+  }
+}
+
+// Daftar kata terlarang filter konten (dapat diubah admin)
+async function createBannedWordsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS content_filter_words (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      word VARCHAR(100) NOT NULL UNIQUE,
+      category VARCHAR(20) NOT NULL,
+      weight DECIMAL(3,2) NOT NULL DEFAULT 0.5,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL
+    )
+  `;
+  try {
+    await db.execute(query);
+    console.log('content_filter_words table created or already exists');
+  } catch (error) {
+    console.error('Error creating content_filter_words table:', error);
+  }
 }
 
 module.exports = {
@@ -330,7 +932,27 @@ module.exports = {
   createStatisticsTable,
   createWilayahTable,
   createApiKeyUsageTable,
-  getApiKeyUsages,
-  incrementApiKeyUsage,
-  pickAvailableApiKey
+  createPriceHistoryTable,
+  createPriceAlertsTable,
+  createPanganRegionMapTable,
+  createWilayahBoundariesTable,
+  createWilayahCentroidsTable,
+  createUpstreamCacheTable,
+  createWatchlistsTable,
+  createWatchlistNotificationsTable,
+  createWatchlistConfirmationsTable,
+  createCommoditiesTable,
+  createWeatherLocationsTable,
+  createWeatherForecastsTable,
+  createWeatherDailyTable,
+  createAdvisoryRulesTable,
+  createRegionCommoditiesTable,
+  createCropProfilesTable,
+  createWilayahVersionsTable,
+  createWilayahHistoryTable,
+  createGeolocationKeysTable,
+  addModerationColumns,
+  createModerationRulesTable,
+  createContentVerdictsTable,
+  createBannedWordsTable
 };
\ No newline at end of file
@@ -282,44 +282,643 @@ async function createApiKeyUsageTable(db) {
   }
 }
 
-// Ambil usage saat ini untuk daftar key
-async function getApiKeyUsages(db, apiKeys) {
-  if (!apiKeys || apiKeys.length === 0) return {};
-  const today = new Date().toISOString().slice(0, 10);
-  
-  // Build PostgreSQL placeholders ($1, $2, etc.)
-  const placeholders = apiKeys.map((_, i) => `$${i + 2}`).join(',');
-  const [rows] = await db.execute(
-    `SELECT api_key, usage_count FROM api_key_usage WHERE usage_date = $1 AND api_key IN (${placeholders})`,
-    [today, ...apiKeys]
-  );
-  
-  const map = {};
-  for (const r of rows) map[r.api_key] = r.usage_count;
-  return map;
-}
-
-// Increment usage untuk key tertentu (atomic upsert) - PostgreSQL version
-async function incrementApiKeyUsage(db, apiKey) {
-  const today = new Date().toISOString().slice(0, 10);
-  
-  // PostgreSQL UPSERT syntax using ON CONFLICT
-  await db.execute(
-    `INSERT INTO api_key_usage (api_key, usage_date, usage_count, last_used_at) 
-     VALUES ($1, $2, 1, NOW())
-     ON CONFLICT (api_key, usage_date) 
-     DO UPDATE SET usage_count = api_key_usage.usage_count + 1, last_used_at = NOW()`,
-    [apiKey, today]
-  );
-}
-
-// Pilih key yang masih tersedia
-async function pickAvailableApiKey(db, apiKeys, dailyLimit = 1000) {
-  const usageMap = await getApiKeyUsages(db, apiKeys);
-  const candidates = apiKeys.map(k => ({ key: k, count: usageMap[k] || 0 }));
-  candidates.sort((a, b) => a.count - b.count);
-  const available = candidates.find(c => c.count < dailyLimit);
-  return available ? available.key : null;
+// Tabel riwayat harga pangan (snapshot harian dari panel harga Badan Pangan)
+async function createPriceHistoryTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_price_history (
+      id SERIAL PRIMARY KEY,
+      commodity_id VARCHAR(20) NOT NULL,
+      commodity_name VARCHAR(150) NOT NULL,
+      province_id VARCHAR(20) NOT NULL DEFAULT '',
+      city_id VARCHAR(20) NOT NULL DEFAULT '',
+      region_name VARCHAR(150),
+      region_level VARCHAR(10) NOT NULL DEFAULT 'nasional',
+      level_harga_id VARCHAR(10) NOT NULL,
+      price_date DATE NOT NULL,
+      price DECIMAL(14,2) NOT NULL,
+      unit VARCHAR(30),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP,
+      UNIQUE (commodity_id, province_id, city_id, level_harga_id, price_date)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_price_commodity_date ON pangan_price_history (commodity_id, price_date)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_price_region ON pangan_price_history (province_id, city_id)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_price_date ON pangan_price_history (price_date)').catch(() => {});
+    console.log('pangan_price_history table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_price_history table:', error);
+  }
+}
+
+// Tabel alert anomali/lonjakan harga pangan
+async function createPriceAlertsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_price_alerts (
+      id SERIAL PRIMARY KEY,
+      commodity_id VARCHAR(20) NOT NULL,
+      commodity_name VARCHAR(150) NOT NULL,
+      province_id VARCHAR(20) NOT NULL DEFAULT '',
+      city_id VARCHAR(20) NOT NULL DEFAULT '',
+      region_name VARCHAR(150),
+      level_harga_id VARCHAR(10) NOT NULL,
+      price_date DATE NOT NULL,
+      price DECIMAL(14,2) NOT NULL,
+      previous_price DECIMAL(14,2),
+      baseline DECIMAL(14,2),
+      score DECIMAL(8,2),
+      change_pct DECIMAL(8,2),
+      deviation_pct DECIMAL(8,2),
+      direction VARCHAR(10) NOT NULL CHECK (direction IN ('naik', 'turun')),
+      method VARCHAR(10) NOT NULL,
+      severity VARCHAR(10) NOT NULL CHECK (severity IN ('low', 'medium', 'high')),
+      status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'acknowledged')),
+      acknowledged_by VARCHAR(50),
+      acknowledged_at TIMESTAMP,
+      acknowledgement_note TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (commodity_id, province_id, city_id, level_harga_id, price_date)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_alert_severity ON pangan_price_alerts (severity)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_alert_status ON pangan_price_alerts (status)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_alert_date ON pangan_price_alerts (price_date)').catch(() => {});
+    console.log('pangan_price_alerts table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_price_alerts table:', error);
+  }
+}
+
+// Pemetaan ID provinsi/kota Badan Pangan ke kode wilayah
+async function createPanganRegionMapTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_region_map (
+      id SERIAL PRIMARY KEY,
+      level VARCHAR(10) NOT NULL CHECK (level IN ('provinsi', 'kabkota')),
+      pangan_province_id VARCHAR(20) NOT NULL,
+      pangan_city_id VARCHAR(20) NOT NULL DEFAULT '',
+      pangan_name VARCHAR(150),
+      wilayah_kode VARCHAR(13) NOT NULL,
+      match_method VARCHAR(10) DEFAULT 'auto' CHECK (match_method IN ('auto', 'manual')),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (pangan_province_id, pangan_city_id)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_region_map_kode ON pangan_region_map (wilayah_kode)').catch(() => {});
+    console.log('pangan_region_map table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_region_map table:', error);
+  }
+}
+
+// Geometri batas wilayah (GeoJSON geometry), diimpor dari file lokal
+async function createWilayahBoundariesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS wilayah_boundaries (
+      kode VARCHAR(13) PRIMARY KEY,
+      level VARCHAR(10) NOT NULL CHECK (level IN ('provinsi', 'kabkota', 'kecamatan', 'kelurahan')),
+      geometry TEXT NOT NULL,
+      source VARCHAR(255),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_boundary_level ON wilayah_boundaries (level)').catch(() => {});
+    console.log('wilayah_boundaries table created or already exists');
+  } catch (error) {
+    console.error('Error creating wilayah_boundaries table:', error);
+  }
+}
+
+// Titik pusat wilayah (lat/lon) untuk pencarian desa terdekat; dari impor batas/CSV atau respons BMKG
+async function createWilayahCentroidsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS wilayah_centroids (
+      kode VARCHAR(13) PRIMARY KEY,
+      level VARCHAR(10) NOT NULL CHECK (level IN ('provinsi', 'kabkota', 'kecamatan', 'kelurahan')),
+      lat NUMERIC(10,7) NOT NULL,
+      lon NUMERIC(10,7) NOT NULL,
+      source VARCHAR(255),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_centroid_level_lat ON wilayah_centroids (level, lat)').catch(() => {});
+    console.log('wilayah_centroids table created or already exists');
+  } catch (error) {
+    console.error('Error creating wilayah_centroids table:', error);
+  }
+}
+
+// Cache persisten respons Badan Pangan (PANGAN_CACHE_STORE=db)
+async function createUpstreamCacheTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_upstream_cache (
+      key_hash CHAR(40) PRIMARY KEY,
+      cache_key TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      fetched_at BIGINT NOT NULL,
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    console.log('pangan_upstream_cache table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_upstream_cache table:', error);
+  }
+}
+
+// Watchlist harga milik client anonim (token) atau admin
+async function createWatchlistsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_watchlists (
+      id SERIAL PRIMARY KEY,
+      owner_type VARCHAR(10) NOT NULL CHECK (owner_type IN ('client', 'admin')),
+      owner_key VARCHAR(100) NOT NULL,
+      commodity_id VARCHAR(20),
+      commodity_name VARCHAR(150),
+      region_kode VARCHAR(13),
+      province_id VARCHAR(20) NOT NULL DEFAULT '',
+      city_id VARCHAR(20) NOT NULL DEFAULT '',
+      level_harga_id VARCHAR(10) NOT NULL,
+      direction VARCHAR(10) NOT NULL CHECK (direction IN ('below', 'above')),
+      threshold DECIMAL(14,2) NOT NULL,
+      channel VARCHAR(20) NOT NULL DEFAULT 'feed',
+      target VARCHAR(255),
+      is_active BOOLEAN DEFAULT TRUE,
+      last_state VARCHAR(10) DEFAULT 'clear' CHECK (last_state IN ('clear', 'triggered')),
+      last_evaluated_date DATE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_watchlist_owner ON pangan_watchlists (owner_type, owner_key)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_watchlist_active ON pangan_watchlists (is_active)').catch(() => {});
+    console.log('pangan_watchlists table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_watchlists table:', error);
+  }
+}
+
+// Notifikasi yang dipicu watchlist beserta status pengirimannya
+async function createWatchlistNotificationsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_watchlist_notifications (
+      id SERIAL PRIMARY KEY,
+      watchlist_id INT NOT NULL REFERENCES pangan_watchlists(id) ON DELETE CASCADE,
+      owner_type VARCHAR(10) NOT NULL CHECK (owner_type IN ('client', 'admin')),
+      owner_key VARCHAR(100) NOT NULL,
+      channel VARCHAR(20) NOT NULL,
+      commodity_id VARCHAR(20) NOT NULL,
+      commodity_name VARCHAR(150) NOT NULL,
+      region_name VARCHAR(150),
+      price_date DATE NOT NULL,
+      price DECIMAL(14,2) NOT NULL,
+      threshold DECIMAL(14,2) NOT NULL,
+      direction VARCHAR(10) NOT NULL CHECK (direction IN ('below', 'above')),
+      message TEXT NOT NULL,
+      status VARCHAR(10) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+      error TEXT,
+      sent_at TIMESTAMP,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (watchlist_id, price_date)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_notification_owner ON pangan_watchlist_notifications (owner_type, owner_key)').catch(() => {});
+    console.log('pangan_watchlist_notifications table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_watchlist_notifications table:', error);
+  }
+}
+
+// Konfirmasi target kanal (email) per pemilik; notifikasi baru dikirim setelah kode dikonfirmasi
+async function createWatchlistConfirmationsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_watchlist_confirmations (
+      id SERIAL PRIMARY KEY,
+      owner_type VARCHAR(10) NOT NULL CHECK (owner_type IN ('client', 'admin')),
+      owner_key VARCHAR(100) NOT NULL,
+      channel VARCHAR(20) NOT NULL,
+      target VARCHAR(255) NOT NULL,
+      code_hash CHAR(64),
+      expires_at TIMESTAMP,
+      confirmed_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (owner_type, owner_key, channel, target)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    console.log('pangan_watchlist_confirmations table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_watchlist_confirmations table:', error);
+  }
+}
+
+// Katalog komoditas: nama baku, kategori, satuan dan alias nama dari upstream
+async function createCommoditiesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS pangan_commodities (
+      id SERIAL PRIMARY KEY,
+      slug VARCHAR(100) NOT NULL UNIQUE,
+      upstream_id VARCHAR(20),
+      name_id VARCHAR(150) NOT NULL,
+      name_en VARCHAR(150),
+      category VARCHAR(30) NOT NULL DEFAULT 'lainnya',
+      unit VARCHAR(20) NOT NULL DEFAULT 'kg',
+      aliases TEXT,
+      sort_order INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_commodity_category ON pangan_commodities (category)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_commodity_upstream ON pangan_commodities (upstream_id)').catch(() => {});
+    console.log('pangan_commodities table created or already exists');
+  } catch (error) {
+    console.error('Error creating pangan_commodities table:', error);
+  }
+}
+
+// Lokasi yang dulu di-hardcode di cron cuaca
+const DEFAULT_WEATHER_LOCATION = ['31.71.01.1001', 'Jakarta Pusat', 'Lokasi default dari cron cuaca lama'];
+
+// Daftar lokasi (kode adm4 desa/kelurahan) yang cuacanya dikumpulkan cron
+async function createWeatherLocationsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_locations (
+      id SERIAL PRIMARY KEY,
+      adm4_code VARCHAR(20) NOT NULL UNIQUE,
+      name VARCHAR(255),
+      notes VARCHAR(255),
+      is_active BOOLEAN DEFAULT TRUE,
+      last_fetched_at TIMESTAMP,
+      last_status VARCHAR(20),
+      last_error VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    const [tableRows] = await db.execute(`
+      SELECT COUNT(*) as count
+      FROM information_schema.tables
+      WHERE table_schema = current_schema()
+      AND table_name = 'weather_locations'
+    `);
+    await db.execute(query);
+    // Tabel baru: isi lokasi default cron lama (Jakarta Pusat) agar koleksi tidak kosong
+    if (Number(tableRows[0].count) === 0) {
+      await db.execute(`
+        INSERT INTO weather_locations (adm4_code, name, notes, is_active, created_at, updated_at)
+        VALUES (?, ?, ?, TRUE, NOW(), NOW())
+        ON CONFLICT (adm4_code) DO NOTHING
+      `, DEFAULT_WEATHER_LOCATION);
+    }
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_weather_location_active ON weather_locations (is_active)').catch(() => {});
+    console.log('weather_locations table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_locations table:', error);
+  }
+}
+
+// Prakiraan cuaca per jam hasil parsing respons BMKG (satu baris per lokasi x jam)
+async function createWeatherForecastsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_forecasts (
+      id SERIAL PRIMARY KEY,
+      adm4_code VARCHAR(20) NOT NULL,
+      forecast_utc TIMESTAMP NOT NULL,
+      forecast_local TIMESTAMP NOT NULL,
+      temperature DECIMAL(5,2),
+      humidity INT,
+      rainfall DECIMAL(6,2),
+      wind_speed DECIMAL(6,2),
+      wind_direction VARCHAR(5),
+      wind_direction_deg INT,
+      cloud_cover INT,
+      weather_code INT,
+      weather_desc VARCHAR(100),
+      analysis_date TIMESTAMP,
+      fetched_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CONSTRAINT uniq_weather_forecast UNIQUE (adm4_code, forecast_utc)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_weather_forecast_time ON weather_forecasts (forecast_utc)').catch(() => {});
+    console.log('weather_forecasts table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_forecasts table:', error);
+  }
+}
+
+// Ringkasan cuaca harian per lokasi; tetap disimpan setelah baris per jam dipangkas
+async function createWeatherDailyTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_daily (
+      id SERIAL PRIMARY KEY,
+      adm4_code VARCHAR(20) NOT NULL,
+      weather_date DATE NOT NULL,
+      temp_min DECIMAL(5,2),
+      temp_max DECIMAL(5,2),
+      temp_mean DECIMAL(5,2),
+      humidity_mean DECIMAL(5,2),
+      rain_total DECIMAL(7,2),
+      rain_hours DECIMAL(5,2),
+      dominant_weather_code INT,
+      dominant_weather_desc VARCHAR(100),
+      sample_count INT NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      CONSTRAINT uniq_weather_daily UNIQUE (adm4_code, weather_date)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_weather_daily_date ON weather_daily (weather_date)').catch(() => {});
+    console.log('weather_daily table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_daily table:', error);
+  }
+}
+
+// Aturan saran budidaya berbasis prakiraan cuaca (dapat diubah admin)
+async function createAdvisoryRulesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_advisory_rules (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(60) NOT NULL UNIQUE,
+      category VARCHAR(30) NOT NULL,
+      scope VARCHAR(10) NOT NULL DEFAULT 'day',
+      severity VARCHAR(10) NOT NULL DEFAULT 'info',
+      title VARCHAR(150) NOT NULL,
+      message TEXT NOT NULL,
+      conditions TEXT NOT NULL,
+      sort_order INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_advisory_rule_category ON weather_advisory_rules (category)').catch(() => {});
+    console.log('weather_advisory_rules table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_advisory_rules table:', error);
+  }
+}
+
+// Pemetaan wilayah (kode level apa pun) -> komoditas sentra produksi untuk peringatan cuaca
+async function createRegionCommoditiesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS weather_region_commodities (
+      id SERIAL PRIMARY KEY,
+      region_code VARCHAR(20) NOT NULL,
+      commodity_slug VARCHAR(100) NOT NULL,
+      notes VARCHAR(255) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (region_code, commodity_slug)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_region_commodity_slug ON weather_region_commodities (commodity_slug)').catch(() => {});
+    console.log('weather_region_commodities table created or already exists');
+  } catch (error) {
+    console.error('Error creating weather_region_commodities table:', error);
+  }
+}
+
+// Profil tanaman untuk kalender tanam: lama musim, kebutuhan hujan dan suhu
+async function createCropProfilesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS crop_profiles (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(40) NOT NULL UNIQUE,
+      name VARCHAR(100) NOT NULL,
+      season_days INT NOT NULL,
+      establishment_days INT NOT NULL DEFAULT 30,
+      rain_week_min_mm NUMERIC(6,1) NOT NULL,
+      rain_week_max_mm NUMERIC(6,1) NOT NULL,
+      max_daily_rain_mm NUMERIC(6,1) NULL,
+      temp_min_c NUMERIC(4,1) NOT NULL,
+      temp_max_c NUMERIC(4,1) NOT NULL,
+      notes TEXT NULL,
+      sort_order INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    console.log('crop_profiles table created or already exists');
+  } catch (error) {
+    console.error('Error creating crop_profiles table:', error);
+  }
+}
+
+// Rilis dataset wilayah yang pernah diimpor, beserta ringkasan diff terhadap rilis sebelumnya
+async function createWilayahVersionsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS wilayah_versions (
+      id SERIAL PRIMARY KEY,
+      version VARCHAR(50) NOT NULL UNIQUE,
+      source VARCHAR(255) NULL,
+      notes TEXT NULL,
+      total_codes INT NOT NULL DEFAULT 0,
+      added INT NOT NULL DEFAULT 0,
+      renamed INT NOT NULL DEFAULT 0,
+      removed INT NOT NULL DEFAULT 0,
+      imported_by VARCHAR(100) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    console.log('wilayah_versions table created or already exists');
+  } catch (error) {
+    console.error('Error creating wilayah_versions table:', error);
+  }
+}
+
+// Riwayat nama per kode: berlaku sejak versi valid_from sampai sebelum valid_to (NULL = masih berlaku)
+async function createWilayahHistoryTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS wilayah_history (
+      id SERIAL PRIMARY KEY,
+      kode VARCHAR(13) NOT NULL,
+      nama VARCHAR(100) NOT NULL,
+      valid_from INT NOT NULL,
+      valid_to INT NULL
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_wilayah_history_kode ON wilayah_history (kode)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_wilayah_history_from ON wilayah_history (valid_from)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_wilayah_history_to ON wilayah_history (valid_to)').catch(() => {});
+    console.log('wilayah_history table created or already exists');
+  } catch (error) {
+    console.error('Error creating wilayah_history table:', error);
+  }
+}
+
+// API key provider geolokasi yang dikelola admin (melengkapi key dari environment)
+async function createGeolocationKeysTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS geolocation_keys (
+      id SERIAL PRIMARY KEY,
+      provider VARCHAR(30) NOT NULL,
+      label VARCHAR(100) NULL,
+      api_key VARCHAR(255) NOT NULL,
+      daily_limit INT NULL,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE (provider, api_key)
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    console.log('geolocation_keys table created or already exists');
+  } catch (error) {
+    console.error('Error creating geolocation_keys table:', error);
+  }
+}
+
+// Kolom status moderasi untuk posts dan comments; konten lama dianggap sudah disetujui
+async function addModerationColumns(db) {
+  for (const table of ['posts', 'comments']) {
+    try {
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'approved'`);
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS moderation_reason VARCHAR(500) NULL`);
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS moderated_by VARCHAR(100) NULL`);
+      await db.execute(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP NULL`);
+      await db.execute(`CREATE INDEX IF NOT EXISTS idx_${table}_moderation ON ${table} (moderation_status, created_at)`).catch(() => {});
+      console.log(`${table} moderation columns created or already exist`);
+    } catch (error) {
+      console.error(`Error adding moderation columns to ${table}:`, error);
+    }
+  }
+}
+
+// Aturan auto-moderasi post dan komentar publik (dapat diubah admin)
+async function createModerationRulesTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS moderation_rules (
+      id SERIAL PRIMARY KEY,
+      code VARCHAR(60) NOT NULL UNIQUE,
+      content_type VARCHAR(10) NOT NULL DEFAULT 'all',
+      action VARCHAR(10) NOT NULL DEFAULT 'pending',
+      reason VARCHAR(255) NOT NULL,
+      conditions TEXT NOT NULL,
+      sort_order INT DEFAULT 0,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    console.log('moderation_rules table created or already exists');
+  } catch (error) {
+    console.error('Error creating moderation_rules table:', error);
+  }
+}
+
+// Hasil pipeline filter konten per kiriman (skor per filter), juga dasar deteksi duplikat dan batas kiriman
+async function createContentVerdictsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS content_filter_verdicts (
+      id SERIAL PRIMARY KEY,
+      content_type VARCHAR(10) NOT NULL,
+      content_id INT NULL,
+      author VARCHAR(100) NULL,
+      fingerprint VARCHAR(64) NOT NULL,
+      ip VARCHAR(45) NULL,
+      content_hash CHAR(64) NOT NULL,
+      score DECIMAL(4,3) NOT NULL DEFAULT 0,
+      decision VARCHAR(20) NOT NULL,
+      results TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_verdict_content ON content_filter_verdicts (content_type, content_id)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_verdict_fingerprint ON content_filter_verdicts (fingerprint, created_at)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_verdict_ip ON content_filter_verdicts (ip, created_at)').catch(() => {});
+    await db.execute('CREATE INDEX IF NOT EXISTS idx_verdict_hash ON content_filter_verdicts (content_hash, created_at)').catch(() => {});
+    console.log('content_filter_verdicts table created or already exists');
+  } catch (error) {
+    console.error('Error creating content_filter_verdicts table:', error);
+  }
+}
+
+// Daftar kata terlarang filter konten (dapat diubah admin)
+async function createBannedWordsTable(db) {
+  const query = `
+    CREATE TABLE IF NOT EXISTS content_filter_words (
+      id SERIAL PRIMARY KEY,
+      word VARCHAR(100) NOT NULL UNIQUE,
+      category VARCHAR(20) NOT NULL,
+      weight DECIMAL(3,2) NOT NULL DEFAULT 0.5,
+      is_active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `;
+  
+  try {
+    await db.execute(query);
+    console.log('content_filter_words table created or already exists');
+  } catch (error) {
+    console.error('Error creating content_filter_words table:', error);
+  }
 }
 
 module.exports = {
@@ -333,7 +932,27 @@ module.exports = {
   createStatisticsTable,
   createWilayahTable,
   createApiKeyUsageTable,
-  getApiKeyUsages,
-  incrementApiKeyUsage,
-  pickAvailableApiKey
+  createPriceHistoryTable,
+  createPriceAlertsTable,
+  createPanganRegionMapTable,
+  createWilayahBoundariesTable,
+  createWilayahCentroidsTable,
+  createUpstreamCacheTable,
+  createWatchlistsTable,
+  createWatchlistNotificationsTable,
+  createWatchlistConfirmationsTable,
+  createCommoditiesTable,
+  createWeatherLocationsTable,
+  createWeatherForecastsTable,
+  createWeatherDailyTable,
+  createAdvisoryRulesTable,
+  createRegionCommoditiesTable,
+  createCropProfilesTable,
+  createWilayahVersionsTable,
+  createWilayahHistoryTable,
+  createGeolocationKeysTable,
+  addModerationColumns,
+  createModerationRulesTable,
+  createContentVerdictsTable,
+  createBannedWordsTable
 };
@@ -0,0 +1,233 @@
+// Resolusi lokasi prakiraan BMKG: kode adm4 langsung, pencarian nama (q), kode kecamatan/kab-kota
+// (diwakili beberapa desa lalu digabung) atau koordinat (desa terdekat dari wilayah_centroids)
+const Wilayah = require('../models/Wilayah');
+const WilayahCentroid = require('../models/WilayahCentroid');
+const { isValidAdm4, getCachedForecast } = require('./bmkgClient');
+const { parseHourlyForecast, mergeForecastRows, normalizeRows } = require('./bmkgParser');
+const { isValidCoordinate } = require('./geoUtils');
+const { round, mean } = require('./priceAnalytics');
+
+// Jumlah desa perwakilan untuk kode kecamatan/kab-kota (tiap desa = 1 request BMKG)
+const REGION_SAMPLE_SIZE = parseInt(process.env.BMKG_REGION_SAMPLE_SIZE, 10) || 5;
+// Jarak maksimum desa terdekat untuk pencarian lat/lon
+const NEAREST_MAX_KM = parseFloat(process.env.BMKG_NEAREST_MAX_KM) || 25;
+
+const WILAYAH_CODE_PATTERN = /^\d{2}(\.\d{2}(\.\d{2}(\.\d{4})?)?)?$/;
+// Prioritas level hasil pencarian q: desa dulu, lalu kecamatan, lalu kab/kota
+const SEARCH_LEVELS = ['kelurahan', 'kecamatan', 'kabkota'];
+
+// Ambil `size` item tersebar merata dari daftar terurut
+function spread(items, size) {
+  if (items.length <= size) return items;
+  const step = items.length / size;
+  return Array.from({ length: size }, (_, index) => items[Math.floor(index * step + step / 2)]);
+}
+
+// Kecamatan: desa tersebar merata; kab/kota: desa tengah dari kecamatan yang tersebar merata
+function pickRepresentatives(villages, level, size = REGION_SAMPLE_SIZE) {
+  if (level === 'kecamatan') return spread(villages, size);
+
+  const districts = new Map();
+  for (const village of villages) {
+    const district = village.kode.split('.').slice(0, 3).join('.');
+    if (!districts.has(district)) districts.set(district, []);
+    districts.get(district).push(village);
+  }
+  return spread([...districts.values()], size).map(group => group[Math.floor(group.length / 2)]);
+}
+
+function rankSearchResults(items, term) {
+  const needle = term.toLowerCase();
+  return items
+    .map(item => ({ ...item, level: Wilayah.levelOf(item.kode) }))
+    .filter(item => SEARCH_LEVELS.includes(item.level))
+    .sort((a, b) => {
+      const exactA = a.nama.toLowerCase() === needle ? 0 : 1;
+      const exactB = b.nama.toLowerCase() === needle ? 0 : 1;
+      return exactA - exactB
+        || SEARCH_LEVELS.indexOf(a.level) - SEARCH_LEVELS.indexOf(b.level)
+        || a.nama.length - b.nama.length
+        || a.kode.localeCompare(b.kode);
+    });
+}
+
+// Kode wilayah level apa pun (kecuali provinsi) -> daftar adm4 yang diambil prakiraannya
+async function expandWilayah(wilayahModel, target) {
+  if (target.level === 'kelurahan') return { adm4Codes: [target.kode] };
+  if (target.level === 'provinsi') {
+    return { error: 'Province is too broad; use a kabupaten/kota, kecamatan or village code', status: 400 };
+  }
+
+  const villages = await wilayahModel.getVillages(target.kode);
+  if (villages.length === 0) {
+    return { error: `No villages found under ${target.kode}`, status: 404 };
+  }
+  return { adm4Codes: pickRepresentatives(villages, target.level).map(village => village.kode) };
+}
+
+/**
+ * Tentukan desa (adm4) yang prakiraannya diambil dari query /bmkg/prakiraan-cuaca.
+ * Urutan: adm4, kode, q, lat+lon.
+ * @param {object} db - pool database
+ * @param {object} query - req.query
+ * @returns {Promise<object>} { mode, target, adm4Codes, breadcrumb, ... } atau { error, status }
+ */
+async function resolveForecastTarget(db, query) {
+  const wilayahModel = new Wilayah(db);
+  const { adm4, kode, q, lat, lon } = query;
+
+  // adm4 diteruskan apa adanya ke BMKG seperti sebelumnya; breadcrumb hanya pelengkap
+  if (adm4) {
+    const breadcrumb = await wilayahModel.getBreadcrumb(String(adm4)).catch(() => []);
+    const self = breadcrumb.find(item => item.kode === adm4);
+    return {
+      mode: 'adm4',
+      target: { kode: adm4, nama: self ? self.nama : null, level: 'kelurahan' },
+      adm4Codes: [adm4],
+      breadcrumb
+    };
+  }
+
+  let resolution;
+  if (kode) {
+    const code = String(kode).trim();
+    if (!WILAYAH_CODE_PATTERN.test(code)) {
+      return { error: 'kode must be a wilayah code like 35.07 or 35.07.01', status: 400 };
+    }
+    const row = await wilayahModel.getByKode(code);
+    if (!row) return { error: 'kode not found in wilayah table', status: 404 };
+    resolution = { mode: 'kode', target: { kode: row.kode, nama: row.nama, level: Wilayah.levelOf(row.kode) } };
+  } else if (q) {
+    const term = String(q).trim();
+    if (term.length < 3) return { error: 'q must be at least 3 characters', status: 400 };
+    const ranked = rankSearchResults(await wilayahModel.search(term, 50), term);
+    if (ranked.length === 0) return { error: 'No village, kecamatan or kabupaten/kota matches q', status: 404 };
+    resolution = {
+      mode: 'search',
+      target: ranked[0],
+      candidates: ranked.slice(1, 6)
+    };
+  } else if (lat !== undefined || lon !== undefined) {
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lon);
+    if (!isValidCoordinate(latitude, longitude)) {
+      return { error: 'lat and lon must be valid decimal coordinates', status: 400 };
+    }
+    const [nearest] = await new WilayahCentroid(db).getNearest(latitude, longitude, { maxDistanceKm: NEAREST_MAX_KM });
+    if (!nearest) {
+      return { error: `No village centroid within ${NEAREST_MAX_KM} km of this coordinate`, status: 404 };
+    }
+    const row = await wilayahModel.getByKode(nearest.kode);
+    resolution = {
+      mode: 'nearest',
+      target: { kode: nearest.kode, nama: row ? row.nama : null, level: 'kelurahan' },
+      distance_km: round(nearest.distance_km)
+    };
+  } else {
+    return { error: 'adm4, kode, q or lat/lon parameter is required', status: 400 };
+  }
+
+  const expanded = await expandWilayah(wilayahModel, resolution.target);
+  if (expanded.error) return expanded;
+  return {
+    ...resolution,
+    adm4Codes: expanded.adm4Codes,
+    breadcrumb: await wilayahModel.getBreadcrumb(resolution.target.kode)
+  };
+}
+
+// Simpan koordinat desa dari respons BMKG sebagai centroid bila belum ada (tidak menimpa hasil impor)
+async function rememberCentroid(db, location) {
+  if (!location || !isValidAdm4(location.adm4_code || '') || !isValidCoordinate(location.lat, location.lon)) return;
+  await new WilayahCentroid(db).upsert(
+    { kode: location.adm4_code, level: 'kelurahan', lat: location.lat, lon: location.lon, source: 'bmkg' },
+    { overwrite: false }
+  );
+}
+
+/**
+ * Ambil prakiraan untuk hasil resolveForecastTarget.
+ * Satu desa: respons mentah (format=raw) atau ternormalisasi; beberapa desa: selalu ternormalisasi,
+ * nilai per slot waktu digabung (lihat mergeForecastRows).
+ * @param {object} db - pool database
+ * @param {object} resolution - hasil resolveForecastTarget
+ * @param {object} [options] - { format: 'raw'|'normalized', params: query tambahan untuk BMKG (mode adm4) }
+ */
+async function loadResolvedForecast(db, resolution, { format = 'normalized', params = {} } = {}) {
+  const resolved = {
+    mode: resolution.mode,
+    kode: resolution.target.kode,
+    nama: resolution.target.nama,
+    level: resolution.target.level,
+    breadcrumb: resolution.breadcrumb,
+    ...(resolution.distance_km !== undefined ? { distance_km: resolution.distance_km } : {}),
+    ...(resolution.candidates ? { candidates: resolution.candidates } : {})
+  };
+
+  if (resolution.adm4Codes.length === 1) {
+    const adm4 = resolution.adm4Codes[0];
+    const payload = await getCachedForecast(resolution.mode === 'adm4' ? { ...params, adm4 } : { adm4 });
+    const parsed = parseHourlyForecast(payload);
+    rememberCentroid(db, parsed.location).catch(error => console.error('[BMKG] save centroid error:', error.message));
+    return format === 'raw'
+      ? { ...payload, resolved }
+      : { ...normalizeRows(parsed.location, parsed.rows), resolved };
+  }
+
+  const results = await Promise.allSettled(resolution.adm4Codes.map(adm4 => getCachedForecast({ adm4 })));
+  const samples = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    const parsed = result.status === 'fulfilled' ? parseHourlyForecast(result.value) : null;
+    if (!parsed || parsed.rows.length === 0) {
+      failed.push(resolution.adm4Codes[index]);
+      return;
+    }
+    samples.push(parsed);
+    rememberCentroid(db, parsed.location).catch(error => console.error('[BMKG] save centroid error:', error.message));
+  });
+  if (samples.length === 0) {
+    throw new Error('Gagal memuat prakiraan cuaca untuk semua desa perwakilan');
+  }
+
+  const first = samples[0].location;
+  const lats = samples.map(sample => sample.location.lat).filter(value => value !== null);
+  const lons = samples.map(sample => sample.location.lon).filter(value => value !== null);
+  const location = {
+    adm4_code: null,
+    adm3_code: resolution.target.level === 'kecamatan' ? resolution.target.kode : null,
+    adm2_code: resolution.target.kode.split('.').slice(0, 2).join('.'),
+    adm1_code: resolution.target.kode.split('.')[0],
+    desa: null,
+    kecamatan: resolution.target.level === 'kecamatan' ? first.kecamatan : null,
+    kotkab: first.kotkab,
+    provinsi: first.provinsi,
+    lat: lats.length ? round(mean(lats), 5) : null,
+    lon: lons.length ? round(mean(lons), 5) : null,
+    timezone: first.timezone
+  };
+
+  return {
+    ...normalizeRows(location, mergeForecastRows(samples.map(sample => sample.rows))),
+    aggregation: {
+      method: 'mean',
+      samples: samples.map(sample => ({
+        adm4_code: sample.location.adm4_code,
+        desa: sample.location.desa,
+        lat: sample.location.lat,
+        lon: sample.location.lon
+      })),
+      failed
+    },
+    resolved
+  };
+}
+
+module.exports = {
+  REGION_SAMPLE_SIZE,
+  NEAREST_MAX_KM,
+  pickRepresentatives,
+  resolveForecastTarget,
+  rememberCentroid,
+  loadResolvedForecast
+};
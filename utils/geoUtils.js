@@ -0,0 +1,114 @@
+// Helper geometri sederhana (WGS84) untuk centroid wilayah dan pencarian titik terdekat
+const EARTH_RADIUS_KM = 6371;
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Jarak great-circle dua titik dalam km
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function isValidCoordinate(lat, lon) {
+  return Number.isFinite(lat) && Number.isFinite(lon) && lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+}
+
+// Luas bertanda dan centroid satu ring (shoelace); koordinat GeoJSON [lon, lat]
+function ringCentroid(ring) {
+  let area = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [x0, y0] = ring[j];
+    const [x1, y1] = ring[i];
+    const cross = x0 * y1 - x1 * y0;
+    area += cross;
+    cx += (x0 + x1) * cross;
+    cy += (y0 + y1) * cross;
+  }
+  area /= 2;
+  if (area === 0) return null;
+  return { area, lon: cx / (6 * area), lat: cy / (6 * area) };
+}
+
+// Daftar polygon (ring luar + lubang) dari Polygon/MultiPolygon
+function polygonsOf(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+}
+
+/**
+ * Centroid geometri Polygon/MultiPolygon (ring luar, dibobot luas; lubang diabaikan).
+ * @param {object} geometry - GeoJSON geometry
+ * @returns {{lat: number, lon: number}|null}
+ */
+function geometryCentroid(geometry) {
+  const polygons = polygonsOf(geometry);
+  if (polygons.length === 0) return null;
+
+  let totalArea = 0;
+  let lat = 0;
+  let lon = 0;
+  for (const polygon of polygons) {
+    const centroid = polygon?.[0] ? ringCentroid(polygon[0]) : null;
+    if (!centroid) continue;
+    const weight = Math.abs(centroid.area);
+    totalArea += weight;
+    lat += centroid.lat * weight;
+    lon += centroid.lon * weight;
+  }
+  return totalArea > 0 ? { lat: lat / totalArea, lon: lon / totalArea } : null;
+}
+
+// Bounding box Polygon/MultiPolygon: { minLat, maxLat, minLon, maxLon } atau null
+function geometryBounds(geometry) {
+  let bounds = null;
+  for (const polygon of polygonsOf(geometry)) {
+    for (const [lon, lat] of polygon?.[0] || []) {
+      if (!bounds) bounds = { minLat: lat, maxLat: lat, minLon: lon, maxLon: lon };
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+      bounds.minLon = Math.min(bounds.minLon, lon);
+      bounds.maxLon = Math.max(bounds.maxLon, lon);
+    }
+  }
+  return bounds;
+}
+
+// Ray casting satu ring
+function ringContains(ring, lat, lon) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [x0, y0] = ring[j];
+    const [x1, y1] = ring[i];
+    if ((y1 > lat) !== (y0 > lat) && lon < ((x0 - x1) * (lat - y1)) / (y0 - y1) + x1) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Apakah titik berada di dalam Polygon/MultiPolygon (lubang/ring dalam dikecualikan).
+ * @param {object} geometry - GeoJSON geometry
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {boolean}
+ */
+function geometryContains(geometry, lat, lon) {
+  return polygonsOf(geometry).some(polygon => polygon?.[0]
+    && ringContains(polygon[0], lat, lon)
+    && !polygon.slice(1).some(hole => ringContains(hole, lat, lon)));
+}
+
+module.exports = {
+  haversineKm,
+  isValidCoordinate,
+  geometryCentroid,
+  geometryBounds,
+  geometryContains
+};
@@ -0,0 +1,440 @@
+// Layanan geolokasi IP untuk /location: rantai provider yang urutannya diatur lewat GEOLOCATION_PROVIDERS,
+// API key dari environment atau tabel geolocation_keys (kuota harian per key di api_key_usage),
+// dan cache hasil per IP
+const crypto = require('crypto');
+const net = require('net');
+const axios = require('axios');
+const geoip = require('geoip-lite');
+const maxmind = require('maxmind');
+const GeolocationKey = require('../models/GeolocationKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+
+const IPGEOLOCATION_URL = 'https://api.ipgeolocation.io/v2/ipgeo';
+const REQUEST_TIMEOUT = parseInt(process.env.GEOLOCATION_TIMEOUT_MS, 10) || 5000;
+const IPGEOLOCATION_DAILY_LIMIT = parseInt(process.env.IPGEOLOCATION_DAILY_LIMIT, 10) || 1000;
+// File .mmdb format MaxMind (GeoLite2-City / GeoIP2-City atau database lain dengan skema yang sama)
+const MAXMIND_DB_PATH = process.env.MAXMIND_DB_PATH || '';
+const CACHE_TTL = parseInt(process.env.GEOLOCATION_CACHE_TTL_MS, 10) || 6 * 60 * 60 * 1000; // 6 jam
+const CACHE_MAX_ENTRIES = parseInt(process.env.GEOLOCATION_CACHE_MAX_ENTRIES, 10) || 5000;
+// Key dari tabel dibaca ulang paling lambat tiap menit (perubahan lewat admin langsung meng-invalidate)
+const KEYS_CACHE_TTL = 60 * 1000;
+
+// Hasil per IP; Map menjaga urutan sisip sehingga entri tertua dibuang lebih dulu
+const cache = new Map();
+let keysCache = { keys: null, expiresAt: 0 };
+let maxmindReader = null;
+
+// ID key yang aman ditampilkan dan dipakai sebagai api_key di api_key_usage: provider + potongan SHA-256
+function keyId(provider, apiKey) {
+  return `${provider}:${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12)}`;
+}
+
+function maskApiKey(apiKey) {
+  const value = String(apiKey || '');
+  return value.length <= 8 ? '****' : `${value.slice(0, 4)}…${value.slice(-4)}`;
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Kode subdivisi ISO 3166-2, mis. "JI" -> "ID-JI"
+function subdivisionCode(country, code) {
+  if (!code) return null;
+  return country && !String(code).includes('-') ? `${country}-${code}` : code;
+}
+
+// Header Vercel mengirim nama kota ter-encode (mis. "Jakarta%20Selatan")
+function decodeHeader(value) {
+  if (!value) return null;
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function getVercelGeo(headers) {
+  const country = headers['x-vercel-ip-country'];
+  const region = headers['x-vercel-ip-country-region'];
+  const city = decodeHeader(headers['x-vercel-ip-city']);
+  const latitude = parseNumber(headers['x-vercel-ip-latitude']);
+  const longitude = parseNumber(headers['x-vercel-ip-longitude']);
+  if (!country && !region && !city && latitude === null) return null;
+
+  return {
+    country: { code: country || null, name: country === 'ID' ? 'Indonesia' : null },
+    region: { state_prov: null, state_code: subdivisionCode(country, region), district: null, city, zipcode: headers['x-vercel-ip-postal-code'] || null },
+    latitude,
+    longitude,
+    timezone: headers['x-vercel-ip-timezone'] || null
+  };
+}
+
+function parseIpgeolocation(data) {
+  const location = data.location || {};
+  return {
+    country: {
+      code: location.country_code2,
+      code3: location.country_code3,
+      name: location.country_name,
+      official_name: location.country_name_official,
+      capital: location.country_capital,
+      flag: location.country_flag,
+      emoji: location.country_emoji,
+      is_eu: location.is_eu
+    },
+    region: {
+      state_prov: location.state_prov || null,
+      state_code: location.state_code || null,
+      district: location.district || null,
+      city: location.city || null,
+      zipcode: location.zipcode || null
+    },
+    latitude: parseNumber(location.latitude),
+    longitude: parseNumber(location.longitude),
+    location: {
+      continent_code: location.continent_code,
+      continent_name: location.continent_name,
+      geoname_id: location.geoname_id
+    },
+    timezone: data.time_zone?.name || null,
+    extra: {
+      metadata: data.country_metadata ? {
+        calling_code: data.country_metadata.calling_code,
+        tld: data.country_metadata.tld,
+        languages: data.country_metadata.languages
+      } : undefined,
+      currency: data.currency ? {
+        code: data.currency.code,
+        name: data.currency.name,
+        symbol: data.currency.symbol
+      } : undefined
+    }
+  };
+}
+
+function parseMaxmind(record) {
+  const subdivision = record.subdivisions?.[0];
+  const country = record.country?.iso_code || null;
+  return {
+    country: { code: country, name: record.country?.names?.en || null },
+    region: {
+      state_prov: subdivision?.names?.en || null,
+      state_code: subdivisionCode(country, subdivision?.iso_code),
+      district: null,
+      city: record.city?.names?.en || null,
+      zipcode: record.postal?.code || null
+    },
+    latitude: parseNumber(record.location?.latitude),
+    longitude: parseNumber(record.location?.longitude),
+    location: { accuracy_radius_km: record.location?.accuracy_radius ?? null },
+    timezone: record.location?.time_zone || null
+  };
+}
+
+function parseGeoipLite(location) {
+  return {
+    country: { code: location.country, name: location.country === 'ID' ? 'Indonesia' : null },
+    region: {
+      state_prov: null,
+      state_code: subdivisionCode(location.country, location.region),
+      district: null,
+      city: location.city || null,
+      zipcode: null
+    },
+    latitude: location.ll[0],
+    longitude: location.ll[1],
+    location: {
+      network: `${location.range[0]}-${location.range[1]}`,
+      metro_code: location.metro,
+      accuracy_radius_km: location.area || null
+    },
+    timezone: location.timezone || null
+  };
+}
+
+function openMaxmind() {
+  if (!maxmindReader) {
+    // Gagal buka (file tidak ada/rusak) dicatat sekali; provider dianggap tidak tersedia sampai restart
+    maxmindReader = maxmind.open(MAXMIND_DB_PATH).catch(error => {
+      console.error(`Error opening MaxMind database ${MAXMIND_DB_PATH}:`, error.message);
+      return null;
+    });
+  }
+  return maxmindReader;
+}
+
+// Key aktif per provider: environment lalu tabel geolocation_keys (key yang sama di tabel menimpa limit env)
+async function loadApiKeys(db, { refresh = false } = {}) {
+  if (!refresh && keysCache.keys && keysCache.expiresAt > Date.now()) {
+    return keysCache.keys;
+  }
+
+  const keys = new Map();
+  for (const [name, provider] of Object.entries(PROVIDERS)) {
+    if (!provider.keyEnv) continue;
+    String(process.env[provider.keyEnv] || '').split(',').map(value => value.trim()).filter(Boolean)
+      .forEach((apiKey, index) => {
+        const id = keyId(name, apiKey);
+        keys.set(id, { id, provider: name, label: `env #${index + 1}`, source: 'env', apiKey, dailyLimit: provider.dailyLimit });
+      });
+  }
+  try {
+    for (const row of await new GeolocationKey(db).getAll({ activeOnly: true })) {
+      if (!PROVIDERS[row.provider]?.keyEnv) continue;
+      const id = keyId(row.provider, row.api_key);
+      keys.set(id, {
+        id,
+        provider: row.provider,
+        label: row.label || `db #${row.id}`,
+        source: 'database',
+        apiKey: row.api_key,
+        dailyLimit: row.daily_limit ?? PROVIDERS[row.provider].dailyLimit
+      });
+    }
+  } catch (error) {
+    // Tanpa DB, key dari environment tetap dipakai
+    console.error('Error loading geolocation keys:', error.message);
+  }
+
+  keysCache = { keys: [...keys.values()], expiresAt: Date.now() + KEYS_CACHE_TTL };
+  return keysCache.keys;
+}
+
+function invalidateApiKeys() {
+  keysCache = { keys: null, expiresAt: 0 };
+}
+
+// Key provider beserta pemakaian hari ini, urut dari yang paling sedikit dipakai
+async function getKeyUsages(db, provider) {
+  const keys = (await loadApiKeys(db)).filter(key => key.provider === provider);
+  const usages = keys.length ? await new ApiKeyUsage(db).getUsages(keys.map(key => key.id)) : {};
+  return keys
+    .map(key => ({ ...key, usage: usages[key.id] || 0 }))
+    .sort((a, b) => a.usage - b.usage);
+}
+
+/**
+ * Provider geolokasi. lookup(ip, context) mengembalikan hasil ternormalisasi, null bila IP tidak ditemukan,
+ * atau { skipped: alasan } bila provider tidak bisa dipakai (belum dikonfigurasi, kuota habis).
+ */
+const PROVIDERS = {
+  // Header geolokasi Vercel; hanya berlaku untuk IP peminta sendiri (bukan ?ip=). Di luar Vercel header
+  // x-vercel-ip-* bisa dikirim siapa saja, jadi provider ini mati dan hasilnya tidak pernah masuk cache per IP.
+  vercel: {
+    cacheable: false,
+    isConfigured: () => Boolean(process.env.VERCEL),
+    async lookup(ip, { headers }) {
+      if (!process.env.VERCEL) return { skipped: 'not_configured' };
+      return (headers && getVercelGeo(headers)) || { skipped: 'not_applicable' };
+    }
+  },
+
+  ipgeolocation: {
+    keyEnv: 'IPGEOLOCATION_API_KEYS',
+    dailyLimit: IPGEOLOCATION_DAILY_LIMIT,
+    isConfigured: async db => (await loadApiKeys(db)).some(key => key.provider === 'ipgeolocation'),
+    async lookup(ip, { db }) {
+      const keys = await getKeyUsages(db, 'ipgeolocation');
+      if (keys.length === 0) return { skipped: 'no_keys' };
+      const available = keys.filter(key => key.usage < key.dailyLimit);
+      if (available.length === 0) return { skipped: 'quota_exhausted' };
+
+      for (const key of available) {
+        try {
+          const resp = await axios.get(IPGEOLOCATION_URL, { params: { apiKey: key.apiKey, ip }, timeout: REQUEST_TIMEOUT });
+          try { await new ApiKeyUsage(db).increment(key.id); } catch (error) { console.error('Error incrementing api key usage:', error.message); }
+          return { ...parseIpgeolocation(resp.data), apiKeyUsed: key.id };
+        } catch (error) {
+          const status = error.response?.status;
+          // Key ditolak atau kuota upstream habis: coba key berikutnya; error lain langsung ke provider berikutnya
+          if (![401, 403, 423, 429].includes(status)) throw error;
+          console.error(`ipgeolocation.io rejected key ${key.id} (HTTP ${status})`);
+        }
+      }
+      return { skipped: 'quota_exhausted' };
+    }
+  },
+
+  maxmind: {
+    isConfigured: () => Boolean(MAXMIND_DB_PATH),
+    async lookup(ip) {
+      if (!MAXMIND_DB_PATH) return { skipped: 'not_configured' };
+      const reader = await openMaxmind();
+      if (!reader) return { skipped: 'unavailable' };
+      const record = reader.get(ip);
+      return record ? parseMaxmind(record) : null;
+    }
+  },
+
+  'geoip-lite': {
+    isConfigured: () => true,
+    async lookup(ip) {
+      const location = geoip.lookup(ip);
+      return location ? parseGeoipLite(location) : null;
+    }
+  }
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Urutan fallback dari GEOLOCATION_PROVIDERS (dipisah koma); nama tak dikenal diabaikan
+function parseProviderChain(value) {
+  const names = String(value || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const chain = names.filter((name, index) => PROVIDERS[name] && names.indexOf(name) === index);
+  return chain.length > 0 ? chain : PROVIDER_NAMES;
+}
+
+const PROVIDER_CHAIN = parseProviderChain(process.env.GEOLOCATION_PROVIDERS);
+
+function hasCoordinates(result) {
+  return Number.isFinite(result.latitude) && Number.isFinite(result.longitude);
+}
+
+function getCached(ip) {
+  const entry = cache.get(ip);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(ip);
+    return null;
+  }
+  return entry;
+}
+
+function setCached(ip, value) {
+  cache.delete(ip);
+  cache.set(ip, { ...value, cachedAt: new Date().toISOString(), expiresAt: Date.now() + CACHE_TTL });
+  while (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+}
+
+function clearLocationCache() {
+  const cleared = cache.size;
+  cache.clear();
+  return cleared;
+}
+
+function toFeature(ip, provider, result, meta) {
+  if (!result) {
+    return {
+      type: 'Feature',
+      geometry: null,
+      properties: { ip, country: null, region: null, location: null, timezone: null, provider: null, error: 'Location not found', meta }
+    };
+  }
+
+  const located = hasCoordinates(result);
+  const properties = {
+    ip,
+    country: result.country,
+    region: result.region,
+    location: located ? { latitude: result.latitude, longitude: result.longitude, ...result.location } : null,
+    timezone: result.timezone || null
+  };
+  for (const [key, value] of Object.entries(result.extra || {})) {
+    if (value !== undefined) properties[key] = value;
+  }
+  properties.provider = provider;
+  if (!located) properties.error = 'Coordinates not available';
+  properties.meta = meta;
+
+  return {
+    type: 'Feature',
+    geometry: located ? { type: 'Point', coordinates: [result.longitude, result.latitude] } : null,
+    properties
+  };
+}
+
+/**
+ * Geolokasi IP lewat rantai provider. Provider yang dilewati/gagal dicatat di meta.fallback_from;
+ * hasil tanpa koordinat (mis. header Vercel tanpa lat/lon) hanya dipakai bila tidak ada provider lain yang berhasil.
+ * @param {object} db - pool database (key dari tabel dan pemakaian kuota)
+ * @param {string} ip
+ * @param {object} options - { headers: header request bila ip adalah IP peminta, refresh: lewati cache }
+ * @returns {Promise<object>} { feature } atau { error, status }
+ */
+async function lookupLocation(db, ip, { headers = null, refresh = false } = {}) {
+  if (!net.isIP(ip || '')) return { error: 'Invalid IP address', status: 400 };
+
+  const cached = !refresh && getCached(ip);
+  if (cached) {
+    return { feature: toFeature(ip, cached.provider, cached.result, { ...cached.meta, cached: true, cached_at: cached.cachedAt }) };
+  }
+
+  const fallbackFrom = [];
+  let partial = null;
+  for (const name of PROVIDER_CHAIN) {
+    let result;
+    try {
+      result = await PROVIDERS[name].lookup(ip, { db, headers });
+    } catch (error) {
+      console.error(`Geolocation provider ${name} error:`, error.message);
+      fallbackFrom.push({ provider: name, reason: 'error' });
+      continue;
+    }
+    if (!result || result.skipped) {
+      fallbackFrom.push({ provider: name, reason: result ? result.skipped : 'not_found' });
+      continue;
+    }
+    if (!hasCoordinates(result)) {
+      partial = partial || { provider: name, result };
+      fallbackFrom.push({ provider: name, reason: 'no_coordinates' });
+      continue;
+    }
+
+    const { apiKeyUsed = null, ...location } = result;
+    const meta = { queried_at: new Date().toISOString(), api_key_used: apiKeyUsed, fallback_from: fallbackFrom };
+    if (PROVIDERS[name].cacheable !== false) setCached(ip, { provider: name, result: location, meta });
+    return { feature: toFeature(ip, name, location, { ...meta, cached: false }) };
+  }
+
+  const meta = { queried_at: new Date().toISOString(), api_key_used: null, fallback_from: fallbackFrom, cached: false };
+  return { feature: partial ? toFeature(ip, partial.provider, partial.result, meta) : toFeature(ip, null, null, meta) };
+}
+
+// Ringkasan untuk admin: urutan rantai, status tiap provider, key (tanpa nilai asli) dan isi cache
+async function getProviderStatus(db) {
+  const providers = [];
+  for (const name of PROVIDER_NAMES) {
+    const provider = PROVIDERS[name];
+    const status = {
+      name,
+      enabled: PROVIDER_CHAIN.includes(name),
+      position: PROVIDER_CHAIN.includes(name) ? PROVIDER_CHAIN.indexOf(name) + 1 : null,
+      configured: await provider.isConfigured(db)
+    };
+    if (provider.keyEnv) {
+      const keys = await getKeyUsages(db, name);
+      status.daily_limit_default = provider.dailyLimit;
+      status.usage_today = keys.reduce((sum, key) => sum + key.usage, 0);
+      status.quota_today = keys.reduce((sum, key) => sum + key.dailyLimit, 0);
+      status.keys = keys.map(key => ({
+        id: key.id,
+        label: key.label,
+        source: key.source,
+        masked_key: maskApiKey(key.apiKey),
+        usage_today: key.usage,
+        daily_limit: key.dailyLimit
+      }));
+    }
+    providers.push(status);
+  }
+  return {
+    chain: PROVIDER_CHAIN,
+    providers,
+    cache: { entries: cache.size, max_entries: CACHE_MAX_ENTRIES, ttl_ms: CACHE_TTL }
+  };
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  PROVIDER_CHAIN,
+  keyId,
+  maskApiKey,
+  parseProviderChain,
+  lookupLocation,
+  getProviderStatus,
+  invalidateApiKeys,
+  clearLocationCache
+};
@@ -0,0 +1,156 @@
+// Boundary Import Utility
+// Impor geometri batas wilayah dari file GeoJSON lokal ke tabel wilayah_boundaries.
+// Usage: node utils/importBoundaries.js <file.geojson> [--level=provinsi|kabkota|kecamatan|kelurahan]
+//        [--property=kode] [--source=nama-sumber]
+
+const fs = require('fs');
+const path = require('path');
+const WilayahBoundary = require('../models/WilayahBoundary');
+const WilayahCentroid = require('../models/WilayahCentroid');
+const { geometryCentroid } = require('./geoUtils');
+
+const BOUNDARY_LEVELS = ['provinsi', 'kabkota', 'kecamatan', 'kelurahan'];
+// Nama properti kode wilayah yang umum dipakai dataset batas administrasi
+const KODE_PROPERTIES = ['kode', 'KODE', 'kode_wilayah', 'kd_wilayah', 'KDPPUM', 'KDPKAB', 'KDCPUM', 'KDEPUM', 'code', 'id'];
+
+// Samakan format kode dengan tabel wilayah, mis. "3201" -> "32.01", "3201010001" -> "32.01.01.0001"
+function normalizeKode(value) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return null;
+  if (/^\d{2}(\.\d{2}(\.\d{2}(\.\d{4})?)?)?$/.test(raw)) return raw;
+
+  const digits = raw.replace(/\D/g, '');
+  const segments = [[0, 2], [2, 4], [4, 6], [6, 10]];
+  if (![2, 4, 6, 10].includes(digits.length)) return null;
+  return segments
+    .filter(([start]) => start < digits.length)
+    .map(([start, end]) => digits.slice(start, end))
+    .join('.');
+}
+
+function levelFromKode(kode) {
+  return BOUNDARY_LEVELS[kode.split('.').length - 1];
+}
+
+function findKode(properties, kodeProperty) {
+  const keys = kodeProperty ? [kodeProperty] : KODE_PROPERTIES;
+  for (const key of keys) {
+    const kode = normalizeKode(properties?.[key]);
+    if (kode) return kode;
+  }
+  return null;
+}
+
+/**
+ * Impor FeatureCollection GeoJSON ke wilayah_boundaries.
+ * @param {object} db - pool database
+ * @param {object} collection - GeoJSON FeatureCollection
+ * @param {object} [options] - { level, kodeProperty, source }
+ */
+async function importBoundaries(db, collection, options = {}) {
+  if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+    throw new Error('File must contain a GeoJSON FeatureCollection');
+  }
+  if (options.level && !BOUNDARY_LEVELS.includes(options.level)) {
+    throw new Error(`level must be one of: ${BOUNDARY_LEVELS.join(', ')}`);
+  }
+
+  const model = new WilayahBoundary(db);
+  const centroidModel = new WilayahCentroid(db);
+  const summary = { total: collection.features.length, inserted: 0, updated: 0, centroids: 0, skipped: [] };
+
+  for (const [index, feature] of collection.features.entries()) {
+    const kode = findKode(feature.properties, options.kodeProperty);
+    const geometry = feature.geometry;
+    if (!kode || !geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+      summary.skipped.push({ index, kode, reason: !kode ? 'kode not found' : 'unsupported geometry' });
+      continue;
+    }
+
+    const level = options.level || levelFromKode(kode);
+    const result = await model.upsert({ kode, level, geometry, source: options.source || null });
+    summary[result]++;
+
+    // Centroid poligon dipakai pencarian desa terdekat (GET /bmkg/prakiraan-cuaca?lat=&lon=)
+    const centroid = geometryCentroid(geometry);
+    if (centroid) {
+      await centroidModel.upsert({ kode, level, ...centroid, source: options.source || null });
+      summary.centroids++;
+    }
+  }
+
+  return summary;
+}
+
+async function importBoundaryFile(db, filePath, options = {}) {
+  const collection = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return importBoundaries(db, collection, { source: path.basename(filePath), ...options });
+}
+
+function parseArgs(argv) {
+  const args = { options: {} };
+  for (const arg of argv) {
+    const match = arg.match(/^--(\w+)=(.*)$/);
+    if (!match) {
+      args.file = arg;
+    } else if (match[1] === 'level') {
+      args.options.level = match[2];
+    } else if (match[1] === 'property') {
+      args.options.kodeProperty = match[2];
+    } else if (match[1] === 'source') {
+      args.options.source = match[2];
+    }
+  }
+  return args;
+}
+
+// Pakai PostgreSQL jika DATABASE_URL/SUPABASE_DB_URL di-set, selain itu MySQL
+async function connectDatabase() {
+  if (process.env.DATABASE_URL || process.env.SUPABASE_DB_URL) {
+    const { initDatabase } = require('../config/supabase');
+    const { createWilayahBoundariesTable, createWilayahCentroidsTable } = require('./dbHelperPg');
+    const db = await initDatabase();
+    await createWilayahBoundariesTable(db);
+    await createWilayahCentroidsTable(db);
+    return db;
+  }
+  const { initDatabase } = require('../config/database');
+  const { createWilayahBoundariesTable, createWilayahCentroidsTable } = require('./dbHelper');
+  const db = await initDatabase();
+  await createWilayahBoundariesTable(db);
+  await createWilayahCentroidsTable(db);
+  return db;
+}
+
+async function main() {
+  require('dotenv').config();
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.log('Usage: node utils/importBoundaries.js <file.geojson> [--level=provinsi] [--property=kode] [--source=name]');
+    process.exit(1);
+  }
+
+  let db;
+  try {
+    db = await connectDatabase();
+    console.log(`🗺️  Importing boundaries from ${file}\n`);
+    const summary = await importBoundaryFile(db, file, options);
+    console.log(`✅ ${summary.inserted} inserted, ${summary.updated} updated, ${summary.skipped.length} skipped (of ${summary.total}); ${summary.centroids} centroids saved`);
+    summary.skipped.slice(0, 20).forEach(s => console.log(`   - feature #${s.index}: ${s.reason}${s.kode ? ` (${s.kode})` : ''}`));
+  } catch (error) {
+    console.error('❌ Boundary import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (db && db.end) await db.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  normalizeKode,
+  importBoundaries,
+  importBoundaryFile
+};
@@ -0,0 +1,118 @@
+// Centroid Import Utility
+// Impor titik pusat wilayah (lat/lon) dari file CSV lokal ke tabel wilayah_centroids,
+// dipakai pencarian desa terdekat di GET /bmkg/prakiraan-cuaca?lat=&lon=.
+// Usage: node utils/importCentroids.js <file.csv> [--source=nama-sumber]
+// Kolom (baris pertama = header): kode, lat/latitude, lon/lng/longitude; pemisah koma atau titik koma
+
+const fs = require('fs');
+const path = require('path');
+const Wilayah = require('../models/Wilayah');
+const WilayahCentroid = require('../models/WilayahCentroid');
+const { normalizeKode } = require('./importBoundaries');
+const { isValidCoordinate } = require('./geoUtils');
+
+const COLUMN_ALIASES = {
+  kode: ['kode', 'kode_wilayah', 'kd_wilayah', 'code', 'id'],
+  lat: ['lat', 'latitude', 'y'],
+  lon: ['lon', 'lng', 'long', 'longitude', 'x']
+};
+
+function splitLine(line, delimiter) {
+  return line.split(delimiter).map(value => value.trim().replace(/^"(.*)"$/, '$1'));
+}
+
+function findColumns(header) {
+  const columns = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = header.findIndex(name => aliases.includes(name.toLowerCase()));
+    if (index === -1) throw new Error(`CSV header must contain a ${column} column (${aliases.join('/')})`);
+    columns[column] = index;
+  }
+  return columns;
+}
+
+/**
+ * Impor isi CSV centroid ke wilayah_centroids (kode yang sudah ada diperbarui).
+ * @param {object} db - pool database
+ * @param {string} content - isi file CSV
+ * @param {object} [options] - { source }
+ */
+async function importCentroids(db, content, options = {}) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) throw new Error('CSV must contain a header and at least one row');
+
+  const delimiter = lines[0].includes(';') ? ';' : ',';
+  const columns = findColumns(splitLine(lines[0], delimiter));
+  const model = new WilayahCentroid(db);
+  const summary = { total: lines.length - 1, inserted: 0, updated: 0, skipped: [] };
+
+  for (const [index, line] of lines.slice(1).entries()) {
+    const values = splitLine(line, delimiter);
+    const kode = normalizeKode(values[columns.kode]);
+    const lat = parseFloat(values[columns.lat]);
+    const lon = parseFloat(values[columns.lon]);
+    if (!kode || !isValidCoordinate(lat, lon)) {
+      summary.skipped.push({ line: index + 2, kode, reason: !kode ? 'invalid kode' : 'invalid coordinate' });
+      continue;
+    }
+
+    const result = await model.upsert({ kode, level: Wilayah.levelOf(kode), lat, lon, source: options.source || null });
+    summary[result]++;
+  }
+
+  return summary;
+}
+
+async function importCentroidFile(db, filePath, options = {}) {
+  return importCentroids(db, fs.readFileSync(filePath, 'utf8'), { source: path.basename(filePath), ...options });
+}
+
+// Pakai PostgreSQL jika DATABASE_URL/SUPABASE_DB_URL di-set, selain itu MySQL
+async function connectDatabase() {
+  if (process.env.DATABASE_URL || process.env.SUPABASE_DB_URL) {
+    const { initDatabase } = require('../config/supabase');
+    const { createWilayahCentroidsTable } = require('./dbHelperPg');
+    const db = await initDatabase();
+    await createWilayahCentroidsTable(db);
+    return db;
+  }
+  const { initDatabase } = require('../config/database');
+  const { createWilayahCentroidsTable } = require('./dbHelper');
+  const db = await initDatabase();
+  await createWilayahCentroidsTable(db);
+  return db;
+}
+
+async function main() {
+  require('dotenv').config();
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const sourceArg = args.find(arg => arg.startsWith('--source='));
+  if (!file) {
+    console.log('Usage: node utils/importCentroids.js <file.csv> [--source=name]');
+    process.exit(1);
+  }
+
+  let db;
+  try {
+    db = await connectDatabase();
+    console.log(`📍 Importing centroids from ${file}\n`);
+    const summary = await importCentroidFile(db, file, sourceArg ? { source: sourceArg.split('=')[1] } : {});
+    console.log(`✅ ${summary.inserted} inserted, ${summary.updated} updated, ${summary.skipped.length} skipped (of ${summary.total})`);
+    summary.skipped.slice(0, 20).forEach(s => console.log(`   - line ${s.line}: ${s.reason}${s.kode ? ` (${s.kode})` : ''}`));
+  } catch (error) {
+    console.error('❌ Centroid import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (db && db.end) await db.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  importCentroids,
+  importCentroidFile
+};
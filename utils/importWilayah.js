@@ -0,0 +1,374 @@
+// Wilayah Dataset Import Utility
+// Impor dataset kode wilayah Kemendagri (CSV atau dump SQL berisi kode,nama) sebagai versi baru:
+// validasi struktur kode dan induk, diff terhadap tabel wilayah (ditambah/berganti nama/dihapus),
+// lalu terapkan ke tabel wilayah dan catat riwayat nama per versi di wilayah_history.
+// Usage: node utils/importWilayah.js <file.csv|file.sql> --version=2025 [--dry-run] [--skip-invalid]
+//        [--force] [--notes=...] [--report=diff.json]
+
+const fs = require('fs');
+const path = require('path');
+const Wilayah = require('../models/Wilayah');
+const WilayahVersion = require('../models/WilayahVersion');
+const { normalizeKode } = require('./importBoundaries');
+const { invalidateWilayahIndex } = require('./wilayahSearch');
+
+// Versi otomatis untuk isi tabel wilayah yang sudah ada sebelum impor pertama
+const BASELINE_VERSION = 'baseline';
+// Dataset yang menghapus lebih dari porsi ini kemungkinan besar file parsial; perlu force
+const MAX_REMOVED_RATIO = 0.2;
+// Jumlah kode per jenis perubahan yang disertakan di respons (laporan lengkap lewat /versions/:version/changes)
+const REPORT_SAMPLE_SIZE = 100;
+const VERSION_PATTERN = /^[\w.-]{1,50}$/;
+
+const COLUMN_ALIASES = {
+  kode: ['kode', 'kode_wilayah', 'kd_wilayah', 'code', 'id'],
+  nama: ['nama', 'nama_wilayah', 'name']
+};
+
+// Pisah satu baris CSV; nilai dalam tanda kutip boleh mengandung pemisah ("Kab. A, B")
+function splitLine(line, delimiter) {
+  const values = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      values.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  values.push(current.trim());
+  return values;
+}
+
+// Baris CSV kode,nama; header opsional (baris pertama dianggap data jika kolom pertama berupa kode)
+function parseWilayahCsv(content) {
+  const lines = content.split(/\r?\n/).map((line, index) => ({ line, number: index + 1 })).filter(item => item.line.trim());
+  if (lines.length === 0) return [];
+
+  const delimiter = lines[0].line.includes(';') ? ';' : ',';
+  const first = splitLine(lines[0].line, delimiter);
+  let columns = { kode: 0, nama: 1 };
+  if (!normalizeKode(first[0])) {
+    columns = {};
+    for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+      const index = first.findIndex(name => aliases.includes(name.toLowerCase()));
+      if (index === -1) throw new Error(`CSV header must contain a ${column} column (${aliases.join('/')})`);
+      columns[column] = index;
+    }
+    lines.shift();
+  }
+
+  return lines.map(({ line, number }) => {
+    const values = splitLine(line, delimiter);
+    return { line: number, kode: values[columns.kode], nama: values[columns.nama] };
+  });
+}
+
+// Dump SQL: setiap tuple ('kode','nama'[, ...]) dalam INSERT ... VALUES diambil apa adanya
+function parseWilayahSql(content) {
+  const rows = [];
+  const tuple = /\(\s*'((?:[^'\\]|\\.|'')*)'\s*,\s*'((?:[^'\\]|\\.|'')*)'\s*(?:,[^)]*)?\)/g;
+  const unescape = value => value.replace(/''/g, "'").replace(/\\(.)/g, '$1');
+  let line = 1;
+  let position = 0;
+  let match;
+  while ((match = tuple.exec(content)) !== null) {
+    for (; position < match.index; position++) {
+      if (content[position] === '\n') line++;
+    }
+    rows.push({ line, kode: unescape(match[1]), nama: unescape(match[2]) });
+  }
+  return rows;
+}
+
+/**
+ * Validasi baris dataset: format kode, nama, duplikat dan keberadaan induk di dataset yang sama.
+ * @param {Array} rows - [{ line, kode, nama }]
+ * @param {object} [options] - { skipInvalid: buang baris tidak valid (beserta turunannya) alih-alih gagal }
+ * @returns {{ dataset: Map, errors: Array }} dataset kode -> nama
+ */
+function validateDataset(rows, { skipInvalid = false } = {}) {
+  const errors = [];
+  const candidates = new Map();
+  for (const row of rows) {
+    const kode = normalizeKode(row.kode);
+    const nama = String(row.nama || '').replace(/\s+/g, ' ').trim();
+    if (!kode) {
+      errors.push({ line: row.line, kode: row.kode, reason: 'invalid kode structure' });
+    } else if (!nama || nama.length > 100) {
+      errors.push({ line: row.line, kode, reason: nama ? 'nama longer than 100 characters' : 'nama is required' });
+    } else if (candidates.has(kode)) {
+      if (candidates.get(kode).nama !== nama) {
+        errors.push({ line: row.line, kode, reason: `duplicate kode with different nama (line ${candidates.get(kode).line})` });
+      }
+    } else {
+      candidates.set(kode, { line: row.line, nama });
+    }
+  }
+
+  // Induk dicek dari level atas ke bawah agar turunan dari baris yang dibuang ikut terdeteksi
+  const dataset = new Map();
+  const sorted = [...candidates.entries()].sort((a, b) => a[0].length - b[0].length || a[0].localeCompare(b[0]));
+  for (const [kode, { line, nama }] of sorted) {
+    const parent = kode.split('.').slice(0, -1).join('.');
+    if (parent && !dataset.has(parent)) {
+      errors.push({ line, kode, reason: `parent ${parent} not found in dataset` });
+      continue;
+    }
+    dataset.set(kode, nama);
+  }
+
+  return { dataset: skipInvalid || errors.length === 0 ? dataset : new Map(), errors };
+}
+
+// Bandingkan dataset lama dan baru (Map kode -> nama)
+function diffDatasets(current, next) {
+  const diff = { added: [], renamed: [], removed: [] };
+  for (const [kode, nama] of next) {
+    if (!current.has(kode)) diff.added.push({ kode, nama });
+    else if (current.get(kode) !== nama) diff.renamed.push({ kode, old_nama: current.get(kode), nama });
+  }
+  for (const [kode, nama] of current) {
+    if (!next.has(kode)) diff.removed.push({ kode, nama });
+  }
+  for (const list of Object.values(diff)) list.sort((a, b) => a.kode.localeCompare(b.kode));
+  return diff;
+}
+
+function summarizeDiff(diff, sampleSize = REPORT_SAMPLE_SIZE) {
+  return {
+    counts: { added: diff.added.length, renamed: diff.renamed.length, removed: diff.removed.length },
+    added: diff.added.slice(0, sampleSize),
+    renamed: diff.renamed.slice(0, sampleSize),
+    removed: diff.removed.slice(0, sampleSize)
+  };
+}
+
+// Terapkan diff dalam satu transaksi; isi tabel lama dicatat sebagai versi baseline bila belum ada versi
+async function applyDataset(db, { version, source, notes, importedBy }, current, next, diff) {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const wilayahModel = new Wilayah(connection);
+    const versionModel = new WilayahVersion(connection);
+
+    let baseline = null;
+    if (current.size > 0 && await versionModel.count() === 0) {
+      baseline = await versionModel.create({
+        version: BASELINE_VERSION,
+        source: 'tabel wilayah sebelum impor versi pertama',
+        total_codes: current.size,
+        added: current.size,
+        imported_by: importedBy
+      });
+      await versionModel.openHistory([...current].map(([kode, nama]) => ({ kode, nama })), baseline.id);
+    }
+
+    const created = await versionModel.create({
+      version,
+      source,
+      notes,
+      total_codes: next.size,
+      added: diff.added.length,
+      renamed: diff.renamed.length,
+      removed: diff.removed.length,
+      imported_by: importedBy
+    });
+
+    const closed = [...diff.renamed, ...diff.removed].map(item => item.kode);
+    await versionModel.closeHistory(closed, created.id);
+    await versionModel.openHistory([...diff.added, ...diff.renamed], created.id);
+
+    await wilayahModel.deleteMany(diff.removed.map(item => item.kode));
+    for (const item of diff.renamed) await wilayahModel.rename(item.kode, item.nama);
+    await wilayahModel.insertMany(diff.added);
+
+    await connection.commit();
+    return { version: created, baseline };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Impor dataset wilayah sebagai versi baru.
+ * @param {object} db - pool database
+ * @param {string} content - isi file CSV atau SQL
+ * @param {object} options - { version, format: 'csv'|'sql', source, notes, importedBy, dryRun, skipInvalid, force, includeDiff }
+ * @returns {Promise<object>} laporan impor, atau { error, status, errors? } bila ditolak
+ */
+async function importWilayah(db, content, options = {}) {
+  const version = String(options.version || '').trim();
+  if (!VERSION_PATTERN.test(version)) {
+    return { error: 'version is required (letters, digits, dot, dash or underscore; max 50 characters)', status: 400 };
+  }
+  if (version === BASELINE_VERSION) {
+    return { error: `version "${BASELINE_VERSION}" is reserved`, status: 400 };
+  }
+  const format = options.format || 'csv';
+  if (!['csv', 'sql'].includes(format)) return { error: 'format must be csv or sql', status: 400 };
+
+  const versionModel = new WilayahVersion(db);
+  if (await versionModel.getByVersion(version)) {
+    return { error: `Version ${version} has already been imported`, status: 409 };
+  }
+
+  let rows;
+  try {
+    rows = format === 'sql' ? parseWilayahSql(content) : parseWilayahCsv(content);
+  } catch (error) {
+    return { error: error.message, status: 400 };
+  }
+  if (rows.length === 0) return { error: 'Dataset contains no kode,nama rows', status: 400 };
+
+  const { dataset, errors } = validateDataset(rows, { skipInvalid: options.skipInvalid });
+  if (dataset.size === 0) {
+    return { error: 'Dataset failed validation', status: 400, errors: errors.slice(0, REPORT_SAMPLE_SIZE), error_count: errors.length };
+  }
+
+  const current = new Map((await new Wilayah(db).getAllNames()).map(row => [row.kode, row.nama]));
+  const diff = diffDatasets(current, dataset);
+  if (!options.force && current.size > 0 && diff.removed.length / current.size > MAX_REMOVED_RATIO) {
+    return {
+      error: `Dataset would remove ${diff.removed.length} of ${current.size} codes; this looks like a partial file (use force to apply anyway)`,
+      status: 400
+    };
+  }
+
+  const report = {
+    version,
+    format,
+    dry_run: Boolean(options.dryRun),
+    total_rows: rows.length,
+    total_codes: dataset.size,
+    skipped: errors.length,
+    errors: errors.slice(0, REPORT_SAMPLE_SIZE),
+    ...summarizeDiff(diff),
+    ...(options.includeDiff ? { diff } : {})
+  };
+  if (options.dryRun) return report;
+
+  const applied = await applyDataset(db, { ...options, version }, current, dataset, diff);
+  invalidateWilayahIndex();
+  return {
+    ...report,
+    baseline_created: Boolean(applied.baseline),
+    imported_at: applied.version.created_at
+  };
+}
+
+/**
+ * Laporan diff versi yang sudah diimpor, disusun dari baris riwayat yang dibuka/ditutup versi itu.
+ * @param {object} db - pool database
+ * @param {object} version - baris wilayah_versions
+ */
+async function getVersionChanges(db, version) {
+  const rows = await new WilayahVersion(db).getChangedRows(version.id);
+  const byKode = new Map();
+  for (const row of rows) {
+    if (!byKode.has(row.kode)) byKode.set(row.kode, {});
+    byKode.get(row.kode)[row.valid_from === version.id ? 'opened' : 'closed'] = row;
+  }
+
+  const diff = { added: [], renamed: [], removed: [] };
+  for (const [kode, { opened, closed }] of byKode) {
+    if (opened && closed) diff.renamed.push({ kode, old_nama: closed.nama, nama: opened.nama });
+    else if (opened) diff.added.push({ kode, nama: opened.nama });
+    else diff.removed.push({ kode, nama: closed.nama });
+  }
+  return diff;
+}
+
+async function importWilayahFile(db, filePath, options = {}) {
+  const format = options.format || (path.extname(filePath).toLowerCase() === '.sql' ? 'sql' : 'csv');
+  return importWilayah(db, fs.readFileSync(filePath, 'utf8'), { source: path.basename(filePath), ...options, format });
+}
+
+// Pakai PostgreSQL jika DATABASE_URL/SUPABASE_DB_URL di-set, selain itu MySQL
+async function connectDatabase() {
+  const pg = Boolean(process.env.DATABASE_URL || process.env.SUPABASE_DB_URL);
+  const { initDatabase } = require(pg ? '../config/supabase' : '../config/database');
+  const helper = require(pg ? './dbHelperPg' : './dbHelper');
+  const db = await initDatabase();
+  await helper.createWilayahTable(db);
+  await helper.createWilayahVersionsTable(db);
+  await helper.createWilayahHistoryTable(db);
+  return db;
+}
+
+async function main() {
+  require('dotenv').config();
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const option = name => {
+    const arg = args.find(item => item.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  if (!file || !option('version')) {
+    console.log('Usage: node utils/importWilayah.js <file.csv|file.sql> --version=<label> [--dry-run] [--skip-invalid] [--force] [--notes=...] [--report=diff.json]');
+    process.exit(1);
+  }
+
+  let db;
+  try {
+    db = await connectDatabase();
+    console.log(`🗺️  Importing wilayah dataset ${option('version')} from ${file}\n`);
+    const result = await importWilayahFile(db, file, {
+      version: option('version'),
+      notes: option('notes'),
+      format: option('format'),
+      importedBy: 'cli',
+      includeDiff: Boolean(option('report')),
+      dryRun: args.includes('--dry-run'),
+      skipInvalid: args.includes('--skip-invalid'),
+      force: args.includes('--force')
+    });
+
+    if (result.error) {
+      console.error(`❌ ${result.error}`);
+      (result.errors || []).slice(0, 20).forEach(e => console.log(`   - line ${e.line}: ${e.reason} (${e.kode})`));
+      process.exitCode = 1;
+      return;
+    }
+
+    const { added, renamed, removed } = result.counts;
+    console.log(`${result.dry_run ? '🔎 Dry run' : '✅ Imported'}: ${result.total_codes} codes, ${added} added, ${renamed} renamed, ${removed} removed, ${result.skipped} invalid rows skipped`);
+    result.renamed.slice(0, 20).forEach(item => console.log(`   ~ ${item.kode}: ${item.old_nama} -> ${item.nama}`));
+    result.removed.slice(0, 20).forEach(item => console.log(`   - ${item.kode}: ${item.nama}`));
+    if (option('report')) {
+      fs.writeFileSync(option('report'), JSON.stringify(result.diff, null, 2));
+      console.log(`📝 Diff report written to ${option('report')}`);
+    }
+  } catch (error) {
+    console.error('❌ Wilayah import failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (db && db.end) await db.end();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  BASELINE_VERSION,
+  parseWilayahCsv,
+  parseWilayahSql,
+  validateDataset,
+  diffDatasets,
+  importWilayah,
+  importWilayahFile,
+  getVersionChanges
+};
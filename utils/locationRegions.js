@@ -0,0 +1,148 @@
+// Petakan hasil geolokasi IP (kode ISO/nama provinsi, nama kota, koordinat) ke kode wilayah Kemendagri
+// dan ID provinsi/kota Badan Pangan, agar frontend bisa langsung memilih harga dan cuaca lokal
+const Wilayah = require('../models/Wilayah');
+const PanganRegion = require('../models/PanganRegion');
+const { rankWilayah } = require('./wilayahSearch');
+const { reverseGeocode } = require('./reverseGeocoder');
+const { isValidCoordinate } = require('./geoUtils');
+
+// Skor minimum rankWilayah agar nama dari provider dianggap cocok
+const MIN_MATCH_SCORE = 0.7;
+
+// Kode subdivisi ISO 3166-2:ID (geoip-lite, header Vercel) -> kode provinsi Kemendagri
+const ISO_PROVINCE_CODES = {
+  AC: '11', SU: '12', SB: '13', RI: '14', JA: '15', SS: '16', BE: '17', LA: '18', BB: '19', KR: '21',
+  JK: '31', JB: '32', JT: '33', YO: '34', JI: '35', BT: '36',
+  BA: '51', NB: '52', NT: '53',
+  KB: '61', KT: '62', KS: '63', KI: '64', KU: '65',
+  SA: '71', ST: '72', SN: '73', SG: '74', GO: '75', SR: '76',
+  MA: '81', MU: '82',
+  PA: '91', PB: '92', PS: '93', PT: '94', PE: '95', PD: '96'
+};
+
+const ENGLISH_DIRECTIONS = {
+  north: 'utara',
+  south: 'selatan',
+  east: 'timur',
+  west: 'barat',
+  central: 'tengah',
+  southeast: 'tenggara',
+  southwest: 'barat daya',
+  highland: 'pegunungan'
+};
+const ENGLISH_ISLANDS = { java: 'jawa', sumatra: 'sumatera' };
+
+// Nama wilayah berbahasa Inggris dari provider -> penulisan Kemendagri, mis. "East Java" -> "jawa timur",
+// "South Jakarta" -> "jakarta selatan", "Riau Islands" -> "kepulauan riau", "Special Region of Yogyakarta" -> "di yogyakarta"
+function translateRegionName(name) {
+  let value = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()
+    .replace(/\bprovince\b/g, '')
+    .replace(/^special capital region of /, 'dki ')
+    .replace(/^special region of /, 'di ')
+    .trim()
+    .replace(/^(.+) islands$/, 'kepulauan $1');
+  const match = value.match(/^(north|south|east|west|central|southeast|southwest|highland) (.+)$/);
+  if (match) value = `${ENGLISH_ISLANDS[match[2]] || match[2]} ${ENGLISH_DIRECTIONS[match[1]]}`;
+  return value;
+}
+
+function isIndonesia(country) {
+  const value = String(country || '').trim().toLowerCase();
+  return value === 'id' || value === 'idn' || value === 'indonesia';
+}
+
+function matchProvince(provinces, { regionCode, province }) {
+  const code = ISO_PROVINCE_CODES[String(regionCode || '').toUpperCase().replace(/^ID-/, '')];
+  const byCode = code && provinces.find(row => row.kode === code);
+  if (byCode) return { row: byCode, method: 'iso_code' };
+
+  if (!province) return null;
+  const [best] = rankWilayah(provinces, translateRegionName(province), { limit: 1 });
+  return best && best.score >= MIN_MATCH_SCORE ? { row: best, method: 'name' } : null;
+}
+
+// Nama kota dari provider biasanya kota (Malang = Kota Malang); tanpa padanan kota, kabupaten tetap terpilih
+function matchKabKota(kabKota, city) {
+  if (!city) return null;
+  const name = translateRegionName(city);
+  const query = /^(kab|kabupaten|kota)\b/.test(name) ? name : `Kota ${name}`;
+  const [best] = rankWilayah(kabKota, query, { limit: 1 });
+  return best && best.score >= MIN_MATCH_SCORE ? { row: best, method: 'name' } : null;
+}
+
+/**
+ * Cari kode wilayah dan ID Badan Pangan untuk hasil geolokasi.
+ * @param {object} db - pool database
+ * @param {object} location - { country, regionCode, province, city, lat, lon }
+ * @returns {Promise<object|null>} { wilayah: { provinsi, kabkota }, pangan: { province_id, city_id } } atau null di luar Indonesia
+ */
+async function resolveLocationRegions(db, location) {
+  if (!isIndonesia(location.country)) return null;
+  const wilayahModel = new Wilayah(db);
+
+  const provinces = await wilayahModel.getProvinsi();
+  let province = matchProvince(provinces, location);
+  let kabKota = province ? matchKabKota(await wilayahModel.getKabKota(province.row.kode), location.city) : null;
+
+  // Nama tidak cocok: pakai koordinat provider (akurasi IP setingkat kota, jadi hanya dipakai sampai kab/kota)
+  const lat = parseFloat(location.lat);
+  const lon = parseFloat(location.lon);
+  if (!kabKota && isValidCoordinate(lat, lon)) {
+    const nearest = await reverseGeocode(db, lat, lon);
+    const [provCode, kabCode] = nearest ? nearest.kode.split('.') : [];
+    if (nearest && (!province || province.row.kode === provCode)) {
+      province = province || { row: provinces.find(row => row.kode === provCode), method: 'coordinates' };
+      const row = (await wilayahModel.getKabKota(provCode)).find(item => item.kode === `${provCode}.${kabCode}`);
+      if (row) kabKota = { row, method: 'coordinates' };
+    }
+  }
+  if (province && !province.row) province = null;
+
+  const regionModel = new PanganRegion(db);
+  const provinceMap = province ? await regionModel.findByWilayahKode(province.row.kode) : null;
+  const cityMap = kabKota ? await regionModel.findByWilayahKode(kabKota.row.kode) : null;
+
+  return {
+    wilayah: {
+      provinsi: province ? { kode: province.row.kode, nama: province.row.nama, match: province.method } : null,
+      kabkota: kabKota ? { kode: kabKota.row.kode, nama: kabKota.row.nama, match: kabKota.method } : null
+    },
+    pangan: {
+      province_id: cityMap?.pangan_province_id || provinceMap?.pangan_province_id || null,
+      city_id: cityMap?.pangan_city_id || null
+    }
+  };
+}
+
+// Ambil negara/provinsi/kota/koordinat dari Feature hasil utils/geolocation
+function locationFromFeature(feature) {
+  const { country, region } = feature.properties || {};
+  const [lon, lat] = feature.geometry?.coordinates || [];
+  return {
+    country: country?.code,
+    regionCode: region?.state_code,
+    province: region?.state_prov,
+    city: region?.city,
+    lat,
+    lon
+  };
+}
+
+// Tambahkan properties.wilayah dan properties.pangan ke Feature /location.
+// Kegagalan DB tidak boleh menggagalkan respons geolokasi, jadi error hanya dicatat.
+async function attachLocationRegions(db, feature) {
+  try {
+    const regions = await resolveLocationRegions(db, locationFromFeature(feature));
+    if (regions) Object.assign(feature.properties, regions);
+  } catch (error) {
+    console.error('Error resolving location regions:', error.message);
+  }
+  return feature;
+}
+
+module.exports = {
+  ISO_PROVINCE_CODES,
+  translateRegionName,
+  resolveLocationRegions,
+  attachLocationRegions
+};
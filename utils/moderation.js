@@ -0,0 +1,256 @@
+// Moderasi post dan komentar yang dikirim publik.
+// Aturan auto-moderasi disimpan di tabel moderation_rules (bisa diubah admin); bila tabel masih
+// kosong dipakai DEFAULT_MODERATION_RULES. Konten yang tidak memicu aturan apa pun mendapat
+// MODERATION_DEFAULT_STATUS: approved (langsung tayang) atau pending (semua ditinjau admin dulu).
+// Kiriman juga melewati pipeline filter konten (utils/contentFilter); status yang paling ketat yang dipakai.
+const ModerationRule = require('../models/ModerationRule');
+const ModerationQueue = require('../models/ModerationQueue');
+const { runContentFilters, saveVerdict } = require('./contentFilter');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected', 'flagged'];
+const CONTENT_TYPES = ['post', 'comment'];
+// Aksi aturan dari yang paling ringan; bila beberapa aturan cocok dipakai yang terberat
+const RULE_ACTIONS = ['pending', 'flagged', 'rejected'];
+// Urutan keketatan status untuk menggabungkan hasil aturan dan filter konten
+const STATUS_SEVERITY = ['approved', 'pending', 'flagged', 'rejected'];
+
+// Metrik yang bisa dipakai di kondisi aturan
+const MODERATION_METRICS = {
+  length: 'jumlah karakter judul + isi',
+  link_count: 'jumlah tautan (http://, https://, www.)',
+  image_count: 'jumlah gambar yang diunggah',
+  uppercase_ratio: 'rasio huruf kapital terhadap semua huruf (0-1)',
+  author_approved: 'jumlah post/komentar penulis yang sudah disetujui',
+  author_rejected: 'jumlah post/komentar penulis yang pernah ditolak'
+};
+const OPERATORS = ['lt', 'lte', 'gt', 'gte', 'eq', 'neq', 'between'];
+
+const DEFAULT_STATUS = process.env.MODERATION_DEFAULT_STATUS === 'pending' ? 'pending' : 'approved';
+
+const RULES_CACHE_TTL = 5 * 60 * 1000;
+let rulesCache = { rules: null, source: null, expiresAt: 0 };
+
+// Aturan bawaan; dipakai bila tabel kosong dan sebagai isi POST /moderation/rules/seed
+const DEFAULT_MODERATION_RULES = [
+  {
+    code: 'banyak-tautan',
+    content_type: 'all',
+    action: 'pending',
+    reason: 'Berisi lebih dari 2 tautan',
+    conditions: [
+      { metric: 'link_count', op: 'gt', value: 2 }
+    ]
+  },
+  {
+    code: 'penulis-baru-bertautan',
+    content_type: 'all',
+    action: 'pending',
+    reason: 'Penulis baru mengirim tautan',
+    conditions: [
+      { metric: 'author_approved', op: 'eq', value: 0 },
+      { metric: 'link_count', op: 'gte', value: 1 }
+    ]
+  },
+  {
+    code: 'huruf-kapital',
+    content_type: 'all',
+    action: 'flagged',
+    reason: 'Sebagian besar teks ditulis dengan huruf kapital',
+    conditions: [
+      { metric: 'length', op: 'gte', value: 20 },
+      { metric: 'uppercase_ratio', op: 'gt', value: 0.7 }
+    ]
+  },
+  {
+    code: 'penulis-sering-ditolak',
+    content_type: 'all',
+    action: 'pending',
+    reason: 'Penulis memiliki 3 atau lebih kiriman yang ditolak',
+    conditions: [
+      { metric: 'author_rejected', op: 'gte', value: 3 }
+    ]
+  }
+];
+
+function countLinks(text) {
+  return (text.match(/(https?:\/\/|www\.)\S+/gi) || []).length;
+}
+
+function uppercaseRatio(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+  if (letters.length === 0) return 0;
+  const upper = letters.filter(ch => ch !== ch.toLowerCase()).length;
+  return Math.round((upper / letters.length) * 100) / 100;
+}
+
+function compare(value, op, threshold) {
+  if (value === null || value === undefined) return false;
+  switch (op) {
+    case 'lt': return value < threshold;
+    case 'lte': return value <= threshold;
+    case 'gt': return value > threshold;
+    case 'gte': return value >= threshold;
+    case 'eq': return value === threshold;
+    case 'neq': return value !== threshold;
+    case 'between': return value >= threshold[0] && value <= threshold[1];
+    default: return false;
+  }
+}
+
+function usesAuthorMetrics(rules) {
+  return rules.some(rule => rule.conditions.some(condition => condition.metric.startsWith('author_')));
+}
+
+/**
+ * Tentukan status moderasi untuk kiriman baru.
+ * @param {object} db
+ * @param {object} submission
+ * @param {string} submission.type - post | comment
+ * @param {string} submission.author
+ * @param {string} [submission.title]
+ * @param {string} submission.content
+ * @param {number} [submission.imageCount]
+ * @returns {Promise<{status: string, reason: string|null, matched: object[], metrics: object}>}
+ */
+async function evaluateModeration(db, { type, author, title = '', content, imageCount = 0 }) {
+  const { rules } = await loadRules(db);
+  const applicable = rules.filter(rule => rule.content_type === 'all' || rule.content_type === type);
+
+  const text = `${title || ''} ${content || ''}`.trim();
+  const metrics = {
+    length: text.length,
+    link_count: countLinks(text),
+    image_count: imageCount,
+    uppercase_ratio: uppercaseRatio(text)
+  };
+  // Riwayat penulis hanya di-query bila ada aturan yang memakainya
+  if (usesAuthorMetrics(applicable)) {
+    const stats = await new ModerationQueue(db).getAuthorStats(author);
+    metrics.author_approved = stats.approved || 0;
+    metrics.author_rejected = stats.rejected || 0;
+  }
+
+  const matched = applicable
+    .filter(rule => rule.conditions.every(condition => compare(metrics[condition.metric], condition.op, condition.value)))
+    .map(rule => ({ code: rule.code, action: rule.action, reason: rule.reason }));
+
+  if (matched.length === 0) {
+    return { status: DEFAULT_STATUS, reason: null, matched, metrics };
+  }
+  const status = matched.reduce(
+    (worst, rule) => (RULE_ACTIONS.indexOf(rule.action) > RULE_ACTIONS.indexOf(worst) ? rule.action : worst),
+    RULE_ACTIONS[0]
+  );
+  return { status, reason: matched.map(rule => rule.reason).join('; ').slice(0, 500), matched, metrics };
+}
+
+function strictestStatus(...statuses) {
+  return statuses.reduce((worst, status) => (STATUS_SEVERITY.indexOf(status) > STATUS_SEVERITY.indexOf(worst) ? status : worst));
+}
+
+/**
+ * Moderasi kiriman publik: pipeline filter konten lalu aturan auto-moderasi.
+ * Kiriman yang melewati batas kiriman per fingerprint langsung dicatat dan tidak boleh disimpan.
+ * @param {object} db
+ * @param {object} submission - { type, author, title, content, imageCount }
+ * @param {object} clientInfo - hasil getClientInfo (utils/clientInfo)
+ * @returns {Promise<{status?: string, reason?: string|null, verdict: object, throttle?: {retryAfter: number}}>}
+ */
+async function moderateSubmission(db, submission, clientInfo) {
+  const verdict = await runContentFilters(db, submission, clientInfo);
+  if (verdict.throttle) {
+    await saveVerdict(db, verdict, { type: submission.type, author: submission.author, clientInfo });
+    return { throttle: verdict.throttle, verdict };
+  }
+
+  const moderation = await evaluateModeration(db, submission);
+  return {
+    status: strictestStatus(moderation.status, verdict.status),
+    reason: [moderation.reason, verdict.reason].filter(Boolean).join('; ').slice(0, 500) || null,
+    verdict
+  };
+}
+
+// Validasi dan normalisasi body aturan (create/update)
+function validateRule(body, { partial = false } = {}) {
+  const data = {};
+  if (body.code !== undefined || !partial) {
+    const code = (body.code || '').toString().trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{1,59}$/.test(code)) return { error: 'code must be 2-60 characters of a-z, 0-9 or -' };
+    data.code = code;
+  }
+  if (body.content_type !== undefined || !partial) {
+    data.content_type = body.content_type || 'all';
+    if (![...CONTENT_TYPES, 'all'].includes(data.content_type)) {
+      return { error: 'content_type must be one of: all, post, comment' };
+    }
+  }
+  if (body.action !== undefined || !partial) {
+    data.action = body.action || 'pending';
+    if (!RULE_ACTIONS.includes(data.action)) {
+      return { error: `action must be one of: ${RULE_ACTIONS.join(', ')}` };
+    }
+  }
+  if (body.reason !== undefined || !partial) {
+    const reason = (body.reason || '').toString().trim();
+    if (!reason || reason.length > 255) return { error: 'reason is required (max 255 characters)' };
+    data.reason = reason;
+  }
+  if (body.conditions !== undefined || !partial) {
+    if (!Array.isArray(body.conditions) || body.conditions.length === 0) {
+      return { error: 'conditions must be a non-empty array' };
+    }
+    for (const condition of body.conditions) {
+      if (!condition || !(condition.metric in MODERATION_METRICS)) {
+        return { error: `metric must be one of: ${Object.keys(MODERATION_METRICS).join(', ')}` };
+      }
+      if (!OPERATORS.includes(condition.op)) {
+        return { error: `op must be one of: ${OPERATORS.join(', ')}` };
+      }
+      const { value, op } = condition;
+      const validValue = op === 'between'
+        ? Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] <= value[1]
+        : Number.isFinite(value);
+      if (!validValue) {
+        return { error: `invalid value for ${condition.metric} ${op}` };
+      }
+    }
+    data.conditions = body.conditions.map(({ metric, op, value }) => ({ metric, op, value }));
+  }
+  if (body.sort_order !== undefined) data.sort_order = parseInt(body.sort_order, 10) || 0;
+  if (body.is_active !== undefined) data.is_active = Boolean(body.is_active);
+  return { data };
+}
+
+// Aturan aktif dari DB (cache 5 menit); tabel kosong = aturan bawaan
+async function loadRules(db, { refresh = false } = {}) {
+  if (!refresh && rulesCache.rules && rulesCache.expiresAt > Date.now()) {
+    return { rules: rulesCache.rules, source: rulesCache.source };
+  }
+  const model = new ModerationRule(db);
+  const useDefaults = (await model.count()) === 0;
+  const rules = useDefaults
+    ? DEFAULT_MODERATION_RULES.map((rule, index) => ({ ...rule, sort_order: index + 1, is_active: true }))
+    : await model.getAll({ activeOnly: true });
+  rulesCache = { rules, source: useDefaults ? 'default' : 'database', expiresAt: Date.now() + RULES_CACHE_TTL };
+  return { rules, source: rulesCache.source };
+}
+
+function invalidateRules() {
+  rulesCache = { rules: null, source: null, expiresAt: 0 };
+}
+
+module.exports = {
+  MODERATION_STATUSES,
+  CONTENT_TYPES,
+  RULE_ACTIONS,
+  MODERATION_METRICS,
+  DEFAULT_MODERATION_RULES,
+  DEFAULT_STATUS,
+  evaluateModeration,
+  strictestStatus,
+  moderateSubmission,
+  validateRule,
+  loadRules,
+  invalidateRules
+};
@@ -0,0 +1,182 @@
+// Kanal pengiriman notifikasi watchlist. Kanal baru cukup didaftarkan lewat registerChannel:
+//   registerChannel('nama', {
+//     validateTarget(target) -> string|null (boleh async),
+//     send(notification, watchlist) -> Promise,
+//     requiresAccount: true   // hanya untuk pemilik admin, bukan client anonim
+//     sendConfirmation(target, code) -> Promise   // target baru harus dikonfirmasi sebelum dikirimi notifikasi
+//   })
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+
+const WEBHOOK_TIMEOUT = parseInt(process.env.WATCHLIST_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Alamat yang tidak boleh dituju webhook: loopback, jaringan privat, link-local (termasuk metadata cloud),
+// CGNAT, multicast dan rentang reserved/dokumentasi
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+const channels = new Map();
+let mailTransport = null;
+
+function registerChannel(name, channel) {
+  channels.set(name, channel);
+}
+
+function getChannel(name) {
+  return channels.get(name) || null;
+}
+
+function listChannels() {
+  return [...channels.keys()];
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family !== 6) return true;
+  // IPv4-mapped (::ffff:a.b.c.d) dicek sebagai IPv4
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  if (/^::ffff:/i.test(address)) return true;
+  return BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+// Resolve host webhook; error bila ada alamat yang mengarah ke jaringan internal
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true, verbatim: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new Error(`Webhook host ${hostname} resolves to a private or reserved address`);
+  }
+}
+
+// lookup untuk agent HTTP: alamat dicek lagi saat koneksi dibuat agar DNS rebinding tidak bisa melewati validasi
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private or reserved address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookHttpAgent = new http.Agent({ lookup: publicLookup });
+const webhookHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+// SMTP dari env; untuk lokal bisa diarahkan ke stub seperti MailHog (SMTP_HOST=localhost SMTP_PORT=1025)
+function getMailTransport() {
+  if (!mailTransport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not configured');
+    }
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return mailTransport;
+}
+
+// In-app feed: notifikasi cukup tersimpan di tabel dan dibaca lewat GET /pangan/watchlists/notifications
+registerChannel('feed', {
+  validateTarget() {
+    return null;
+  },
+  async send() {}
+});
+
+registerChannel('webhook', {
+  requiresAccount: true,
+  async validateTarget(target) {
+    let url;
+    try {
+      url = new URL(target);
+    } catch (error) {
+      return 'target must be a valid webhook URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'target must be an http(s) URL';
+    try {
+      await assertPublicHost(url.hostname);
+    } catch (error) {
+      return 'target must resolve to a public address';
+    }
+    return null;
+  },
+  async send(notification, watchlist) {
+    // Host berupa IP literal tidak melewati lookup agent, jadi dicek di sini
+    await assertPublicHost(new URL(watchlist.target).hostname);
+    await axios.post(watchlist.target, {
+      event: 'pangan.watchlist.triggered',
+      notification,
+      watchlist: {
+        id: watchlist.id,
+        commodity_id: watchlist.commodity_id,
+        commodity_name: watchlist.commodity_name,
+        region_kode: watchlist.region_kode,
+        direction: watchlist.direction,
+        threshold: watchlist.threshold
+      }
+    }, {
+      timeout: WEBHOOK_TIMEOUT,
+      maxRedirects: 0,
+      proxy: false,
+      httpAgent: webhookHttpAgent,
+      httpsAgent: webhookHttpsAgent
+    });
+  }
+});
+
+registerChannel('email', {
+  requiresAccount: true,
+  validateTarget(target) {
+    return EMAIL_PATTERN.test(target || '') ? null : 'target must be a valid email address';
+  },
+  async sendConfirmation(target, code) {
+    await getMailTransport().sendMail({
+      from: process.env.SMTP_FROM || 'Pangan Jawara <no-reply@panganjawara.id>',
+      to: target,
+      subject: 'Konfirmasi alamat email watchlist harga',
+      text: `Kode konfirmasi watchlist harga Pangan Jawara: ${code}\n\n` +
+        'Abaikan email ini bila Anda tidak mendaftarkan alamat ini.'
+    });
+  },
+  async send(notification, watchlist) {
+    await getMailTransport().sendMail({
+      from: process.env.SMTP_FROM || 'Pangan Jawara <no-reply@panganjawara.id>',
+      to: watchlist.target,
+      subject: `Peringatan harga ${notification.commodity_name}`,
+      text: notification.message
+    });
+  }
+});
+
+module.exports = {
+  registerChannel,
+  getChannel,
+  listChannels,
+  isBlockedAddress
+};
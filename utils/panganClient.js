@@ -0,0 +1,266 @@
+// Client untuk API panel harga Badan Pangan
+// Dipakai bersama oleh routes/pangan.js dan collector harga (cron)
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const CircuitBreaker = require('./circuitBreaker');
+const { UpstreamCache, createDiskStore, createDbStore } = require('./upstreamCache');
+
+const API_BASE = 'https://api-panelhargav2.badanpangan.go.id/api';
+const DEFAULT_HEADERS = {
+  'Accept': 'application/json, text/plain, */*',
+  'Accept-Language': 'id-ID,id;q=0.9,en-US;q=0.8,en;q=0.7',
+  'Cache-Control': 'no-cache',
+  'Pragma': 'no-cache',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+  'Sec-Ch-Ua': '"Chromium";v="121", "Not A(Brand";v="99", "Google Chrome";v="121"',
+  'Sec-Ch-Ua-Mobile': '?0',
+  'Sec-Ch-Ua-Platform': '"Windows"',
+  'Sec-Fetch-Dest': 'empty',
+  'Sec-Fetch-Mode': 'cors',
+  'Sec-Fetch-Site': 'same-origin',
+  'Origin': process.env.PANGAN_ORIGIN || 'https://panelharga.badanpangan.go.id',
+  'Referer': process.env.PANGAN_REFERER || 'https://panelharga.badanpangan.go.id/'
+};
+
+const REQUEST_TIMEOUT = parseInt(process.env.PANGAN_API_TIMEOUT_MS, 10) || 15000;
+const DEFAULT_CACHE_TTL = parseInt(process.env.PANGAN_CACHE_TTL_MS, 10) || 5 * 60 * 1000; // 5 minutes
+const PRICE_CACHE_TTL = parseInt(process.env.PANGAN_PRICE_CACHE_TTL_MS, 10) || 60 * 1000; // 1 minute
+// Jumlah request paralel saat fan-out ke banyak wilayah (compare, geojson)
+const FANOUT_CONCURRENCY = parseInt(process.env.PANGAN_FANOUT_CONCURRENCY, 10) || 5;
+const DEFAULT_LEVEL_HARGA_ID = process.env.PANGAN_DEFAULT_LEVEL_HARGA_ID || '3';
+
+// Retry dengan exponential backoff + full jitter untuk error jaringan, timeout, 429 dan 5xx
+// PANGAN_RETRY_ATTEMPTS=0 mematikan retry; hanya nilai kosong/tidak valid yang memakai default
+const parsedRetryAttempts = parseInt(process.env.PANGAN_RETRY_ATTEMPTS, 10);
+const RETRY_ATTEMPTS = Number.isNaN(parsedRetryAttempts) ? 2 : Math.max(parsedRetryAttempts, 0);
+const RETRY_BASE_DELAY_MS = parseInt(process.env.PANGAN_RETRY_BASE_DELAY_MS, 10) || 300;
+const RETRY_MAX_DELAY_MS = 5000;
+// memory | disk | db
+const CACHE_STORE = (process.env.PANGAN_CACHE_STORE || 'memory').toLowerCase();
+const CACHE_DIR = process.env.PANGAN_CACHE_DIR || path.join(os.tmpdir(), 'pangan-cache');
+
+const breaker = new CircuitBreaker({
+  name: 'badanpangan',
+  threshold: parseInt(process.env.PANGAN_BREAKER_THRESHOLD, 10) || 5,
+  cooldownMs: parseInt(process.env.PANGAN_BREAKER_COOLDOWN_MS, 10) || 30000
+});
+
+const cache = new UpstreamCache({
+  staleTtl: parseInt(process.env.PANGAN_STALE_TTL_MS, 10) || 10 * 60 * 1000,
+  staleIfErrorTtl: parseInt(process.env.PANGAN_STALE_IF_ERROR_MS, 10) || 24 * 60 * 60 * 1000
+});
+
+// Request identik yang sedang berjalan, supaya request paralel cukup satu kali ke upstream
+const inflight = new Map();
+
+function createKeyFromParams(params) {
+  return JSON.stringify(Object.keys(params).sort().reduce((acc, key) => {
+    acc[key] = params[key];
+    return acc;
+  }, {}));
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function circuitOpenError() {
+  const error = new Error('Badan Pangan API sedang tidak tersedia (circuit open)');
+  error.code = 'CIRCUIT_OPEN';
+  error.retryAfter = breaker.retryAfterSeconds;
+  return error;
+}
+
+async function requestWithRetry(pathname, params) {
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.canRequest()) throw circuitOpenError();
+    try {
+      const response = await axios.get(`${API_BASE}${pathname}`, {
+        params,
+        headers: DEFAULT_HEADERS,
+        timeout: REQUEST_TIMEOUT
+      });
+      breaker.recordSuccess();
+      return response.data;
+    } catch (error) {
+      // 4xx berarti upstream hidup tapi request salah; jangan di-retry atau dihitung gagal
+      if (!isRetryable(error)) {
+        breaker.recordSuccess();
+        throw error;
+      }
+      breaker.recordFailure();
+      if (attempt >= RETRY_ATTEMPTS) throw error;
+      await sleep(Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * Math.pow(2, attempt)));
+    }
+  }
+}
+
+async function requestUpstream(pathname, params = {}) {
+  const key = `${pathname}?${createKeyFromParams(params)}`;
+  if (inflight.has(key)) return inflight.get(key);
+
+  const promise = requestWithRetry(pathname, params).finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
+
+async function fetchProvinces(search = '') {
+  const payload = await requestUpstream('/provinces', { search });
+  return payload?.data || [];
+}
+
+async function fetchCities(provinceId) {
+  const payload = await requestUpstream('/cities', { province_id: String(provinceId) });
+  return payload?.data?.data || [];
+}
+
+// params: URLSearchParams atau object (level_harga_id wajib, province_id/city_id opsional)
+async function fetchPrices(params) {
+  const query = params instanceof URLSearchParams ? Object.fromEntries(params) : params;
+  const payload = await requestUpstream('/front/harga-pangan-informasi', query);
+  return payload?.data || [];
+}
+
+// Aktifkan store persisten sesuai PANGAN_CACHE_STORE (dipanggil saat routes dibuat)
+function configurePersistentCache(db) {
+  if (cache.store) return;
+  if (CACHE_STORE === 'disk') {
+    cache.setStore(createDiskStore(CACHE_DIR));
+  } else if (CACHE_STORE === 'db' && db) {
+    cache.setStore(createDbStore(db));
+  }
+}
+
+// Versi ber-cache dari fetcher di atas; load* mengembalikan { data, status, fetchedAt }
+function loadProvinces(search = '') {
+  return cache.get(`provinces:${search}`, DEFAULT_CACHE_TTL, () => fetchProvinces(search));
+}
+
+function loadCities(provinceId) {
+  return cache.get(`cities:${provinceId}`, DEFAULT_CACHE_TTL, () => fetchCities(provinceId));
+}
+
+function loadPrices(params) {
+  return cache.get(`prices:${createKeyFromParams(params)}`, PRICE_CACHE_TTL, () => fetchPrices(params));
+}
+
+async function getCachedProvinces(search = '') {
+  return (await loadProvinces(search)).data;
+}
+
+async function getCachedCities(provinceId) {
+  return (await loadCities(provinceId)).data;
+}
+
+async function getCachedPrices(params) {
+  return (await loadPrices(params)).data;
+}
+
+function getUpstreamStatus() {
+  return {
+    circuit: breaker.getStatus(),
+    cache: { store: cache.store ? CACHE_STORE : 'memory', entries: cache.entries.size },
+    inflight: inflight.size
+  };
+}
+
+// Jalankan fn untuk tiap item dengan jumlah request paralel terbatas
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let index = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (index < items.length) {
+      const current = index++;
+      results[current] = await fn(items[current], current);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Tanggal (YYYY-MM-DD) menurut WIB, karena harga upstream dicatat per hari WIB
+function toWibDateKey(date = new Date()) {
+  return new Date(date.getTime() + 7 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function parsePrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (/^-?\d+(\.\d{1,2})?$/.test(String(value).trim())) return parseFloat(value);
+  // Upstream kadang mengirim string seperti "15.250" atau "Rp 15.250"
+  const cleaned = String(value).replace(/[^0-9,.-]/g, '').replace(/\./g, '').replace(',', '.');
+  const parsed = parseFloat(cleaned);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Ubah item mentah upstream menjadi baris snapshot yang seragam.
+// context: { province_id, city_id, region_name, region_level, level_harga_id }
+function normalizePriceItem(item, context) {
+  if (!item || typeof item !== 'object') return null;
+
+  const commodityId = item.commodity_id ?? item.komoditas_id ?? item.id;
+  const commodityName = item.name ?? item.commodity_name ?? item.komoditas ?? item.nama;
+  const price = parsePrice(item.today ?? item.harga ?? item.price ?? item.rata_rata);
+  if (commodityId === undefined || commodityId === null || !commodityName || price === null) {
+    return null;
+  }
+
+  const rawDate = item.today_date ?? item.tanggal ?? item.date;
+  const parsedDate = rawDate ? new Date(rawDate) : null;
+  const priceDate = parsedDate && !Number.isNaN(parsedDate.getTime())
+    ? String(rawDate).slice(0, 10)
+    : toWibDateKey();
+
+  return {
+    commodity_id: String(commodityId),
+    commodity_name: String(commodityName).trim(),
+    province_id: context.province_id ? String(context.province_id) : '',
+    city_id: context.city_id ? String(context.city_id) : '',
+    region_name: context.region_name || null,
+    region_level: context.region_level || 'nasional',
+    level_harga_id: String(context.level_harga_id),
+    price_date: priceDate,
+    price,
+    unit: item.satuan ?? item.unit ?? null
+  };
+}
+
+// Cari komoditas di daftar harga upstream berdasarkan ID atau nama (nama persis diutamakan)
+function findCommodity(items, commodity, context) {
+  const term = commodity.toLowerCase();
+  const normalized = items.map(item => normalizePriceItem(item, context)).filter(Boolean);
+  return normalized.find(item => item.commodity_id === commodity)
+    || normalized.find(item => item.commodity_name.toLowerCase() === term)
+    || normalized.find(item => item.commodity_name.toLowerCase().includes(term))
+    || null;
+}
+
+module.exports = {
+  API_BASE,
+  DEFAULT_HEADERS,
+  REQUEST_TIMEOUT,
+  FANOUT_CONCURRENCY,
+  DEFAULT_LEVEL_HARGA_ID,
+  fetchProvinces,
+  fetchCities,
+  fetchPrices,
+  configurePersistentCache,
+  loadProvinces,
+  loadCities,
+  loadPrices,
+  getCachedProvinces,
+  getCachedCities,
+  getCachedPrices,
+  mapWithConcurrency,
+  getUpstreamStatus,
+  toWibDateKey,
+  parsePrice,
+  normalizePriceItem,
+  findCommodity
+};
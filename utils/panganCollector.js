@@ -0,0 +1,109 @@
+// Collector snapshot harga pangan: ambil harga per provinsi/kab-kota/level harga
+// dari Badan Pangan lalu simpan ke tabel pangan_price_history
+const PriceHistory = require('../models/PriceHistory');
+const { fetchProvinces, fetchCities, fetchPrices, normalizePriceItem } = require('./panganClient');
+
+const COLLECT_DELAY_MS = parseInt(process.env.PANGAN_COLLECT_DELAY_MS, 10) || 250;
+
+function parseList(value, fallback = []) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  if (!value) return fallback;
+  return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Upstream memakai `nama` untuk wilayah, tapi beberapa endpoint memakai `name`
+function regionName(region) {
+  return region?.nama || region?.name || null;
+}
+
+async function buildTargets(options) {
+  const targets = [{ province_id: '', city_id: '', region_name: 'Nasional', region_level: 'nasional' }];
+
+  let provinces = await fetchProvinces();
+  if (options.provinceIds.length > 0) {
+    provinces = provinces.filter(p => options.provinceIds.includes(String(p.id)));
+  }
+
+  for (const province of provinces) {
+    targets.push({
+      province_id: String(province.id),
+      city_id: '',
+      region_name: regionName(province),
+      region_level: 'provinsi'
+    });
+
+    if (options.includeCities) {
+      const cities = await fetchCities(province.id);
+      for (const city of cities) {
+        targets.push({
+          province_id: String(province.id),
+          city_id: String(city.id),
+          region_name: regionName(city),
+          region_level: 'kabkota'
+        });
+      }
+      await sleep(options.delayMs);
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Kumpulkan snapshot harga untuk semua target wilayah dan level harga.
+ * @param {object} db - pool database (mysql2 atau wrapper pg)
+ * @param {object} [options]
+ * @param {string[]} [options.levels] - level_harga_id yang dikumpulkan (default env PANGAN_COLLECT_LEVELS atau '3')
+ * @param {string[]} [options.provinceIds] - batasi ke provinsi tertentu (default env PANGAN_COLLECT_PROVINCES, semua)
+ * @param {boolean} [options.includeCities] - ikut kumpulkan per kab/kota (default env PANGAN_COLLECT_CITIES)
+ * @returns {Promise<object>} ringkasan hasil koleksi
+ */
+async function collectPriceSnapshots(db, options = {}) {
+  const settings = {
+    levels: parseList(options.levels, parseList(process.env.PANGAN_COLLECT_LEVELS, ['3'])),
+    provinceIds: parseList(options.provinceIds, parseList(process.env.PANGAN_COLLECT_PROVINCES)),
+    includeCities: options.includeCities !== undefined
+      ? Boolean(options.includeCities)
+      : process.env.PANGAN_COLLECT_CITIES === 'true',
+    delayMs: options.delayMs !== undefined ? options.delayMs : COLLECT_DELAY_MS
+  };
+
+  const model = new PriceHistory(db);
+  const targets = await buildTargets(settings);
+  const summary = { targets: targets.length, levels: settings.levels, inserted: 0, updated: 0, skipped: 0, failed: [], snapshots: [] };
+
+  for (const target of targets) {
+    for (const level of settings.levels) {
+      const params = { level_harga_id: level };
+      if (target.province_id) params.province_id = target.province_id;
+      if (target.city_id) params.city_id = target.city_id;
+
+      try {
+        const items = await fetchPrices(params);
+        for (const item of items) {
+          const snapshot = normalizePriceItem(item, { ...target, level_harga_id: level });
+          if (!snapshot) {
+            summary.skipped++;
+            continue;
+          }
+          const result = await model.upsert(snapshot);
+          summary[result]++;
+          summary.snapshots.push(snapshot);
+        }
+      } catch (error) {
+        console.error(`[Pangan] collect failed for ${target.region_name} (level ${level}):`, error.message);
+        summary.failed.push({ ...params, region_name: target.region_name, error: error.message });
+      }
+
+      await sleep(settings.delayMs);
+    }
+  }
+
+  return summary;
+}
+
+module.exports = { collectPriceSnapshots };
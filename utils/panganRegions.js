@@ -0,0 +1,109 @@
+// Pencocokan wilayah Badan Pangan (ID internal) dengan kode wilayah Kemendagri
+const Wilayah = require('../models/Wilayah');
+const PanganRegion = require('../models/PanganRegion');
+const { getCachedProvinces, getCachedCities } = require('./panganClient');
+
+// Samakan penulisan nama wilayah, mis. "Kabupaten Aceh Selatan" -> "kab aceh selatan",
+// "Daerah Istimewa Yogyakarta" -> "di yogyakarta"
+function normalizeRegionName(name) {
+  return ` ${String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `
+    .replace(/ provinsi | prov /g, ' ')
+    .replace(/ kabupaten /g, ' kab ')
+    .replace(/ adm | administrasi /g, ' ')
+    .replace(/ kep /g, ' kepulauan ')
+    .replace(/ daerah istimewa /g, ' di ')
+    .replace(/ daerah khusus ibukota | daerah khusus /g, ' dki ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function stripRegionType(normalized) {
+  return normalized.replace(/^(kab|kota) /, '');
+}
+
+// Cari kandidat wilayah dengan nama yang sama; tanpa awalan kab/kota hanya jika hasilnya tunggal
+function matchRegion(name, candidates) {
+  const target = normalizeRegionName(name);
+  if (!target) return null;
+
+  const exact = candidates.filter(c => normalizeRegionName(c.nama) === target);
+  if (exact.length === 1) return exact[0];
+
+  const loose = candidates.filter(c => stripRegionType(normalizeRegionName(c.nama)) === stripRegionType(target));
+  return loose.length === 1 ? loose[0] : null;
+}
+
+function emptyReport() {
+  return { matched: 0, inserted: 0, updated: 0, skipped: 0, unmatched: [] };
+}
+
+/**
+ * Bangun tabel pangan_region_map dengan mencocokkan nama provinsi/kota Badan Pangan
+ * terhadap tabel wilayah. Pemetaan manual dipertahankan kecuali overwriteManual.
+ * @param {object} db - pool database
+ * @param {object} [options] - { includeCities, overwriteManual }
+ */
+async function syncRegionMappings(db, options = {}) {
+  const includeCities = options.includeCities !== false;
+  const overwriteManual = Boolean(options.overwriteManual);
+  const wilayahModel = new Wilayah(db);
+  const regionModel = new PanganRegion(db);
+  const report = { provinces: emptyReport(), cities: emptyReport() };
+
+  const provinces = await getCachedProvinces();
+  const wilayahProvinces = await wilayahModel.getProvinsi();
+  for (const province of provinces) {
+    const name = province.nama || province.name;
+    const match = matchRegion(name, wilayahProvinces);
+    if (!match) {
+      report.provinces.unmatched.push({ pangan_province_id: String(province.id), pangan_name: name });
+      continue;
+    }
+    report.provinces.matched++;
+    const result = await regionModel.upsert({
+      level: 'provinsi',
+      pangan_province_id: province.id,
+      pangan_name: name,
+      wilayah_kode: match.kode
+    }, { overwriteManual });
+    report.provinces[result]++;
+  }
+
+  if (!includeCities) return report;
+
+  // Kota dicocokkan per provinsi yang sudah terpetakan (termasuk pemetaan manual)
+  const mappedProvinces = await regionModel.getAll({ level: 'provinsi' });
+  for (const province of mappedProvinces) {
+    const cities = await getCachedCities(province.pangan_province_id);
+    const wilayahKabKota = await wilayahModel.getKabKota(province.wilayah_kode);
+    for (const city of cities) {
+      const name = city.nama || city.name;
+      const match = matchRegion(name, wilayahKabKota);
+      if (!match) {
+        report.cities.unmatched.push({
+          pangan_province_id: province.pangan_province_id,
+          pangan_city_id: String(city.id),
+          pangan_name: name
+        });
+        continue;
+      }
+      report.cities.matched++;
+      const result = await regionModel.upsert({
+        level: 'kabkota',
+        pangan_province_id: province.pangan_province_id,
+        pangan_city_id: city.id,
+        pangan_name: name,
+        wilayah_kode: match.kode
+      }, { overwriteManual });
+      report.cities[result]++;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  normalizeRegionName,
+  matchRegion,
+  syncRegionMappings
+};
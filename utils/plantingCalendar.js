@@ -0,0 +1,271 @@
+// Kalender tanam: menilai minggu-minggu ke depan sebagai waktu tanam suatu tanaman berdasarkan
+// prakiraan BMKG (hari-hari terdekat) dan riwayat cuaca tersimpan (weather_daily) untuk sisa masa
+// awal tumbuh. Profil tanaman disimpan di tabel crop_profiles; bila kosong dipakai DEFAULT_CROP_PROFILES.
+const CropProfile = require('../models/CropProfile');
+const { shiftDateKey, round, mean } = require('./priceAnalytics');
+
+const CACHE_TTL = 5 * 60 * 1000;
+let profilesCache = { profiles: null, source: null, expiresAt: 0 };
+
+// Bobot keyakinan per sumber data harian
+const SOURCE_CONFIDENCE = {
+  forecast: 1,
+  last_year: 0.6,
+  recent: 0.3
+};
+const RECENT_DAYS = 28;
+
+const SCORE_LABELS = [
+  { min: 75, label: 'baik' },
+  { min: 50, label: 'sedang' },
+  { min: 0, label: 'kurang' }
+];
+
+// Profil bawaan; kebutuhan hujan dihitung per minggu selama masa awal tumbuh (establishment_days)
+const DEFAULT_CROP_PROFILES = [
+  {
+    code: 'padi',
+    name: 'Padi Sawah',
+    season_days: 115,
+    establishment_days: 30,
+    rain_week_min_mm: 35,
+    rain_week_max_mm: 100,
+    max_daily_rain_mm: 100,
+    temp_min_c: 22,
+    temp_max_c: 32,
+    notes: 'Butuh air cukup di awal tanam; tanam saat hujan sudah rutin atau irigasi tersedia.'
+  },
+  {
+    code: 'jagung',
+    name: 'Jagung',
+    season_days: 100,
+    establishment_days: 30,
+    rain_week_min_mm: 20,
+    rain_week_max_mm: 50,
+    max_daily_rain_mm: 50,
+    temp_min_c: 21,
+    temp_max_c: 32,
+    notes: 'Tidak tahan tergenang; hindari tanam menjelang hujan lebat beruntun.'
+  },
+  {
+    code: 'cabai',
+    name: 'Cabai',
+    season_days: 120,
+    establishment_days: 30,
+    rain_week_min_mm: 15,
+    rain_week_max_mm: 40,
+    max_daily_rain_mm: 30,
+    temp_min_c: 18,
+    temp_max_c: 30,
+    notes: 'Hujan lebat memicu busuk buah/antraknosa; masa tanam terbaik di akhir musim hujan.'
+  }
+];
+
+function labelFor(score) {
+  return SCORE_LABELS.find(entry => score >= entry.min).label;
+}
+
+// 100 bila di dalam rentang; di bawah minimum turun proporsional, di atas maksimum turun sebanding kelebihannya
+function rainScore(weeklyRain, profile) {
+  if (weeklyRain < profile.rain_week_min_mm) return (weeklyRain / profile.rain_week_min_mm) * 100;
+  if (weeklyRain > profile.rain_week_max_mm) {
+    return Math.max(0, 100 - ((weeklyRain - profile.rain_week_max_mm) / profile.rain_week_max_mm) * 100);
+  }
+  return 100;
+}
+
+// Berkurang 15 poin per °C di luar rentang suhu optimal
+function temperatureScore(tempMean, profile) {
+  const outside = tempMean < profile.temp_min_c ? profile.temp_min_c - tempMean
+    : tempMean > profile.temp_max_c ? tempMean - profile.temp_max_c : 0;
+  return Math.max(0, 100 - outside * 15);
+}
+
+/**
+ * Perkiraan cuaca harian untuk satu tanggal: prakiraan BMKG, hari yang sama tahun lalu,
+ * lalu rata-rata 28 hari terakhir.
+ * @returns {object|null} { date, rain_total, temp_mean, source }
+ */
+function estimateDay(date, { forecast, history, recent }) {
+  if (forecast.has(date)) return { date, ...forecast.get(date), source: 'forecast' };
+  const lastYear = history.get(shiftDateKey(date, { years: -1 }));
+  if (lastYear) return { date, ...lastYear, source: 'last_year' };
+  if (recent) return { date, ...recent, source: 'recent' };
+  return null;
+}
+
+function scoreWindow(profile, days) {
+  const known = days.filter(Boolean);
+  if (known.length === 0) return null;
+
+  const rains = known.map(day => day.rain_total).filter(v => v !== null && v !== undefined);
+  const temps = known.map(day => day.temp_mean).filter(v => v !== null && v !== undefined);
+  const weeklyRain = rains.length ? round((rains.reduce((sum, v) => sum + v, 0) / rains.length) * 7, 1) : null;
+  const tempMean = temps.length ? round(mean(temps), 1) : null;
+  const heavyDays = profile.max_daily_rain_mm
+    ? rains.filter(value => value > profile.max_daily_rain_mm).length
+    : 0;
+
+  const components = {
+    rain: weeklyRain === null ? null : round(rainScore(weeklyRain, profile), 0),
+    temperature: tempMean === null ? null : round(temperatureScore(tempMean, profile), 0),
+    heavy_rain: Math.max(0, 100 - heavyDays * 25)
+  };
+  const weights = { rain: 0.5, temperature: 0.3, heavy_rain: 0.2 };
+  const present = Object.keys(weights).filter(key => components[key] !== null);
+  const totalWeight = present.reduce((sum, key) => sum + weights[key], 0);
+  const score = round(present.reduce((sum, key) => sum + components[key] * weights[key], 0) / totalWeight, 0);
+
+  const reasons = [];
+  if (weeklyRain !== null && weeklyRain < profile.rain_week_min_mm) {
+    reasons.push(`Hujan sekitar ${weeklyRain} mm/minggu, di bawah kebutuhan ${profile.rain_week_min_mm}–${profile.rain_week_max_mm} mm`);
+  } else if (weeklyRain !== null && weeklyRain > profile.rain_week_max_mm) {
+    reasons.push(`Hujan sekitar ${weeklyRain} mm/minggu, melebihi kebutuhan ${profile.rain_week_min_mm}–${profile.rain_week_max_mm} mm`);
+  }
+  if (tempMean !== null && components.temperature < 100) {
+    reasons.push(`Suhu rata-rata ${tempMean}°C di luar rentang optimal ${profile.temp_min_c}–${profile.temp_max_c}°C`);
+  }
+  if (heavyDays > 0) {
+    reasons.push(`${heavyDays} hari dengan hujan di atas ${profile.max_daily_rain_mm} mm`);
+  }
+  if (reasons.length === 0) reasons.push('Hujan dan suhu sesuai kebutuhan masa awal tumbuh');
+
+  return {
+    score,
+    label: labelFor(score),
+    components,
+    metrics: { rain_week_mm: weeklyRain, temp_mean_c: tempMean, heavy_rain_days: heavyDays },
+    reasons
+  };
+}
+
+/**
+ * Nilai setiap minggu ke depan sebagai minggu tanam untuk satu profil tanaman.
+ * Tiap minggu dinilai dari cuaca perkiraan selama masa awal tumbuh (establishment_days) sejak awal minggu.
+ * @param {object} profile - profil tanaman
+ * @param {object} data
+ * @param {object[]} data.forecastDays - { date, rain_total, temp_mean } dari prakiraan BMKG
+ * @param {object[]} data.historyDays - { date, rain_total, temp_mean } dari weather_daily
+ * @param {object} [options] - { today, weeks }
+ * @returns {object} { weeks: [...], best_week }
+ */
+function buildPlantingCalendar(profile, { forecastDays = [], historyDays = [] }, { today, weeks = 6 } = {}) {
+  const forecast = new Map(forecastDays.map(day => [day.date, day]));
+  const history = new Map(historyDays.map(day => [day.date, day]));
+  const recentFrom = shiftDateKey(today, { days: -RECENT_DAYS });
+  const recentDays = historyDays.filter(day => day.date >= recentFrom && day.date < today);
+  const recentRains = recentDays.map(day => day.rain_total).filter(v => v !== null && v !== undefined);
+  const recentTemps = recentDays.map(day => day.temp_mean).filter(v => v !== null && v !== undefined);
+  const recent = recentDays.length > 0
+    ? { rain_total: recentRains.length ? mean(recentRains) : null, temp_mean: recentTemps.length ? mean(recentTemps) : null }
+    : null;
+
+  const result = [];
+  for (let week = 0; week < weeks; week++) {
+    const start = shiftDateKey(today, { days: week * 7 });
+    const days = Array.from({ length: profile.establishment_days }, (_, offset) =>
+      estimateDay(shiftDateKey(start, { days: offset }), { forecast, history, recent }));
+    const scored = scoreWindow(profile, days);
+
+    const sources = { forecast: 0, last_year: 0, recent: 0, none: 0 };
+    days.forEach(day => { sources[day ? day.source : 'none']++; });
+    const confidence = round(days.reduce((sum, day) => sum + (day ? SOURCE_CONFIDENCE[day.source] : 0), 0) / days.length, 2);
+
+    result.push({
+      week: week + 1,
+      start_date: start,
+      end_date: shiftDateKey(start, { days: 6 }),
+      harvest_estimate: shiftDateKey(start, { days: profile.season_days }),
+      score: scored ? scored.score : null,
+      label: scored ? scored.label : 'tidak_ada_data',
+      confidence,
+      sources,
+      components: scored ? scored.components : null,
+      metrics: scored ? scored.metrics : null,
+      reasons: scored ? scored.reasons : ['Belum ada prakiraan maupun riwayat cuaca untuk wilayah ini']
+    });
+  }
+
+  const best = result
+    .filter(week => week.score !== null)
+    .sort((a, b) => b.score - a.score || b.confidence - a.confidence || a.week - b.week)[0] || null;
+  return { weeks: result, best_week: best ? best.week : null };
+}
+
+// Validasi dan normalisasi body profil tanaman (create/update)
+function validateCropProfile(body, { partial = false, existing = {} } = {}) {
+  const data = {};
+  if (body.code !== undefined || !partial) {
+    const code = (body.code || '').toString().trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{1,39}$/.test(code)) return { error: 'code must be 2-40 characters of a-z, 0-9 or -' };
+    data.code = code;
+  }
+  if (body.name !== undefined || !partial) {
+    const name = (body.name || '').toString().trim();
+    if (!name) return { error: 'name is required' };
+    data.name = name;
+  }
+
+  const numbers = {
+    season_days: { required: true, integer: true },
+    establishment_days: { required: false, integer: true },
+    rain_week_min_mm: { required: true },
+    rain_week_max_mm: { required: true },
+    max_daily_rain_mm: { required: false, nullable: true },
+    temp_min_c: { required: true },
+    temp_max_c: { required: true }
+  };
+  for (const [field, rule] of Object.entries(numbers)) {
+    if (body[field] === undefined && (partial || !rule.required)) continue;
+    if (rule.nullable && body[field] === null) {
+      data[field] = null;
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isFinite(value) || value < 0 || (rule.integer && (!Number.isInteger(value) || value === 0))) {
+      return { error: `${field} must be a ${rule.integer ? 'positive integer' : 'non-negative number'}` };
+    }
+    data[field] = value;
+  }
+
+  const merged = { ...existing, ...data };
+  if (merged.rain_week_min_mm > merged.rain_week_max_mm) {
+    return { error: 'rain_week_min_mm must be less than or equal to rain_week_max_mm' };
+  }
+  if (merged.temp_min_c > merged.temp_max_c) {
+    return { error: 'temp_min_c must be less than or equal to temp_max_c' };
+  }
+  if (merged.establishment_days > merged.season_days) {
+    return { error: 'establishment_days must not exceed season_days' };
+  }
+  if (body.notes !== undefined) data.notes = body.notes ? String(body.notes) : null;
+  if (body.sort_order !== undefined) data.sort_order = parseInt(body.sort_order, 10) || 0;
+  if (body.is_active !== undefined) data.is_active = Boolean(body.is_active);
+  return { data };
+}
+
+// Profil aktif dari DB (cache 5 menit); tabel kosong = profil bawaan
+async function loadCropProfiles(db, { refresh = false } = {}) {
+  if (!refresh && profilesCache.profiles && profilesCache.expiresAt > Date.now()) {
+    return { profiles: profilesCache.profiles, source: profilesCache.source };
+  }
+  const model = new CropProfile(db);
+  const useDefaults = (await model.count()) === 0;
+  const profiles = useDefaults
+    ? DEFAULT_CROP_PROFILES.map((profile, index) => ({ ...profile, sort_order: index + 1, is_active: true }))
+    : await model.getAll({ activeOnly: true });
+  profilesCache = { profiles, source: useDefaults ? 'default' : 'database', expiresAt: Date.now() + CACHE_TTL };
+  return { profiles, source: profilesCache.source };
+}
+
+function invalidateCropProfiles() {
+  profilesCache = { profiles: null, source: null, expiresAt: 0 };
+}
+
+module.exports = {
+  DEFAULT_CROP_PROFILES,
+  buildPlantingCalendar,
+  validateCropProfile,
+  loadCropProfiles,
+  invalidateCropProfiles
+};
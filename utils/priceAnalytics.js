@@ -0,0 +1,109 @@
+// Utilitas analitik harga pangan (perubahan harga dan status naik/turun/stabil)
+
+// Periode pembanding (mundur dari tanggal acuan) untuk widget "harga hari ini"
+const COMPARISON_PERIODS = {
+  day: { days: -1 },
+  week: { days: -7 },
+  month: { months: -1 },
+  year: { years: -1 }
+};
+
+// Geser tanggal YYYY-MM-DD (kalender, bukan zona waktu)
+function shiftDateKey(dateKey, { days = 0, months = 0, years = 0 } = {}) {
+  const [year, month, day] = dateKey.split('-').map(n => parseInt(n, 10));
+  const date = new Date(Date.UTC(year + years, month - 1 + months, day + days));
+  return date.toISOString().slice(0, 10);
+}
+
+// Kunci unik satu deret harga (komoditas x wilayah x level harga)
+function seriesKey(row) {
+  return [row.commodity_id, row.province_id || '', row.city_id || '', row.level_harga_id].join('|');
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function stddev(values) {
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + Math.pow(v - avg, 2), 0) / values.length);
+}
+
+// Ringkasan disparitas harga antarwilayah; koefisien variasi = stddev / mean (%)
+function summarizeDisparity(prices) {
+  if (prices.length === 0) return null;
+  const avg = mean(prices);
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  return {
+    average: round(avg),
+    median: round(median(prices)),
+    stddev: round(stddev(prices)),
+    coefficient_of_variation: avg ? round((stddev(prices) / avg) * 100) : null,
+    range: round(max - min),
+    max_min_ratio: min ? round(max / min, 3) : null
+  };
+}
+
+function parseThreshold(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const DEFAULT_STABLE_THRESHOLD_PCT = parseThreshold(process.env.PANGAN_STABLE_THRESHOLD_PCT, 1);
+
+// Ambang persentase: `threshold` simetris, atau `up_threshold`/`down_threshold` terpisah
+function resolveThresholds(query = {}) {
+  const base = parseThreshold(query.threshold, DEFAULT_STABLE_THRESHOLD_PCT);
+  return {
+    up_pct: parseThreshold(query.up_threshold, base),
+    down_pct: parseThreshold(query.down_threshold, base)
+  };
+}
+
+function classifyChange(changePct, thresholds) {
+  if (changePct === null || changePct === undefined) return null;
+  if (changePct >= thresholds.up_pct && changePct > 0) return 'naik';
+  if (changePct <= -thresholds.down_pct && changePct < 0) return 'turun';
+  return 'stabil';
+}
+
+function computeChange(currentPrice, reference, thresholds) {
+  if (!reference || !reference.price) {
+    return { reference_date: null, price: null, change: null, change_pct: null, status: null };
+  }
+  const change = currentPrice - reference.price;
+  const changePct = round((change / reference.price) * 100);
+  return {
+    reference_date: reference.price_date,
+    price: reference.price,
+    change: round(change),
+    change_pct: changePct,
+    status: classifyChange(changePct, thresholds)
+  };
+}
+
+module.exports = {
+  COMPARISON_PERIODS,
+  shiftDateKey,
+  seriesKey,
+  round,
+  mean,
+  median,
+  stddev,
+  summarizeDisparity,
+  resolveThresholds,
+  classifyChange,
+  computeChange
+};
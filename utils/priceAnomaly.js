@@ -0,0 +1,137 @@
+// Deteksi lonjakan/anomali harga pangan dari riwayat harga tersimpan
+const PriceHistory = require('../models/PriceHistory');
+const PriceAlert = require('../models/PriceAlert');
+const { toWibDateKey } = require('./panganClient');
+const { shiftDateKey, seriesKey, round, mean, median, stddev } = require('./priceAnalytics');
+
+const ANOMALY_WINDOW_DAYS = parseInt(process.env.PANGAN_ANOMALY_WINDOW_DAYS, 10) || 30;
+const ANOMALY_MIN_OBSERVATIONS = parseInt(process.env.PANGAN_ANOMALY_MIN_OBSERVATIONS, 10) || 7;
+const ANOMALY_SCORE_THRESHOLD = parseFloat(process.env.PANGAN_ANOMALY_SCORE) || 3.5;
+const ANOMALY_METHOD = process.env.PANGAN_ANOMALY_METHOD === 'zscore' ? 'zscore' : 'mad';
+// Selisih minimum dari baseline (%) agar perubahan kecil pada deret yang datar tidak jadi alert
+const ANOMALY_MIN_DEVIATION_PCT = parseFloat(process.env.PANGAN_ANOMALY_MIN_DEVIATION_PCT) || 5;
+
+// Skor minimum dan selisih harga minimum (%) per tingkat keparahan
+const SEVERITY_LEVELS = [
+  { severity: 'high', score: 6, change_pct: 20 },
+  { severity: 'medium', score: 4.5, change_pct: 10 },
+  { severity: 'low', score: 0, change_pct: 0 }
+];
+
+// Skor penyimpangan harga terhadap jendela sebelumnya.
+// mad: modified z-score (Iglewicz & Hoaglin), zscore: (x - mean) / stddev
+function scoreObservation(price, window, method = ANOMALY_METHOD) {
+  if (method === 'mad') {
+    const center = median(window);
+    const mad = median(window.map(v => Math.abs(v - center)));
+    if (mad > 0) {
+      return { method: 'mad', baseline: center, score: (0.6745 * (price - center)) / mad };
+    }
+    // Harga datar (MAD = 0): pakai mean/stddev supaya deret yang jarang berubah tetap terpantau
+  }
+
+  const center = mean(window);
+  const sd = stddev(window);
+  if (sd === 0) {
+    const score = price === center ? 0 : (price > center ? Infinity : -Infinity);
+    return { method: 'zscore', baseline: center, score };
+  }
+  return { method: 'zscore', baseline: center, score: (price - center) / sd };
+}
+
+function classifySeverity(score, changePct) {
+  const absScore = Math.abs(score);
+  const absChange = Math.abs(changePct || 0);
+  const level = SEVERITY_LEVELS.find(l => absScore >= l.score && absChange >= l.change_pct)
+    || SEVERITY_LEVELS[SEVERITY_LEVELS.length - 1];
+  return level.severity;
+}
+
+/**
+ * Evaluasi titik terakhir sebuah deret harga (urut naik berdasarkan tanggal).
+ * @returns {object|null} data alert jika titik terakhir adalah outlier
+ */
+function evaluateSeries(series, options = {}) {
+  const threshold = options.threshold || ANOMALY_SCORE_THRESHOLD;
+  const minObservations = options.minObservations || ANOMALY_MIN_OBSERVATIONS;
+  if (series.length < minObservations + 1) return null;
+
+  const latest = series[series.length - 1];
+  const window = series.slice(0, -1).map(row => row.price);
+  const previous = window[window.length - 1];
+  const { method, baseline, score } = scoreObservation(latest.price, window, options.method);
+  if (Math.abs(score) < threshold) return null;
+
+  const deviationPct = baseline ? ((latest.price - baseline) / baseline) * 100 : 0;
+  if (Math.abs(deviationPct) < ANOMALY_MIN_DEVIATION_PCT) return null;
+
+  const changePct = previous ? ((latest.price - previous) / previous) * 100 : null;
+  const boundedScore = Number.isFinite(score) ? round(score) : (score > 0 ? 999 : -999);
+  const magnitudePct = Math.max(Math.abs(deviationPct), Math.abs(changePct || 0));
+
+  return {
+    commodity_id: latest.commodity_id,
+    commodity_name: latest.commodity_name,
+    province_id: latest.province_id,
+    city_id: latest.city_id,
+    region_name: latest.region_name,
+    level_harga_id: latest.level_harga_id,
+    price_date: latest.price_date,
+    price: latest.price,
+    previous_price: previous ?? null,
+    baseline: round(baseline),
+    score: boundedScore,
+    change_pct: changePct === null ? null : round(changePct),
+    deviation_pct: round(deviationPct),
+    direction: latest.price > baseline ? 'naik' : 'turun',
+    method,
+    severity: classifySeverity(boundedScore, magnitudePct)
+  };
+}
+
+/**
+ * Jalankan deteksi anomali untuk semua deret yang punya harga pada tanggal tertentu.
+ * @param {object} db - pool database
+ * @param {object} [options] - { date, windowDays, threshold, method, minObservations }
+ */
+async function detectPriceAnomalies(db, options = {}) {
+  const date = options.date || toWibDateKey();
+  const windowDays = options.windowDays || ANOMALY_WINDOW_DAYS;
+  const historyModel = new PriceHistory(db);
+  const alertModel = new PriceAlert(db);
+
+  const rows = await historyModel.getHistory({
+    from: shiftDateKey(date, { days: -windowDays }),
+    to: date
+  }, 100000);
+
+  const seriesMap = new Map();
+  for (const row of rows) {
+    const key = seriesKey(row);
+    if (!seriesMap.has(key)) seriesMap.set(key, []);
+    seriesMap.get(key).push(row);
+  }
+
+  const summary = { date, series: seriesMap.size, evaluated: 0, created: 0, existing: 0, alerts: [] };
+  for (const series of seriesMap.values()) {
+    if (series[series.length - 1].price_date !== date) continue;
+    summary.evaluated++;
+
+    const alert = evaluateSeries(series, options);
+    if (!alert) continue;
+
+    const created = await alertModel.create(alert);
+    if (created) summary.created++;
+    else summary.existing++;
+    summary.alerts.push(alert);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  scoreObservation,
+  classifySeverity,
+  evaluateSeries,
+  detectPriceAnomalies
+};
@@ -0,0 +1,174 @@
+// Writer ekspor harga pangan (csv/xlsx/json) yang menulis langsung ke response (streaming)
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const EXPORT_COLUMNS = [
+  { key: 'price_date', id: 'Tanggal', type: 'date' },
+  { key: 'commodity_id', id: 'ID Komoditas' },
+  { key: 'commodity_name', id: 'Komoditas' },
+  { key: 'region_level', id: 'Level Wilayah' },
+  { key: 'province_id', id: 'ID Provinsi' },
+  { key: 'city_id', id: 'ID Kab/Kota' },
+  { key: 'region_name', id: 'Wilayah' },
+  { key: 'level_harga_id', id: 'Level Harga' },
+  { key: 'price', id: 'Harga', type: 'number' },
+  { key: 'unit', id: 'Satuan' }
+];
+
+const idNumberFormat = new Intl.NumberFormat('id-ID', { maximumFractionDigits: 2 });
+
+// Opsi format dari query: locale=id mengaktifkan angka "15.250,5", tanggal "19/10/2026" dan pemisah ";"
+function resolveExportOptions(query = {}) {
+  const indonesian = query.locale === 'id';
+  const numberFormat = query.number_format || (indonesian ? 'id' : 'plain');
+  const dateFormat = query.date_format || (indonesian ? 'id' : 'iso');
+  return {
+    numberFormat: numberFormat === 'id' ? 'id' : 'plain',
+    dateFormat: dateFormat === 'id' ? 'id' : 'iso',
+    headers: indonesian ? 'id' : 'key',
+    delimiter: query.delimiter === 'semicolon' || (!query.delimiter && numberFormat === 'id') ? ';' : ','
+  };
+}
+
+function formatValue(value, column, options) {
+  if (value === null || value === undefined) return '';
+  if (column.type === 'number' && options.numberFormat === 'id') return idNumberFormat.format(value);
+  if (column.type === 'date' && options.dateFormat === 'id') {
+    const [year, month, day] = String(value).split('-');
+    return `${day}/${month}/${year}`;
+  }
+  return String(value);
+}
+
+function escapeCsv(value, delimiter) {
+  return /["\r\n]/.test(value) || value.includes(delimiter) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function headerLabels(options) {
+  return EXPORT_COLUMNS.map(column => (options.headers === 'id' ? column.id : column.key));
+}
+
+// Client memutus koneksi di tengah ekspor; pemanggil berhenti membaca batch berikutnya
+function exportAbortedError() {
+  const error = new Error('Export response closed before completion');
+  error.code = 'EXPORT_ABORTED';
+  return error;
+}
+
+function assertOpen(stream) {
+  if (stream.destroyed) throw exportAbortedError();
+}
+
+// Tunggu event pertama dari daftar; listener dilepas setelahnya
+function waitForEvent(stream, events) {
+  return new Promise(resolve => {
+    const done = () => {
+      for (const event of events) stream.off(event, done);
+      resolve();
+    };
+    for (const event of events) stream.on(event, done);
+  });
+}
+
+// Tulis ke stream dengan menghormati backpressure. 'drain' tidak pernah datang bila koneksi putus,
+// jadi tunggu juga 'close'/'error' lalu hentikan ekspor.
+async function writeChunk(stream, chunk) {
+  assertOpen(stream);
+  if (!stream.write(chunk)) {
+    await waitForEvent(stream, ['drain', 'close', 'error']);
+    assertOpen(stream);
+  }
+}
+
+function createCsvWriter(stream, options) {
+  return {
+    async start() {
+      // BOM agar Excel membaca UTF-8 dengan benar
+      await writeChunk(stream, `\ufeff${headerLabels(options).join(options.delimiter)}\r\n`);
+    },
+    async write(row) {
+      const line = EXPORT_COLUMNS
+        .map(column => escapeCsv(formatValue(row[column.key], column, options), options.delimiter))
+        .join(options.delimiter);
+      await writeChunk(stream, `${line}\r\n`);
+    },
+    async end() {
+      stream.end();
+    }
+  };
+}
+
+function createJsonWriter(stream) {
+  let count = 0;
+  return {
+    async start() {
+      await writeChunk(stream, '[');
+    },
+    // JSON selalu memakai nilai asli (angka, tanggal ISO); opsi format hanya untuk csv/xlsx
+    async write(row) {
+      const item = {};
+      for (const column of EXPORT_COLUMNS) {
+        item[column.key] = row[column.key] ?? null;
+      }
+      await writeChunk(stream, `${count++ > 0 ? ',' : ''}\n${JSON.stringify(item)}`);
+    },
+    async end() {
+      stream.end('\n]\n');
+    }
+  };
+}
+
+// XLSX: angka dan tanggal disimpan sebagai nilai asli dengan numFmt, sehingga tetap bisa dihitung di Excel
+function createXlsxWriter(stream, options) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet('Harga Pangan');
+  worksheet.columns = EXPORT_COLUMNS.map((column, index) => ({
+    header: headerLabels(options)[index],
+    key: column.key,
+    width: column.key === 'commodity_name' || column.key === 'region_name' ? 28 : 14,
+    style: column.type === 'number'
+      ? { numFmt: options.numberFormat === 'id' ? '#,##0.##' : '0.00' }
+      : column.type === 'date'
+        ? { numFmt: options.dateFormat === 'id' ? 'dd/mm/yyyy' : 'yyyy-mm-dd' }
+        : {}
+  }));
+
+  return {
+    async start() {},
+    async write(row) {
+      assertOpen(stream);
+      const values = {};
+      for (const column of EXPORT_COLUMNS) {
+        const value = row[column.key] ?? null;
+        values[column.key] = column.type === 'date' && value ? new Date(`${value}T00:00:00Z`) : value;
+      }
+      worksheet.addRow(values).commit();
+    },
+    async end() {
+      assertOpen(stream);
+      worksheet.commit();
+      // commit menunggu stream selesai; jangan menggantung bila koneksi putus saat zip ditulis
+      await Promise.race([workbook.commit(), waitForEvent(stream, ['close'])]);
+      assertOpen(stream);
+    }
+  };
+}
+
+function createExportWriter(format, stream, options) {
+  if (format === 'xlsx') return createXlsxWriter(stream, options);
+  if (format === 'json') return createJsonWriter(stream);
+  return createCsvWriter(stream, options);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  resolveExportOptions,
+  formatValue,
+  createExportWriter
+};
@@ -0,0 +1,164 @@
+// Peramalan harga jangka pendek: Holt-Winters aditif (tren teredam + musiman mingguan)
+const { shiftDateKey, round, mean } = require('./priceAnalytics');
+
+const SEASON_LENGTH = 7;
+const FORECAST_MIN_OBSERVATIONS = Math.max(
+  parseInt(process.env.PANGAN_FORECAST_MIN_OBSERVATIONS, 10) || 28,
+  SEASON_LENGTH * 2
+);
+// z-score untuk interval kepercayaan 80% dan 95%
+const INTERVALS = { 80: 1.2816, 95: 1.96 };
+
+// Kandidat parameter untuk grid search (dipilih berdasarkan SSE one-step-ahead)
+const PARAMETER_GRID = {
+  alpha: [0.1, 0.3, 0.5, 0.7, 0.9],
+  beta: [0.01, 0.05, 0.1, 0.2],
+  gamma: [0.05, 0.1, 0.3, 0.5],
+  phi: [0.9, 0.98]
+};
+
+// Lengkapi tanggal yang kosong (mis. hari libur) dengan harga terakhir agar deret harian rapat
+function fillDailyGaps(rows) {
+  const filled = [];
+  for (const row of rows) {
+    const previous = filled[filled.length - 1];
+    if (previous) {
+      let date = shiftDateKey(previous.date, { days: 1 });
+      while (date < row.price_date) {
+        filled.push({ date, price: previous.price, filled: true });
+        date = shiftDateKey(date, { days: 1 });
+      }
+    }
+    if (!previous || row.price_date > previous.date) {
+      filled.push({ date: row.price_date, price: row.price, filled: false });
+    }
+  }
+  return filled;
+}
+
+function fitHoltWinters(values, { alpha, beta, gamma, phi }) {
+  const m = SEASON_LENGTH;
+  let level = mean(values.slice(0, m));
+  let trend = (mean(values.slice(m, 2 * m)) - level) / m;
+  const season = values.slice(0, m).map(v => v - level);
+
+  let sse = 0;
+  let count = 0;
+  for (let t = m; t < values.length; t++) {
+    const s = season[t % m];
+    const error = values[t] - (level + phi * trend + s);
+    sse += error * error;
+    count++;
+
+    const previousLevel = level;
+    level = alpha * (values[t] - s) + (1 - alpha) * (previousLevel + phi * trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+    season[t % m] = gamma * (values[t] - level) + (1 - gamma) * s;
+  }
+
+  return {
+    params: { alpha, beta, gamma, phi },
+    level,
+    trend,
+    season,
+    length: values.length,
+    sse,
+    sigma: count > 0 ? Math.sqrt(sse / count) : 0
+  };
+}
+
+// Pilih parameter terbaik lewat grid search
+function fitBestModel(values) {
+  let best = null;
+  for (const alpha of PARAMETER_GRID.alpha) {
+    for (const beta of PARAMETER_GRID.beta) {
+      for (const gamma of PARAMETER_GRID.gamma) {
+        for (const phi of PARAMETER_GRID.phi) {
+          const model = fitHoltWinters(values, { alpha, beta, gamma, phi });
+          if (!best || model.sse < best.sse) best = model;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+function predict(model, horizon) {
+  const points = [];
+  let dampedTrend = 0;
+  for (let h = 1; h <= horizon; h++) {
+    dampedTrend += Math.pow(model.params.phi, h) * model.trend;
+    const value = model.level + dampedTrend + model.season[(model.length + h - 1) % SEASON_LENGTH];
+    points.push(Math.max(0, value));
+  }
+  return points;
+}
+
+// Uji model pada data terakhir yang disisihkan (holdout)
+function backtest(values, horizon) {
+  const holdout = Math.min(horizon, Math.max(SEASON_LENGTH, Math.floor(values.length * 0.2)));
+  const training = values.slice(0, values.length - holdout);
+  if (training.length < SEASON_LENGTH * 2) return null;
+
+  const actual = values.slice(values.length - holdout);
+  const predicted = predict(fitBestModel(training), holdout);
+  const errors = actual.map((value, i) => value - predicted[i]);
+  const percentErrors = actual
+    .map((value, i) => (value ? Math.abs(errors[i] / value) * 100 : null))
+    .filter(v => v !== null);
+
+  return {
+    holdout_days: holdout,
+    mae: round(mean(errors.map(Math.abs))),
+    rmse: round(Math.sqrt(mean(errors.map(e => e * e)))),
+    mape: percentErrors.length > 0 ? round(mean(percentErrors)) : null
+  };
+}
+
+/**
+ * Ramalkan harga untuk `horizon` hari setelah observasi terakhir.
+ * @param {Array} rows - riwayat satu deret harga, urut naik ({ price_date, price })
+ * @returns {object|null} null jika data kurang dari FORECAST_MIN_OBSERVATIONS
+ */
+function forecastSeries(rows, horizon) {
+  const series = fillDailyGaps(rows);
+  if (series.length < FORECAST_MIN_OBSERVATIONS) return null;
+
+  const values = series.map(point => point.price);
+  const model = fitBestModel(values);
+  const lastDate = series[series.length - 1].date;
+
+  // Lebar interval tumbuh dengan akar horizon (pendekatan sederhana dari galat one-step)
+  const forecast = predict(model, horizon).map((value, i) => {
+    const spread = model.sigma * Math.sqrt(i + 1);
+    return {
+      date: shiftDateKey(lastDate, { days: i + 1 }),
+      price: round(value),
+      lower_80: round(Math.max(0, value - INTERVALS[80] * spread)),
+      upper_80: round(value + INTERVALS[80] * spread),
+      lower_95: round(Math.max(0, value - INTERVALS[95] * spread)),
+      upper_95: round(value + INTERVALS[95] * spread)
+    };
+  });
+
+  return {
+    method: 'holt-winters-additive-damped',
+    season_length: SEASON_LENGTH,
+    parameters: model.params,
+    observations: series.length,
+    filled_days: series.filter(point => point.filled).length,
+    last_date: lastDate,
+    last_price: round(values[values.length - 1]),
+    residual_stddev: round(model.sigma),
+    backtest: backtest(values, horizon),
+    forecast
+  };
+}
+
+module.exports = {
+  SEASON_LENGTH,
+  FORECAST_MIN_OBSERVATIONS,
+  fillDailyGaps,
+  fitHoltWinters,
+  forecastSeries
+};
@@ -0,0 +1,155 @@
+// Reverse geocoding koordinat -> kode wilayah tanpa layanan eksternal: indeks grid in-memory atas
+// wilayah_centroids, ditambah uji titik-dalam-polygon bila wilayah_boundaries sudah diimpor
+const Wilayah = require('../models/Wilayah');
+const WilayahCentroid = require('../models/WilayahCentroid');
+const WilayahBoundary = require('../models/WilayahBoundary');
+const { haversineKm, geometryBounds, geometryContains } = require('./geoUtils');
+const { round } = require('./priceAnalytics');
+
+// Jarak maksimum ke centroid desa terdekat bila titik tidak jatuh di polygon desa mana pun
+const REVERSE_MAX_KM = parseFloat(process.env.WILAYAH_REVERSE_MAX_KM) || 10;
+// Centroid/batas hanya berubah lewat impor; indeks dibangun ulang paling cepat tiap jam
+const INDEX_CACHE_TTL = 60 * 60 * 1000;
+// Ukuran sel grid (~5,5 km di ekuator)
+const CELL_DEGREES = 0.05;
+const KM_PER_DEGREE = 111.32;
+// Bila titik jatuh di polygon kecamatan/kab-kota, desa terdekat dicari di dalamnya sampai jarak ini
+const BOUNDED_MAX_KM = 50;
+const BOUNDARY_PAGE_SIZE = 200;
+const ALTERNATIVE_COUNT = 3;
+
+let indexCache = { index: null, expiresAt: 0 };
+
+function cellKey(row, column) {
+  return `${row}:${column}`;
+}
+
+function cellOf(lat, lon) {
+  return [Math.floor(lat / CELL_DEGREES), Math.floor(lon / CELL_DEGREES)];
+}
+
+// Grid centroid desa; centroid level lain tidak dipakai karena hasil harus sampai desa/kelurahan
+function buildCentroidGrid(centroids) {
+  const grid = new Map();
+  for (const centroid of centroids) {
+    if (centroid.level !== 'kelurahan') continue;
+    const key = cellKey(...cellOf(centroid.lat, centroid.lon));
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push({ kode: centroid.kode, lat: centroid.lat, lon: centroid.lon });
+  }
+  return grid;
+}
+
+// Pindai wilayah_boundaries per halaman; yang disimpan hanya bounding box, geometri diambil ulang saat dibutuhkan
+async function loadBoundaryBounds(db) {
+  const model = new WilayahBoundary(db);
+  const bounds = [];
+  let after = '';
+  for (;;) {
+    const rows = await model.getPage(after, BOUNDARY_PAGE_SIZE);
+    for (const row of rows) {
+      try {
+        const geometry = typeof row.geometry === 'string' ? JSON.parse(row.geometry) : row.geometry;
+        const box = geometryBounds(geometry);
+        if (box) bounds.push({ kode: row.kode, level: row.level || Wilayah.levelOf(row.kode), ...box });
+      } catch (error) {
+        console.error(`Invalid boundary geometry for ${row.kode}:`, error.message);
+      }
+    }
+    if (rows.length < BOUNDARY_PAGE_SIZE) break;
+    after = rows[rows.length - 1].kode;
+  }
+  return bounds;
+}
+
+async function loadSpatialIndex(db, { refresh = false } = {}) {
+  if (!refresh && indexCache.index && indexCache.expiresAt > Date.now()) {
+    return indexCache.index;
+  }
+  const index = {
+    grid: buildCentroidGrid(await new WilayahCentroid(db).getAll()),
+    bounds: await loadBoundaryBounds(db)
+  };
+  indexCache = { index, expiresAt: Date.now() + INDEX_CACHE_TTL };
+  return index;
+}
+
+function invalidateSpatialIndex() {
+  indexCache = { index: null, expiresAt: 0 };
+}
+
+// Centroid desa terdekat dalam maxKm; prefix membatasi ke desa di bawah kode tertentu
+function nearestVillages(index, lat, lon, { maxKm = REVERSE_MAX_KM, prefix = null, limit = 1 } = {}) {
+  const [row, column] = cellOf(lat, lon);
+  const rowSpan = Math.ceil(maxKm / (KM_PER_DEGREE * CELL_DEGREES));
+  const columnSpan = Math.ceil(maxKm / (KM_PER_DEGREE * CELL_DEGREES * Math.max(Math.cos((lat * Math.PI) / 180), 0.01)));
+
+  const candidates = [];
+  for (let r = row - rowSpan; r <= row + rowSpan; r++) {
+    for (let c = column - columnSpan; c <= column + columnSpan; c++) {
+      for (const centroid of index.grid.get(cellKey(r, c)) || []) {
+        if (prefix && !centroid.kode.startsWith(`${prefix}.`)) continue;
+        const distance = haversineKm(lat, lon, centroid.lat, centroid.lon);
+        if (distance <= maxKm) candidates.push({ ...centroid, distance_km: distance });
+      }
+    }
+  }
+  return candidates.sort((a, b) => a.distance_km - b.distance_km).slice(0, limit);
+}
+
+// Polygon terdalam (paling spesifik) yang memuat titik
+async function deepestContainingBoundary(db, index, lat, lon) {
+  const hits = index.bounds
+    .filter(box => lat >= box.minLat && lat <= box.maxLat && lon >= box.minLon && lon <= box.maxLon)
+    .sort((a, b) => Wilayah.LEVELS.indexOf(b.level) - Wilayah.LEVELS.indexOf(a.level));
+  if (hits.length === 0) return null;
+
+  const geometries = await new WilayahBoundary(db).getGeometries(hits.map(hit => hit.kode));
+  return hits.find(hit => geometries.has(hit.kode) && geometryContains(geometries.get(hit.kode), lat, lon)) || null;
+}
+
+/**
+ * Cari desa/kelurahan untuk satu koordinat.
+ * Urutan: polygon desa yang memuat titik; polygon level lebih atas + centroid desa terdekat di dalamnya;
+ * centroid desa terdekat dalam REVERSE_MAX_KM.
+ * @param {object} db - pool database
+ * @param {number} lat
+ * @param {number} lon
+ * @returns {Promise<object|null>} { kode, method, distance_km, boundary, alternatives } atau null
+ */
+async function reverseGeocode(db, lat, lon) {
+  const index = await loadSpatialIndex(db);
+  const boundary = await deepestContainingBoundary(db, index, lat, lon);
+
+  if (boundary && boundary.level === 'kelurahan') {
+    return { kode: boundary.kode, method: 'polygon', distance_km: null, boundary: boundary.kode, alternatives: [] };
+  }
+
+  // Titik di dalam polygon kecamatan/kab-kota: desa terdekat dibatasi wilayah itu
+  let boundedBy = boundary;
+  let found = boundary
+    ? nearestVillages(index, lat, lon, { prefix: boundary.kode, maxKm: Math.max(REVERSE_MAX_KM, BOUNDED_MAX_KM), limit: ALTERNATIVE_COUNT + 1 })
+    : [];
+  if (found.length === 0) {
+    boundedBy = null;
+    found = nearestVillages(index, lat, lon, { limit: ALTERNATIVE_COUNT + 1 });
+  }
+  const [nearest, ...alternatives] = found;
+  if (!nearest) return null;
+
+  return {
+    kode: nearest.kode,
+    method: boundedBy ? 'polygon+centroid' : 'centroid',
+    distance_km: round(nearest.distance_km),
+    boundary: boundedBy ? boundedBy.kode : null,
+    alternatives: alternatives.map(item => ({ kode: item.kode, distance_km: round(item.distance_km) }))
+  };
+}
+
+module.exports = {
+  REVERSE_MAX_KM,
+  loadSpatialIndex,
+  invalidateSpatialIndex,
+  nearestVillages,
+  reverseGeocode
+};
@@ -0,0 +1,149 @@
+// Cache respons upstream dengan stale-while-revalidate dan store persisten opsional (disk/DB)
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_STATUS = {
+  HIT: 'HIT',
+  MISS: 'MISS',
+  STALE: 'STALE',
+  STALE_IF_ERROR: 'STALE-IF-ERROR'
+};
+
+function hashKey(key) {
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+class UpstreamCache {
+  /**
+   * @param {object} options
+   * @param {number} options.staleTtl - lama data kedaluwarsa masih disajikan sambil revalidasi di background
+   * @param {number} options.staleIfErrorTtl - batas umur data yang boleh disajikan saat upstream gagal
+   * @param {number} options.maxEntries - batas entri in-memory (entri terlama dibuang)
+   */
+  constructor({ staleTtl = 10 * 60 * 1000, staleIfErrorTtl = 24 * 60 * 60 * 1000, maxEntries = 500 } = {}) {
+    this.staleTtl = staleTtl;
+    this.staleIfErrorTtl = staleIfErrorTtl;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.store = null;
+  }
+
+  setStore(store) {
+    this.store = store;
+  }
+
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async lookup(key) {
+    const entry = this.entries.get(key);
+    if (entry || !this.store) return entry || null;
+    try {
+      const stored = await this.store.get(key);
+      if (stored) this.remember(key, stored);
+      return stored;
+    } catch (error) {
+      console.error('[UpstreamCache] store read failed:', error.message);
+      return null;
+    }
+  }
+
+  async refresh(key, fetcher) {
+    const entry = { data: await fetcher(), fetchedAt: Date.now() };
+    this.remember(key, entry);
+    if (this.store) {
+      await this.store.set(key, entry).catch(error => console.error('[UpstreamCache] store write failed:', error.message));
+    }
+    return entry;
+  }
+
+  /**
+   * Ambil data dari cache atau upstream.
+   * @returns {Promise<{data, status, fetchedAt}>} status: HIT | MISS | STALE | STALE-IF-ERROR
+   */
+  async get(key, ttl, fetcher) {
+    const entry = await this.lookup(key);
+    const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+    if (age < ttl) {
+      return { data: entry.data, status: CACHE_STATUS.HIT, fetchedAt: entry.fetchedAt };
+    }
+    if (age < ttl + this.staleTtl) {
+      this.refresh(key, fetcher).catch(error => console.error('[UpstreamCache] background revalidation failed:', error.message));
+      return { data: entry.data, status: CACHE_STATUS.STALE, fetchedAt: entry.fetchedAt };
+    }
+
+    try {
+      const fresh = await this.refresh(key, fetcher);
+      return { data: fresh.data, status: CACHE_STATUS.MISS, fetchedAt: fresh.fetchedAt };
+    } catch (error) {
+      if (entry && age < this.staleIfErrorTtl) {
+        return { data: entry.data, status: CACHE_STATUS.STALE_IF_ERROR, fetchedAt: entry.fetchedAt };
+      }
+      throw error;
+    }
+  }
+}
+
+// Store disk: satu file JSON per key (di Vercel gunakan /tmp)
+function createDiskStore(dir) {
+  const fileFor = key => path.join(dir, `${hashKey(key)}.json`);
+  return {
+    async get(key) {
+      try {
+        const stored = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        return stored.key === key ? { data: stored.data, fetchedAt: stored.fetchedAt } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async set(key, entry) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(fileFor(key), JSON.stringify({ key, ...entry }));
+    }
+  };
+}
+
+// Store DB: tabel pangan_upstream_cache (lihat createUpstreamCacheTable)
+function createDbStore(db) {
+  return {
+    async get(key) {
+      const [rows] = await db.execute(
+        'SELECT payload, fetched_at FROM pangan_upstream_cache WHERE key_hash = ?',
+        [hashKey(key)]
+      );
+      if (!rows[0]) return null;
+      return { data: JSON.parse(rows[0].payload), fetchedAt: Number(rows[0].fetched_at) };
+    },
+    async set(key, entry) {
+      const keyHash = hashKey(key);
+      const payload = JSON.stringify(entry.data);
+      const [existing] = await db.execute('SELECT key_hash FROM pangan_upstream_cache WHERE key_hash = ?', [keyHash]);
+      if (existing.length > 0) {
+        await db.execute(
+          'UPDATE pangan_upstream_cache SET payload = ?, fetched_at = ?, updated_at = NOW() WHERE key_hash = ?',
+          [payload, entry.fetchedAt, keyHash]
+        );
+      } else {
+        await db.execute(
+          'INSERT INTO pangan_upstream_cache (key_hash, cache_key, payload, fetched_at, updated_at) VALUES (?, ?, ?, ?, NOW())',
+          [keyHash, key, payload, entry.fetchedAt]
+        );
+      }
+    }
+  };
+}
+
+module.exports = {
+  CACHE_STATUS,
+  UpstreamCache,
+  createDiskStore,
+  createDbStore
+};
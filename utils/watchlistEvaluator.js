@@ -0,0 +1,112 @@
+// Evaluasi watchlist harga terhadap snapshot harga terbaru dan kirim notifikasi lewat kanalnya
+const PriceHistory = require('../models/PriceHistory');
+const Watchlist = require('../models/Watchlist');
+const WatchlistNotification = require('../models/WatchlistNotification');
+const WatchlistConfirmation = require('../models/WatchlistConfirmation');
+const { getChannel } = require('./notificationChannels');
+
+const priceFormat = new Intl.NumberFormat('id-ID', { maximumFractionDigits: 2 });
+
+function matchesWatchlist(snapshot, watchlist) {
+  if (snapshot.province_id !== watchlist.province_id || snapshot.city_id !== watchlist.city_id) return false;
+  if (String(snapshot.level_harga_id) !== String(watchlist.level_harga_id)) return false;
+  if (watchlist.commodity_id) return snapshot.commodity_id === watchlist.commodity_id;
+  return snapshot.commodity_name.toLowerCase().includes((watchlist.commodity_name || '').toLowerCase());
+}
+
+function isConditionMet(price, watchlist) {
+  return watchlist.direction === 'below' ? price <= watchlist.threshold : price >= watchlist.threshold;
+}
+
+function buildMessage(snapshot, watchlist) {
+  const region = snapshot.region_name || 'Nasional';
+  const unit = snapshot.unit ? `/${String(snapshot.unit).replace(/^Rp\s*\/?\s*/i, '')}` : '';
+  const relation = watchlist.direction === 'below' ? 'di bawah' : 'di atas';
+  return `Harga ${snapshot.commodity_name} di ${region} pada ${snapshot.price_date} adalah ` +
+    `Rp ${priceFormat.format(snapshot.price)}${unit}, ${relation} batas Rp ${priceFormat.format(watchlist.threshold)}.`;
+}
+
+async function deliverNotification(notification, watchlist, notificationModel, confirmationModel) {
+  const channel = getChannel(watchlist.channel);
+  try {
+    if (!channel) throw new Error(`Unknown channel: ${watchlist.channel}`);
+    // Watchlist lama milik client anonim bisa masih memakai kanal keluar; jangan dikirim
+    if (channel.requiresAccount && watchlist.owner_type !== 'admin') {
+      throw new Error(`Channel ${watchlist.channel} requires an admin owner`);
+    }
+    if (channel.sendConfirmation && !(await confirmationModel.isConfirmed(
+      watchlist.owner_type, watchlist.owner_key, watchlist.channel, watchlist.target
+    ))) {
+      throw new Error('Target has not been confirmed');
+    }
+    await channel.send(notification, watchlist);
+    await notificationModel.markSent(notification.id);
+    return true;
+  } catch (error) {
+    console.error(`Watchlist ${watchlist.id} delivery via ${watchlist.channel} failed:`, error.message);
+    await notificationModel.markFailed(notification.id, error.message);
+    return false;
+  }
+}
+
+/**
+ * Cocokkan watchlist aktif dengan snapshot harga. Notifikasi hanya dibuat saat kondisi
+ * berubah dari 'clear' ke 'triggered', sehingga harga yang bertahan di bawah batas tidak dikirim berulang.
+ * @param {object} db - pool database
+ * @param {object} [options] - { snapshots } dari collector, atau { date } untuk membaca riwayat tersimpan
+ */
+async function evaluateWatchlists(db, options = {}) {
+  const historyModel = new PriceHistory(db);
+  const watchlistModel = new Watchlist(db);
+  const notificationModel = new WatchlistNotification(db);
+  const confirmationModel = new WatchlistConfirmation(db);
+
+  let snapshots = options.snapshots;
+  if (!snapshots) {
+    const date = options.date || await historyModel.getLatestDate();
+    snapshots = date ? [...(await historyModel.getLatestPerSeries({ from: date, to: date })).values()] : [];
+  }
+
+  const watchlists = await watchlistModel.getActive();
+  const summary = { watchlists: watchlists.length, snapshots: snapshots.length, matched: 0, triggered: 0, sent: 0, failed: 0 };
+  if (snapshots.length === 0) return summary;
+
+  for (const watchlist of watchlists) {
+    const snapshot = snapshots.find(s => matchesWatchlist(s, watchlist));
+    if (!snapshot) continue;
+    summary.matched++;
+
+    const conditionMet = isConditionMet(snapshot.price, watchlist);
+    if (conditionMet && watchlist.last_state !== 'triggered') {
+      const notification = await notificationModel.create({
+        watchlist_id: watchlist.id,
+        owner_type: watchlist.owner_type,
+        owner_key: watchlist.owner_key,
+        channel: watchlist.channel,
+        commodity_id: snapshot.commodity_id,
+        commodity_name: snapshot.commodity_name,
+        region_name: snapshot.region_name,
+        price_date: snapshot.price_date,
+        price: snapshot.price,
+        threshold: watchlist.threshold,
+        direction: watchlist.direction,
+        message: buildMessage(snapshot, watchlist)
+      });
+      if (notification) {
+        summary.triggered++;
+        if (await deliverNotification(notification, watchlist, notificationModel, confirmationModel)) summary.sent++;
+        else summary.failed++;
+      }
+    }
+
+    await watchlistModel.markEvaluated(watchlist.id, conditionMet ? 'triggered' : 'clear', snapshot.price_date);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  matchesWatchlist,
+  isConditionMet,
+  evaluateWatchlists
+};
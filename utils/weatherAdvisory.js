@@ -0,0 +1,443 @@
+// Saran budidaya berbasis aturan dari prakiraan cuaca BMKG.
+// Aturan disimpan di tabel weather_advisory_rules (bisa diubah admin); bila tabel masih
+// kosong dipakai DEFAULT_ADVISORY_RULES.
+const AdvisoryRule = require('../models/AdvisoryRule');
+const { aggregateDaily, isRainy } = require('./weatherHistory');
+const { round, mean } = require('./priceAnalytics');
+
+const ADVISORY_CATEGORIES = {
+  penyemprotan: 'Penyemprotan',
+  irigasi: 'Irigasi',
+  ternak: 'Ternak',
+  pascapanen: 'Pascapanen',
+  lainnya: 'Lainnya'
+};
+const ADVISORY_SEVERITIES = ['info', 'warning', 'danger'];
+
+// Metrik yang bisa dipakai di kondisi aturan, per cakupan:
+// slot = tiap slot prakiraan (umumnya 3 jam), day = ringkasan harian
+const ADVISORY_METRICS = {
+  slot: {
+    temperature: '°C',
+    humidity: '%',
+    rainfall: 'mm',
+    rain_next_6h: 'mm',
+    wind_speed: 'km/jam',
+    cloud_cover: '%',
+    weather_code: null,
+    is_rain: null,
+    hour: null,
+    thi: null
+  },
+  day: {
+    temp_min: '°C',
+    temp_max: '°C',
+    temp_mean: '°C',
+    humidity_mean: '%',
+    rain_total: 'mm',
+    rain_hours: 'jam',
+    cloud_cover_mean: '%',
+    wind_max: 'km/jam',
+    thi_max: null,
+    dominant_weather_code: null
+  }
+};
+const OPERATORS = ['lt', 'lte', 'gt', 'gte', 'eq', 'neq', 'between', 'in', 'not_in'];
+
+const RULES_CACHE_TTL = 5 * 60 * 1000;
+let rulesCache = { rules: null, source: null, expiresAt: 0 };
+
+// Aturan bawaan; dipakai bila tabel kosong dan sebagai isi POST /bmkg/advisory/rules/seed
+const DEFAULT_ADVISORY_RULES = [
+  {
+    code: 'semprot-jendela-baik',
+    category: 'penyemprotan',
+    scope: 'slot',
+    severity: 'info',
+    title: 'Waktu baik untuk penyemprotan',
+    message: 'Waktu baik untuk menyemprot pestisida atau pupuk daun pada {date} pukul {start}–{end}: angin {wind_speed} km/jam dan tidak ada hujan hingga 6 jam setelahnya.',
+    conditions: [
+      { metric: 'hour', op: 'between', value: [6, 17] },
+      { metric: 'wind_speed', op: 'lte', value: 10 },
+      { metric: 'is_rain', op: 'eq', value: 0 },
+      { metric: 'rain_next_6h', op: 'eq', value: 0 },
+      { metric: 'temperature', op: 'lte', value: 32 }
+    ]
+  },
+  {
+    code: 'semprot-angin-kencang',
+    category: 'penyemprotan',
+    scope: 'slot',
+    severity: 'warning',
+    title: 'Hindari penyemprotan saat angin kencang',
+    message: 'Hindari penyemprotan pada {date} pukul {start}–{end}: angin {wind_speed} km/jam membuat semprotan terbawa angin (drift) dan tidak merata.',
+    conditions: [
+      { metric: 'hour', op: 'between', value: [6, 17] },
+      { metric: 'wind_speed', op: 'gt', value: 15 }
+    ]
+  },
+  {
+    code: 'irigasi-perlu',
+    category: 'irigasi',
+    scope: 'day',
+    severity: 'warning',
+    title: 'Tanaman perlu irigasi',
+    message: 'Curah hujan {date} hanya {rain_total} mm dengan suhu maksimum {temp_max}°C. Lakukan penyiraman atau irigasi pada pagi atau sore hari.',
+    conditions: [
+      { metric: 'rain_total', op: 'lt', value: 2 },
+      { metric: 'temp_max', op: 'gte', value: 31 }
+    ]
+  },
+  {
+    code: 'irigasi-tunda',
+    category: 'irigasi',
+    scope: 'day',
+    severity: 'info',
+    title: 'Tunda irigasi, periksa drainase',
+    message: 'Hujan diperkirakan {rain_total} mm pada {date}. Tunda irigasi dan pastikan saluran drainase lahan tidak tersumbat.',
+    conditions: [
+      { metric: 'rain_total', op: 'gte', value: 20 }
+    ]
+  },
+  {
+    code: 'ternak-stres-panas-ringan',
+    category: 'ternak',
+    scope: 'day',
+    severity: 'info',
+    title: 'Waspada stres panas ringan pada ternak',
+    message: 'Indeks suhu-kelembapan (THI) mencapai {thi_max} pada {date}. Pastikan air minum ternak selalu tersedia dan kandang berventilasi baik.',
+    conditions: [
+      { metric: 'thi_max', op: 'between', value: [72, 78.9] }
+    ]
+  },
+  {
+    code: 'ternak-stres-panas',
+    category: 'ternak',
+    scope: 'day',
+    severity: 'danger',
+    title: 'Risiko stres panas pada ternak',
+    message: 'THI mencapai {thi_max} pada {date} (suhu maksimum {temp_max}°C). Sediakan air minum dan naungan, semprot atau kipasi kandang, dan hindari menggembala atau mengangkut ternak pada siang hari.',
+    conditions: [
+      { metric: 'thi_max', op: 'gte', value: 79 }
+    ]
+  },
+  {
+    code: 'jemur-gabah-baik',
+    category: 'pascapanen',
+    scope: 'day',
+    severity: 'info',
+    title: 'Cuaca baik untuk menjemur hasil panen',
+    message: 'Kondisi baik untuk menjemur gabah atau jagung pada {date}: tanpa hujan, kelembapan rata-rata {humidity_mean}% dan tutupan awan {cloud_cover_mean}%.',
+    conditions: [
+      { metric: 'rain_hours', op: 'eq', value: 0 },
+      { metric: 'humidity_mean', op: 'lt', value: 75 },
+      { metric: 'cloud_cover_mean', op: 'lte', value: 60 }
+    ]
+  },
+  {
+    code: 'jemur-gabah-tunda',
+    category: 'pascapanen',
+    scope: 'day',
+    severity: 'warning',
+    title: 'Tunda penjemuran hasil panen',
+    message: 'Hujan sekitar {rain_hours} jam diperkirakan pada {date}. Tunda penjemuran gabah atau siapkan terpal penutup dan pengering.',
+    conditions: [
+      { metric: 'rain_hours', op: 'gte', value: 3 }
+    ]
+  }
+];
+
+// Temperature-Humidity Index untuk ternak (suhu °C, kelembapan %); >= 72 mulai stres panas
+function computeThi(temperature, humidity) {
+  if (temperature === null || temperature === undefined || humidity === null || humidity === undefined) return null;
+  return round(0.8 * temperature + (humidity / 100) * (temperature - 14.4) + 46.4, 1);
+}
+
+function addHours(localDateTime, hours) {
+  const date = new Date(Date.parse(`${localDateTime.replace(' ', 'T')}Z`) + hours * 3600000);
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function hoursBetween(a, b) {
+  return (Date.parse(`${b.replace(' ', 'T')}Z`) - Date.parse(`${a.replace(' ', 'T')}Z`)) / 3600000;
+}
+
+// Lengkapi baris per jam dengan metrik turunan untuk cakupan slot
+function buildSlotMetrics(rows) {
+  return rows.map((row, index) => {
+    const next = rows[index + 1];
+    const gap = next ? hoursBetween(row.forecast_local, next.forecast_local) : 3;
+    const duration = gap > 0 && gap <= 6 ? gap : 3;
+    const horizon = addHours(row.forecast_local, 6);
+    const rainNext = rows
+      .slice(index + 1)
+      .filter(r => r.forecast_local < horizon)
+      .reduce((sum, r) => sum + (r.rainfall || 0), 0);
+
+    return {
+      ...row,
+      slot_end: addHours(row.forecast_local, duration),
+      slot_end_utc: addHours(row.forecast_utc, duration),
+      hour: parseInt(row.forecast_local.slice(11, 13), 10),
+      is_rain: isRainy(row) ? 1 : 0,
+      rain_next_6h: round(rainNext),
+      thi: computeThi(row.temperature, row.humidity)
+    };
+  });
+}
+
+// Ringkasan harian + metrik tambahan (awan, angin maksimum, THI maksimum)
+function buildDayMetrics(rows, slots) {
+  return aggregateDaily(rows).map(day => {
+    const daySlots = slots.filter(slot => slot.forecast_local.startsWith(day.weather_date));
+    const clouds = daySlots.map(s => s.cloud_cover).filter(v => v !== null && v !== undefined);
+    const winds = daySlots.map(s => s.wind_speed).filter(v => v !== null && v !== undefined);
+    const thiValues = daySlots.map(s => s.thi).filter(v => v !== null);
+    return {
+      ...day,
+      cloud_cover_mean: clouds.length ? round(mean(clouds)) : null,
+      wind_max: winds.length ? Math.max(...winds) : null,
+      thi_max: thiValues.length ? Math.max(...thiValues) : null
+    };
+  });
+}
+
+function compare(value, op, threshold) {
+  if (value === null || value === undefined) return false;
+  switch (op) {
+    case 'lt': return value < threshold;
+    case 'lte': return value <= threshold;
+    case 'gt': return value > threshold;
+    case 'gte': return value >= threshold;
+    case 'eq': return value === threshold;
+    case 'neq': return value !== threshold;
+    case 'between': return value >= threshold[0] && value <= threshold[1];
+    case 'in': return threshold.includes(value);
+    case 'not_in': return !threshold.includes(value);
+    default: return false;
+  }
+}
+
+function matches(entry, conditions) {
+  return conditions.every(condition => compare(entry[condition.metric], condition.op, condition.value));
+}
+
+function formatNumber(value) {
+  return typeof value === 'number' ? value.toLocaleString('id-ID', { maximumFractionDigits: 1 }) : String(value);
+}
+
+function formatDate(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('id-ID', {
+    weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC'
+  });
+}
+
+// Ganti placeholder {metric}, {date}, {start}, {end} di pesan aturan
+function renderMessage(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = values[key];
+    if (value === undefined || value === null) return match;
+    if (typeof value === 'object' && 'min' in value) {
+      return value.min === value.max ? formatNumber(value.min) : `${formatNumber(value.min)}–${formatNumber(value.max)}`;
+    }
+    return formatNumber(value);
+  });
+}
+
+function describeTrigger(condition, scope, value) {
+  return {
+    metric: condition.metric,
+    op: condition.op,
+    threshold: condition.value,
+    value,
+    unit: ADVISORY_METRICS[scope][condition.metric] || null
+  };
+}
+
+function evaluateDayRule(rule, days) {
+  return days.filter(day => matches(day, rule.conditions)).map(day => {
+    const triggers = rule.conditions.map(condition => describeTrigger(condition, 'day', day[condition.metric]));
+    return {
+      date: day.weather_date,
+      message: renderMessage(rule.message, { ...day, date: formatDate(day.weather_date) }),
+      triggers
+    };
+  });
+}
+
+// Slot yang berurutan dan sama-sama memenuhi aturan digabung menjadi satu jendela waktu
+function evaluateSlotRule(rule, slots) {
+  const windows = [];
+  let current = null;
+  for (const slot of slots) {
+    if (!matches(slot, rule.conditions)) {
+      current = null;
+      continue;
+    }
+    if (current && current.slots[current.slots.length - 1].slot_end === slot.forecast_local) {
+      current.slots.push(slot);
+    } else {
+      current = { slots: [slot] };
+      windows.push(current);
+    }
+  }
+
+  return windows.map(({ slots: windowSlots }) => {
+    const first = windowSlots[0];
+    const last = windowSlots[windowSlots.length - 1];
+    const ranges = {};
+    for (const condition of rule.conditions) {
+      const values = windowSlots.map(s => s[condition.metric]).filter(v => v !== null && v !== undefined);
+      ranges[condition.metric] = { min: Math.min(...values), max: Math.max(...values) };
+    }
+    // Metrik yang tidak ada di kondisi tapi dipakai di pesan tetap ditampilkan sebagai rentang
+    for (const metric of Object.keys(ADVISORY_METRICS.slot)) {
+      if (ranges[metric]) continue;
+      const values = windowSlots.map(s => s[metric]).filter(v => v !== null && v !== undefined);
+      if (values.length) ranges[metric] = { min: Math.min(...values), max: Math.max(...values) };
+    }
+
+    return {
+      date: first.forecast_local.slice(0, 10),
+      window: { start: first.forecast_local, end: last.slot_end },
+      message: renderMessage(rule.message, {
+        ...ranges,
+        date: formatDate(first.forecast_local.slice(0, 10)),
+        start: first.forecast_local.slice(11, 16),
+        end: last.slot_end.slice(11, 16)
+      }),
+      triggers: rule.conditions.map(condition => describeTrigger(condition, 'slot', ranges[condition.metric])),
+      slots: windowSlots.map(slot => ({
+        forecast_local: slot.forecast_local,
+        ...Object.fromEntries(rule.conditions.map(condition => [condition.metric, slot[condition.metric]]))
+      }))
+    };
+  });
+}
+
+/**
+ * Terapkan aturan ke prakiraan per jam satu lokasi.
+ * @param {object[]} rows - baris per jam hasil parseHourlyForecast (ditambah adm4_code)
+ * @param {object[]} rules - aturan aktif
+ * @param {object} [options]
+ * @param {Date} [options.now] - slot yang sudah lewat dan hari sebelumnya diabaikan (default: sekarang)
+ * @returns {object[]} saran beserta nilai prakiraan yang memicunya
+ */
+function evaluateAdvisories(rows, rules, { now = new Date() } = {}) {
+  const nowUtc = now.toISOString().replace('T', ' ').slice(0, 19);
+  const allSlots = buildSlotMetrics(rows);
+  const slots = allSlots.filter(slot => slot.slot_end_utc > nowUtc);
+  const firstDate = slots[0]?.forecast_local.slice(0, 10);
+  const days = firstDate ? buildDayMetrics(rows, allSlots).filter(day => day.weather_date >= firstDate) : [];
+  const severityRank = Object.fromEntries(ADVISORY_SEVERITIES.map((s, i) => [s, i]));
+
+  const advisories = [];
+  for (const rule of rules) {
+    const results = rule.scope === 'slot' ? evaluateSlotRule(rule, slots) : evaluateDayRule(rule, days);
+    for (const result of results) {
+      advisories.push({
+        rule_code: rule.code,
+        category: rule.category,
+        category_label: ADVISORY_CATEGORIES[rule.category] || rule.category,
+        severity: rule.severity,
+        title: rule.title,
+        ...result
+      });
+    }
+  }
+
+  return advisories.sort((a, b) => a.date.localeCompare(b.date)
+    || severityRank[b.severity] - severityRank[a.severity]
+    || (a.window?.start || '').localeCompare(b.window?.start || ''));
+}
+
+// Validasi dan normalisasi body aturan (create/update)
+// scope: scope aturan lama, untuk memvalidasi conditions saat update parsial tanpa scope
+function validateRule(body, { partial = false, scope: existingScope = 'day' } = {}) {
+  const data = {};
+  if (body.code !== undefined || !partial) {
+    const code = (body.code || '').toString().trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9-]{1,59}$/.test(code)) return { error: 'code must be 2-60 characters of a-z, 0-9 or -' };
+    data.code = code;
+  }
+  if (body.category !== undefined || !partial) {
+    if (!ADVISORY_CATEGORIES[body.category]) {
+      return { error: `category must be one of: ${Object.keys(ADVISORY_CATEGORIES).join(', ')}` };
+    }
+    data.category = body.category;
+  }
+  if (body.scope !== undefined || !partial) {
+    data.scope = body.scope || 'day';
+    if (!ADVISORY_METRICS[data.scope]) return { error: 'scope must be slot or day' };
+  }
+  if (body.severity !== undefined || !partial) {
+    data.severity = body.severity || 'info';
+    if (!ADVISORY_SEVERITIES.includes(data.severity)) {
+      return { error: `severity must be one of: ${ADVISORY_SEVERITIES.join(', ')}` };
+    }
+  }
+  for (const field of ['title', 'message']) {
+    if (body[field] !== undefined || !partial) {
+      const value = (body[field] || '').toString().trim();
+      if (!value) return { error: `${field} is required` };
+      data[field] = value;
+    }
+  }
+  if (body.conditions !== undefined || !partial) {
+    const scope = data.scope || existingScope;
+    if (!Array.isArray(body.conditions) || body.conditions.length === 0) {
+      return { error: 'conditions must be a non-empty array' };
+    }
+    for (const condition of body.conditions) {
+      if (!condition || !(condition.metric in ADVISORY_METRICS[scope])) {
+        return { error: `metric must be one of (${scope}): ${Object.keys(ADVISORY_METRICS[scope]).join(', ')}` };
+      }
+      if (!OPERATORS.includes(condition.op)) {
+        return { error: `op must be one of: ${OPERATORS.join(', ')}` };
+      }
+      const { value, op } = condition;
+      const validValue = op === 'between'
+        ? Array.isArray(value) && value.length === 2 && value.every(Number.isFinite) && value[0] <= value[1]
+        : ['in', 'not_in'].includes(op)
+          ? Array.isArray(value) && value.length > 0 && value.every(Number.isFinite)
+          : Number.isFinite(value);
+      if (!validValue) {
+        return { error: `invalid value for ${condition.metric} ${op}` };
+      }
+    }
+    data.conditions = body.conditions.map(({ metric, op, value }) => ({ metric, op, value }));
+  }
+  if (body.sort_order !== undefined) data.sort_order = parseInt(body.sort_order, 10) || 0;
+  if (body.is_active !== undefined) data.is_active = Boolean(body.is_active);
+  return { data };
+}
+
+// Aturan aktif dari DB (cache 5 menit); tabel kosong = aturan bawaan
+async function loadRules(db, { refresh = false } = {}) {
+  if (!refresh && rulesCache.rules && rulesCache.expiresAt > Date.now()) {
+    return { rules: rulesCache.rules, source: rulesCache.source };
+  }
+  const model = new AdvisoryRule(db);
+  const useDefaults = (await model.count()) === 0;
+  const rules = useDefaults
+    ? DEFAULT_ADVISORY_RULES.map((rule, index) => ({ ...rule, sort_order: index + 1, is_active: true }))
+    : await model.getAll({ activeOnly: true });
+  rulesCache = { rules, source: useDefaults ? 'default' : 'database', expiresAt: Date.now() + RULES_CACHE_TTL };
+  return { rules, source: rulesCache.source };
+}
+
+function invalidateRules() {
+  rulesCache = { rules: null, source: null, expiresAt: 0 };
+}
+
+module.exports = {
+  ADVISORY_CATEGORIES,
+  ADVISORY_SEVERITIES,
+  ADVISORY_METRICS,
+  DEFAULT_ADVISORY_RULES,
+  computeThi,
+  evaluateAdvisories,
+  validateRule,
+  loadRules,
+  invalidateRules
+};
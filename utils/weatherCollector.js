@@ -0,0 +1,137 @@
+// Collector prakiraan cuaca BMKG untuk lokasi di tabel weather_locations,
+// hasil parsing per jam disimpan ke tabel weather_forecasts; riwayat tabel lama weather_logs ikut dipindahkan
+const WeatherLocation = require('../models/WeatherLocation');
+const WeatherForecast = require('../models/WeatherForecast');
+const WeatherLog = require('../models/WeatherLog');
+const { fetchForecast } = require('./bmkgClient');
+const { parseHourlyForecast } = require('./bmkgParser');
+const { rememberCentroid } = require('./forecastResolver');
+const { rollupWeather } = require('./weatherHistory');
+
+// BMKG membatasi 60 request/menit per IP; default 5 lokasi per batch dengan jeda 5 detik
+const COLLECT_LIMIT = parseInt(process.env.WEATHER_COLLECT_LIMIT, 10) || 30;
+const BATCH_SIZE = parseInt(process.env.WEATHER_BATCH_SIZE, 10) || 5;
+const BATCH_DELAY_MS = parseInt(process.env.WEATHER_BATCH_DELAY_MS, 10) || 5000;
+// Payload weather_logs dibaca per batch karena tiap baris berisi respons BMKG utuh
+const BACKFILL_BATCH_SIZE = 20;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function collectLocation(db, location, forecastModel, locationModel) {
+  try {
+    const payload = await fetchForecast({ adm4: location.adm4_code });
+    const { location: lokasi, rows } = parseHourlyForecast(payload);
+    if (rows.length === 0) {
+      throw new Error('BMKG response has no forecast data');
+    }
+    await rememberCentroid(db, lokasi).catch(() => {});
+
+    const saved = await forecastModel.replaceForLocation(location.adm4_code, rows);
+    await locationModel.markFetched(location.id, 'ok');
+    return { adm4_code: location.adm4_code, rows: saved };
+  } catch (error) {
+    await locationModel.markFetched(location.id, 'failed', error.message).catch(() => {});
+    return { adm4_code: location.adm4_code, error: error.message };
+  }
+}
+
+/**
+ * Ambil prakiraan cuaca untuk lokasi aktif secara bertahap (batch) lalu simpan per jam.
+ * @param {object} db - pool database (mysql2 atau wrapper pg)
+ * @param {object} [options]
+ * @param {number} [options.limit] - maksimal lokasi per run (default env WEATHER_COLLECT_LIMIT atau 30)
+ * @param {number} [options.batchSize] - request paralel per batch (default env WEATHER_BATCH_SIZE atau 5)
+ * @param {number} [options.delayMs] - jeda antar batch (default env WEATHER_BATCH_DELAY_MS atau 5000)
+ * @returns {Promise<object>} ringkasan hasil koleksi
+ */
+async function collectWeather(db, options = {}) {
+  const settings = {
+    limit: options.limit || COLLECT_LIMIT,
+    batchSize: options.batchSize || BATCH_SIZE,
+    delayMs: options.delayMs !== undefined ? options.delayMs : BATCH_DELAY_MS
+  };
+
+  const locationModel = new WeatherLocation(db);
+  const forecastModel = new WeatherForecast(db);
+  const locations = await locationModel.getDueForCollection(settings.limit);
+  const summary = { locations: locations.length, collected: 0, rows: 0, failed: [] };
+
+  for (let start = 0; start < locations.length; start += settings.batchSize) {
+    if (start > 0) await sleep(settings.delayMs);
+
+    const batch = locations.slice(start, start + settings.batchSize);
+    const results = await Promise.all(batch.map(location => collectLocation(db, location, forecastModel, locationModel)));
+    for (const result of results) {
+      if (result.error) {
+        summary.failed.push(result);
+      } else {
+        summary.collected++;
+        summary.rows += result.rows;
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Pindahkan riwayat dari tabel lama weather_logs (payload BMKG mentah per pengambilan) ke
+ * weather_forecasts, lalu ringkas harinya ke weather_daily. Payload diputar ulang sesuai urutan
+ * pengambilan sehingga prakiraan yang lebih baru menang per slot; hanya slot yang lebih tua dari
+ * data collector yang sudah ada yang diisi. Log yang sudah dipindahkan ditandai, tidak dihapus.
+ * @param {object} db - pool database (weather_logs hanya ada di Postgres)
+ * @returns {Promise<object|null>} ringkasan, atau null bila tidak ada weather_logs
+ */
+async function backfillWeatherLogs(db) {
+  const logModel = new WeatherLog(db);
+  if (!await logModel.exists()) return null;
+  await logModel.ensureBackfillColumn();
+
+  const forecastModel = new WeatherForecast(db);
+  const pending = await logModel.getPending();
+  const idsByCode = new Map();
+  for (const log of pending) {
+    if (!idsByCode.has(log.adm4_code)) idsByCode.set(log.adm4_code, []);
+    idsByCode.get(log.adm4_code).push(log.id);
+  }
+
+  const summary = { logs: pending.length, skipped: 0, locations: idsByCode.size, inserted: 0, rollups: [] };
+
+  for (const [code, ids] of idsByCode) {
+    const slots = new Map();
+    for (let start = 0; start < ids.length; start += BACKFILL_BATCH_SIZE) {
+      const logs = await logModel.getPayloads(ids.slice(start, start + BACKFILL_BATCH_SIZE));
+      for (const log of logs) {
+        let parsed;
+        try {
+          parsed = parseHourlyForecast(log.weather_data);
+        } catch (error) {
+          summary.skipped++;
+          continue;
+        }
+        for (const row of parsed.rows) slots.set(row.forecast_utc, row);
+      }
+    }
+
+    // Data collector yang sudah ada lebih lengkap; log lama hanya mengisi masa sebelumnya
+    const earliest = await forecastModel.getEarliestUtc(code);
+    const rows = [...slots.values()]
+      .filter(row => !earliest || row.forecast_utc < earliest)
+      .sort((a, b) => a.forecast_utc.localeCompare(b.forecast_utc));
+
+    if (rows.length > 0) {
+      summary.inserted += await forecastModel.insertRows(code, rows);
+      summary.rollups.push(await rollupWeather(db, { from: rows[0].forecast_local.slice(0, 10), adm4Codes: [code] }));
+    }
+    await logModel.markBackfilled(ids);
+  }
+
+  return summary;
+}
+
+module.exports = {
+  collectWeather,
+  backfillWeatherLogs
+};
@@ -0,0 +1,151 @@
+// Agregasi harian dan retensi data cuaca: baris per jam (weather_forecasts) diringkas
+// ke weather_daily, lalu baris per jam yang lebih tua dari retensi dipangkas
+const WeatherForecast = require('../models/WeatherForecast');
+const WeatherDaily = require('../models/WeatherDaily');
+const { shiftDateKey, round, mean } = require('./priceAnalytics');
+
+// Retensi dalam hari; WEATHER_DAILY_RETENTION_DAYS=0 berarti ringkasan harian disimpan selamanya
+const RAW_RETENTION_DAYS = parseInt(process.env.WEATHER_RAW_RETENTION_DAYS, 10) || 14;
+const DAILY_RETENTION_DAYS = parseInt(process.env.WEATHER_DAILY_RETENTION_DAYS, 10) || 0;
+
+// Kode cuaca BMKG yang berarti hujan (hujan ringan/sedang/lebat, hujan lokal, hujan petir)
+const RAIN_WEATHER_CODES = [60, 61, 63, 80, 95, 97];
+const DEFAULT_SLOT_HOURS = 3;
+
+// Tanggal hari ini (YYYY-MM-DD) menurut WIB
+function todayKey() {
+  return new Date(Date.now() + 7 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function hoursBetween(a, b) {
+  return (Date.parse(`${b.replace(' ', 'T')}Z`) - Date.parse(`${a.replace(' ', 'T')}Z`)) / 3600000;
+}
+
+// Lama satu slot prakiraan (jam) = jarak ke slot berikutnya; slot terakhir memakai jarak sebelumnya
+function slotDurations(rows) {
+  return rows.map((row, index) => {
+    const next = rows[index + 1];
+    const prev = rows[index - 1];
+    const gap = next ? hoursBetween(row.forecast_local, next.forecast_local)
+      : prev ? hoursBetween(prev.forecast_local, row.forecast_local)
+        : DEFAULT_SLOT_HOURS;
+    return gap > 0 && gap <= 6 ? gap : DEFAULT_SLOT_HOURS;
+  });
+}
+
+function isRainy(row) {
+  return (row.rainfall !== null && row.rainfall > 0) || RAIN_WEATHER_CODES.includes(row.weather_code);
+}
+
+/**
+ * Ringkas baris per jam menjadi satu baris per hari (tanggal waktu lokal lokasi).
+ * @param {object[]} rows - baris weather_forecasts satu lokasi, terurut forecast_local
+ * @returns {object[]} ringkasan harian: suhu min/max/rata-rata, rata-rata kelembapan,
+ *   total curah hujan, jam hujan dan kondisi dominan (paling lama; seri = kode lebih berat)
+ */
+function aggregateDaily(rows) {
+  const sorted = [...rows].sort((a, b) => a.forecast_local.localeCompare(b.forecast_local));
+  const durations = slotDurations(sorted);
+  const days = new Map();
+
+  sorted.forEach((row, index) => {
+    const date = row.forecast_local.slice(0, 10);
+    if (!days.has(date)) days.set(date, { adm4_code: row.adm4_code, rows: [], durations: [] });
+    days.get(date).rows.push(row);
+    days.get(date).durations.push(durations[index]);
+  });
+
+  return [...days.entries()].map(([date, day]) => {
+    const temps = day.rows.map(r => r.temperature).filter(v => v !== null && v !== undefined);
+    const humidities = day.rows.map(r => r.humidity).filter(v => v !== null && v !== undefined);
+    const rainfalls = day.rows.map(r => r.rainfall).filter(v => v !== null && v !== undefined);
+
+    const conditions = new Map();
+    let rainHours = 0;
+    day.rows.forEach((row, index) => {
+      if (isRainy(row)) rainHours += day.durations[index];
+      if (row.weather_code === null || row.weather_code === undefined) return;
+      const condition = conditions.get(row.weather_code) || { code: row.weather_code, desc: row.weather_desc, hours: 0 };
+      condition.hours += day.durations[index];
+      condition.desc = row.weather_desc || condition.desc;
+      conditions.set(row.weather_code, condition);
+    });
+    const dominant = [...conditions.values()].sort((a, b) => b.hours - a.hours || b.code - a.code)[0] || null;
+
+    return {
+      adm4_code: day.adm4_code,
+      weather_date: date,
+      temp_min: temps.length ? Math.min(...temps) : null,
+      temp_max: temps.length ? Math.max(...temps) : null,
+      temp_mean: temps.length ? round(mean(temps)) : null,
+      humidity_mean: humidities.length ? round(mean(humidities)) : null,
+      rain_total: rainfalls.length ? round(rainfalls.reduce((sum, v) => sum + v, 0)) : null,
+      rain_hours: round(rainHours),
+      dominant_weather_code: dominant ? dominant.code : null,
+      dominant_weather_desc: dominant ? dominant.desc || null : null,
+      sample_count: day.rows.length
+    };
+  });
+}
+
+/**
+ * Hitung ulang ringkasan harian dari baris per jam lalu simpan ke weather_daily.
+ * Hanya hari sampai hari ini (WIB) yang disimpan; hari depan masih berupa prakiraan.
+ * @param {object} db - pool database (mysql2 atau wrapper pg)
+ * @param {object} [options]
+ * @param {string} [options.from] - tanggal awal YYYY-MM-DD (default: hari utuh tertua dalam retensi data per jam)
+ * @param {string} [options.to] - tanggal akhir YYYY-MM-DD (default: hari ini)
+ * @param {string[]} [options.adm4Codes] - batasi ke lokasi tertentu (default: semua yang punya data)
+ */
+async function rollupWeather(db, options = {}) {
+  const today = todayKey();
+  const to = options.to && options.to < today ? options.to : today;
+  // Hari paling tua di jendela retensi bisa sudah terpangkas sebagian, jadi tidak dihitung ulang
+  const from = options.from || shiftDateKey(today, { days: -(RAW_RETENTION_DAYS - 1) });
+  const forecastModel = new WeatherForecast(db);
+  const dailyModel = new WeatherDaily(db);
+
+  const rangeStart = `${from} 00:00:00`;
+  const rangeEnd = `${shiftDateKey(to, { days: 1 })} 00:00:00`;
+  const codes = options.adm4Codes || await forecastModel.getCodesInRange(rangeStart, rangeEnd);
+  const summary = { from, to, locations: codes.length, inserted: 0, updated: 0 };
+
+  for (const code of codes) {
+    const rows = await forecastModel.getRange(code, rangeStart, rangeEnd);
+    for (const day of aggregateDaily(rows)) {
+      const result = await dailyModel.upsert(day);
+      summary[result]++;
+    }
+  }
+
+  return summary;
+}
+
+// Pangkas baris per jam (dan ringkasan harian bila retensinya diatur) yang melewati retensi
+async function pruneWeather(db, options = {}) {
+  const rawDays = options.rawRetentionDays || RAW_RETENTION_DAYS;
+  const dailyDays = options.dailyRetentionDays !== undefined ? options.dailyRetentionDays : DAILY_RETENTION_DAYS;
+  const today = todayKey();
+
+  const rawCutoff = shiftDateKey(today, { days: -rawDays });
+  await new WeatherForecast(db).deleteBefore(`${rawCutoff} 00:00:00`);
+
+  let dailyCutoff = null;
+  if (dailyDays > 0) {
+    dailyCutoff = shiftDateKey(today, { days: -dailyDays });
+    await new WeatherDaily(db).deleteBefore(dailyCutoff);
+  }
+
+  return { raw_before: rawCutoff, daily_before: dailyCutoff };
+}
+
+module.exports = {
+  RAW_RETENTION_DAYS,
+  DAILY_RETENTION_DAYS,
+  RAIN_WEATHER_CODES,
+  todayKey,
+  isRainy,
+  aggregateDaily,
+  rollupWeather,
+  pruneWeather
+};
@@ -0,0 +1,291 @@
+// Peringatan dini cuaca ekstrem dari prakiraan tersimpan (weather_forecasts) untuk lokasi
+// pemantauan, ditandai dengan komoditas sentra produksi di wilayahnya sebagai risiko pasokan.
+// Pemetaan wilayah -> komoditas disimpan di weather_region_commodities; bila tabel masih
+// kosong dipakai DEFAULT_REGION_COMMODITIES.
+const WeatherLocation = require('../models/WeatherLocation');
+const WeatherForecast = require('../models/WeatherForecast');
+const RegionCommodity = require('../models/RegionCommodity');
+const { COMMODITY_CATEGORIES, DEFAULT_COMMODITIES, loadCatalog } = require('./commodityCatalog');
+const { todayKey, aggregateDaily } = require('./weatherHistory');
+const { shiftDateKey, round } = require('./priceAnalytics');
+
+// Ambang peringatan; bisa diubah lewat env
+const WARNING_THRESHOLDS = {
+  heavy_rain_mm: parseFloat(process.env.WARNING_HEAVY_RAIN_MM) || 20,
+  heavy_rain_days: parseInt(process.env.WARNING_HEAVY_RAIN_DAYS, 10) || 2,
+  heat_temp_c: parseFloat(process.env.WARNING_HEAT_TEMP_C) || 35,
+  heat_days: parseInt(process.env.WARNING_HEAT_DAYS, 10) || 3,
+  strong_wind_kmh: parseFloat(process.env.WARNING_STRONG_WIND_KMH) || 40
+};
+
+// Hari lalu ikut dipindai supaya deretan hari hujan/panas yang sudah berjalan tetap terhitung
+const LOOKBACK_DAYS = 3;
+const HORIZON_DAYS = 10;
+
+const WARNING_TYPES = {
+  hujan_lebat: {
+    label: 'Hujan lebat beruntun',
+    risk: 'Genangan/banjir di lahan, gagal panen dan distribusi terganggu'
+  },
+  panas_ekstrem: {
+    label: 'Suhu panas berkepanjangan',
+    risk: 'Kekeringan, tanaman dan ternak stres sehingga hasil turun'
+  },
+  angin_kencang: {
+    label: 'Angin kencang',
+    risk: 'Tanaman rebah dan nelayan tidak melaut'
+  }
+};
+const WARNING_SEVERITIES = ['warning', 'danger'];
+
+const CACHE_TTL = 5 * 60 * 1000;
+let mappingCache = { entries: null, source: null, expiresAt: 0 };
+let warningsCache = { result: null, expiresAt: 0 };
+
+// Sentra produksi utama per provinsi/kabupaten; isi awal POST /bmkg/warnings/region-commodities/seed
+const DEFAULT_REGION_COMMODITIES = [
+  { region_code: '32', commodity_slug: 'beras-medium', notes: 'Jawa Barat' },
+  { region_code: '32', commodity_slug: 'cabai-merah-keriting', notes: 'Jawa Barat' },
+  { region_code: '32', commodity_slug: 'cabai-merah-besar', notes: 'Jawa Barat' },
+  { region_code: '33', commodity_slug: 'beras-medium', notes: 'Jawa Tengah' },
+  { region_code: '33', commodity_slug: 'cabai-merah-keriting', notes: 'Jawa Tengah' },
+  { region_code: '33.29', commodity_slug: 'bawang-merah', notes: 'Kab. Brebes' },
+  { region_code: '35', commodity_slug: 'beras-medium', notes: 'Jawa Timur' },
+  { region_code: '35', commodity_slug: 'jagung-peternak', notes: 'Jawa Timur' },
+  { region_code: '35', commodity_slug: 'cabai-rawit-merah', notes: 'Jawa Timur' },
+  { region_code: '35', commodity_slug: 'bawang-merah', notes: 'Jawa Timur' },
+  { region_code: '35', commodity_slug: 'gula-konsumsi', notes: 'Jawa Timur (tebu)' },
+  { region_code: '35.05', commodity_slug: 'telur-ayam-ras', notes: 'Kab. Blitar' },
+  { region_code: '12', commodity_slug: 'cabai-merah-keriting', notes: 'Sumatera Utara' },
+  { region_code: '18', commodity_slug: 'jagung-peternak', notes: 'Lampung' },
+  { region_code: '52', commodity_slug: 'bawang-merah', notes: 'Nusa Tenggara Barat' },
+  { region_code: '52', commodity_slug: 'jagung-peternak', notes: 'Nusa Tenggara Barat' },
+  { region_code: '73', commodity_slug: 'beras-medium', notes: 'Sulawesi Selatan' },
+  { region_code: '73', commodity_slug: 'jagung-peternak', notes: 'Sulawesi Selatan' }
+];
+
+function formatNumber(value) {
+  return Number(value).toLocaleString('id-ID', { maximumFractionDigits: 1 });
+}
+
+// Kode wilayah berlaku untuk dirinya dan semua wilayah di bawahnya (prefiks per segmen)
+function regionCovers(regionCode, code) {
+  return code === regionCode || code.startsWith(`${regionCode}.`);
+}
+
+// Ringkasan harian + angin maksimum per hari dari baris per jam
+function buildDays(rows) {
+  return aggregateDaily(rows).map(day => {
+    const winds = rows
+      .filter(row => row.forecast_local.startsWith(day.weather_date) && row.wind_speed !== null)
+      .map(row => row.wind_speed);
+    return { ...day, wind_max: winds.length ? Math.max(...winds) : null };
+  });
+}
+
+// Kelompokkan hari berurutan (tanggal kalender bersambung) yang memenuhi predikat
+function findStreaks(days, predicate) {
+  const streaks = [];
+  let current = null;
+  for (const day of days) {
+    if (!predicate(day)) {
+      current = null;
+      continue;
+    }
+    const continues = current && shiftDateKey(current[current.length - 1].weather_date, { days: 1 }) === day.weather_date;
+    if (continues) {
+      current.push(day);
+    } else {
+      current = [day];
+      streaks.push(current);
+    }
+  }
+  return streaks;
+}
+
+function buildWarning(type, severity, streak, metrics, message) {
+  const start = streak[0].weather_date;
+  const end = streak[streak.length - 1].weather_date;
+  return {
+    type,
+    label: WARNING_TYPES[type].label,
+    severity,
+    start_date: start,
+    end_date: end,
+    days: streak.length,
+    metrics,
+    message,
+    risk: WARNING_TYPES[type].risk
+  };
+}
+
+/**
+ * Deteksi kondisi cuaca berisiko dari ringkasan harian satu lokasi.
+ * Hanya deretan yang masih berlangsung atau akan datang (berakhir >= today) yang dilaporkan.
+ * @param {object[]} days - hasil buildDays (weather_date, rain_total, temp_max, wind_max, ...)
+ * @param {object} [options]
+ * @param {string} [options.today] - tanggal acuan YYYY-MM-DD (default hari ini WIB)
+ * @param {object} [options.thresholds] - override WARNING_THRESHOLDS
+ * @returns {object[]} peringatan tanpa info lokasi/komoditas
+ */
+function detectWarnings(days, { today = todayKey(), thresholds = WARNING_THRESHOLDS } = {}) {
+  const warnings = [];
+  const active = streak => streak[streak.length - 1].weather_date >= today;
+
+  const rainStreaks = findStreaks(days, day => day.rain_total !== null && day.rain_total >= thresholds.heavy_rain_mm);
+  for (const streak of rainStreaks.filter(active)) {
+    if (streak.length < thresholds.heavy_rain_days) continue;
+    const totals = streak.map(day => day.rain_total);
+    const total = round(totals.reduce((sum, v) => sum + v, 0));
+    const max = Math.max(...totals);
+    const severity = streak.length > thresholds.heavy_rain_days || max >= thresholds.heavy_rain_mm * 2 ? 'danger' : 'warning';
+    warnings.push(buildWarning('hujan_lebat', severity, streak, { rain_total_mm: total, rain_max_daily_mm: max },
+      `Hujan ≥ ${formatNumber(thresholds.heavy_rain_mm)} mm/hari selama ${streak.length} hari berturut-turut (total ${formatNumber(total)} mm).`));
+  }
+
+  const heatStreaks = findStreaks(days, day => day.temp_max !== null && day.temp_max >= thresholds.heat_temp_c);
+  for (const streak of heatStreaks.filter(active)) {
+    if (streak.length < thresholds.heat_days) continue;
+    const max = Math.max(...streak.map(day => day.temp_max));
+    const severity = streak.length >= thresholds.heat_days + 2 ? 'danger' : 'warning';
+    warnings.push(buildWarning('panas_ekstrem', severity, streak, { temp_max_c: max },
+      `Suhu maksimum ≥ ${formatNumber(thresholds.heat_temp_c)}°C selama ${streak.length} hari berturut-turut (puncak ${formatNumber(max)}°C).`));
+  }
+
+  const windStreaks = findStreaks(days, day => day.wind_max !== null && day.wind_max >= thresholds.strong_wind_kmh);
+  for (const streak of windStreaks.filter(active)) {
+    const max = Math.max(...streak.map(day => day.wind_max));
+    const severity = max >= thresholds.strong_wind_kmh * 1.5 ? 'danger' : 'warning';
+    warnings.push(buildWarning('angin_kencang', severity, streak, { wind_max_kmh: max },
+      `Angin hingga ${formatNumber(max)} km/jam selama ${streak.length} hari.`));
+  }
+
+  return warnings;
+}
+
+async function loadRegionCommodities(db, { refresh = false } = {}) {
+  if (!refresh && mappingCache.entries && mappingCache.expiresAt > Date.now()) {
+    return { entries: mappingCache.entries, source: mappingCache.source };
+  }
+  const stored = await new RegionCommodity(db).getAll();
+  const entries = stored.length > 0 ? stored : DEFAULT_REGION_COMMODITIES;
+  const source = stored.length > 0 ? 'database' : 'default';
+  mappingCache = { entries, source, expiresAt: Date.now() + CACHE_TTL };
+  return { entries, source };
+}
+
+// Komoditas untuk satu kode adm4, dengan nama/kategori dari katalog (atau katalog bawaan)
+function commoditiesFor(adm4Code, mapping, catalog) {
+  const result = new Map();
+  for (const entry of mapping) {
+    if (!regionCovers(entry.region_code, adm4Code) || result.has(entry.commodity_slug)) continue;
+    const info = catalog.find(item => item.slug === entry.commodity_slug)
+      || DEFAULT_COMMODITIES.find(item => item.slug === entry.commodity_slug)
+      || { slug: entry.commodity_slug, name_id: entry.commodity_slug, category: 'lainnya', unit: null };
+    result.set(entry.commodity_slug, {
+      slug: info.slug,
+      name_id: info.name_id,
+      category: info.category,
+      category_label: COMMODITY_CATEGORIES[info.category] || info.category,
+      unit: info.unit,
+      region_code: entry.region_code
+    });
+  }
+  return [...result.values()];
+}
+
+// Ringkasan per komoditas: tingkat risiko tertinggi dan lokasi terdampak (untuk panel harga)
+function summarizeSupplyRisk(warnings) {
+  const risks = new Map();
+  for (const warning of warnings) {
+    for (const commodity of warning.commodities) {
+      const risk = risks.get(commodity.slug) || {
+        slug: commodity.slug,
+        name_id: commodity.name_id,
+        level: 'warning',
+        warning_count: 0,
+        types: [],
+        adm4_codes: []
+      };
+      risk.warning_count++;
+      if (warning.severity === 'danger') risk.level = 'danger';
+      if (!risk.types.includes(warning.type)) risk.types.push(warning.type);
+      if (!risk.adm4_codes.includes(warning.adm4_code)) risk.adm4_codes.push(warning.adm4_code);
+      risks.set(commodity.slug, risk);
+    }
+  }
+  return [...risks.values()].sort((a, b) => (a.level === b.level ? b.warning_count - a.warning_count : a.level === 'danger' ? -1 : 1));
+}
+
+/**
+ * Pindai prakiraan tersimpan semua lokasi aktif lalu susun peringatan beserta komoditas terdampak.
+ * Hasil di-cache 5 menit; panggil invalidateWarnings() setelah data/pemetaan berubah.
+ * @param {object} db - pool database (mysql2 atau wrapper pg)
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] - abaikan cache
+ * @returns {Promise<object>} { generated_at, thresholds, mapping_source, warnings, supply_risk }
+ */
+async function scanWarnings(db, { refresh = false } = {}) {
+  if (!refresh && warningsCache.result && warningsCache.expiresAt > Date.now()) {
+    return warningsCache.result;
+  }
+
+  const today = todayKey();
+  const rangeStart = `${shiftDateKey(today, { days: -LOOKBACK_DAYS })} 00:00:00`;
+  const rangeEnd = `${shiftDateKey(today, { days: HORIZON_DAYS })} 00:00:00`;
+  const forecastModel = new WeatherForecast(db);
+  const locations = await new WeatherLocation(db).getAll({ activeOnly: true });
+  const { entries: mapping, source } = await loadRegionCommodities(db);
+  const catalog = await loadCatalog(db);
+
+  const warnings = [];
+  for (const location of locations) {
+    const rows = await forecastModel.getRange(location.adm4_code, rangeStart, rangeEnd);
+    if (rows.length === 0) continue;
+
+    const found = detectWarnings(buildDays(rows), { today });
+    if (found.length === 0) continue;
+    const commodities = commoditiesFor(location.adm4_code, mapping, catalog);
+    for (const warning of found) {
+      warnings.push({
+        id: `${location.adm4_code}:${warning.type}:${warning.start_date}`,
+        adm4_code: location.adm4_code,
+        location_name: location.name || null,
+        province_code: location.adm4_code.slice(0, 2),
+        regency_code: location.adm4_code.slice(0, 5),
+        ...warning,
+        commodities
+      });
+    }
+  }
+
+  warnings.sort((a, b) => (a.severity === b.severity ? a.start_date.localeCompare(b.start_date) : a.severity === 'danger' ? -1 : 1));
+  const result = {
+    generated_at: new Date().toISOString(),
+    thresholds: WARNING_THRESHOLDS,
+    mapping_source: source,
+    locations_scanned: locations.length,
+    warnings,
+    supply_risk: summarizeSupplyRisk(warnings)
+  };
+  warningsCache = { result, expiresAt: Date.now() + CACHE_TTL };
+  return result;
+}
+
+function invalidateWarnings() {
+  mappingCache = { entries: null, source: null, expiresAt: 0 };
+  warningsCache = { result: null, expiresAt: 0 };
+}
+
+module.exports = {
+  WARNING_THRESHOLDS,
+  WARNING_TYPES,
+  WARNING_SEVERITIES,
+  DEFAULT_REGION_COMMODITIES,
+  regionCovers,
+  detectWarnings,
+  summarizeSupplyRisk,
+  loadRegionCommodities,
+  scanWarnings,
+  invalidateWarnings
+};
@@ -0,0 +1,264 @@
+// Pencarian wilayah berperingkat: normalisasi awalan (Kab., Kota, Kec., Desa), alias/singkatan,
+// toleransi salah ketik (trigram + Levenshtein) atas indeks in-memory seluruh tabel wilayah
+const Wilayah = require('../models/Wilayah');
+const { normalizeRegionName } = require('./panganRegions');
+
+// Data wilayah jarang berubah; indeks dibangun ulang paling cepat tiap jam atau setelah impor
+const INDEX_CACHE_TTL = 60 * 60 * 1000;
+let indexCache = { index: null, expiresAt: 0 };
+
+const MIN_FUZZY_SCORE = 0.45;
+const WILAYAH_CODE_QUERY = /^\d{2}(\.\d{1,4})*\.?$/;
+
+// Alias/singkatan umum -> nama sesuai data Kemendagri (sudah dinormalisasi)
+const REGION_ALIASES = {
+  jogja: 'yogyakarta',
+  jogjakarta: 'yogyakarta',
+  yogya: 'yogyakarta',
+  jogya: 'yogyakarta',
+  diy: 'di yogyakarta',
+  jkt: 'jakarta',
+  jakpus: 'jakarta pusat',
+  jakut: 'jakarta utara',
+  jakbar: 'jakarta barat',
+  jaksel: 'jakarta selatan',
+  jaktim: 'jakarta timur',
+  jabar: 'jawa barat',
+  jateng: 'jawa tengah',
+  jatim: 'jawa timur',
+  sumut: 'sumatera utara',
+  sumbar: 'sumatera barat',
+  sumsel: 'sumatera selatan',
+  kalbar: 'kalimantan barat',
+  kalteng: 'kalimantan tengah',
+  kalsel: 'kalimantan selatan',
+  kaltim: 'kalimantan timur',
+  kaltara: 'kalimantan utara',
+  sulut: 'sulawesi utara',
+  sulteng: 'sulawesi tengah',
+  sulsel: 'sulawesi selatan',
+  sultra: 'sulawesi tenggara',
+  sulbar: 'sulawesi barat',
+  ntb: 'nusa tenggara barat',
+  ntt: 'nusa tenggara timur',
+  babel: 'kepulauan bangka belitung',
+  kepri: 'kepulauan riau',
+  solo: 'surakarta',
+  bdg: 'bandung',
+  sumatra: 'sumatera'
+};
+
+// Singkatan arah hanya setelah kata pertama, agar "bar" tetap bisa mencari "Barru"
+const WORD_ABBREVIATIONS = {
+  sel: 'selatan',
+  utr: 'utara',
+  tim: 'timur',
+  bar: 'barat',
+  teng: 'tengah'
+};
+
+// Kata awalan tipe wilayah -> level (dan jenis kab/kota) yang diisyaratkan
+const TYPE_PREFIXES = {
+  prov: { level: 'provinsi' },
+  provinsi: { level: 'provinsi' },
+  kab: { level: 'kabkota', kind: 'kab' },
+  kota: { level: 'kabkota', kind: 'kota' },
+  kec: { level: 'kecamatan' },
+  kecamatan: { level: 'kecamatan' },
+  desa: { level: 'kelurahan' },
+  kel: { level: 'kelurahan' },
+  kelurahan: { level: 'kelurahan' }
+};
+
+// Nama tanpa awalan tipe, mis. "Kab. Bandung Barat" -> "bandung barat"
+function nameKey(nama) {
+  return normalizeRegionName(nama).replace(/^(kab|kota|kec|kecamatan|desa|kel|kelurahan) /, '');
+}
+
+// Kode kab/kota 71 ke atas adalah kota
+function kabKotaKind(kode) {
+  return parseInt(kode.split('.')[1], 10) >= 71 ? 'kota' : 'kab';
+}
+
+/**
+ * Normalkan input pencarian: awalan tipe dibaca sebagai petunjuk level, alias diganti.
+ * @param {string} term - input pengguna, mis. "Kab Bandung Barat", "jogja"
+ * @returns {{ key: string, level: string|null, kind: string|null }}
+ */
+function parseQuery(term) {
+  const words = String(term || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+  let hint = {};
+  if (words.length > 1 && TYPE_PREFIXES[words[0]]) {
+    hint = TYPE_PREFIXES[words.shift()];
+    if (words[0] === 'adm' || words[0] === 'administrasi') words.shift();
+  }
+  const expanded = words
+    .map((word, position) => REGION_ALIASES[word] || (position > 0 && WORD_ABBREVIATIONS[word]) || word)
+    .join(' ');
+  return { key: nameKey(expanded), level: hint.level || null, kind: hint.kind || null };
+}
+
+function trigrams(value) {
+  const padded = `  ${value} `;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Indeks: entri per wilayah, nama per kode (breadcrumb) dan posting list per trigram
+function buildIndex(rows) {
+  const entries = [];
+  const names = new Map();
+  const postings = new Map();
+  for (const row of rows) {
+    const level = Wilayah.levelOf(row.kode);
+    if (!level) continue;
+    const key = nameKey(row.nama);
+    const grams = trigrams(key);
+    const position = entries.length;
+    entries.push({ kode: row.kode, nama: row.nama, level, key, grams: grams.size });
+    names.set(row.kode, row.nama);
+    for (const gram of grams) {
+      if (!postings.has(gram)) postings.set(gram, []);
+      postings.get(gram).push(position);
+    }
+  }
+  return { entries, names, postings };
+}
+
+async function loadWilayahIndex(db, { refresh = false } = {}) {
+  if (!refresh && indexCache.index && indexCache.expiresAt > Date.now()) {
+    return indexCache.index;
+  }
+  const index = buildIndex(await new Wilayah(db).getAllNames());
+  indexCache = { index, expiresAt: Date.now() + INDEX_CACHE_TTL };
+  return index;
+}
+
+function invalidateWilayahIndex() {
+  indexCache = { index: null, expiresAt: 0 };
+}
+
+// Skor 0..1: persis > awalan > awal kata > substring > mirip (trigram/Levenshtein)
+function scoreEntry(entry, key, shared, queryGrams) {
+  if (entry.key === key) return { score: 1, match: 'exact' };
+  if (entry.key.startsWith(key)) return { score: 0.9 + 0.05 * (key.length / entry.key.length), match: 'prefix' };
+  if (` ${entry.key}`.includes(` ${key}`)) return { score: 0.8, match: 'word' };
+  if (entry.key.includes(key)) return { score: 0.7, match: 'contains' };
+
+  const dice = (2 * shared) / (queryGrams + entry.grams);
+  if (dice < 0.3) return null;
+  const distance = levenshtein(key, entry.key);
+  const similarity = Math.max(dice, 1 - distance / Math.max(key.length, entry.key.length));
+  const score = similarity * 0.75;
+  return score >= MIN_FUZZY_SCORE ? { score, match: 'fuzzy' } : null;
+}
+
+function breadcrumbOf(index, kode) {
+  return Wilayah.ancestorCodes(kode)
+    .filter(code => index.names.has(code))
+    .map(code => ({ kode: code, nama: index.names.get(code), level: Wilayah.levelOf(code) }));
+}
+
+/**
+ * Cari wilayah berperingkat.
+ * @param {object} db - pool database
+ * @param {string} term - nama (boleh berawalan Kab./Kota/Kec./Desa, alias, salah ketik) atau awalan kode
+ * @param {object} [options] - { levels: ['kabkota', ...], parent: kode induk, limit }
+ * @returns {Promise<object[]>} [{ kode, nama, level, score, match, label, breadcrumb }]
+ */
+async function searchWilayah(db, term, options = {}) {
+  return searchIndex(await loadWilayahIndex(db), term, options);
+}
+
+// Peringkat yang sama atas daftar wilayah kecil (mis. provinsi atau kab/kota satu provinsi) tanpa indeks penuh
+function rankWilayah(rows, term, options = {}) {
+  return searchIndex(buildIndex(rows), term, options);
+}
+
+function searchIndex(index, term, { levels = null, parent = null, limit = 20 } = {}) {
+  const allowed = entry => (!levels || levels.includes(entry.level))
+    && (!parent || entry.kode.startsWith(`${parent}.`));
+
+  const results = [];
+  const code = String(term).trim();
+  if (WILAYAH_CODE_QUERY.test(code)) {
+    const prefix = code.replace(/\.$/, '');
+    for (const entry of index.entries) {
+      if (!allowed(entry) || !(entry.kode === prefix || entry.kode.startsWith(`${prefix}.`))) continue;
+      results.push({ entry, score: entry.kode === prefix ? 1 : 0.9, match: 'kode' });
+    }
+  } else {
+    const query = parseQuery(term);
+    if (query.key.length < 2) return [];
+
+    // Hitung trigram yang sama per entri dari posting list
+    const queryGrams = trigrams(query.key);
+    const shared = new Map();
+    for (const gram of queryGrams) {
+      for (const position of index.postings.get(gram) || []) {
+        shared.set(position, (shared.get(position) || 0) + 1);
+      }
+    }
+
+    index.entries.forEach((entry, position) => {
+      if (!allowed(entry)) return;
+      const common = shared.get(position) || 0;
+      if (common === 0 && !entry.key.includes(query.key)) return;
+      const scored = scoreEntry(entry, query.key, common, queryGrams.size);
+      if (!scored) return;
+
+      // Awalan tipe pada query ("Kota Bandung" vs "Kab. Bandung") menurunkan level/jenis yang tidak cocok
+      let score = scored.score;
+      if (query.level && query.level !== entry.level) score -= 0.1;
+      else if (query.kind && query.kind !== kabKotaKind(entry.kode)) score -= 0.05;
+      if (score < MIN_FUZZY_SCORE) return;
+      results.push({ entry, score, match: scored.match });
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score
+      || Wilayah.LEVELS.indexOf(a.entry.level) - Wilayah.LEVELS.indexOf(b.entry.level)
+      || a.entry.nama.length - b.entry.nama.length
+      || a.entry.kode.localeCompare(b.entry.kode))
+    .slice(0, limit)
+    .map(({ entry, score, match }) => {
+      const breadcrumb = breadcrumbOf(index, entry.kode);
+      return {
+        kode: entry.kode,
+        nama: entry.nama,
+        level: entry.level,
+        score: Math.round(score * 1000) / 1000,
+        match,
+        label: Wilayah.breadcrumbLabel(breadcrumb),
+        breadcrumb
+      };
+    });
+}
+
+module.exports = {
+  REGION_ALIASES,
+  parseQuery,
+  levenshtein,
+  searchWilayah,
+  rankWilayah,
+  loadWilayahIndex,
+  invalidateWilayahIndex
+};